@@ -1,7 +1,12 @@
+import fs from 'fs';
 import express from 'express';
 import ejs from 'ejs';
 import { Site } from './routes/site.js';
 import { EmailSender } from './util/email-sender.js';
+import { AuthorizationParser } from './util/authorization-parser.js';
+import { PasswordHasher } from './util/password-hasher.js';
+import { Localizer } from './util/localizer.js';
+import { TokenIssuer } from './util/token-issuer.js';
 import dotenv from 'dotenv';
 
 
@@ -30,6 +35,10 @@ var config = {
         saveUninitialized: false,
         cookie: {}
     },
+    sessionStoreOptions: {
+        store: process.env.SESSION_STORE || 'database',
+        cleanupMinutes: parseInt(process.env.SESSION_CLEANUP_MINUTES) || 60
+    },
     cookieOptions: {
         secret: process.env.COOKIE_SECRET
     },
@@ -41,6 +50,43 @@ var config = {
         auth0Logout: true,
         scope: "openid email profile"
     },
+    twoFactorOptions: {
+        issuer: process.env.TOTP_ISSUER || 'ExpressMultiPassport'
+    },
+    throttleOptions: {
+        store: process.env.LOGIN_THROTTLE_STORE || 'memory',
+        lockAfter: parseInt(process.env.LOGIN_LOCK_AFTER) || 10,
+        lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 30
+    },
+    passwordOptions: {
+        breachedPasswordDir: process.env.BREACHED_PASSWORD_DIR,
+        minScore: parseInt(process.env.PASSWORD_MIN_SCORE) || 2,
+        policy: JSON.parse(fs.readFileSync(process.env.PASSWORD_POLICY_FILE || './config/password-policy.json', 'utf8'))
+    },
+    hashOptions: {
+        cost: parseInt(process.env.PASSWORD_HASH_COST) || 32768,
+        blockSize: parseInt(process.env.PASSWORD_HASH_BLOCK_SIZE) || 8,
+        parallelization: parseInt(process.env.PASSWORD_HASH_PARALLELIZATION) || 1,
+        peppers: process.env.PASSWORD_PEPPERS
+    },
+    accessOptions: {
+        bootstrapAdminEmail: process.env.BOOTSTRAP_ADMIN_EMAIL
+    },
+    deletionOptions: {
+        graceDays: parseInt(process.env.ACCOUNT_DELETION_DAYS) || 14
+    },
+    localeOptions: {
+        defaultLocale: process.env.DEFAULT_LOCALE || 'en',
+        catalogDir: process.env.LOCALE_DIR || './config/locales'
+    },
+    tokenOptions: {
+        issuer: process.env.SERVICE_BASE,
+        accessMinutes: parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15,
+        refreshDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+        signingKeys: process.env.JWT_SIGNING_KEYS_FILE ? JSON.parse(fs.readFileSync(process.env.JWT_SIGNING_KEYS_FILE, 'utf8')).keys : [],
+        generateKey: ('development' === app.get('env'))
+    },
+    identityProviders: JSON.parse(fs.readFileSync(process.env.IDENTITY_PROVIDERS_FILE || './config/identity-providers.json', 'utf8')),
     passportOptions: {
         usernameField: 'emailAddr',
         passwordField: 'password'
@@ -48,13 +94,44 @@ var config = {
     mailOptions: {
         apiKey: process.env.SENDGRID_API_KEY,
         senderEmail: process.env.SENDGRID_SENDER,
-        verifyUrl: process.env.SERVICE_BASE + '/user/verify'
+        verifyUrl: process.env.SERVICE_BASE + '/user/verify',
+        resetUrl: process.env.SERVICE_BASE + '/password/reset',
+        unlockUrl: process.env.SERVICE_BASE + '/signin/unlock',
+        signInUrl: process.env.SERVICE_BASE + '/signin/link',
+        emailChangeUrl: process.env.SERVICE_BASE + '/user/email/confirm',
+        revokeUrl: process.env.SERVICE_BASE + '/signin/not-me'
     }
 };
 
+// prepare options of native OpenID Connect issuers, client secrets are read from env, e.g. OIDC_CLIENT_SECRET_CORPORATE
+config.oidcOptions = {};
+config.identityProviders.filter((provider) => ('oidc' === provider.strategy)).forEach((provider) => {
+    const secretName = 'OIDC_CLIENT_SECRET_' + provider.name.toUpperCase().replace(/-/g, '_');
+    config.oidcOptions[provider.name] = {
+        issuer: provider.issuer,
+        clientID: provider.clientID,
+        clientSecret: process.env[secretName],
+        callbackURL: process.env.SERVICE_BASE + '/callback/' + provider.name,
+        connection: provider.connection,
+        scope: "openid email profile"
+    };
+});
+
+// initialize localization, before pages and E-mails are made
+Localizer.initialize(config.localeOptions);
+
 // initialize EmailSender
 EmailSender.initialize(config.mailOptions);
 
+// initialize password hashing
+PasswordHasher.initialize(config.hashOptions);
+
+// initialize signing keys of access tokens
+TokenIssuer.initialize(config.tokenOptions);
+
+// initialize identity providers
+AuthorizationParser.initialize(config.identityProviders);
+
 // initialize and use a Site
 const site = Site.makeOne(app, config);
 app.use('/', site.router);
@@ -1,22 +1,46 @@
-import crypto from 'crypto';
-
 import { DbAccess } from './db-access.js';
+import { RememberToken } from './remember-token.js';
+import { RefreshToken } from './refresh-token.js';
+import { PersonalToken } from './personal-token.js';
+import { PasswordHistory } from './password-history.js';
+import { Identity } from './identity.js';
+import { TwoFactor } from './two-factor.js';
+import { AuditLog } from './audit-log.js';
+import { UserSession } from './user-session.js';
+import { KnownDevice } from './known-device.js';
+import { OAuthClient } from './oauth-client.js';
 import { TimeUtil } from '../util/time-util.js';
+import { TokenUtil } from '../util/token-util.js';
+import { PasswordHasher } from '../util/password-hasher.js';
 import { EmailSender } from '../util/email-sender.js';
 import { AuthorizationParser, AuthorizationProvider } from '../util/authorization-parser.js';
-import { ExpireError } from '../global.js';
-
+import { AccessControl, Role } from '../util/access-control.js';
+import { ExpireError, DisabledAccountError } from '../global.js';
 
-// constants for hash function
-const SCRYPT_SALT_LENGTH = 64;
-const SCRYPT_KEY_LENGTH = 128;
-const SCRYPT_OPTIONS = { N: 1024 };
-const SCRYPT_SALT_IN_STRING = (2 * SCRYPT_KEY_LENGTH);
 
 // constants session update
 const UPDATE_SESSION_ONLY = 'UPDATE account SET session_count = 1 + session_count, session = NOW() where email = $1;';
 const UPDATE_SESSION_LOGIN = 'UPDATE account SET session_count = 1 + session_count, session = NOW(), login_count = 1 + login_count where email = $1;';
 
+// constants for password reset
+const RESET_TOKEN_MINUTES = 30;
+
+// constants for sign-in link (passwordless sign-in)
+const SIGNIN_TOKEN_MINUTES = 15;
+
+// constants for change of E-mail address
+const EMAIL_CHANGE_TOKEN_MINUTES = 60;
+
+// constants for account deletion
+const DELETION_GRACE_DAYS = 14;
+
+// constants for admin user search
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+
+// constants for disabled account
+const MESSAGE_ACCOUNT_DISABLED = 'This account was disabled, please contact administrator';
+
 
 /**
  * Account manager that access database by prisma.
@@ -25,7 +49,8 @@ const UPDATE_SESSION_LOGIN = 'UPDATE account SET session_count = 1 + session_cou
 class Account extends DbAccess {
 
     /**
-     * Get a list containing information of all registered users, <strong>without password</strong>.
+     * Get a list containing information of all registered users, <strong>without password</strong> and other secrets. <br />
+     * Two-factor authentication status is kept in <strong>totp_enabled</strong>.
      * @returns {Object[]} - a list containing user information.
      */
     async getUserList() {
@@ -37,9 +62,7 @@ class Account extends DbAccess {
         });
 
         // remove secret values for security
-        data.forEach(function (row) {
-            delete row.password;
-        });
+        data.forEach(Account.removeSecrets);
         return data;
     }
 
@@ -95,7 +118,7 @@ class Account extends DbAccess {
     }
 
     /**
-     * Change password of a user.
+     * Change password of a user. Sessions signed in before the change are signed out, and saved sign-ins and tokens are revoked.
      * @param {string} email - Email address of user
      * @param {string} oldPassword - Old password of user in plain-text form.
      * @param {string} newPassword - New password of user in plain-text form.
@@ -122,7 +145,7 @@ class Account extends DbAccess {
                 email = row.email;
                 oldHash = row.password;
 
-                isOldHashValid = Account.checkHash(oldPassword, oldHash);
+                isOldHashValid = await Account.checkHash(oldPassword, oldHash);
             }
         }
         if (!isOldHashValid) {
@@ -131,7 +154,8 @@ class Account extends DbAccess {
 
         var prisma;
         var result = null;
-        var newHash = Account.makeHash(newPassword);
+        var updateCount;
+        var newHash = await Account.makeHash(newPassword);
         if (id && email) {
             prisma = this.getDbClient();
             result = await prisma.account.updateMany({
@@ -145,7 +169,13 @@ class Account extends DbAccess {
             });
         }
 
-        return DbAccess.getUpdateCount(result);
+        // sessions, saved sign-ins and tokens were made with old password, revoke them
+        updateCount = DbAccess.getUpdateCount(result);
+        if (updateCount > 0) {
+            await PasswordHistory.makeOne().recordHash(id, oldHash);
+            await this.revokeAllSessions(id);
+        }
+        return updateCount;
     }
 
     /**
@@ -171,6 +201,150 @@ class Account extends DbAccess {
         return DbAccess.getUpdateCount(result);
     }
 
+    /**
+     * Change preferred locale of a user, which is used for pages and E-mails of the user.
+     * @param {string} email - Email address of user.
+     * @param {string} locale - New preferred locale of user, or null to follow the browser.
+     * @returns {number} - number of record updated by this operation (0 if failed, and 1 if succeed).
+     */
+    async changeUserLocale(email, locale) {
+        var prisma;
+        var result = null;
+        if (email) {
+            prisma = this.getDbClient();
+            result = await prisma.account.updateMany({
+                where: {
+                    email
+                },
+                data: {
+                    locale: locale || null
+                }
+            });
+        }
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Start changing E-mail address of a user. The new address is kept as pending address, and a link with random generated 
+     * token is sent to it, together with a notice to the current address. E-mail address is changed only after the link was 
+     * followed, see <a href="#confirmEmailChange">confirmEmailChange()</a>. A new request replaces the previous pending one.
+     * @param {string} email - Current email address of a user.
+     * @param {string} newEmail - New email address of the user.
+     * @param {string} [locale] - Locale of the E-mail, used when the user has no preferred locale.
+     * 
+     * @see #confirmEmailChange
+     * @throws {Error} When new E-mail address is the same as current one, or it was already used.
+     * @throws {Error} When the account signed up by social network has no linked identity to sign in with after the change.
+     */
+    async requestEmailChange(email, newEmail, locale) {
+        const oldUserList = await this.findUsersByEmail(email);
+        var user;
+        var changeToken;
+        var prisma;
+        var now;
+        var result;
+        if (1 !== oldUserList.length) {
+            throw new Error('Account not found');
+        }
+        user = oldUserList[0];
+        if (newEmail === email) {
+            throw new Error('New E-mail is the same as current E-mail');
+        }
+        if (DbAccess.hasData(await this.findUsersByEmail(newEmail))) {
+            throw new Error('E-mail was already used');
+        }
+
+        // social sign-in resolves the linked identity first, so the account is still found after the change
+        if (AuthorizationProvider.AUTH_PASSWORD !== user.provider_code) {
+            const identityList = await Identity.makeOne().listIdentities(user.id);
+            if (!identityList.some((linked) => (user.provider_code === linked.provider_code))) {
+                throw new Error(`Please sign in with ${AuthorizationParser.getLabel(user.provider_code)} once before changing E-mail`);
+            }
+        }
+
+        // only hash of the token is stored, as sign-in tokens
+        changeToken = TokenUtil.makeRandomToken();
+        prisma = this.getDbClient();
+        now = await DbAccess.getDbNow(prisma);
+        result = await prisma.account.updateMany({
+            where: {
+                id: user.id
+            },
+            data: {
+                pending_email: newEmail,
+                email_change_token: TokenUtil.hashToken(changeToken),
+                email_change_deadline: TimeUtil.addMinutes(now, EMAIL_CHANGE_TOKEN_MINUTES)
+            }
+        });
+        if (1 === DbAccess.getUpdateCount(result)) {
+            EmailSender.sendEmailChangeEmail(newEmail, changeToken, EMAIL_CHANGE_TOKEN_MINUTES, Account.getUserLocale(user, locale));
+            EmailSender.sendEmailChangeNotice(email, newEmail, Account.getUserLocale(user, locale));
+        }
+    }
+
+    /**
+     * Change E-mail address of a user to the pending address, by a link with change token sent to the pending address. 
+     * The new address is verified by this operation. Tokens sent to the old address (verification, password reset and sign-in link) 
+     * are dropped, while saved sign-ins and linked identities are kept because they refer to the account by id.
+     * @param {string} newEmail - The pending email address of a user.
+     * @param {string} changeToken - The change token generated when sending the E-mail.
+     * @returns {string} - The old email address of the user, if E-mail address was changed.
+     * @returns Empty string, otherwise.
+     * 
+     * @see #requestEmailChange
+     * @throws {ExpireError} ExpireError when changeToken expired.
+     * @throws {Error} When new E-mail address was used by another account in the meantime.
+     */
+    async confirmEmailChange(newEmail, changeToken) {
+        var prisma = this.getDbClient();
+        var findResult;
+        var result;
+        var user;
+        var now;
+        if (!newEmail || !changeToken) {
+            return '';
+        }
+        findResult = await prisma.account.findMany({
+            where: {
+                pending_email: newEmail,
+                email_change_token: TokenUtil.hashToken(changeToken)
+            }
+        });
+        if (1 !== findResult.length) {
+            return '';
+        }
+        user = findResult[0];
+        now = await DbAccess.getDbNow(prisma);
+        if (now > user.email_change_deadline) {
+            throw new ExpireError('Expired E-mail change link', now, user.email_change_deadline);
+        }
+        if (DbAccess.hasData(await this.findUsersByEmail(newEmail))) {
+            throw new Error('E-mail was already used');
+        }
+
+        // compare-and-swap, so a token can be consumed only once
+        result = await prisma.account.updateMany({
+            where: {
+                id: user.id,
+                email_change_token: TokenUtil.hashToken(changeToken)
+            },
+            data: {
+                email: newEmail,
+                verified: true,
+                pending_email: null,
+                email_change_token: null,
+                email_change_deadline: null,
+                verify_token: null,
+                verify_deadline: null,
+                reset_token: null,
+                reset_deadline: null,
+                signin_token: null,
+                signin_deadline: null
+            }
+        });
+        return (1 === DbAccess.getUpdateCount(result)) ? user.email : '';
+    }
+
     /**
      * Count number of signed up users.
      * @returns {number} - number of signed up users.
@@ -228,16 +402,18 @@ class Account extends DbAccess {
      * @param {string} email - Email address of user
      * @param {string} password - Password from user
      * @param {string} nickname - Initial nickname extracted from email
+     * @param {string} [locale] - Preferred locale of user, e.g. the locale of sign-up page
      * @returns {number} - number of record inserted by this sign up operation (normally 0 if failed, and 1 if succeed)
      * 
      * @throws {Error} When given E-mail was already used in previous sign-up
      */
-    async emailSignUp(email, password, nickname) {
-        return await this.commonSignUp(email, password, nickname, false, AuthorizationProvider.AUTH_PASSWORD);
+    async emailSignUp(email, password, nickname, locale) {
+        return await this.commonSignUp(email, password, nickname, false, AuthorizationProvider.AUTH_PASSWORD, locale);
     }
 
     /**
-     * Sign in a user by email & password
+     * Sign in a user by email & password. <br />
+     * When the stored password hash was made by old cost parameters or an old pepper, it is replaced on successful sign-in.
      * 
      * @param {string} email - Email address of user 
      * @param {string} password - Password from user
@@ -250,13 +426,57 @@ class Account extends DbAccess {
         if (1 === oldUserList.length) {
             user = oldUserList[0];
             if (AuthorizationProvider.AUTH_PASSWORD === user.provider_code) {
-                isValidHash = Account.checkHash(password, user.password);
+                isValidHash = await Account.checkHash(password, user.password);
+                if (isValidHash) {
+                    Account.checkEnabled(user);
+                    if (PasswordHasher.needsRehash(user.password)) {
+                        await this.rehashPassword(user, password);
+                    }
+                }
                 return isValidHash;
             }
         }
         return false;
     }
 
+    /**
+     * Replace the password hash of a user with one made by current cost parameters and pepper, after the password was checked.
+     * Nothing is changed when the password was changed by another request in the meantime.
+     * 
+     * @param {Object} user - The account record, with the old password hash.
+     * @param {string} password - The checked password.
+     * @returns {number} - number of record updated by this operation (0 if failed, and 1 if succeed).
+     */
+    async rehashPassword(user, password) {
+        const prisma = this.getDbClient();
+        const result = await prisma.account.updateMany({
+            where: {
+                id: user.id,
+                password: user.password
+            },
+            data: {
+                password: await Account.makeHash(password)
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * List hash records of current and previous passwords of a user, newest first, in order to check reuse of recent passwords.
+     * Nothing is listed for users signed up by other providers.
+     * 
+     * @param {Object} user - The account record, with the current password hash.
+     * @param {number} limit - Maximum number of hash records, including the current one.
+     * @returns {string[]} - The hash records.
+     */
+    async listRecentPasswords(user, limit) {
+        if (!user || (limit <= 0) || (AuthorizationProvider.AUTH_PASSWORD !== user.provider_code)) {
+            return [];
+        }
+        const hashList = await PasswordHistory.makeOne().listHashes(user.id, limit - 1);
+        return [user.password].concat(hashList);
+    }
+
     
     /**
      * Common operation flow of sign up a user account.
@@ -266,11 +486,12 @@ class Account extends DbAccess {
      * @param {string} nickname - Initial nickname derived from email or auth0 profile
      * @param {boolean} verified - Initial email verified status (false for email sign-up, and true for social network)
      * @param {number} providerCode - Authorization provider in numeric form.
+     * @param {string} [locale] - Preferred locale of user, none when absent.
      * @returns {number} - number of record inserted by this sign up operation (normally 0 if failed, and 1 if succeed)
      * 
      * @throws {Error} When given E-mail was already used in previous sign-up
      */
-    async commonSignUp(email, password, nickname, verified, providerCode) {
+    async commonSignUp(email, password, nickname, verified, providerCode, locale) {
         const prisma = this.getDbClient();
         const oldUserList = await this.findUsersByEmail(email);
         if (DbAccess.hasData(oldUserList)) {
@@ -278,7 +499,7 @@ class Account extends DbAccess {
         }
         var hash = null;
         if (password) {
-            hash = Account.makeHash(password);
+            hash = await Account.makeHash(password);
         } else {
             hash = 'x';
         }
@@ -292,35 +513,399 @@ class Account extends DbAccess {
             session_count: 0,
             session: null,
             verified, 
-            provider_code: providerCode
+            provider_code: providerCode,
+            locale: locale || null
         };
         const result = await prisma.account.createMany({ data });
         return DbAccess.getUpdateCount(result);
     }
 
     /**
-     * Sign in a user from social network by auth0. Note that this operation will sign up new user when at the first time.
+     * Sign in a user from social network (by auth0 or a native OpenID Connect issuer). The identity of provider and subject 
+     * is resolved first, and then the account it belongs to. Note that this operation will sign up new user when at the first time. <br />
+     * An E-mail already signed up by another provider is not linked automatically, user must sign in as before and link 
+     * the new identity from profile page.
      * 
-     * @param {string} email - Email address of user
+     * @param {string} email - Email address of user, given by the identity provider
      * @param {string} nickname - Initial nickname from profile
      * @param {string} authProvider - Authorization provider in string form.
-     * @returns {boolean} - true if sign in succeed
+     * @param {string} subject - User ID at the identity provider.
+     * @returns {string} - Email address of the signed in account, which may differ from given email for a linked identity.
+     * @returns Empty string, if sign in failed.
      */
-     async auth0SignIn(email, nickname, authProvider) {
+    async auth0SignIn(email, nickname, authProvider, subject) {
         const providerCode = AuthorizationParser.parse(authProvider);
-        var oldUserList = await this.findUsersByEmail(email);
+        const identity = Identity.makeOne();
+        var linked;
         var user;
+        if (!subject) {
+            throw new Error('Missing subject of identity provider');
+        }
+
+        // resolve identity first
+        linked = await identity.findIdentity(providerCode, subject);
+        if (linked) {
+            user = await this.findUserById(linked.account_id);
+            if (!user) {
+                return '';
+            }
+            Account.checkEnabled(user);
+            await identity.touchIdentity(linked.id);
+            return user.email;
+        }
+
+        // sign up, or link the identity to an account signed up by the same provider before identities existed
+        var oldUserList = await this.findUsersByEmail(email);
         if (!DbAccess.hasData(oldUserList)) {
             await this.commonSignUp(email, null, nickname, true, providerCode);
             oldUserList = await this.findUsersByEmail(email);
         }
-        if(1 === oldUserList.length) {
+        if (1 === oldUserList.length) {
             user = oldUserList[0];
-            if(providerCode === user.provider_code) {
-                return true;
+            if (providerCode === user.provider_code) {
+                Account.checkEnabled(user);
+                try {
+                    await identity.linkIdentity(user.id, providerCode, subject, email);
+                } catch (err) {
+                    // another identity of the same provider owns this account
+                    return '';
+                }
+                return user.email;
             }
         }
-        return false;
+        return '';
+    }
+
+    /**
+     * List sign-in identities linked to a user.
+     * @param {string} email - Email address of a user.
+     * @returns {Object[]} - The identity records, or an empty list for unknown email address.
+     */
+    async listIdentities(email) {
+        const oldUserList = await this.findUsersByEmail(email);
+        if (1 === oldUserList.length) {
+            return await Identity.makeOne().listIdentities(oldUserList[0].id);
+        }
+        return [];
+    }
+
+    /**
+     * Link a sign-in identity to a user. Both ownerships must be proved by caller, that is, the user signed in (and re-authenticated) 
+     * as the account, and then signed in at the identity provider.
+     * @param {string} email - Email address of a user.
+     * @param {string} authProvider - Authorization provider in string form.
+     * @param {string} subject - User ID at the identity provider.
+     * @param {string} [providerEmail] - E-mail address given by the identity provider.
+     * @returns {number} - number of identity linked by this operation.
+     * 
+     * @throws {Error} When the identity was linked to another account, or the user already has an identity of the provider.
+     */
+    async linkIdentity(email, authProvider, subject, providerEmail) {
+        const providerCode = AuthorizationParser.parse(authProvider);
+        const oldUserList = await this.findUsersByEmail(email);
+        if (1 !== oldUserList.length) {
+            throw new Error('Account not found');
+        }
+        if (AuthorizationProvider.AUTH_PASSWORD === providerCode) {
+            throw new Error('Unsupported authProvider: ' + authProvider);
+        }
+        return await Identity.makeOne().linkIdentity(oldUserList[0].id, providerCode, subject, providerEmail);
+    }
+
+    /**
+     * Unlink a sign-in identity from a user. The identity used to sign up can't be unlinked, so the user can always sign in.
+     * @param {string} email - Email address of a user.
+     * @param {number} providerCode - Authorization provider in numeric form.
+     * @returns {number} - number of identity unlinked by this operation.
+     * 
+     * @throws {Error} When the identity was used to sign up.
+     */
+    async unlinkIdentity(email, providerCode) {
+        const oldUserList = await this.findUsersByEmail(email);
+        if (1 !== oldUserList.length) {
+            return 0;
+        }
+        if (providerCode === oldUserList[0].provider_code) {
+            throw new Error('The sign-in used to sign up can\'t be unlinked');
+        }
+        return await Identity.makeOne().unlinkIdentity(oldUserList[0].id, providerCode);
+    }
+
+    /**
+     * Grant a role to a user.
+     * @param {number} id - id of user record in database.
+     * @param {string} role - Name of a role, see <strong>Role</strong>.
+     * @returns {number} - number of record updated by this operation (0 if the user already has the role, and 1 if granted).
+     * 
+     * @throws {Error} When the role is not defined, or the user is not found.
+     */
+    async grantRole(id, role) {
+        const user = await this.findUserById(id);
+        const roles = (user && user.roles) || [];
+        if (!AccessControl.isRole(role)) {
+            throw new Error('Unknown role: ' + role);
+        }
+        if (!user) {
+            throw new Error('Account not found');
+        }
+        if (roles.includes(role)) {
+            return 0;
+        }
+        return await this.updateRoles(id, roles.concat(role));
+    }
+
+    /**
+     * Revoke a role from a user. The last administrator can't be revoked, so that roles can always be managed.
+     * @param {number} id - id of user record in database.
+     * @param {string} role - Name of a role, see <strong>Role</strong>.
+     * @returns {number} - number of record updated by this operation (0 if the user has no such role, and 1 if revoked).
+     * 
+     * @throws {Error} When revoking the last administrator.
+     */
+    async revokeRole(id, role) {
+        const user = await this.findUserById(id);
+        const roles = (user && user.roles) || [];
+        if (!roles.includes(role)) {
+            return 0;
+        }
+        if ((Role.ADMIN === role) && (1 >= (await this.findUsersByRole(Role.ADMIN)).length)) {
+            throw new Error('The last administrator can\'t be revoked');
+        }
+        return await this.updateRoles(id, roles.filter((name) => (role !== name)));
+    }
+
+    /**
+     * Grant administrator role to a user, only if there is no administrator yet. It's used to bootstrap the first administrator, 
+     * whose email address is given by config and must be verified.
+     * @param {string} email - Email address of a user.
+     * @returns {number} - number of record updated by this operation (1 if the user became the first administrator, 0 otherwise).
+     */
+    async bootstrapAdmin(email) {
+        const oldUserList = await this.findUsersByEmail(email);
+        var user;
+        if (1 !== oldUserList.length) {
+            return 0;
+        }
+        user = oldUserList[0];
+        if (!user.verified || DbAccess.hasData(await this.findUsersByRole(Role.ADMIN))) {
+            return 0;
+        }
+        return await this.updateRoles(user.id, (user.roles || []).concat(Role.ADMIN));
+    }
+
+    /**
+     * Find users who have given role.
+     * @param {string} role - Name of a role.
+     * @returns {Object[]} - a list of users that have given role.
+     */
+    async findUsersByRole(role) {
+        const prisma = this.getDbClient();
+        return await prisma.account.findMany({
+            where: {
+                roles: {
+                    has: role
+                }
+            },
+            orderBy: {
+                id: 'asc'
+            }
+        });
+    }
+
+    /**
+     * Replace roles of a user.
+     * @private
+     * @param {number} id - id of user record in database.
+     * @param {string[]} roles - New roles of the user.
+     * @returns {number} - number of record updated by this operation.
+     */
+    async updateRoles(id, roles) {
+        const prisma = this.getDbClient();
+        const result = await prisma.account.updateMany({
+            where: {
+                id
+            },
+            data: {
+                roles: {
+                    set: roles
+                }
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Search users by a keyword in email address or nickname (case-insensitive), or by id when the keyword is a number. 
+     * Found users are returned <strong>without password</strong> and other secrets.
+     * @param {string} [keyword] - The keyword, all users are found when it's empty.
+     * @param {number} [offset] - Number of found users to skip, default 0.
+     * @param {number} [limit] - Maximum number of users to return, default 20 (at most 100).
+     * @returns {Object} - An object with <strong>total</strong> (number of found users) and <strong>users</strong> (the page of found users).
+     */
+    async searchUsers(keyword, offset, limit) {
+        const prisma = this.getDbClient();
+        const text = String(keyword || '').trim();
+        const where = {};
+        var total;
+        var users;
+        if (text) {
+            where.OR = [
+                { email: { contains: text, mode: 'insensitive' } },
+                { nickname: { contains: text, mode: 'insensitive' } }
+            ];
+            if (/^\d+$/.test(text)) {
+                where.OR.push({ id: parseInt(text) });
+            }
+        }
+        total = await prisma.account.count({ where });
+        users = await prisma.account.findMany({
+            where,
+            orderBy: {
+                id: 'asc'
+            },
+            skip: Math.max(0, parseInt(offset) || 0),
+            take: Math.min(SEARCH_MAX_LIMIT, Math.max(1, parseInt(limit) || SEARCH_DEFAULT_LIMIT))
+        });
+        users.forEach(Account.removeSecrets);
+        return { total, users };
+    }
+
+    /**
+     * Get detail of a user, that is, the account record <strong>without password</strong> and other secrets, 
+     * together with linked identities and number of saved sign-ins.
+     * @param {number} id - id of user record in database.
+     * @returns {Object} - The detail if user is found, null otherwise.
+     */
+    async getUserDetail(id) {
+        const user = await this.findUserById(id);
+        var identityList;
+        var rememberList;
+        if (!user) {
+            return null;
+        }
+        identityList = await Identity.makeOne().listIdentities(user.id);
+        rememberList = await RememberToken.makeOne().listAccountTokens(user.id);
+        Account.removeSecrets(user);
+        user.signUpProvider = AuthorizationParser.getLabel(user.provider_code);
+        user.identities = identityList.map((identity) => ({
+            provider: AuthorizationParser.getLabel(identity.provider_code),
+            email: identity.email,
+            created: identity.created,
+            lastUsed: identity.last_used
+        }));
+        user.rememberedSignInCount = rememberList.length;
+        return user;
+    }
+
+    /**
+     * Force or revoke email verification of a user. Pending verification token is dropped.
+     * @param {number} id - id of user record in database.
+     * @param {boolean} verified - New email verified status.
+     * @returns {number} - number of record updated by this operation (0 if failed, and 1 if succeed).
+     */
+    async setUserVerified(id, verified) {
+        const prisma = this.getDbClient();
+        const result = await prisma.account.updateMany({
+            where: {
+                id
+            },
+            data: {
+                verified: !!verified,
+                verify_token: null,
+                verify_deadline: null
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Send verification E-mail to a user again, even if previous verification e-mail is still valid.
+     * @param {number} id - id of user record in database.
+     * 
+     * @see #sendVerificationEmail
+     * @throws {Error} When the user is not found, or email address was already verified.
+     */
+    async resendVerificationEmail(id) {
+        const user = await this.findUserById(id);
+        var verifyToken;
+        if (!user) {
+            throw new Error('Account not found');
+        }
+        if (user.verified) {
+            throw new Error('E-mail was already verified');
+        }
+        verifyToken = await this.updateVerifyToken(user.email);
+        if (verifyToken) {
+            EmailSender.sendVerificationEmail(user.email, verifyToken, Account.getUserLocale(user));
+        }
+    }
+
+    /**
+     * Disable or enable a user. A disabled user can't sign in, and saved sign-ins and refresh tokens of the user are revoked
+     * when disabled. 
+     * Active sessions are signed out by their next request.
+     * @param {number} id - id of user record in database.
+     * @param {boolean} disabled - Disable (true) or enable (false) the user.
+     * @returns {number} - number of record updated by this operation (0 if failed, and 1 if succeed).
+     */
+    async setUserDisabled(id, disabled) {
+        const prisma = this.getDbClient();
+        const result = await prisma.account.updateMany({
+            where: {
+                id
+            },
+            data: {
+                disabled: !!disabled
+            }
+        });
+        if (disabled) {
+            await RememberToken.makeOne().revokeAccountTokens(id);
+            await RefreshToken.makeOne().revokeAccountTokens(id);
+            await PersonalToken.makeOne().revokeAccountTokens(id);
+        }
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Reset login count and session count of a user.
+     * @param {number} id - id of user record in database.
+     * @returns {number} - number of record updated by this operation (0 if failed, and 1 if succeed).
+     */
+    async resetSessionCounters(id) {
+        const prisma = this.getDbClient();
+        const result = await prisma.account.updateMany({
+            where: {
+                id
+            },
+            data: {
+                login_count: 0,
+                session_count: 0
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Sign out a user everywhere, that is, saved sign-ins, refresh tokens and personal access tokens of the user are revoked,
+     * and sessions signed in before now are signed out by their next request.
+     * @param {number} id - id of user record in database.
+     * @returns {number} - number of record updated by this operation (0 if failed, and 1 if succeed).
+     */
+    async revokeAllSessions(id) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const result = await prisma.account.updateMany({
+            where: {
+                id
+            },
+            data: {
+                sessions_revoked: now
+            }
+        });
+        await RememberToken.makeOne().revokeAccountTokens(id);
+        await RefreshToken.makeOne().revokeAccountTokens(id);
+        await PersonalToken.makeOne().revokeAccountTokens(id);
+        return DbAccess.getUpdateCount(result);
     }
 
     /**
@@ -346,12 +931,13 @@ class Account extends DbAccess {
     /**
      * Send verification E-mail with a link containing random generated verify token.
      * @param {string} email - Email address of a user.
+     * @param {string} [locale] - Locale of the E-mail, used when the user has no preferred locale.
      * 
      * @see #updateVerifyToken
      * @see #verifyEmail
      * @throws {Error} Error when previous verification e-mail is still valid.
      */
-    async sendVerificationEmail(email) {
+    async sendVerificationEmail(email, locale) {
         const oldUserList = await this.findUsersByEmail(email);
         var user;
         var verifyToken;
@@ -365,7 +951,41 @@ class Account extends DbAccess {
                 throw new Error('Please check previous verification e-mail, it\'s still valid');
             }
             verifyToken = await this.updateVerifyToken(email);
-            EmailSender.sendVerificationEmail(email, verifyToken);
+            EmailSender.sendVerificationEmail(email, verifyToken, Account.getUserLocale(user, locale));
+        }
+    }
+
+    /**
+     * Send an E-mail with unlock link, when sign-in of a user was locked because of too many failed attempts. 
+     * Nothing is sent for unknown email address.
+     * @param {string} email - Email address of a user.
+     * @param {string} unlockToken - The unlock token created when sign-in was locked.
+     * @param {Date} lockedUntil - The time when lock expires by itself.
+     * @param {string} [locale] - Locale of the E-mail, used when the user has no preferred locale.
+     * 
+     * @see util#LoginThrottle
+     */
+    async sendUnlockEmail(email, unlockToken, lockedUntil, locale) {
+        const oldUserList = await this.findUsersByEmail(email);
+        if (1 === oldUserList.length) {
+            EmailSender.sendUnlockEmail(email, unlockToken, lockedUntil, Account.getUserLocale(oldUserList[0], locale));
+        }
+    }
+
+    /**
+     * Send an E-mail telling that a user signed in from a new device, with a link to sign out everywhere. 
+     * Nothing is sent for unknown email address.
+     * @param {string} email - Email address of a user.
+     * @param {SignInDevice} device - The new device, with its revoke token.
+     * @param {DeviceClient} client - The client of the sign-in.
+     * @param {string} [locale] - Locale of the E-mail, used when the user has no preferred locale.
+     * 
+     * @see KnownDevice
+     */
+    async sendNewDeviceEmail(email, device, client, locale) {
+        const oldUserList = await this.findUsersByEmail(email);
+        if (1 === oldUserList.length) {
+            EmailSender.sendNewDeviceEmail(email, device.revokeToken, device.created, client.ip, client.userAgent, Account.getUserLocale(oldUserList[0], locale));
         }
     }
 
@@ -381,15 +1001,12 @@ class Account extends DbAccess {
         var verifyToken = '';
         var result;
         var updateCount;
-        var tokenBuffer;
         var prisma;
         var now;
         const oldUserList = await this.findUsersByEmail(email);
         if (1 === oldUserList.length) {
             // generate email verifyToken
-            tokenBuffer = Buffer.alloc(64);
-            crypto.randomFillSync(tokenBuffer);
-            verifyToken = tokenBuffer.toString('hex');
+            verifyToken = TokenUtil.makeRandomToken();
 
             // update email verify_token in database
             prisma = this.getDbClient();
@@ -455,43 +1072,490 @@ class Account extends DbAccess {
     }
 
     /**
-     * Make a hash record from given rawString (often password), with a random-generated salt.
-     * Generated <strong>hash record</strong> was defined by 
-     * <pre>
-     * <strong>hashRecord := hashFunction(rawString)|salt</strong>
-     * </pre>
-     * in hex format. In current implementation, <strong>scrypt</strong> was chosen as the <strong>hashFunction</strong>.
+     * Send password reset E-mail with a link containing random generated reset token. <br />
+     * Accounts signed up by social network have no password, so they recieve an E-mail explaining 
+     * which provider to sign in with instead of a reset link. Nothing is sent for unknown email address. <br />
+     * Each call sends a new reset link, which replaces the previous one, so callers should limit how often it is called.
+     * @param {string} email - Email address of a user.
+     * @param {string} [locale] - Locale of the E-mail, used when the user has no preferred locale.
+     * 
+     * @see #updateResetToken
+     * @see #resetPassword
+     */
+    async sendPasswordResetEmail(email, locale) {
+        const oldUserList = await this.findUsersByEmail(email);
+        var user;
+        var resetToken;
+        if (1 === oldUserList.length) {
+            user = oldUserList[0];
+            if (AuthorizationProvider.AUTH_PASSWORD !== user.provider_code) {
+                EmailSender.sendNoPasswordEmail(email, AuthorizationParser.getLabel(user.provider_code), Account.getUserLocale(user, locale));
+                return;
+            }
+            resetToken = await this.updateResetToken(email);
+            if (resetToken) {
+                EmailSender.sendPasswordResetEmail(email, resetToken, Account.getUserLocale(user, locale));
+            }
+        }
+    }
+
+    /**
+     * Generate a reset token, and store in database with given user email. Only accounts signed up by password can have a reset token.
+     * @param {string} email - Email address of a user.
+     * @returns {string} Non-empty reset token, if successfully update reset token for given user email.
+     * @returns Empty string, otherwise.
+     * 
+     * @see #sendPasswordResetEmail
+     */
+    async updateResetToken(email) {
+        var resetToken = '';
+        var result;
+        var updateCount;
+        var prisma;
+        var now;
+        const oldUserList = await this.findUsersByEmail(email);
+        if (1 === oldUserList.length) {
+            resetToken = TokenUtil.makeRandomToken();
+
+            // only hash of the token is stored, as sign-in tokens
+            prisma = this.getDbClient();
+            now = await DbAccess.getDbNow(prisma);
+            result = await prisma.account.updateMany({
+                where: {
+                    email,
+                    provider_code: AuthorizationProvider.AUTH_PASSWORD
+                },
+                data: {
+                    reset_token: TokenUtil.hashToken(resetToken),
+                    reset_deadline: TimeUtil.addMinutes(now, RESET_TOKEN_MINUTES)
+                }
+            });
+            updateCount = DbAccess.getUpdateCount(result);
+            if (1 === updateCount) {
+                return resetToken;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Check a reset token is the latest reset token of a user, and not yet expired.
+     * @param {string} email - Email address of a user.
+     * @param {string} resetToken - The reset token generated when sending the password reset E-mail.
+     * @returns {boolean} - true if the reset token can be used to reset password.
+     * 
+     * @throws {ExpireError} ExpireError when resetToken expired.
+     */
+    async checkResetToken(email, resetToken) {
+        var prisma = this.getDbClient();
+        var findResult;
+        var user;
+        var now;
+        if (!resetToken) {
+            return false;
+        }
+        findResult = await prisma.account.findMany({
+            where: {
+                email,
+                provider_code: AuthorizationProvider.AUTH_PASSWORD
+            }
+        });
+        if ((1 === findResult.length) && findResult[0].reset_token && TokenUtil.safeEqual(findResult[0].reset_token, TokenUtil.hashToken(resetToken))) {
+            user = findResult[0];
+            now = await DbAccess.getDbNow(prisma);
+            if (now > user.reset_deadline) {
+                throw new ExpireError('Expired reset token', now, user.reset_deadline);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Reset password of a user by a link with reset token. The reset token is consumed by this operation, so a reset link can be used only once.
+     * Sessions signed in before the reset are signed out, and saved sign-ins and tokens are revoked.
+     * @param {string} email - Email address of a user.
+     * @param {string} resetToken - The reset token generated when sending the password reset E-mail.
+     * @param {string} newPassword - New password of user in plain-text form.
+     * @returns {boolean} - true if password reset succeed.
+     * @returns false otherwise.
+     * 
+     * @see #sendPasswordResetEmail
+     * @throws {ExpireError} ExpireError when resetToken expired.
+     */
+    async resetPassword(email, resetToken, newPassword) {
+        var prisma;
+        var result;
+        var oldUserList;
+        var isValid = await this.checkResetToken(email, resetToken);
+        if (isValid) {
+            oldUserList = await this.findUsersByEmail(email);
+            prisma = this.getDbClient();
+            result = await prisma.account.updateMany({
+                where: {
+                    email,
+                    reset_token: TokenUtil.hashToken(resetToken)
+                },
+                data: {
+                    password: await Account.makeHash(newPassword),
+                    reset_token: null,
+                    reset_deadline: null
+                }
+            });
+            if (1 === DbAccess.getUpdateCount(result)) {
+                // sessions, saved sign-ins and tokens were made with old password, revoke them
+                if (1 === oldUserList.length) {
+                    await PasswordHistory.makeOne().recordHash(oldUserList[0].id, oldUserList[0].password);
+                    await this.revokeAllSessions(oldUserList[0].id);
+                }
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Send an E-mail with a single-use sign-in link, so that user can sign in without password. 
+     * It works for accounts signed up by social network too. Nothing is sent for unknown email address. <br />
+     * Each call sends a new sign-in link, which replaces the previous one, so callers should limit how often it is called.
+     * @param {string} email - Email address of a user.
+     * @param {string} [locale] - Locale of the E-mail, used when the user has no preferred locale.
+     * 
+     * @see #signInByToken
+     */
+    async sendSignInLinkEmail(email, locale) {
+        const oldUserList = await this.findUsersByEmail(email);
+        var user;
+        var signInToken;
+        var prisma;
+        var now;
+        var result;
+        if (1 === oldUserList.length) {
+            user = oldUserList[0];
+            prisma = this.getDbClient();
+            now = await DbAccess.getDbNow(prisma);
+
+            // only hash of the token is stored, as remember-me tokens
+            signInToken = TokenUtil.makeRandomToken();
+            result = await prisma.account.updateMany({
+                where: {
+                    id: user.id
+                },
+                data: {
+                    signin_token: TokenUtil.hashToken(signInToken),
+                    signin_deadline: TimeUtil.addMinutes(now, SIGNIN_TOKEN_MINUTES)
+                }
+            });
+            if (1 === DbAccess.getUpdateCount(result)) {
+                EmailSender.sendSignInLinkEmail(email, signInToken, SIGNIN_TOKEN_MINUTES, Account.getUserLocale(user, locale));
+            }
+        }
+    }
+
+    /**
+     * Check a sign-in token is the latest sign-in token of a user, and not yet expired.
+     * @param {string} email - Email address of a user.
+     * @param {string} signInToken - The sign-in token generated when sending the sign-in E-mail.
+     * @returns {boolean} - true if the sign-in token can be used to sign in.
+     * 
+     * @throws {ExpireError} ExpireError when signInToken expired.
+     */
+    async checkSignInToken(email, signInToken) {
+        var prisma = this.getDbClient();
+        var findResult;
+        var user;
+        var now;
+        if (!signInToken) {
+            return false;
+        }
+        findResult = await prisma.account.findMany({
+            where: {
+                email,
+                signin_token: TokenUtil.hashToken(signInToken)
+            }
+        });
+        if (1 === findResult.length) {
+            user = findResult[0];
+            now = await DbAccess.getDbNow(prisma);
+            if (now > user.signin_deadline) {
+                throw new ExpireError('Expired sign-in link', now, user.signin_deadline);
+            }
+            Account.checkEnabled(user);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Sign in a user by a link with sign-in token. The sign-in token is consumed by this operation, so a sign-in link can be used only once.
+     * @param {string} email - Email address of a user.
+     * @param {string} signInToken - The sign-in token generated when sending the sign-in E-mail.
+     * @returns {boolean} - true if sign in succeed.
+     * @returns false otherwise.
+     * 
+     * @see #sendSignInLinkEmail
+     * @throws {ExpireError} ExpireError when signInToken expired.
+     */
+    async signInByToken(email, signInToken) {
+        var prisma;
+        var result;
+        var isValid = await this.checkSignInToken(email, signInToken);
+        if (isValid) {
+            // compare-and-swap, so a token can be consumed only once
+            prisma = this.getDbClient();
+            result = await prisma.account.updateMany({
+                where: {
+                    email,
+                    signin_token: TokenUtil.hashToken(signInToken)
+                },
+                data: {
+                    signin_token: null,
+                    signin_deadline: null
+                }
+            });
+            return (1 === DbAccess.getUpdateCount(result));
+        }
+        return false;
+    }
+
+    /**
+     * Export personal data of a user, that is, the account record and related activity (audit events, sessions, known
+     * devices, personal tokens and OAuth consents), <strong>without password</strong> and other secrets (tokens and their
+     * hashes are left out).
+     * @param {string} email - Email address of a user.
+     * @returns {Object} - The exported data if user is found, null otherwise.
+     */
+    async exportUserData(email) {
+        const oldUserList = await this.findUsersByEmail(email);
+        var user;
+        var identityList;
+        var rememberList;
+        var sessionList;
+        var deviceList;
+        var personalTokenList;
+        if (1 !== oldUserList.length) {
+            return null;
+        }
+        user = oldUserList[0];
+        identityList = await Identity.makeOne().listIdentities(user.id);
+        rememberList = await RememberToken.makeOne().listAccountTokens(user.id);
+        sessionList = await UserSession.makeOne().listAccountSessions(user.id);
+        deviceList = await KnownDevice.makeOne().listDevices(user.id);
+        personalTokenList = await PersonalToken.makeOne().listTokens(user.id);
+        return {
+            exported: await DbAccess.getDbNow(this.getDbClient()),
+            account: {
+                id: user.id,
+                email: user.email,
+                nickname: user.nickname,
+                created: user.created,
+                verified: user.verified,
+                signUpProvider: AuthorizationParser.getLabel(user.provider_code),
+                roles: user.roles || [],
+                lastSession: user.session,
+                loginCount: user.login_count,
+                sessionCount: user.session_count,
+                pendingEmail: user.pending_email || null,
+                deleteAfter: user.delete_after || null
+            },
+            twoFactor: {
+                enabled: !!user.totp_enabled,
+                unusedRecoveryCodes: user.totp_enabled ? await TwoFactor.makeOne().countRecoveryCodes(user.id) : 0
+            },
+            identities: identityList.map((identity) => ({
+                provider: AuthorizationParser.getLabel(identity.provider_code),
+                subject: identity.subject,
+                email: identity.email,
+                created: identity.created,
+                lastUsed: identity.last_used
+            })),
+            rememberedSignIns: rememberList.map((remembered) => ({
+                created: remembered.created,
+                lastUsed: remembered.last_used,
+                expires: remembered.expires
+            })),
+            sessions: sessionList.map((session) => ({
+                device: session.device,
+                ip: session.ip,
+                created: session.created,
+                lastActive: session.lastActive
+            })),
+            knownDevices: deviceList,
+            personalTokens: personalTokenList.map((personalToken) => ({
+                name: personalToken.name,
+                scopes: personalToken.scopes,
+                created: personalToken.created,
+                lastUsed: personalToken.lastUsed,
+                expires: personalToken.expires
+            })),
+            oauthConsents: await OAuthClient.makeOne().listConsents(user.id),
+            auditEvents: await AuditLog.makeOne().exportAccountEvents(user.id)
+        };
+    }
+
+    /**
+     * Schedule deletion of a user. The account is deleted permanently after a grace period, in which deletion can be cancelled. 
+     * Saved sign-ins (remember-me tokens) of the user are revoked at the same time.
+     * @param {string} email - Email address of a user.
+     * @param {number} [graceDays] - Days before the account is deleted, default 14.
+     * @param {string} [locale] - Locale of the E-mail, used when the user has no preferred locale.
+     * @returns {Date} - The time after which the account is deleted.
+     * 
+     * @see #cancelDeletion
+     * @see #deleteExpiredAccounts
+     * @throws {Error} When the account is not found.
+     */
+    async requestDeletion(email, graceDays, locale) {
+        const oldUserList = await this.findUsersByEmail(email);
+        var user;
+        var prisma;
+        var now;
+        var deleteAfter;
+        if (1 !== oldUserList.length) {
+            throw new Error('Account not found');
+        }
+        user = oldUserList[0];
+        prisma = this.getDbClient();
+        now = await DbAccess.getDbNow(prisma);
+        deleteAfter = user.delete_after || TimeUtil.addMinutes(now, (graceDays || DELETION_GRACE_DAYS) * 24 * 60);
+        await prisma.account.updateMany({
+            where: {
+                id: user.id
+            },
+            data: {
+                delete_after: deleteAfter
+            }
+        });
+        await RememberToken.makeOne().revokeAccountTokens(user.id);
+        await RefreshToken.makeOne().revokeAccountTokens(user.id);
+        await PersonalToken.makeOne().revokeAccountTokens(user.id);
+        EmailSender.sendDeletionEmail(email, deleteAfter, Account.getUserLocale(user, locale));
+        return deleteAfter;
+    }
+
+    /**
+     * Cancel scheduled deletion of a user, in the grace period.
+     * @param {string} email - Email address of a user.
+     * @returns {number} - number of record updated by this operation (0 if deletion was not scheduled, and 1 if cancelled).
+     * 
+     * @see #requestDeletion
+     */
+    async cancelDeletion(email) {
+        const prisma = this.getDbClient();
+        const result = await prisma.account.updateMany({
+            where: {
+                email,
+                delete_after: {
+                    not: null
+                }
+            },
+            data: {
+                delete_after: null
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Permanently delete accounts whose grace period of deletion has passed. 
+     * Related records (identities, remember-me tokens and recovery codes) are deleted together with the account, while
+     * audit events are kept for security review, detached from the deleted account and without E-mail address, IP address
+     * and user-agent.
+     * @returns {string[]} - Email addresses of deleted accounts.
+     * 
+     * @see #requestDeletion
+     */
+    async deleteExpiredAccounts() {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const expiredList = await prisma.account.findMany({
+            where: {
+                delete_after: {
+                    lte: now
+                }
+            }
+        });
+        const auditLog = AuditLog.makeOne();
+        const deletedList = [];
+        var eventIdList;
+        var result;
+        for (const user of expiredList) {
+            eventIdList = await auditLog.listAccountEventIds(user.id);
+
+            // deletion may be cancelled meanwhile, so check the deadline again
+            result = await prisma.account.deleteMany({
+                where: {
+                    id: user.id,
+                    delete_after: {
+                        lte: now
+                    }
+                }
+            });
+            if (1 === DbAccess.getUpdateCount(result)) {
+                await auditLog.anonymizeEvents(eventIdList, user.email);
+                deletedList.push(user.email);
+            }
+        }
+        return deletedList;
+    }
+
+    /**
+     * Make a hash record from given rawString (often password), with a random-generated salt. <br />
+     * The record keeps its cost parameters and pepper key, see <a href="util.PasswordHasher.html">PasswordHasher</a>.
      * 
      * @param {string} rawString - Given raw string to generate a hash record.
      * @returns {string} - a generated hash record.
      * @see #.checkHash
      */
-    static makeHash(rawString) {
-        const salt = crypto.randomBytes(SCRYPT_SALT_LENGTH);
-        const cypher = crypto.scryptSync(rawString, salt, SCRYPT_KEY_LENGTH, SCRYPT_OPTIONS);
-        const full = cypher.toString('hex') + salt.toString('hex');
-        return full;
+    static async makeHash(rawString) {
+        return await PasswordHasher.makeHash(rawString);
     }
 
     /**
      * Check hash record calculated from rawString (often password) and previous random salt match the hash record. <br />
-     * To inspect composition of <strong>hash record</strong>, see <a href="#.makeHash">makeHash()</a>.
+     * Hash records in legacy format are accepted as well, see <a href="util.PasswordHasher.html">PasswordHasher</a>.
      * @param {string} rawString - Given raw string to be checked with hash record.
      * @param {string} fullRecord - Full hash record stored in database.
      * @returns {boolean} - true if given raw string matches hash record. 
      * @see #.makeHash
      */
-    static checkHash(rawString, fullRecord) {
-        const hexSalt = fullRecord.substring(SCRYPT_SALT_IN_STRING);
-        const salt = Buffer.from(hexSalt, 'hex');
-        const cypher = crypto.scryptSync(rawString, salt, SCRYPT_KEY_LENGTH, SCRYPT_OPTIONS);
-        const hexCypher = cypher.toString('hex');
-        if ((hexSalt.length + hexCypher.length) === fullRecord.length) {
-            if (fullRecord.startsWith(hexCypher) && fullRecord.endsWith(hexSalt)) {
-                return true;
-            }
+    static async checkHash(rawString, fullRecord) {
+        return await PasswordHasher.checkHash(rawString, fullRecord);
+    }
+
+    /**
+     * Remove password and other secret values from an account record, in place.
+     * @param {Object} row - The account record.
+     */
+    static removeSecrets(row) {
+        delete row.password;
+        delete row.verify_token;
+        delete row.reset_token;
+        delete row.totp_secret;
+        delete row.totp_last_step;
+        delete row.signin_token;
+        delete row.email_change_token;
+    }
+
+    /**
+     * Get the locale of E-mails to a user, that is, preferred locale of the user, or given locale when the user has none.
+     * @param {Object} user - The account record.
+     * @param {string} [locale] - The locale of current request.
+     * @returns {string} - The locale, or null for the default locale.
+     */
+    static getUserLocale(user, locale) {
+        return (user && user.locale) || locale || null;
+    }
+
+    /**
+     * Check an account record is not disabled, before the user signs in.
+     * @param {Object} user - The account record.
+     * @throws {DisabledAccountError} When the account was disabled.
+     */
+    static checkEnabled(user) {
+        if (user.disabled) {
+            throw new DisabledAccountError(MESSAGE_ACCOUNT_DISABLED, user.id);
         }
-        return false;
     }
 
     /**
@@ -0,0 +1,134 @@
+import { DbAccess } from './db-access.js';
+
+
+/**
+ * Database storage of failed attempt counters and locks, used by <a href="util.LoginThrottle.html">LoginThrottle</a>. <br />
+ * Counters are shared between app instances using the same database.
+ * @memberof dal#
+ * 
+ * @see util#LoginThrottle
+ * @see MemoryAttemptStore
+ */
+class DbAttemptStore extends DbAccess {
+
+    /**
+     * Record a failed attempt of given key.
+     * @param {string} key - The key of counter, e.g. an email address or client IP.
+     * @param {Date} time - The time of failed attempt.
+     */
+    async addFailure(key, time) {
+        const prisma = this.getDbClient();
+        await prisma.login_failure.create({
+            data: {
+                key,
+                created: time
+            }
+        });
+    }
+
+    /**
+     * List failed attempts of given key since given time. Older failures are removed at the same time.
+     * @param {string} key - The key of counter, e.g. an email address or client IP.
+     * @param {Date} since - The start time of sliding window.
+     * @returns {Date[]} - failure time list in ascending order.
+     */
+    async listFailures(key, since) {
+        const prisma = this.getDbClient();
+        await prisma.login_failure.deleteMany({
+            where: {
+                key,
+                created: {
+                    lt: since
+                }
+            }
+        });
+        const rows = await prisma.login_failure.findMany({
+            where: {
+                key
+            },
+            orderBy: {
+                created: 'asc'
+            }
+        });
+        return rows.map(function (row) {
+            return row.created;
+        });
+    }
+
+    /**
+     * Remove all failed attempts of given key.
+     * @param {string} key - The key of counter, e.g. an email address or client IP.
+     */
+    async clearFailures(key) {
+        const prisma = this.getDbClient();
+        await prisma.login_failure.deleteMany({
+            where: {
+                key
+            }
+        });
+    }
+
+    /**
+     * Get lock record of given key.
+     * @param {string} key - The key of lock, e.g. an email address or client IP.
+     * @returns {AttemptLock} - The lock record if present.
+     * @returns null - otherwise
+     */
+    async getLock(key) {
+        const prisma = this.getDbClient();
+        const row = await prisma.login_lock.findUnique({
+            where: {
+                key
+            }
+        });
+        if (row) {
+            return { lockedUntil: row.locked_until, unlockHash: row.unlock_hash };
+        }
+        return null;
+    }
+
+    /**
+     * Create or replace lock record of given key.
+     * @param {string} key - The key of lock, e.g. an email address or client IP.
+     * @param {Date} lockedUntil - The time when lock expires.
+     * @param {string} [unlockHash] - Hash of unlock token, if the lock can be removed by an unlock link.
+     */
+    async setLock(key, lockedUntil, unlockHash) {
+        const prisma = this.getDbClient();
+        const data = {
+            locked_until: lockedUntil,
+            unlock_hash: unlockHash || null
+        };
+        await prisma.login_lock.upsert({
+            where: {
+                key
+            },
+            create: Object.assign({ key }, data),
+            update: data
+        });
+    }
+
+    /**
+     * Remove lock record of given key.
+     * @param {string} key - The key of lock, e.g. an email address or client IP.
+     */
+    async clearLock(key) {
+        const prisma = this.getDbClient();
+        await prisma.login_lock.deleteMany({
+            where: {
+                key
+            }
+        });
+    }
+
+    /**
+     * Create an initialized DbAttemptStore instance.
+     * @returns {DbAttemptStore} - initialized DbAttemptStore instance.
+     */
+    static makeOne() {
+        return new DbAttemptStore();
+    }
+
+}
+
+export { DbAttemptStore };
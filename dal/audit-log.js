@@ -0,0 +1,300 @@
+import { DbAccess } from './db-access.js';
+import { UserSession } from './user-session.js';
+
+
+// constants for listing events
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+const USER_AGENT_MAX_LENGTH = 512;
+
+
+/**
+ * Enum of authentication events recorded in security audit log.
+ * @enum {AuditEvent}
+ * @see dal#AuditLog
+ */
+const AuditEvent = {
+
+    /** A user signed up */
+    SIGN_UP: 'sign-up',
+
+    /** A user signed in by entering credentials, or by a social network */
+    SIGN_IN: 'sign-in',
+
+    /** A sign-in attempt failed, e.g. wrong password or wrong two-factor code */
+    SIGN_IN_FAILURE: 'sign-in-failure',
+
+    /** A login was restored by remember-me cookie, or by the social network user signed in before */
+    RESTORE_LOGIN: 'restore-login',
+
+    /** A user signed in from a device not seen for the account before */
+    NEW_DEVICE: 'new-device',
+
+    /** All sessions were signed out by the "this wasn't me" link of a new-device E-mail */
+    SESSIONS_REVOKED: 'sessions-revoked',
+
+    /** A user signed out */
+    SIGN_OUT: 'sign-out',
+
+    /** Password was changed, or reset by E-mail link */
+    PASSWORD_CHANGE: 'password-change',
+
+    /** Nickname was changed */
+    NICKNAME_CHANGE: 'nickname-change',
+
+    /** Verification E-mail was sent */
+    VERIFY_EMAIL_SENT: 'verify-email-sent',
+
+    /** E-mail address was verified */
+    EMAIL_VERIFIED: 'email-verified',
+
+    /** An app was allowed to sign in by the account, on consent screen of OAuth provider */
+    APP_AUTHORIZED: 'app-authorized',
+
+    /** A personal access token was created */
+    TOKEN_CREATED: 'token-created',
+
+    /** A personal access token was revoked, by the user or an administrator */
+    TOKEN_REVOKED: 'token-revoked',
+
+    /** An account was disabled by an administrator */
+    ACCOUNT_DISABLED: 'account-disabled',
+
+    /** An account was enabled again by an administrator */
+    ACCOUNT_ENABLED: 'account-enabled',
+
+    /** Login count and session count of an account were reset by an administrator */
+    COUNTERS_RESET: 'counters-reset',
+
+    /** A role was granted to an account by an administrator */
+    ROLE_GRANTED: 'role-granted',
+
+    /** A role was revoked from an account by an administrator */
+    ROLE_REVOKED: 'role-revoked',
+
+    /** An OAuth client was registered by an administrator, recorded on account of the administrator */
+    CLIENT_REGISTERED: 'client-registered',
+
+    /** An OAuth client was deleted by an administrator, recorded on account of the administrator */
+    CLIENT_DELETED: 'client-deleted'
+};
+
+
+/**
+ * Security audit log of authentication events, that access database by prisma. <br />
+ * Each event keeps the account (when known), the E-mail address in the request, the sign-in provider, and the client
+ * (IP address and user-agent), so that questions like "who changed this password, and when" can be answered.
+ * @memberof dal#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { AuditLog, AuditEvent } from './dal/audit-log.js';
+ * 
+ * const auditLog = AuditLog.makeOne();
+ * await auditLog.recordEvent(AuditEvent.SIGN_IN, { email, provider: 'password', ip: req.ip, userAgent: req.get('user-agent') });
+ * </code>
+ * </pre>
+ * 
+ * @see AuditEvent
+ */
+class AuditLog extends DbAccess {
+
+    /**
+     * Record an event. The account is found by E-mail address when its id is not given.
+     * @param {string} event - The event, see <strong>AuditEvent</strong>.
+     * @param {AuditDetail} detail - Account, provider and client of the event.
+     */
+    async recordEvent(event, detail) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        var accountId = detail.accountId || null;
+        var userList;
+        if (!accountId && detail.email) {
+            userList = await prisma.account.findMany({
+                where: {
+                    email: detail.email
+                }
+            });
+            if (1 === userList.length) {
+                accountId = userList[0].id;
+            }
+        }
+        await prisma.audit_event.create({
+            data: {
+                account_id: accountId,
+                email: detail.email || null,
+                event,
+                provider: detail.provider || null,
+                ip: detail.ip || null,
+                user_agent: detail.userAgent ? String(detail.userAgent).substring(0, USER_AGENT_MAX_LENGTH) : null,
+                created: now
+            }
+        });
+    }
+
+    /**
+     * List recent events of an account, the latest one first, for showing to the user.
+     * @param {number} accountId - The id of account.
+     * @param {number} [limit] - Maximum number of events, default 20.
+     * @returns {Object[]} - The events, each with <strong>event</strong>, <strong>provider</strong>, <strong>ip</strong>,
+     *                       <strong>device</strong> and <strong>created</strong>.
+     */
+    async listAccountEvents(accountId, limit) {
+        const result = await this.searchEvents({ accountId }, 0, limit);
+        return result.events.map((row) => ({
+            event: row.event,
+            provider: row.provider,
+            ip: row.ip,
+            device: UserSession.describeDevice(row.user_agent),
+            created: row.created
+        }));
+    }
+
+    /**
+     * List all events of an account, the latest one first, for exporting personal data.
+     * @param {number} accountId - The id of account.
+     * @returns {Object[]} - The events, each with <strong>event</strong>, <strong>provider</strong>, <strong>ip</strong>,
+     *                       <strong>userAgent</strong> and <strong>created</strong>.
+     */
+    async exportAccountEvents(accountId) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.audit_event.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: {
+                id: 'desc'
+            }
+        });
+        return rows.map((row) => ({
+            event: row.event,
+            provider: row.provider,
+            ip: row.ip,
+            userAgent: row.user_agent,
+            created: row.created
+        }));
+    }
+
+    /**
+     * List ids of all events of an account, e.g. to anonymize them after the account is deleted.
+     * @param {number} accountId - The id of account.
+     * @returns {number[]} - The ids of events.
+     */
+    async listAccountEventIds(accountId) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.audit_event.findMany({
+            select: {
+                id: true
+            },
+            where: {
+                account_id: accountId
+            }
+        });
+        return rows.map((row) => row.id);
+    }
+
+    /**
+     * Remove personal data from events of a deleted account. The events are kept for security review, without E-mail
+     * address, IP address and user-agent, so that they can't be linked to the person any more.
+     * @param {number[]} eventIdList - The ids of events of the account, listed before the account was deleted.
+     * @param {string} email - Email address of the account, to find events recorded without account (e.g. failed sign-ins).
+     * @returns {number} - Number of anonymized events.
+     */
+    async anonymizeEvents(eventIdList, email) {
+        const prisma = this.getDbClient();
+        const result = await prisma.audit_event.updateMany({
+            where: {
+                OR: [
+                    { id: { in: eventIdList } },
+                    { email }
+                ]
+            },
+            data: {
+                account_id: null,
+                email: null,
+                ip: null,
+                user_agent: null
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Search events by filter, the latest one first.
+     * @param {AuditFilter} filter - Conditions of events, all given conditions must match.
+     * @param {number} [offset] - Number of found events to skip, default 0.
+     * @param {number} [limit] - Maximum number of events to return, default 20 (at most 100).
+     * @returns {Object} - <strong>total</strong> number of found events, and a page of found <strong>events</strong>.
+     */
+    async searchEvents(filter, offset, limit) {
+        const prisma = this.getDbClient();
+        const where = AuditLog.makeWhere(filter || {});
+        const total = await prisma.audit_event.count({ where });
+        const events = await prisma.audit_event.findMany({
+            where,
+            orderBy: {
+                id: 'desc'
+            },
+            skip: Math.max(0, parseInt(offset) || 0),
+            take: Math.min(LIST_MAX_LIMIT, Math.max(1, parseInt(limit) || LIST_DEFAULT_LIMIT))
+        });
+        return { total, events };
+    }
+
+    /**
+     * Make database query condition from an event filter. Values are coerced into strings, numbers and dates, so that a
+     * filter from query string (where a value may be an array or an object) never adds operators to the condition.
+     * @param {AuditFilter} filter - Conditions of events.
+     * @returns {Object} - The query condition.
+     */
+    static makeWhere(filter) {
+        const where = {};
+        const created = {};
+        if (filter.accountId) {
+            where.account_id = parseInt(String(filter.accountId)) || 0;
+        }
+        if (filter.email) {
+            where.email = String(filter.email);
+        }
+        if (filter.event) {
+            where.event = String(filter.event);
+        }
+        if (filter.provider) {
+            where.provider = String(filter.provider);
+        }
+        if (filter.ip) {
+            where.ip = String(filter.ip);
+        }
+        if (filter.since) {
+            created.gte = new Date(String(filter.since));
+        }
+        if (filter.until) {
+            created.lt = new Date(String(filter.until));
+        }
+        if (Object.keys(created).length > 0) {
+            where.created = created;
+        }
+        return where;
+    }
+
+    /**
+     * Check given name is a defined event.
+     * @param {string} event - Name of an event.
+     * @returns {boolean} - true if the event is defined.
+     */
+    static isEvent(event) {
+        return Object.values(AuditEvent).includes(event);
+    }
+
+    /**
+     * Create an initialized AuditLog instance.
+     * @returns {AuditLog} - initialized AuditLog instance.
+     */
+    static makeOne() {
+        return new AuditLog();
+    }
+
+}
+
+export { AuditLog, AuditEvent };
@@ -0,0 +1,97 @@
+import { DbAccess } from './db-access.js';
+import { TimeUtil } from '../util/time-util.js';
+import { TokenUtil } from '../util/token-util.js';
+
+
+// constants for authorization codes
+const AUTHORIZATION_CODE_LENGTH = 32;
+const AUTHORIZATION_CODE_MINUTES = 5;
+
+
+/**
+ * Authorization codes of OAuth 2.0, that access database by prisma. <br />
+ * A code is issued when a user authorizes a client, and exchanged for tokens once by the client.
+ * Only hash of the code is stored.
+ * @memberof dal#
+ */
+class AuthorizationCode extends DbAccess {
+
+    /**
+     * Issue an authorization code. Expired codes are removed at the same time.
+     * @param {number} accountId - The id of account that authorized the client.
+     * @param {AuthorizationRequest} request - The authorization request.
+     * @param {Date} authTime - The time when user signed in.
+     * @returns {string} - the issued code.
+     */
+    async issueCode(accountId, request, authTime) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const code = TokenUtil.makeRandomToken(AUTHORIZATION_CODE_LENGTH);
+
+        await prisma.authorization_code.deleteMany({
+            where: {
+                expires: {
+                    lt: now
+                }
+            }
+        });
+        await prisma.authorization_code.create({
+            data: {
+                code_hash: TokenUtil.hashToken(code),
+                client_id: request.client.client_id,
+                account_id: accountId,
+                redirect_uri: request.redirectUri,
+                scope: request.scope,
+                nonce: request.nonce || null,
+                code_challenge: request.codeChallenge,
+                auth_time: authTime,
+                expires: TimeUtil.addMinutes(now, AUTHORIZATION_CODE_MINUTES)
+            }
+        });
+        return code;
+    }
+
+    /**
+     * Consume an authorization code, so that it can be exchanged only once.
+     * @param {string} code - The code from client.
+     * @returns {Object} - the code record, if the code is valid.
+     * @returns null, when the code is unknown, expired or consumed already.
+     */
+    async consumeCode(code) {
+        const prisma = this.getDbClient();
+        const codeHash = TokenUtil.hashToken(String(code || ''));
+        const row = await prisma.authorization_code.findUnique({
+            where: {
+                code_hash: codeHash
+            }
+        });
+        if (!row) {
+            return null;
+        }
+
+        // delete before use, so a code can be consumed only once
+        const result = await prisma.authorization_code.deleteMany({
+            where: {
+                code_hash: codeHash
+            }
+        });
+        if (1 !== DbAccess.getUpdateCount(result)) {
+            return null;
+        }
+        if (await DbAccess.getDbNow(prisma) > row.expires) {
+            return null;
+        }
+        return row;
+    }
+
+    /**
+     * Create an initialized AuthorizationCode instance.
+     * @returns {AuthorizationCode} - initialized AuthorizationCode instance.
+     */
+    static makeOne() {
+        return new AuthorizationCode();
+    }
+
+}
+
+export { AuthorizationCode };
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import { DbAccess } from './db-access.js';
+import { TimeUtil } from '../util/time-util.js';
+import { TokenUtil } from '../util/token-util.js';
+
+
+// constants for device codes
+const DEVICE_CODE_LENGTH = 32;
+const DEVICE_CODE_MINUTES = 10;
+const DEVICE_POLL_SECONDS = 5;
+const DEVICE_SLOW_DOWN_SECONDS = 5;
+const USER_CODE_CHARS = 'BCDFGHJKLMNPQRSTVWXZ';
+const USER_CODE_LENGTH = 8;
+const USER_CODE_SEPARATOR = '-';
+const USER_CODE_ATTEMPTS = 3;
+const ERROR_CODE_UNIQUE = 'P2002';
+
+
+/**
+ * Enum of status of device codes.
+ * @enum {DeviceCodeStatus}
+ * @see dal#DeviceCode
+ */
+const DeviceCodeStatus = {
+
+    /** Waiting for user to approve or deny on verification page */
+    PENDING: 'pending',
+
+    /** Approved by user, so that tokens are issued at next poll of client */
+    APPROVED: 'approved',
+
+    /** Denied by user */
+    DENIED: 'denied'
+};
+
+
+/**
+ * Device codes of OAuth 2.0 device authorization grant (RFC 8628), that access database by prisma. <br />
+ * A client without browser (e.g. a command-line tool) gets a <strong>device code</strong> and a short <strong>user code</strong>.
+ * User enters the user code on verification page of this site, from any device, and approves or denies the client,
+ * while the client polls with the device code until then. Only hash of the device code is stored.
+ * @memberof dal#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { DeviceCode, DeviceCodeStatus } from './dal/device-code.js';
+ * 
+ * const deviceCode = DeviceCode.makeOne();
+ * const authorization = await deviceCode.issueCode(client, 'openid offline_access');
+ * console.log(authorization.userCode);
+ * 
+ * // later, when client polls
+ * const row = await deviceCode.pollCode(authorization.deviceCode, client.client_id);
+ * if (row && (DeviceCodeStatus.APPROVED === row.status)) {
+ *     console.log('approved by account', row.account_id);
+ * }
+ * </code>
+ * </pre>
+ * 
+ * @see DeviceAuthorization
+ * @see DeviceCodeStatus
+ */
+class DeviceCode extends DbAccess {
+
+    /**
+     * Issue a device code and a user code to a client. Expired codes are removed at the same time. 
+     * A user code is unique among stored codes, so another one is made when it collides with a stored code.
+     * @param {Object} client - The client record.
+     * @param {string} scope - The requested scope, space separated.
+     * @returns {DeviceAuthorization} - the issued codes.
+     * @throws {Error} When user codes collided in every attempt.
+     */
+    async issueCode(client, scope) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const deviceCode = TokenUtil.makeRandomToken(DEVICE_CODE_LENGTH);
+        var userCode;
+        var attempt;
+
+        await prisma.device_code.deleteMany({
+            where: {
+                expires: {
+                    lt: now
+                }
+            }
+        });
+        for (attempt = 1; ; attempt++) {
+            userCode = DeviceCode.makeUserCode();
+            try {
+                await prisma.device_code.create({
+                    data: {
+                        device_code_hash: TokenUtil.hashToken(deviceCode),
+                        user_code: userCode,
+                        client_id: client.client_id,
+                        scope,
+                        status: DeviceCodeStatus.PENDING,
+                        poll_interval: DEVICE_POLL_SECONDS,
+                        expires: TimeUtil.addMinutes(now, DEVICE_CODE_MINUTES)
+                    }
+                });
+                break;
+            } catch (err) {
+                if ((ERROR_CODE_UNIQUE !== err.code) || (attempt >= USER_CODE_ATTEMPTS)) {
+                    throw err;
+                }
+            }
+        }
+        return { deviceCode, userCode, expiresIn: DEVICE_CODE_MINUTES * 60, interval: DEVICE_POLL_SECONDS };
+    }
+
+    /**
+     * Find a pending code by user code, e.g. to show the client on verification page.
+     * @param {string} userCode - The user code entered by user, case and separator are ignored.
+     * @returns {Object} - the code record, if the code is pending and not expired.
+     * @returns null, otherwise.
+     */
+    async findUserCode(userCode) {
+        const prisma = this.getDbClient();
+        const normalized = DeviceCode.normalizeUserCode(userCode);
+        if (!normalized) {
+            return null;
+        }
+        const row = await prisma.device_code.findUnique({
+            where: {
+                user_code: normalized
+            }
+        });
+        if (!row || (DeviceCodeStatus.PENDING !== row.status) || (await DbAccess.getDbNow(prisma) > row.expires)) {
+            return null;
+        }
+        return row;
+    }
+
+    /**
+     * Approve or deny a pending code by user.
+     * @param {string} userCode - The user code.
+     * @param {number} accountId - The id of account that decided.
+     * @param {boolean} isApproved - Approve (true) or deny (false) the client.
+     * @param {Date} authTime - The time when user signed in.
+     * @returns {number} - number of codes decided by this operation (0 if the code is no longer pending).
+     */
+    async decideCode(userCode, accountId, isApproved, authTime) {
+        const prisma = this.getDbClient();
+        const normalized = DeviceCode.normalizeUserCode(userCode);
+        if (!normalized) {
+            return 0;
+        }
+        const now = await DbAccess.getDbNow(prisma);
+        const result = await prisma.device_code.updateMany({
+            where: {
+                user_code: normalized,
+                status: DeviceCodeStatus.PENDING,
+                expires: {
+                    gte: now
+                }
+            },
+            data: {
+                status: isApproved ? DeviceCodeStatus.APPROVED : DeviceCodeStatus.DENIED,
+                account_id: accountId,
+                auth_time: authTime
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Poll a device code by client. An approved or denied code is consumed, so that tokens are issued only once. <br />
+     * A pending code polled faster than its interval gets a longer interval, by 5 seconds each time (RFC 8628 section 3.5).
+     * @param {string} deviceCode - The device code from client.
+     * @param {string} clientId - The client identifier of authenticated client.
+     * @returns {Object} - the code record, with <strong>expired</strong> true when the code expired, and
+     *                     <strong>slowDown</strong> true when a pending code is polled faster than the interval.
+     * @returns null, when the code is unknown, consumed already, or issued to another client.
+     */
+    async pollCode(deviceCode, clientId) {
+        const prisma = this.getDbClient();
+        const codeHash = TokenUtil.hashToken(String(deviceCode || ''));
+        const row = await prisma.device_code.findUnique({
+            where: {
+                device_code_hash: codeHash
+            }
+        });
+        if (!row || (row.client_id !== clientId)) {
+            return null;
+        }
+
+        const now = await DbAccess.getDbNow(prisma);
+        if (now > row.expires) {
+            await prisma.device_code.deleteMany({
+                where: {
+                    device_code_hash: codeHash
+                }
+            });
+            return Object.assign(row, { expired: true, slowDown: false });
+        }
+        if (DeviceCodeStatus.PENDING === row.status) {
+            const interval = row.poll_interval || DEVICE_POLL_SECONDS;
+            const slowDown = !!row.last_polled && ((now.getTime() - row.last_polled.getTime()) < interval * 1000);
+            await prisma.device_code.updateMany({
+                where: {
+                    device_code_hash: codeHash
+                },
+                data: {
+                    last_polled: now,
+                    poll_interval: slowDown ? (interval + DEVICE_SLOW_DOWN_SECONDS) : interval
+                }
+            });
+            return Object.assign(row, { expired: false, slowDown });
+        }
+
+        // delete before use, so a decided code can be consumed only once
+        const result = await prisma.device_code.deleteMany({
+            where: {
+                device_code_hash: codeHash,
+                status: row.status
+            }
+        });
+        if (1 !== DbAccess.getUpdateCount(result)) {
+            return null;
+        }
+        return Object.assign(row, { expired: false, slowDown: false });
+    }
+
+    /**
+     * Make a random user code, of consonants only so that it is easy to type and never spells a word, e.g. 'BCDF-GHJK'.
+     * @returns {string} - the user code.
+     */
+    static makeUserCode() {
+        var code = '';
+        for (var i = 0; i < USER_CODE_LENGTH; i++) {
+            code += USER_CODE_CHARS[crypto.randomInt(USER_CODE_CHARS.length)];
+        }
+        return code.substring(0, USER_CODE_LENGTH / 2) + USER_CODE_SEPARATOR + code.substring(USER_CODE_LENGTH / 2);
+    }
+
+    /**
+     * Normalize a user code entered by user, that is, uppercase and with separator in the middle.
+     * @param {string} userCode - The user code entered by user.
+     * @returns {string} - the normalized user code, if well-formed.
+     * @returns null, otherwise.
+     */
+    static normalizeUserCode(userCode) {
+        const code = String(userCode || '').toUpperCase().replace(/[^A-Z]/g, '');
+        if ((USER_CODE_LENGTH !== code.length) || [...code].some((ch) => !USER_CODE_CHARS.includes(ch))) {
+            return null;
+        }
+        return code.substring(0, USER_CODE_LENGTH / 2) + USER_CODE_SEPARATOR + code.substring(USER_CODE_LENGTH / 2);
+    }
+
+    /**
+     * Create an initialized DeviceCode instance.
+     * @returns {DeviceCode} - initialized DeviceCode instance.
+     */
+    static makeOne() {
+        return new DeviceCode();
+    }
+
+}
+
+export { DeviceCode, DeviceCodeStatus };
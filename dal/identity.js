@@ -0,0 +1,137 @@
+import { DbAccess } from './db-access.js';
+
+
+/**
+ * Sign-in identity manager that access database by prisma. <br />
+ * An identity is a user at an identity provider (social network), known by its <strong>subject</strong> (user ID at the provider).
+ * One account can hold several identities, at most one per provider, and an identity belongs to exactly one account.
+ * @memberof dal#
+ * 
+ * @see dal#Account
+ */
+class Identity extends DbAccess {
+
+    /**
+     * Find the identity of given provider and subject.
+     * @param {number} providerCode - Authorization provider in numeric form.
+     * @param {string} subject - User ID at the identity provider.
+     * @returns {Object} - The identity record if present, null otherwise.
+     */
+    async findIdentity(providerCode, subject) {
+        const prisma = this.getDbClient();
+        return await prisma.identity.findFirst({
+            where: {
+                provider_code: providerCode,
+                subject: String(subject)
+            }
+        });
+    }
+
+    /**
+     * List identities linked to an account, in the order they were linked.
+     * @param {number} accountId - The id of an account.
+     * @returns {Object[]} - The identity records.
+     */
+    async listIdentities(accountId) {
+        const prisma = this.getDbClient();
+        return await prisma.identity.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: {
+                id: 'asc'
+            }
+        });
+    }
+
+    /**
+     * Link an identity to an account.
+     * @param {number} accountId - The id of an account.
+     * @param {number} providerCode - Authorization provider in numeric form.
+     * @param {string} subject - User ID at the identity provider.
+     * @param {string} [email] - E-mail address given by the identity provider, kept for display only.
+     * @returns {number} - number of identity linked by this operation (0 if it was already linked to the account, 1 otherwise).
+     * 
+     * @throws {Error} When the identity was linked to another account.
+     * @throws {Error} When the account already has another identity of the same provider.
+     */
+    async linkIdentity(accountId, providerCode, subject, email) {
+        const prisma = this.getDbClient();
+        const oldIdentity = await this.findIdentity(providerCode, subject);
+        if (oldIdentity) {
+            if (accountId !== oldIdentity.account_id) {
+                throw new Error('This sign-in was already linked to another account');
+            }
+            return 0;
+        }
+        const sameProvider = await prisma.identity.count({
+            where: {
+                account_id: accountId,
+                provider_code: providerCode
+            }
+        });
+        if (sameProvider > 0) {
+            throw new Error('Another sign-in of the same provider was already linked, please unlink it first');
+        }
+
+        const now = await DbAccess.getDbNow(prisma);
+        const result = await prisma.identity.createMany({
+            data: {
+                account_id: accountId,
+                provider_code: providerCode,
+                subject: String(subject),
+                email: email || null,
+                created: now,
+                last_used: null
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Unlink the identity of given provider from an account.
+     * @param {number} accountId - The id of an account.
+     * @param {number} providerCode - Authorization provider in numeric form.
+     * @returns {number} - number of identity unlinked by this operation.
+     */
+    async unlinkIdentity(accountId, providerCode) {
+        const prisma = this.getDbClient();
+        const result = await prisma.identity.deleteMany({
+            where: {
+                account_id: accountId,
+                provider_code: providerCode
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Record the time an identity was used to sign in.
+     * @param {number} identityId - The id of an identity.
+     * @returns {number} - number of identity updated by this operation.
+     */
+    async touchIdentity(identityId) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const result = await prisma.identity.updateMany({
+            where: {
+                id: identityId
+            },
+            data: {
+                last_used: now
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Create an initialized Identity instance.
+     * @returns {Identity} - initialized Identity instance.
+     */
+    static makeOne() {
+        return new Identity();
+    }
+
+}
+
+export { Identity };
@@ -0,0 +1,178 @@
+import { DbAccess } from './db-access.js';
+import { TimeUtil } from '../util/time-util.js';
+import { TokenUtil } from '../util/token-util.js';
+
+
+// constants for known devices
+const DEVICE_ID_LENGTH = 16;
+const REVOKE_TOKEN_LENGTH = 32;
+const REVOKE_LINK_DAYS = 7;
+
+
+/**
+ * Devices where users signed in before, that access database by prisma. <br />
+ * A device is recognized by its device id (kept in a long-lived cookie), or by its browser fingerprint (user-agent and
+ * accepted languages), so a sign-in is reported as new only when neither was seen for the account before.
+ * Each new device gets a revoke token, which is sent in the "new sign-in" E-mail, so that the user can sign out everywhere
+ * if someone else signed in.
+ * @memberof dal#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { KnownDevice } from './dal/known-device.js';
+ * 
+ * const knownDevice = KnownDevice.makeOne();
+ * const device = await knownDevice.recordSignIn(user.id, { deviceId, ip: req.ip, userAgent: req.get('user-agent') });
+ * if (device.isNew) {
+ *     // alert user by E-mail with device.revokeToken
+ * }
+ * </code>
+ * </pre>
+ */
+class KnownDevice extends DbAccess {
+
+    /**
+     * Record a sign-in of an account from a client. A device not seen before is added to known devices of the account.
+     * The first device of an account is never reported as new, since it is where the account was signed up.
+     * @param {number} accountId - The id of account.
+     * @param {DeviceClient} client - The client of the sign-in.
+     * @returns {SignInDevice} - The recognized device, and whether it is new.
+     */
+    async recordSignIn(accountId, client) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const fingerprint = KnownDevice.makeFingerprint(client);
+        const deviceHash = client.deviceId ? TokenUtil.hashToken(client.deviceId) : null;
+        const rows = await prisma.known_device.findMany({
+            where: {
+                account_id: accountId
+            }
+        });
+        var known = rows.find((row) => (deviceHash && (row.device_hash === deviceHash)));
+        if (!known) {
+            known = rows.find((row) => (row.fingerprint === fingerprint));
+        }
+        var deviceId = client.deviceId || TokenUtil.makeRandomToken(DEVICE_ID_LENGTH);
+        var revokeToken;
+        if (known) {
+            if (known.device_hash !== deviceHash) {
+                // seen by fingerprint, remember this device by its id as well
+                deviceId = TokenUtil.makeRandomToken(DEVICE_ID_LENGTH);
+            }
+            await prisma.known_device.update({
+                where: {
+                    id: known.id
+                },
+                data: {
+                    device_hash: TokenUtil.hashToken(deviceId),
+                    ip: client.ip || null,
+                    last_seen: now
+                }
+            });
+            return { deviceId, isNew: false };
+        }
+
+        revokeToken = TokenUtil.makeRandomToken(REVOKE_TOKEN_LENGTH);
+        await prisma.known_device.create({
+            data: {
+                account_id: accountId,
+                device_hash: TokenUtil.hashToken(deviceId),
+                fingerprint,
+                ip: client.ip || null,
+                user_agent: client.userAgent || null,
+                revoke_hash: TokenUtil.hashToken(revokeToken),
+                revoke_deadline: TimeUtil.addDays(now, REVOKE_LINK_DAYS),
+                created: now,
+                last_seen: now
+            }
+        });
+        return { deviceId, isNew: (rows.length > 0), revokeToken, created: now };
+    }
+
+    /**
+     * List known devices of an account, the most recently seen one first.
+     * @param {number} accountId - The id of account.
+     * @returns {Object[]} - The devices, each with <strong>userAgent</strong>, <strong>ip</strong>, <strong>created</strong>
+     *                       and <strong>lastSeen</strong>, without device id and revoke token.
+     */
+    async listDevices(accountId) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.known_device.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: {
+                last_seen: 'desc'
+            }
+        });
+        return rows.map((row) => ({
+            userAgent: row.user_agent,
+            ip: row.ip,
+            created: row.created,
+            lastSeen: row.last_seen
+        }));
+    }
+
+    /**
+     * Check a revoke token from "new sign-in" E-mail is valid and not expired, without using it up.
+     * @param {number} accountId - The id of account.
+     * @param {string} revokeToken - The revoke token from the link in E-mail.
+     * @returns {boolean} - true if the token can be used.
+     */
+    async checkRevokeToken(accountId, revokeToken) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const rows = await prisma.known_device.findMany({
+            where: {
+                account_id: accountId,
+                revoke_hash: TokenUtil.hashToken(revokeToken),
+                revoke_deadline: {
+                    gte: now
+                }
+            }
+        });
+        return (1 === rows.length);
+    }
+
+    /**
+     * Use a revoke token from "new sign-in" E-mail. The device is forgotten, so that its next sign-in is reported again.
+     * @param {number} accountId - The id of account.
+     * @param {string} revokeToken - The revoke token from the link in E-mail.
+     * @returns {boolean} - true if the token is valid and not expired.
+     */
+    async revokeDevice(accountId, revokeToken) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const result = await prisma.known_device.deleteMany({
+            where: {
+                account_id: accountId,
+                revoke_hash: TokenUtil.hashToken(revokeToken),
+                revoke_deadline: {
+                    gte: now
+                }
+            }
+        });
+        return (1 === DbAccess.getUpdateCount(result));
+    }
+
+    /**
+     * Make browser fingerprint of a client, from its user-agent and accepted languages.
+     * @param {DeviceClient} client - The client of a sign-in.
+     * @returns {string} - The fingerprint in hex format.
+     */
+    static makeFingerprint(client) {
+        return TokenUtil.hashToken(`${client.userAgent || ''}\n${client.acceptLanguage || ''}`);
+    }
+
+    /**
+     * Create an initialized KnownDevice instance.
+     * @returns {KnownDevice} - initialized KnownDevice instance.
+     */
+    static makeOne() {
+        return new KnownDevice();
+    }
+
+}
+
+export { KnownDevice };
@@ -0,0 +1,92 @@
+/**
+ * In-memory storage of failed attempt counters and locks, used by <a href="util.LoginThrottle.html">LoginThrottle</a>. <br />
+ * Counters are lost when app restarts, and are not shared between app instances. 
+ * Use <a href="dal.DbAttemptStore.html">DbAttemptStore</a> when several app instances run together.
+ * @memberof dal#
+ * 
+ * @see util#LoginThrottle
+ * @see DbAttemptStore
+ */
+class MemoryAttemptStore {
+
+    /**
+     * Create an empty MemoryAttemptStore.
+     */
+    constructor() {
+
+        /** Map from key to failure time list (in ascending order). */
+        this.failureMap = new Map();
+
+        /** Map from key to lock record. */
+        this.lockMap = new Map();
+    }
+
+    /**
+     * Record a failed attempt of given key.
+     * @param {string} key - The key of counter, e.g. an email address or client IP.
+     * @param {Date} time - The time of failed attempt.
+     */
+    async addFailure(key, time) {
+        const failureList = this.failureMap.get(key) || [];
+        failureList.push(time);
+        this.failureMap.set(key, failureList);
+    }
+
+    /**
+     * List failed attempts of given key since given time. Older failures are removed at the same time.
+     * @param {string} key - The key of counter, e.g. an email address or client IP.
+     * @param {Date} since - The start time of sliding window.
+     * @returns {Date[]} - failure time list in ascending order.
+     */
+    async listFailures(key, since) {
+        const failureList = (this.failureMap.get(key) || []).filter(function (time) {
+            return (time >= since);
+        });
+        if (failureList.length > 0) {
+            this.failureMap.set(key, failureList);
+        } else {
+            this.failureMap.delete(key);
+        }
+        return failureList;
+    }
+
+    /**
+     * Remove all failed attempts of given key.
+     * @param {string} key - The key of counter, e.g. an email address or client IP.
+     */
+    async clearFailures(key) {
+        this.failureMap.delete(key);
+    }
+
+    /**
+     * Get lock record of given key.
+     * @param {string} key - The key of lock, e.g. an email address or client IP.
+     * @returns {AttemptLock} - The lock record if present.
+     * @returns null - otherwise
+     */
+    async getLock(key) {
+        return this.lockMap.get(key) || null;
+    }
+
+    /**
+     * Create or replace lock record of given key.
+     * @param {string} key - The key of lock, e.g. an email address or client IP.
+     * @param {Date} lockedUntil - The time when lock expires.
+     * @param {string} [unlockHash] - Hash of unlock token, if the lock can be removed by an unlock link.
+     */
+    async setLock(key, lockedUntil, unlockHash) {
+        this.lockMap.set(key, { lockedUntil, unlockHash: unlockHash || null });
+    }
+
+    /**
+     * Remove lock record of given key.
+     * @param {string} key - The key of lock, e.g. an email address or client IP.
+     */
+    async clearLock(key) {
+        this.lockMap.delete(key);
+    }
+
+}
+
+
+export { MemoryAttemptStore };
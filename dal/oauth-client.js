@@ -0,0 +1,225 @@
+import { DbAccess } from './db-access.js';
+import { TokenUtil } from '../util/token-util.js';
+
+
+// constants for OAuth clients
+const CLIENT_ID_LENGTH = 16;
+const CLIENT_SECRET_LENGTH = 32;
+const CLIENT_NAME_LENGTH = 100;
+
+
+/**
+ * Registry of OAuth clients (our other apps that sign in by this site), and consents of users to them,
+ * that access database by prisma. <br />
+ * A confidential client owns a secret, and only hash of the secret is stored. A public client (e.g. SPA or mobile app)
+ * owns no secret, and relies on PKCE.
+ * @memberof dal#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { OAuthClient } from './dal/oauth-client.js';
+ * 
+ * const oauthClient = OAuthClient.makeOne();
+ * const registration = await oauthClient.registerClient('Wiki', ['https://wiki.example.com/callback'], false);
+ * console.log(registration.clientId, registration.clientSecret);
+ * </code>
+ * </pre>
+ * 
+ * @see ClientRegistration
+ */
+class OAuthClient extends DbAccess {
+
+    /**
+     * Register a client.
+     * @param {string} name - Name of the client, shown on consent screen.
+     * @param {string[]} redirectUris - Redirect URIs of the client.
+     * @param {boolean} isPublic - true for a public client, which owns no secret.
+     * @returns {ClientRegistration} - the registered client, with its secret.
+     */
+    async registerClient(name, redirectUris, isPublic) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const clientId = TokenUtil.makeRandomToken(CLIENT_ID_LENGTH);
+        const clientSecret = isPublic ? undefined : TokenUtil.makeRandomToken(CLIENT_SECRET_LENGTH);
+
+        await prisma.oauth_client.create({
+            data: {
+                client_id: clientId,
+                secret_hash: clientSecret ? TokenUtil.hashToken(clientSecret) : null,
+                name: String(name).substring(0, CLIENT_NAME_LENGTH),
+                redirect_uris: redirectUris,
+                created: now
+            }
+        });
+        return { clientId, clientSecret, name, redirectUris };
+    }
+
+    /**
+     * Find a client by its identifier.
+     * @param {string} clientId - The client identifier.
+     * @returns {Object} - the client record, if found.
+     * @returns null, otherwise.
+     */
+    async findClient(clientId) {
+        const prisma = this.getDbClient();
+        if (!clientId) {
+            return null;
+        }
+        return await prisma.oauth_client.findUnique({
+            where: {
+                client_id: String(clientId)
+            }
+        });
+    }
+
+    /**
+     * Find a client, and check its secret. A public client is authenticated without secret.
+     * @param {string} clientId - The client identifier.
+     * @param {string} [clientSecret] - The client secret.
+     * @returns {Object} - the client record, if authenticated.
+     * @returns null, otherwise.
+     */
+    async authenticateClient(clientId, clientSecret) {
+        const client = await this.findClient(clientId);
+        if (!client) {
+            return null;
+        }
+        if (!client.secret_hash) {
+            return client;
+        }
+        if (!clientSecret || !TokenUtil.safeEqual(TokenUtil.hashToken(String(clientSecret)), client.secret_hash)) {
+            return null;
+        }
+        return client;
+    }
+
+    /**
+     * List all registered clients, without secrets.
+     * @returns {Object[]} - the clients, with <strong>clientId</strong>, <strong>name</strong>, <strong>redirectUris</strong>,
+     *                       <strong>isPublic</strong> and <strong>created</strong>.
+     */
+    async listClients() {
+        const prisma = this.getDbClient();
+        const rows = await prisma.oauth_client.findMany({
+            orderBy: {
+                created: 'asc'
+            }
+        });
+        return rows.map((row) => ({
+            clientId: row.client_id,
+            name: row.name,
+            redirectUris: row.redirect_uris,
+            isPublic: !row.secret_hash,
+            created: row.created
+        }));
+    }
+
+    /**
+     * Delete a client. Its consents, authorization codes and refresh tokens are deleted with it.
+     * @param {string} clientId - The client identifier.
+     * @returns {number} - number of clients deleted by this operation.
+     */
+    async deleteClient(clientId) {
+        const prisma = this.getDbClient();
+        const result = await prisma.oauth_client.deleteMany({
+            where: {
+                client_id: String(clientId)
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Find scope a user consented to a client.
+     * @param {number} accountId - The id of account.
+     * @param {string} clientId - The client identifier.
+     * @returns {string[]} - the consented scope, empty when the user never consented.
+     */
+    async findConsent(accountId, clientId) {
+        const prisma = this.getDbClient();
+        const row = await prisma.oauth_consent.findUnique({
+            where: {
+                account_id_client_id: {
+                    account_id: accountId,
+                    client_id: clientId
+                }
+            }
+        });
+        return row ? row.scope.split(' ') : [];
+    }
+
+    /**
+     * List consents of a user, with name of each client.
+     * @param {number} accountId - The id of account.
+     * @returns {Object[]} - the consents, each with <strong>clientId</strong>, <strong>clientName</strong>, 
+     *                       <strong>scope</strong> and <strong>created</strong>.
+     */
+    async listConsents(accountId) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.oauth_consent.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: {
+                created: 'asc'
+            }
+        });
+        const clientList = await prisma.oauth_client.findMany({
+            where: {
+                client_id: {
+                    in: rows.map((row) => row.client_id)
+                }
+            }
+        });
+        return rows.map((row) => {
+            const client = clientList.find((found) => (found.client_id === row.client_id));
+            return {
+                clientId: row.client_id,
+                clientName: client ? client.name : null,
+                scope: row.scope.split(' '),
+                created: row.created
+            };
+        });
+    }
+
+    /**
+     * Save consent of a user to a client, which replaces previous consent.
+     * @param {number} accountId - The id of account.
+     * @param {string} clientId - The client identifier.
+     * @param {string} scope - The consented scope, space separated.
+     */
+    async saveConsent(accountId, clientId, scope) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        await prisma.oauth_consent.upsert({
+            where: {
+                account_id_client_id: {
+                    account_id: accountId,
+                    client_id: clientId
+                }
+            },
+            create: {
+                account_id: accountId,
+                client_id: clientId,
+                scope,
+                created: now
+            },
+            update: {
+                scope,
+                created: now
+            }
+        });
+    }
+
+    /**
+     * Create an initialized OAuthClient instance.
+     * @returns {OAuthClient} - initialized OAuthClient instance.
+     */
+    static makeOne() {
+        return new OAuthClient();
+    }
+
+}
+
+export { OAuthClient };
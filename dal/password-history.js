@@ -0,0 +1,97 @@
+import { DbAccess } from './db-access.js';
+
+
+// constants for password history
+const PASSWORD_HISTORY_KEEP = 24;
+
+
+/**
+ * Previous passwords of accounts that access database by prisma. <br />
+ * Only hash records are kept, at most 24 for each account, so that a password policy can forbid reuse of recent passwords
+ * by checking a password against them.
+ * @memberof dal#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { PasswordHistory } from './dal/password-history.js';
+ * 
+ * const passwordHistory = PasswordHistory.makeOne();
+ * await passwordHistory.recordHash(user.id, user.password);
+ * const hashList = await passwordHistory.listHashes(user.id, 4);
+ * </code>
+ * </pre>
+ */
+class PasswordHistory extends DbAccess {
+
+    /**
+     * Keep a replaced hash record of an account. Hash records older than the newest 24 are removed.
+     * @param {number} accountId - The id of account.
+     * @param {string} passwordHash - The hash record replaced by a new password.
+     */
+    async recordHash(accountId, passwordHash) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        await prisma.password_history.create({
+            data: {
+                account_id: accountId,
+                password: passwordHash,
+                created: now
+            }
+        });
+        const expiredRows = await prisma.password_history.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: [{ created: 'desc' }, { id: 'desc' }],
+            skip: PASSWORD_HISTORY_KEEP,
+            select: {
+                id: true
+            }
+        });
+        if (expiredRows.length > 0) {
+            await prisma.password_history.deleteMany({
+                where: {
+                    id: {
+                        in: expiredRows.map((row) => row.id)
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * List hash records of previous passwords of an account, newest first.
+     * @param {number} accountId - The id of account.
+     * @param {number} limit - Maximum number of hash records.
+     * @returns {string[]} - The hash records.
+     */
+    async listHashes(accountId, limit) {
+        if (limit <= 0) {
+            return [];
+        }
+        const prisma = this.getDbClient();
+        const rows = await prisma.password_history.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: [{ created: 'desc' }, { id: 'desc' }],
+            take: Math.min(limit, PASSWORD_HISTORY_KEEP),
+            select: {
+                password: true
+            }
+        });
+        return rows.map((row) => row.password);
+    }
+
+    /**
+     * Create an initialized PasswordHistory instance.
+     * @returns {PasswordHistory} - initialized PasswordHistory instance.
+     */
+    static makeOne() {
+        return new PasswordHistory();
+    }
+
+}
+
+export { PasswordHistory };
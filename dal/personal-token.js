@@ -0,0 +1,194 @@
+import { DbAccess } from './db-access.js';
+import { TimeUtil } from '../util/time-util.js';
+import { TokenUtil } from '../util/token-util.js';
+
+
+// constants for personal access tokens
+const PERSONAL_TOKEN_PREFIX = 'pat_';
+const PERSONAL_TOKEN_LENGTH = 32;
+const PERSONAL_TOKEN_NAME_LENGTH = 100;
+const PERSONAL_TOKEN_MAX_DAYS = 365;
+const PERSONAL_TOKEN_MAX_COUNT = 20;
+
+// input check constants
+const ERROR_TOO_MANY_TOKENS = new Error('Too many access tokens, please revoke unused ones first');
+
+
+/**
+ * Personal access tokens of users, e.g. for scripts and CI, that access database by prisma. <br />
+ * A token is named, scoped and expiring, and sent as <strong>Authorization: Bearer</strong> header. It starts with
+ * <strong>pat_</strong>, so that it is told apart from access tokens (JWT). Only hash of the token is stored,
+ * so it is shown to user only once, when created.
+ * @memberof dal#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { PersonalToken } from './dal/personal-token.js';
+ * 
+ * const personalToken = PersonalToken.makeOne();
+ * const created = await personalToken.createToken(user.id, 'CI', ['user:statistics'], 30);
+ * console.log(created.token);
+ * </code>
+ * </pre>
+ * 
+ * @see TokenScope
+ */
+class PersonalToken extends DbAccess {
+
+    /**
+     * Create a token for an account. Expired tokens of the account are removed at the same time.
+     * @param {number} accountId - The id of account that owns the token.
+     * @param {string} name - Name of the token, e.g. where it is used.
+     * @param {string[]} scopes - Scopes of the token, see <strong>TokenScope</strong>.
+     * @param {number} days - Lifetime of the token, at most 365 days.
+     * @returns {Object} - the created token, with <strong>id</strong>, <strong>name</strong>, <strong>token</strong>,
+     *                     <strong>scopes</strong> and <strong>expires</strong>.
+     * 
+     * @throws {Error} When the account owns too many tokens.
+     */
+    async createToken(accountId, name, scopes, days) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const token = PERSONAL_TOKEN_PREFIX + TokenUtil.makeRandomToken(PERSONAL_TOKEN_LENGTH);
+        const expires = TimeUtil.addDays(now, Math.min(days, PERSONAL_TOKEN_MAX_DAYS));
+
+        await prisma.personal_token.deleteMany({
+            where: {
+                account_id: accountId,
+                expires: {
+                    lt: now
+                }
+            }
+        });
+        if (await prisma.personal_token.count({ where: { account_id: accountId } }) >= PERSONAL_TOKEN_MAX_COUNT) {
+            throw ERROR_TOO_MANY_TOKENS;
+        }
+        const row = await prisma.personal_token.create({
+            data: {
+                account_id: accountId,
+                name: String(name).substring(0, PERSONAL_TOKEN_NAME_LENGTH),
+                token_hash: TokenUtil.hashToken(token),
+                scopes,
+                created: now,
+                expires
+            }
+        });
+        return { id: row.id, name: row.name, token, scopes, expires };
+    }
+
+    /**
+     * Use a token, and record the time it was last used.
+     * @param {string} token - The token from client.
+     * @returns {Object} - the token record, if the token is valid.
+     * @returns null, when the token is unknown, revoked or expired.
+     */
+    async useToken(token) {
+        const prisma = this.getDbClient();
+        if (!PersonalToken.isPersonalToken(token)) {
+            return null;
+        }
+        const row = await prisma.personal_token.findUnique({
+            where: {
+                token_hash: TokenUtil.hashToken(token)
+            }
+        });
+        if (!row) {
+            return null;
+        }
+
+        const now = await DbAccess.getDbNow(prisma);
+        if (now > row.expires) {
+            return null;
+        }
+        await prisma.personal_token.updateMany({
+            where: {
+                id: row.id
+            },
+            data: {
+                last_used: now
+            }
+        });
+        return row;
+    }
+
+    /**
+     * List tokens of an account, the most recently created one first.
+     * @param {number} accountId - The id of account that owns the tokens.
+     * @returns {Object[]} - the tokens, each with <strong>id</strong>, <strong>name</strong>, <strong>scopes</strong>,
+     *                       <strong>created</strong>, <strong>lastUsed</strong>, <strong>expires</strong> and <strong>expired</strong>.
+     */
+    async listTokens(accountId) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const rows = await prisma.personal_token.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: {
+                created: 'desc'
+            }
+        });
+        return rows.map((row) => ({
+            id: row.id,
+            name: row.name,
+            scopes: row.scopes,
+            created: row.created,
+            lastUsed: row.last_used,
+            expires: row.expires,
+            expired: (now > row.expires)
+        }));
+    }
+
+    /**
+     * Revoke a token of an account.
+     * @param {number} accountId - The id of account that owns the token.
+     * @param {number} tokenId - The id of token.
+     * @returns {number} - number of tokens revoked by this operation.
+     */
+    async revokeToken(accountId, tokenId) {
+        const prisma = this.getDbClient();
+        const result = await prisma.personal_token.deleteMany({
+            where: {
+                id: tokenId,
+                account_id: accountId
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Revoke all tokens of an account, e.g. when password changed or signed out everywhere.
+     * @param {number} accountId - The id of account that owns the tokens.
+     * @returns {number} - number of tokens revoked by this operation.
+     */
+    async revokeAccountTokens(accountId) {
+        const prisma = this.getDbClient();
+        const result = await prisma.personal_token.deleteMany({
+            where: {
+                account_id: accountId
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Check given bearer token looks like a personal access token, rather than an access token (JWT).
+     * @param {string} token - The bearer token.
+     * @returns {boolean} - true if the token starts with prefix of personal access tokens.
+     */
+    static isPersonalToken(token) {
+        return ('string' === typeof token) && token.startsWith(PERSONAL_TOKEN_PREFIX);
+    }
+
+    /**
+     * Create an initialized PersonalToken instance.
+     * @returns {PersonalToken} - initialized PersonalToken instance.
+     */
+    static makeOne() {
+        return new PersonalToken();
+    }
+
+}
+
+export { PersonalToken };
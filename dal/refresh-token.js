@@ -0,0 +1,200 @@
+import { DbAccess } from './db-access.js';
+import { TimeUtil } from '../util/time-util.js';
+import { TokenUtil } from '../util/token-util.js';
+import { TokenTheftError } from '../global.js';
+
+
+// constants for refresh tokens
+const REFRESH_FAMILY_LENGTH = 16;
+const REFRESH_TOKEN_LENGTH = 32;
+const REFRESH_TOKEN_DAYS = 30;
+const REFRESH_CLIENT_LENGTH = 200;
+const REFRESH_SEPARATOR = '.';
+
+
+/**
+ * Refresh token manager of bearer authentication, that access database by prisma. <br />
+ * Each sign-in of a client (e.g. a mobile app) owns a token <strong>family</strong>, and a <strong>token</strong> that rotates
+ * on every refresh. The client keeps both as one refresh token, <strong>{family}.{token}</strong>. When a family is presented
+ * with an old token, the token was probably stolen and replayed, so the family is revoked.
+ * @memberof dal#
+ */
+class RefreshToken extends DbAccess {
+
+    /**
+     * Issue a new refresh token family for an account. Expired families of the account are removed at the same time.
+     * @param {number} accountId - The id of account that owns the token.
+     * @param {string} [client] - Description of client, e.g. user-agent.
+     * @param {number} [days] - Lifetime of the family, default 30.
+     * @param {Object} [grant] - The OAuth client (<strong>clientId</strong>) and granted <strong>scope</strong>, absent for first-party clients.
+     * @returns {RefreshTokenPair} - the issued family and refresh token.
+     */
+    async issueToken(accountId, client, days, grant) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const family = TokenUtil.makeRandomToken(REFRESH_FAMILY_LENGTH);
+        const token = TokenUtil.makeRandomToken(REFRESH_TOKEN_LENGTH);
+        const expires = TimeUtil.addDays(now, days || REFRESH_TOKEN_DAYS);
+        const clientId = grant ? grant.clientId : null;
+        const scope = grant ? grant.scope : null;
+
+        await prisma.refresh_token.deleteMany({
+            where: {
+                account_id: accountId,
+                expires: {
+                    lt: now
+                }
+            }
+        });
+        await prisma.refresh_token.create({
+            data: {
+                account_id: accountId,
+                family,
+                token_hash: TokenUtil.hashToken(token),
+                client: client ? String(client).substring(0, REFRESH_CLIENT_LENGTH) : null,
+                client_id: clientId,
+                scope,
+                created: now,
+                last_used: now,
+                expires
+            }
+        });
+        return { accountId, family, refreshToken: family + REFRESH_SEPARATOR + token, expires, clientId, scope };
+    }
+
+    /**
+     * Use a refresh token, and rotate the token in the same family.
+     * The expire time of a family does not change when token rotates.
+     * @param {string} refreshToken - The refresh token from client.
+     * @returns {RefreshTokenPair} - the rotated token, if given refresh token is valid.
+     * @returns null, when the family is unknown or expired.
+     * 
+     * @throws {TokenTheftError} When the family is presented with an old token. The family was revoked.
+     */
+    async rotateToken(refreshToken) {
+        const prisma = this.getDbClient();
+        const parsed = RefreshToken.parseToken(refreshToken);
+        if (!parsed) {
+            return null;
+        }
+        const { family, token } = parsed;
+        const row = await prisma.refresh_token.findUnique({
+            where: {
+                family
+            }
+        });
+        if (!row) {
+            return null;
+        }
+
+        const now = await DbAccess.getDbNow(prisma);
+        if (now > row.expires) {
+            await this.revokeToken(family);
+            return null;
+        }
+
+        const oldHash = TokenUtil.hashToken(token);
+        if (!TokenUtil.safeEqual(oldHash, row.token_hash)) {
+            await this.revokeToken(family);
+            throw new TokenTheftError('Refresh token was replayed', row.account_id);
+        }
+
+        // compare-and-swap, so a token can be rotated only once
+        const newToken = TokenUtil.makeRandomToken(REFRESH_TOKEN_LENGTH);
+        const result = await prisma.refresh_token.updateMany({
+            where: {
+                family,
+                token_hash: oldHash
+            },
+            data: {
+                token_hash: TokenUtil.hashToken(newToken),
+                last_used: now
+            }
+        });
+        if (1 !== DbAccess.getUpdateCount(result)) {
+            await this.revokeToken(family);
+            throw new TokenTheftError('Refresh token was replayed', row.account_id);
+        }
+        return {
+            accountId: row.account_id,
+            family,
+            refreshToken: family + REFRESH_SEPARATOR + newToken,
+            expires: row.expires,
+            clientId: row.client_id,
+            scope: row.scope
+        };
+    }
+
+    /**
+     * Check a refresh token family is not revoked or expired, e.g. before accepting an access token of the family.
+     * @param {string} family - The family identifier.
+     * @returns {boolean} - true if the family is active.
+     */
+    async isActive(family) {
+        const prisma = this.getDbClient();
+        const row = family ? await prisma.refresh_token.findUnique({
+            where: {
+                family: String(family)
+            }
+        }) : null;
+        if (!row) {
+            return false;
+        }
+        return (await DbAccess.getDbNow(prisma) <= row.expires);
+    }
+
+    /**
+     * Revoke a refresh token family, e.g. when client signs out.
+     * @param {string} family - The family identifier.
+     * @returns {number} - number of families revoked by this operation.
+     */
+    async revokeToken(family) {
+        const prisma = this.getDbClient();
+        const result = await prisma.refresh_token.deleteMany({
+            where: {
+                family: String(family)
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Revoke all refresh token families of an account, e.g. when password changed or signed out everywhere.
+     * @param {number} accountId - The id of account that owns the tokens.
+     * @returns {number} - number of families revoked by this operation.
+     */
+    async revokeAccountTokens(accountId) {
+        const prisma = this.getDbClient();
+        const result = await prisma.refresh_token.deleteMany({
+            where: {
+                account_id: accountId
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Split a refresh token into its family and random token.
+     * @param {string} refreshToken - The refresh token from client.
+     * @returns {Object} - <strong>family</strong> and <strong>token</strong>, if the refresh token is well-formed.
+     * @returns null, otherwise.
+     */
+    static parseToken(refreshToken) {
+        const parts = String(refreshToken || '').split(REFRESH_SEPARATOR);
+        if ((2 !== parts.length) || !parts[0] || !parts[1]) {
+            return null;
+        }
+        return { family: parts[0], token: parts[1] };
+    }
+
+    /**
+     * Create an initialized RefreshToken instance.
+     * @returns {RefreshToken} - initialized RefreshToken instance.
+     */
+    static makeOne() {
+        return new RefreshToken();
+    }
+
+}
+
+export { RefreshToken };
@@ -0,0 +1,164 @@
+import { DbAccess } from './db-access.js';
+import { TimeUtil } from '../util/time-util.js';
+import { TokenUtil } from '../util/token-util.js';
+import { TokenTheftError } from '../global.js';
+
+
+// constants for remember-me tokens
+const REMEMBER_SERIES_LENGTH = 16;
+const REMEMBER_TOKEN_LENGTH = 32;
+const REMEMBER_TOKEN_DAYS = 30;
+
+
+/**
+ * Remember-me token manager that access database by prisma. <br />
+ * Each browser that opts in to remember-me owns a <strong>series</strong>, and a <strong>token</strong> that rotates on every
+ * restored login. When a series is presented with an old token, the token was probably stolen and replayed, so every
+ * series of the account is revoked.
+ * @memberof dal#
+ */
+class RememberToken extends DbAccess {
+
+    /**
+     * Issue a new remember-me token series for an account. Expired series of the account are removed at the same time.
+     * @param {number} accountId - The id of account that owns the token.
+     * @returns {RememberTokenPair} - the issued series and token.
+     */
+    async issueToken(accountId) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const series = TokenUtil.makeRandomToken(REMEMBER_SERIES_LENGTH);
+        const token = TokenUtil.makeRandomToken(REMEMBER_TOKEN_LENGTH);
+        const expires = TimeUtil.addDays(now, REMEMBER_TOKEN_DAYS);
+
+        await prisma.remember_token.deleteMany({
+            where: {
+                account_id: accountId,
+                expires: {
+                    lt: now
+                }
+            }
+        });
+        await prisma.remember_token.create({
+            data: {
+                account_id: accountId,
+                series,
+                token_hash: TokenUtil.hashToken(token),
+                created: now,
+                last_used: now,
+                expires
+            }
+        });
+        return { accountId, series, token, expires };
+    }
+
+    /**
+     * Use a remember-me token to restore login, and rotate the token in the same series.
+     * The expire time of a series does not change when token rotates.
+     * @param {string} series - The series identifier stored in cookie.
+     * @param {string} token - The token stored in cookie.
+     * @returns {RememberTokenPair} - the rotated token, if given series and token are valid.
+     * @returns null, when the series is unknown or expired.
+     * 
+     * @throws {TokenTheftError} When the series is presented with an old token. All series of the account were revoked.
+     */
+    async rotateToken(series, token) {
+        const prisma = this.getDbClient();
+        const row = await prisma.remember_token.findUnique({
+            where: {
+                series
+            }
+        });
+        if (!row) {
+            return null;
+        }
+
+        const now = await DbAccess.getDbNow(prisma);
+        if (now > row.expires) {
+            await this.revokeToken(series);
+            return null;
+        }
+
+        const oldHash = TokenUtil.hashToken(token);
+        if (!TokenUtil.safeEqual(oldHash, row.token_hash)) {
+            await this.revokeAccountTokens(row.account_id);
+            throw new TokenTheftError('Remember-me token was replayed', row.account_id);
+        }
+
+        // compare-and-swap, so a token can be rotated only once
+        const newToken = TokenUtil.makeRandomToken(REMEMBER_TOKEN_LENGTH);
+        const result = await prisma.remember_token.updateMany({
+            where: {
+                series,
+                token_hash: oldHash
+            },
+            data: {
+                token_hash: TokenUtil.hashToken(newToken),
+                last_used: now
+            }
+        });
+        if (1 !== DbAccess.getUpdateCount(result)) {
+            await this.revokeAccountTokens(row.account_id);
+            throw new TokenTheftError('Remember-me token was replayed', row.account_id);
+        }
+        return { accountId: row.account_id, series, token: newToken, expires: row.expires };
+    }
+
+    /**
+     * Revoke a remember-me token series, e.g. when user signs out.
+     * @param {string} series - The series identifier stored in cookie.
+     * @returns {number} - number of series revoked by this operation.
+     */
+    async revokeToken(series) {
+        const prisma = this.getDbClient();
+        const result = await prisma.remember_token.deleteMany({
+            where: {
+                series
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * List remember-me token series of an account, that is, browsers where the account stays signed in.
+     * @param {number} accountId - The id of account that owns the tokens.
+     * @returns {Object[]} - The remember-me token records, in the order they were issued.
+     */
+    async listAccountTokens(accountId) {
+        const prisma = this.getDbClient();
+        return await prisma.remember_token.findMany({
+            where: {
+                account_id: accountId
+            },
+            orderBy: {
+                id: 'asc'
+            }
+        });
+    }
+
+    /**
+     * Revoke all remember-me token series of an account, e.g. when password changed or token theft detected.
+     * @param {number} accountId - The id of account that owns the tokens.
+     * @returns {number} - number of series revoked by this operation.
+     */
+    async revokeAccountTokens(accountId) {
+        const prisma = this.getDbClient();
+        const result = await prisma.remember_token.deleteMany({
+            where: {
+                account_id: accountId
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Create an initialized RememberToken instance.
+     * @returns {RememberToken} - initialized RememberToken instance.
+     */
+    static makeOne() {
+        return new RememberToken();
+    }
+
+}
+
+export { RememberToken };
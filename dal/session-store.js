@@ -0,0 +1,156 @@
+import session from 'express-session';
+
+import { UserSession } from './user-session.js';
+
+
+// default interval to remove expired sessions
+const DEFAULT_CLEANUP_MINUTES = 60;
+
+
+/**
+ * Database storage of express sessions, used in place of the default MemoryStore of express-session. <br />
+ * Sessions are kept when app restarts, and are shared between app instances using the same database.
+ * Expired sessions are removed periodically.
+ * @memberof dal#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import session from 'express-session';
+ * import { DbSessionStore } from './dal/session-store.js';
+ * 
+ * const store = DbSessionStore.makeOne({ cleanupMinutes: 60 });
+ * app.use(session(Object.assign({ store }, sessionOptions)));
+ * </code>
+ * </pre>
+ * 
+ * @see UserSession
+ * @see SessionStoreOptions
+ */
+class DbSessionStore extends session.Store {
+
+    /**
+     * Create a DbSessionStore.
+     * @param {UserSession} userSession - Database access of session records.
+     */
+    constructor(userSession) {
+        super();
+
+        /** Database access of session records. */
+        this.userSession = userSession;
+    }
+
+    /**
+     * Get session data by session id.
+     * @param {string} sid - The session id.
+     * @param {Function} callback - Called with error, and session data (or null if not found).
+     */
+    get(sid, callback) {
+        this.userSession.getSession(sid).then(function (row) {
+            callback(null, row ? row.data : null);
+        }, callback);
+    }
+
+    /**
+     * Save session data, together with signed in account and client recorded in session.
+     * @param {string} sid - The session id.
+     * @param {Object} sess - The session data.
+     * @param {Function} [callback] - Called with error if failed.
+     */
+    set(sid, sess, callback) {
+        const user = (sess.passport && sess.passport.user) || {};
+        const client = sess.client || {};
+        const record = {
+            data: JSON.parse(JSON.stringify(sess)),
+            accountId: user.id,
+            ip: client.ip,
+            userAgent: client.userAgent,
+            rememberSeries: client.rememberSeries,
+            expires: DbSessionStore.getExpires(sess)
+        };
+        this.userSession.saveSession(sid, record).then(function () {
+            DbSessionStore.done(callback);
+        }, function (err) {
+            DbSessionStore.done(callback, err);
+        });
+    }
+
+    /**
+     * Record activity of an unchanged session, and extend its expire time.
+     * @param {string} sid - The session id.
+     * @param {Object} sess - The session data.
+     * @param {Function} [callback] - Called with error if failed.
+     */
+    touch(sid, sess, callback) {
+        this.userSession.touchSession(sid, DbSessionStore.getExpires(sess)).then(function () {
+            DbSessionStore.done(callback);
+        }, function (err) {
+            DbSessionStore.done(callback, err);
+        });
+    }
+
+    /**
+     * Remove a session, e.g. when user signs out.
+     * @param {string} sid - The session id.
+     * @param {Function} [callback] - Called with error if failed.
+     */
+    destroy(sid, callback) {
+        this.userSession.destroySession(sid).then(function () {
+            DbSessionStore.done(callback);
+        }, function (err) {
+            DbSessionStore.done(callback, err);
+        });
+    }
+
+    /**
+     * Start removing expired sessions periodically.
+     * @param {number} [cleanupMinutes] - Interval to remove expired sessions, default 60.
+     */
+    startCleanup(cleanupMinutes) {
+        const userSession = this.userSession;
+        const timer = setInterval(function () {
+            userSession.deleteExpiredSessions().catch(function (err) {
+                console.error(err);
+            });
+        }, (cleanupMinutes || DEFAULT_CLEANUP_MINUTES) * 60 * 1000);
+
+        // never keep the process alive just for cleanup
+        timer.unref();
+    }
+
+    /**
+     * Get expire time of a session from its cookie.
+     * @param {Object} sess - The session data.
+     * @returns {Date} - The expire time, or null for a browser-session cookie.
+     */
+    static getExpires(sess) {
+        const expires = sess.cookie && sess.cookie.expires;
+        return expires ? new Date(expires) : null;
+    }
+
+    /**
+     * Call an optional store callback.
+     * @param {Function} [callback] - The callback.
+     * @param {Error} [err] - The error, if failed.
+     */
+    static done(callback, err) {
+        if (callback) {
+            callback(err || null);
+        }
+    }
+
+    /**
+     * Create an initialized DbSessionStore instance, which removes expired sessions periodically.
+     * @param {SessionStoreOptions} [options] - Options of session storage.
+     * @returns {DbSessionStore} - initialized DbSessionStore instance.
+     */
+    static makeOne(options) {
+        const instanceOptions = options || {};
+        const instance = new DbSessionStore(UserSession.makeOne());
+        instance.startCleanup(instanceOptions.cleanupMinutes);
+        return instance;
+    }
+
+}
+
+export { DbSessionStore };
@@ -0,0 +1,276 @@
+import { DbAccess } from './db-access.js';
+import { Totp } from '../util/totp.js';
+import { TokenUtil } from '../util/token-util.js';
+
+
+// constants for recovery codes
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_LENGTH = 10;
+const RX_RECOVERY_CODE = /^[0-9a-f]{20}$/;
+const RX_RECOVERY_CODE_GROUP = /[0-9a-f]{5}/g;
+
+
+/**
+ * Two-factor authentication (TOTP) manager that access database by prisma. <br />
+ * A TOTP secret is stored with an account when enrolment starts, and takes effect only after user confirms 
+ * a code from authenticator app. One-time recovery codes are generated at the same time, and only their hashes are stored.
+ * @memberof dal#
+ * 
+ * @see util#Totp
+ */
+class TwoFactor extends DbAccess {
+
+    /**
+     * Check two-factor authentication is enabled for an account or not.
+     * @param {number} accountId - The id of an account.
+     * @returns {boolean} - true if two-factor authentication is enabled.
+     */
+    async isEnabled(accountId) {
+        const user = await this.findAccount(accountId);
+        return !!(user && user.totp_enabled);
+    }
+
+    /**
+     * Start (or restart) two-factor enrolment of an account, by generating a new TOTP secret. <br />
+     * The secret does not take effect until <a href="#confirmEnrolment">confirmEnrolment()</a> succeed.
+     * @param {number} accountId - The id of an account.
+     * @param {string} issuer - Issuer name shown in authenticator apps.
+     * @returns {Object} - An object with <strong>secret</strong> and <strong>otpauthUri</strong> to be shown to user.
+     * 
+     * @throws {Error} When two-factor authentication was already enabled.
+     */
+    async startEnrolment(accountId, issuer) {
+        const user = await this.findAccount(accountId);
+        if (!user) {
+            throw new Error('Account not found');
+        }
+        if (user.totp_enabled) {
+            throw new Error('Two-factor authentication was already enabled');
+        }
+        const secret = Totp.makeSecret();
+        const prisma = this.getDbClient();
+        await prisma.account.updateMany({
+            where: {
+                id: accountId,
+                totp_enabled: false
+            },
+            data: {
+                totp_secret: secret,
+                totp_last_step: null
+            }
+        });
+        const otpauthUri = Totp.makeUri(secret, user.email, issuer);
+        return { secret, otpauthUri };
+    }
+
+    /**
+     * Confirm two-factor enrolment by a code from authenticator app, and generate recovery codes.
+     * @param {number} accountId - The id of an account.
+     * @param {string} code - The TOTP code entered by user.
+     * @returns {string[]} - Generated recovery codes in plain-text form (shown to user only once).
+     * @returns null, when the code is invalid.
+     */
+    async confirmEnrolment(accountId, code) {
+        const user = await this.findAccount(accountId);
+        var step;
+        var result;
+        if (!user || user.totp_enabled || !user.totp_secret) {
+            return null;
+        }
+        step = Totp.verifyCode(user.totp_secret, code, user.totp_last_step);
+        if (step < 0) {
+            return null;
+        }
+        const prisma = this.getDbClient();
+        result = await prisma.account.updateMany({
+            where: {
+                id: accountId,
+                totp_enabled: false
+            },
+            data: {
+                totp_enabled: true,
+                totp_last_step: step
+            }
+        });
+        if (1 !== DbAccess.getUpdateCount(result)) {
+            return null;
+        }
+        return await this.regenerateRecoveryCodes(accountId);
+    }
+
+    /**
+     * Verify a second factor of an account, either a TOTP code or an unused recovery code. <br />
+     * An accepted TOTP code can not be used again, and an accepted recovery code is marked as used.
+     * @param {number} accountId - The id of an account.
+     * @param {string} code - The TOTP code or recovery code entered by user.
+     * @returns {boolean} - true if the code is accepted.
+     */
+    async verifySecondFactor(accountId, code) {
+        const user = await this.findAccount(accountId);
+        if (!user || !user.totp_enabled) {
+            return false;
+        }
+        const isTotpAccepted = await this.verifyTotp(user, code);
+        if (isTotpAccepted) {
+            return true;
+        }
+        return await this.useRecoveryCode(accountId, code);
+    }
+
+    /**
+     * Disable two-factor authentication of an account, after a second factor is verified.
+     * @param {number} accountId - The id of an account.
+     * @param {string} code - The TOTP code or recovery code entered by user.
+     * @returns {boolean} - true if two-factor authentication was disabled.
+     */
+    async disable(accountId, code) {
+        const isVerified = await this.verifySecondFactor(accountId, code);
+        if (!isVerified) {
+            return false;
+        }
+        const prisma = this.getDbClient();
+        await prisma.recovery_code.deleteMany({
+            where: {
+                account_id: accountId
+            }
+        });
+        const result = await prisma.account.updateMany({
+            where: {
+                id: accountId
+            },
+            data: {
+                totp_enabled: false,
+                totp_secret: null,
+                totp_last_step: null
+            }
+        });
+        return (1 === DbAccess.getUpdateCount(result));
+    }
+
+    /**
+     * Replace all recovery codes of an account with newly generated ones. <br />
+     * Each code has 80 random bits, so that its unsalted hash can not be reversed by brute force.
+     * @param {number} accountId - The id of an account.
+     * @returns {string[]} - Generated recovery codes in plain-text form (shown to user only once).
+     */
+    async regenerateRecoveryCodes(accountId) {
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const codes = [];
+        const data = [];
+        var code;
+        var i;
+        for (i = 0; i < RECOVERY_CODE_COUNT; i++) {
+            code = TokenUtil.makeRandomToken(RECOVERY_CODE_LENGTH);
+            codes.push(code.match(RX_RECOVERY_CODE_GROUP).join('-'));
+            data.push({
+                account_id: accountId,
+                code_hash: TokenUtil.hashToken(code),
+                created: now,
+                used: null
+            });
+        }
+        await prisma.recovery_code.deleteMany({
+            where: {
+                account_id: accountId
+            }
+        });
+        await prisma.recovery_code.createMany({ data });
+        return codes;
+    }
+
+    /**
+     * Count unused recovery codes of an account.
+     * @param {number} accountId - The id of an account.
+     * @returns {number} - number of unused recovery codes.
+     */
+    async countRecoveryCodes(accountId) {
+        const prisma = this.getDbClient();
+        const count = await prisma.recovery_code.count({
+            where: {
+                account_id: accountId,
+                used: null
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Verify a TOTP code of an account, and remember the accepted time step to prevent replay.
+     * @private
+     * @param {Object} user - The account record in database.
+     * @param {string} code - The TOTP code entered by user.
+     * @returns {boolean} - true if the code is accepted.
+     */
+    async verifyTotp(user, code) {
+        const step = Totp.verifyCode(user.totp_secret, code, user.totp_last_step);
+        if (step < 0) {
+            return false;
+        }
+        const prisma = this.getDbClient();
+        const result = await prisma.account.updateMany({
+            where: {
+                id: user.id,
+                totp_last_step: user.totp_last_step
+            },
+            data: {
+                totp_last_step: step
+            }
+        });
+        return (1 === DbAccess.getUpdateCount(result));
+    }
+
+    /**
+     * Use a recovery code of an account, so that it can not be used again.
+     * @private
+     * @param {number} accountId - The id of an account.
+     * @param {string} code - The recovery code entered by user, hyphens and spaces are ignored.
+     * @returns {boolean} - true if the code is accepted.
+     */
+    async useRecoveryCode(accountId, code) {
+        const input = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+        if (!RX_RECOVERY_CODE.test(input)) {
+            return false;
+        }
+        const prisma = this.getDbClient();
+        const now = await DbAccess.getDbNow(prisma);
+        const result = await prisma.recovery_code.updateMany({
+            where: {
+                account_id: accountId,
+                code_hash: TokenUtil.hashToken(input),
+                used: null
+            },
+            data: {
+                used: now
+            }
+        });
+        return (1 === DbAccess.getUpdateCount(result));
+    }
+
+    /**
+     * Find account record by id.
+     * @private
+     * @param {number} accountId - The id of an account.
+     * @returns {Object} - The account record in database.
+     */
+    async findAccount(accountId) {
+        const prisma = this.getDbClient();
+        const user = await prisma.account.findFirst({
+            where: {
+                id: accountId
+            }
+        });
+        return user;
+    }
+
+    /**
+     * Create an initialized TwoFactor instance.
+     * @returns {TwoFactor} - initialized TwoFactor instance.
+     */
+    static makeOne() {
+        return new TwoFactor();
+    }
+
+}
+
+export { TwoFactor };
@@ -0,0 +1,262 @@
+import { DbAccess } from './db-access.js';
+import { RememberToken } from './remember-token.js';
+import { TimeUtil } from '../util/time-util.js';
+
+
+// constants for session records
+const SESSION_DEFAULT_DAYS = 1;
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// known browsers and platforms in user-agent, checked in order
+const BROWSER_LIST = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /(Firefox|FxiOS)\//],
+    ['Chrome', /(Chrome|CriOS)\//],
+    ['Safari', /Safari\//]
+];
+const PLATFORM_LIST = [
+    ['Android', /Android/],
+    ['iOS', /(iPhone|iPad|iPod)/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+];
+
+
+/**
+ * Express sessions stored in database by prisma, see <a href="dal.DbSessionStore.html">DbSessionStore</a>. <br />
+ * Besides session data, each record keeps the account signed in, the client (IP address and user-agent) and last activity,
+ * so that users can see where they are signed in and revoke sessions of other devices.
+ * @memberof dal#
+ * 
+ * @see DbSessionStore
+ */
+class UserSession extends DbAccess {
+
+    /**
+     * Get a session record which is not expired. An expired record is removed at the same time.
+     * @param {string} sid - The session id.
+     * @returns {Object} - The session record if found.
+     * @returns null - otherwise
+     */
+    async getSession(sid) {
+        const prisma = this.getDbClient();
+        const row = await prisma.user_session.findUnique({
+            where: {
+                sid
+            }
+        });
+        if (!row) {
+            return null;
+        }
+        if (new Date() > row.expires) {
+            await this.destroySession(sid);
+            return null;
+        }
+        return row;
+    }
+
+    /**
+     * Create or replace a session record.
+     * @param {string} sid - The session id.
+     * @param {SessionRecord} record - The session data, with account and client of the session.
+     */
+    async saveSession(sid, record) {
+        const prisma = this.getDbClient();
+        const now = new Date();
+        const data = {
+            account_id: record.accountId || null,
+            data: record.data,
+            ip: record.ip || null,
+            user_agent: record.userAgent || null,
+            remember_series: record.rememberSeries || null,
+            last_active: now,
+            expires: record.expires || TimeUtil.addDays(now, SESSION_DEFAULT_DAYS)
+        };
+        await prisma.user_session.upsert({
+            where: {
+                sid
+            },
+            create: Object.assign({ sid, created: now }, data),
+            update: data
+        });
+    }
+
+    /**
+     * Record activity of a session, and extend its expire time. The record is written at most once a minute.
+     * @param {string} sid - The session id.
+     * @param {Date} [expires] - The new expire time.
+     */
+    async touchSession(sid, expires) {
+        const prisma = this.getDbClient();
+        const now = new Date();
+        await prisma.user_session.updateMany({
+            where: {
+                sid,
+                last_active: {
+                    lt: new Date(now.getTime() - TOUCH_INTERVAL_MS)
+                }
+            },
+            data: {
+                last_active: now,
+                expires: expires || TimeUtil.addDays(now, SESSION_DEFAULT_DAYS)
+            }
+        });
+    }
+
+    /**
+     * Remove a session record, e.g. when user signs out.
+     * @param {string} sid - The session id.
+     * @returns {number} - number of record removed by this operation.
+     */
+    async destroySession(sid) {
+        const prisma = this.getDbClient();
+        const result = await prisma.user_session.deleteMany({
+            where: {
+                sid
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * List sessions where an account is signed in, the most recently active one first.
+     * @param {number} accountId - The id of account.
+     * @param {string} [currentSid] - The session id of current request, which is marked as <strong>current</strong>.
+     * @returns {SignInSession[]} - The sessions, without session id and session data.
+     */
+    async listAccountSessions(accountId, currentSid) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.user_session.findMany({
+            where: {
+                account_id: accountId,
+                expires: {
+                    gt: new Date()
+                }
+            },
+            orderBy: {
+                last_active: 'desc'
+            }
+        });
+        return rows.map((row) => ({
+            id: row.id,
+            device: UserSession.describeDevice(row.user_agent),
+            ip: row.ip,
+            created: row.created,
+            lastActive: row.last_active,
+            current: (row.sid === currentSid)
+        }));
+    }
+
+    /**
+     * Revoke a session of an account, and the remember-me token of the same browser.
+     * @param {number} accountId - The id of account.
+     * @param {number} id - The id of session record (not the session id).
+     * @returns {number} - number of session revoked by this operation (0 if not found, and 1 if succeed).
+     */
+    async revokeSession(accountId, id) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.user_session.findMany({
+            where: {
+                id,
+                account_id: accountId
+            }
+        });
+        return await this.revokeSessionRows(rows);
+    }
+
+    /**
+     * Revoke all sessions of an account except the given one, and remember-me tokens of those browsers.
+     * @param {number} accountId - The id of account.
+     * @param {string} keepSid - The session id to keep, usually the session of current request.
+     * @returns {number} - number of sessions revoked by this operation.
+     */
+    async revokeOtherSessions(accountId, keepSid) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.user_session.findMany({
+            where: {
+                account_id: accountId,
+                sid: {
+                    not: keepSid
+                }
+            }
+        });
+        return await this.revokeSessionRows(rows);
+    }
+
+    /**
+     * Revoke all sessions of an account, and remember-me tokens of those browsers.
+     * @param {number} accountId - The id of account.
+     * @returns {number} - number of sessions revoked by this operation.
+     */
+    async revokeAccountSessions(accountId) {
+        const prisma = this.getDbClient();
+        const rows = await prisma.user_session.findMany({
+            where: {
+                account_id: accountId
+            }
+        });
+        return await this.revokeSessionRows(rows);
+    }
+
+    /**
+     * Remove given session records, and remember-me tokens recorded with them.
+     * @private
+     * @param {Object[]} rows - The session records.
+     * @returns {number} - number of sessions removed by this operation.
+     */
+    async revokeSessionRows(rows) {
+        const rememberToken = RememberToken.makeOne();
+        var count = 0;
+        for (const row of rows) {
+            count += await this.destroySession(row.sid);
+            if (row.remember_series) {
+                await rememberToken.revokeToken(row.remember_series);
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Remove expired session records.
+     * @returns {number} - number of records removed by this operation.
+     */
+    async deleteExpiredSessions() {
+        const prisma = this.getDbClient();
+        const result = await prisma.user_session.deleteMany({
+            where: {
+                expires: {
+                    lt: new Date()
+                }
+            }
+        });
+        return DbAccess.getUpdateCount(result);
+    }
+
+    /**
+     * Describe the device of a session by its user-agent, e.g. 'Firefox on Windows'.
+     * @param {string} userAgent - The user-agent header of client.
+     * @returns {string} - Short description of browser and platform.
+     */
+    static describeDevice(userAgent) {
+        const text = userAgent || '';
+        const browser = BROWSER_LIST.find((entry) => entry[1].test(text));
+        const platform = PLATFORM_LIST.find((entry) => entry[1].test(text));
+        if (!browser && !platform) {
+            return text ? text.substring(0, 60) : 'Unknown device';
+        }
+        return [browser ? browser[0] : 'Browser', platform ? platform[0] : null].filter(Boolean).join(' on ');
+    }
+
+    /**
+     * Create an initialized UserSession instance.
+     * @returns {UserSession} - initialized UserSession instance.
+     */
+    static makeOne() {
+        return new UserSession();
+    }
+
+}
+
+export { UserSession };
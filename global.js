@@ -48,6 +48,272 @@ class Global { }
  * @property {number} weeklyAverage - Average number of active users this week.
  */
 
+/**
+ * A remember-me token issued to a browser, the series is kept for a device and the token rotates on every use.
+ * @typedef {Object} RememberTokenPair
+ * @property {number} accountId - The id of account that owns the token.
+ * @property {string} series - The series identifier, which does not change when token rotates.
+ * @property {string} token - The random token in plain-text form (only its hash is stored in database).
+ * @property {Date} expires - The time when the token series expires on server side.
+ */
+
+/**
+ * A refresh token, issued with access tokens of bearer authentication.
+ * @typedef {Object} RefreshTokenPair
+ * @property {number} accountId - The id of account that owns the token.
+ * @property {string} family - The family identifier, which does not change when token rotates.
+ * @property {string} refreshToken - The refresh token given to client, that is, family and random token joined by a dot
+ *                                   (only hash of the random token is stored in database).
+ * @property {Date} expires - The time when the token family expires on server side.
+ * @property {string} [clientId] - The OAuth client the family was issued to, absent for first-party clients.
+ * @property {string} [scope] - Scope granted to the OAuth client, space separated.
+ */
+
+/**
+ * An OAuth client registered for sign-in by this site, see <strong>OAuthClient</strong>.
+ * @typedef {Object} ClientRegistration
+ * @property {string} clientId - The client identifier.
+ * @property {string} [clientSecret] - The client secret, shown once when registered (only its hash is stored),
+ *                                     absent for public clients, e.g. SPA and mobile apps, which rely on PKCE.
+ * @property {string} name - Name of the client, shown on consent screen.
+ * @property {string[]} redirectUris - Registered redirect URIs, matched exactly.
+ */
+
+/**
+ * An authorization request of OAuth 2.0 / OpenID Connect, checked by <strong>OAuthRouter</strong>.
+ * @typedef {Object} AuthorizationRequest
+ * @property {Object} client - The client record.
+ * @property {string} redirectUri - The redirect URI, one of registered URIs of the client.
+ * @property {string} scope - The granted scope, unknown scopes are dropped.
+ * @property {string} [state] - Opaque value of client, returned with the response.
+ * @property {string} [nonce] - Nonce of client, kept in ID token.
+ * @property {string} responseType - The response type, only 'code' is supported.
+ * @property {string} codeChallenge - PKCE code challenge.
+ * @property {string} codeChallengeMethod - PKCE code challenge method, only 'S256' is supported.
+ * @property {string} [prompt] - 'none' to fail instead of showing pages, 'consent' to ask for consent again.
+ */
+
+/**
+ * A device authorization of OAuth 2.0 (RFC 8628), issued to a client without browser, e.g. a command-line tool.
+ * @typedef {Object} DeviceAuthorization
+ * @property {string} deviceCode - The device code, polled by client at token endpoint (only its hash is stored).
+ * @property {string} userCode - The user code, entered by user on verification page, e.g. 'BCDF-GHJK'.
+ * @property {number} expiresIn - Lifetime of the codes, in seconds.
+ * @property {number} interval - Minimum interval between polls of client, in seconds.
+ */
+
+/**
+ * An identity provider (social network sign-in) entry in config.
+ * @typedef {Object} IdentityProvider
+ * @property {string} name - Name of provider used in sign-in URL, e.g. 'google' for <strong>/signin/google</strong>.
+ * @property {string} connection - Connection name of provider in Auth0, e.g. 'google-oauth2'.
+ * @property {number} code - Numeric code of provider stored with accounts, must be unique and never change.
+ * @property {string} label - Display label of provider, e.g. 'Google'.
+ * @property {string} icon - URL of provider icon shown on sign-in and sign-up pages.
+ * @property {string} [strategy] - 'auth0' (default) to sign in by Auth0, or 'oidc' to sign in by a native OpenID Connect issuer.
+ * @property {string} [issuer] - Issuer URL, for strategy 'oidc' only.
+ * @property {string} [clientID] - Client identifier registered at issuer, for strategy 'oidc' only.
+ * 
+ * @see util#IdentityProviderRegistry
+ */
+
+/**
+ * A lock record of sign-in attempts, stored by an attempt store.
+ * @typedef {Object} AttemptLock
+ * @property {Date} lockedUntil - The time when lock expires.
+ * @property {string} [unlockHash] - Hash of unlock token, if the lock can be removed by an unlock link.
+ * 
+ * @see dal#MemoryAttemptStore
+ * @see dal#DbAttemptStore
+ */
+
+/**
+ * Options of sign-in brute-force protection.
+ * @typedef {Object} ThrottleOptions
+ * @property {string} [store] - Where to keep counters, 'memory' (default) or 'database' (shared by app instances).
+ * @property {number} [windowMinutes] - Length of sliding window to count failed attempts, default 15.
+ * @property {number} [delayAfter] - Failed attempts of an email before progressive delay starts, default 3.
+ * @property {number} [baseDelaySeconds] - The first delay, doubled on every further failed attempt, default 1.
+ * @property {number} [maxDelaySeconds] - Maximum delay between attempts, default 60.
+ * @property {number} [lockAfter] - Failed attempts of an email before the account is locked, default 10.
+ * @property {number} [ipDelayAfter] - Failed attempts from a client IP before progressive delay starts, default 20.
+ * @property {number} [ipLockAfter] - Failed attempts from a client IP before the IP is locked, default 100.
+ * @property {number} [lockMinutes] - Length of a temporary lockout, default 30.
+ * @property {string} [keyPrefix] - Prefix of counter keys, to count other kinds of attempts apart from sign-in in a shared store, default none.
+ * 
+ * @see util#LoginThrottle
+ */
+
+/**
+ * Options of password check on sign-up and password change. No network is required by any check.
+ * @typedef {Object} PasswordOptions
+ * @property {number} [strongLength] - Minimum accepted password length, default 8.
+ * @property {string} [commonPasswordFile] - File of commonly used passwords, one per line, default config/common-passwords.txt.
+ * @property {string} [breachedPasswordDir] - Directory of breached password hashes in k-anonymity prefix format, that is,
+ *                                            <strong>{prefix}.txt</strong> files of SHA-1 hash suffixes and counts, no breached password check when absent.
+ * @property {number} [breachedMinCount] - Minimum times a password was seen in breaches to be rejected, default 1.
+ * @property {number} [minScore] - Minimum accepted strength score from 0 to 4, default 0 (no minimum).
+ * @property {PasswordPolicy} [policy] - Rules of password, default classic preset.
+ * 
+ * @see util#PasswordChecker
+ */
+
+/**
+ * Declarative rules of password, made from a preset with optional overrides of each setting. <br />
+ * Preset <strong>classic</strong> requires all character classes in at least 8 characters. 
+ * Preset <strong>nist-800-63b</strong> follows NIST SP 800-63B, that is, no composition rules, 8 to 64 characters of any Unicode 
+ * (normalized), and common or breached passwords are rejected.
+ * @typedef {Object} PasswordPolicy
+ * @property {string} [preset] - Preset of policy, 'classic' (default) or 'nist-800-63b'.
+ * @property {boolean} [requireLower] - Password must contain a lower case letter.
+ * @property {boolean} [requireUpper] - Password must contain an upper case letter.
+ * @property {boolean} [requireDigit] - Password must contain a digit.
+ * @property {boolean} [requireSymbol] - Password must contain a symbol.
+ * @property {number} [minLength] - Minimum password length in Unicode code points.
+ * @property {number} [maxLength] - Maximum password length in Unicode code points, 0 for no maximum.
+ * @property {string} [unicode] - Unicode handling, 'allow' (as is), 'normalize' (NFKC, Unicode character classes) or 'ascii' (printable ASCII only).
+ * @property {boolean} [rejectCommon] - Reject commonly used and breached passwords.
+ * @property {number} [historySize] - Number of recent passwords (including the current one) that cannot be reused, 0 for no history check.
+ * 
+ * @see util#PasswordChecker
+ */
+
+/**
+ * Options of password hashing by scrypt. Raising cost makes hashes stronger, and slower to check.
+ * @typedef {Object} HashOptions
+ * @property {number} [cost] - CPU / memory cost (N) of scrypt, must be a power of 2, default 32768.
+ * @property {number} [blockSize] - Block size (r) of scrypt, default 8.
+ * @property {number} [parallelization] - Parallelization (p) of scrypt, default 1.
+ * @property {string} [peppers] - Secret peppers in 'id:secret' format separated by comma, e.g. '2024:new-secret,2023:old-secret'.
+ *                                The first pepper is used for new hashes, others are kept to check hashes made before rotation.
+ * 
+ * @see util#PasswordHasher
+ */
+
+/**
+ * Options of role-based access control.
+ * @typedef {Object} AccessOptions
+ * @property {string} [bootstrapAdminEmail] - E-mail address of the first administrator. The verified user of this address 
+ *                                            becomes administrator the first time a permission is checked, only if there is no administrator yet.
+ * 
+ * @see util#AccessControl
+ */
+
+/**
+ * Options of self-service account deletion.
+ * @typedef {Object} DeletionOptions
+ * @property {number} [graceDays] - Days in which a scheduled deletion can be cancelled, default 14.
+ * @property {number} [purgeMinutes] - Interval to delete accounts whose grace period has passed, default 60.
+ * 
+ * @see routes#PrivacyRouter
+ */
+
+/**
+ * Options of bearer tokens, for SPA and mobile clients.
+ * @typedef {Object} TokenOptions
+ * @property {string} issuer - Issuer and audience of access tokens, that is, base URL of this site.
+ * @property {number} [accessMinutes] - Lifetime of access tokens, default 15.
+ * @property {number} [refreshDays] - Lifetime of refresh token families, default 30.
+ * @property {Object[]} [signingKeys] - Private signing keys in JWK format, the first one signs new tokens. Required unless generateKey is set.
+ * @property {boolean} [generateKey] - Generate a key on start when no signing key is configured, for development only, default false.
+ * 
+ * @see util#TokenIssuer
+ * @see routes#TokenRouter
+ * @see routes#OAuthRouter
+ */
+
+/**
+ * Options of localization, for pages, messages and E-mails.
+ * @typedef {Object} LocaleOptions
+ * @property {string} [defaultLocale] - Locale used when no supported locale is preferred, default 'en'.
+ * @property {string} [catalogDir] - Directory of message catalogs, one {locale}.json file for each locale, default config/locales.
+ * 
+ * @see util#Localizer
+ */
+
+/**
+ * Options of express session storage.
+ * @typedef {Object} SessionStoreOptions
+ * @property {string} [store] - Where to keep sessions, 'memory' (default) or 'database' (kept on restart, and shared by app instances).
+ * @property {number} [cleanupMinutes] - Interval to remove expired sessions from database, default 60.
+ * 
+ * @see dal#DbSessionStore
+ */
+
+/**
+ * Session data and its client to be saved in database.
+ * @typedef {Object} SessionRecord
+ * @property {Object} data - The express session data.
+ * @property {number} [accountId] - The id of signed in account.
+ * @property {string} [ip] - IP address of client.
+ * @property {string} [userAgent] - User-agent header of client.
+ * @property {string} [rememberSeries] - Series of remember-me token stored in the same browser.
+ * @property {Date} [expires] - The time when session expires.
+ * 
+ * @see dal#UserSession
+ */
+
+/**
+ * A session where a user is signed in, as shown to the user.
+ * @typedef {Object} SignInSession
+ * @property {number} id - The id of session record, used to revoke the session.
+ * @property {string} device - Description of browser and platform, e.g. 'Firefox on Windows'.
+ * @property {string} ip - IP address of client.
+ * @property {Date} created - The time when session started.
+ * @property {Date} lastActive - The time of last activity.
+ * @property {boolean} current - true if this is the session of current request.
+ * 
+ * @see dal#UserSession
+ */
+
+/**
+ * Account, provider and client of an event in security audit log.
+ * @typedef {Object} AuditDetail
+ * @property {number} [accountId] - The id of account, found by E-mail address when absent.
+ * @property {string} [email] - E-mail address in the request.
+ * @property {string} [provider] - How user signed in, e.g. 'password', 'email-link', 'remember-me' or a connection name like 'google-oauth2'.
+ * @property {string} [ip] - IP address of client.
+ * @property {string} [userAgent] - User-agent header of client.
+ * 
+ * @see dal#AuditLog
+ */
+
+/**
+ * Conditions to search events in security audit log.
+ * @typedef {Object} AuditFilter
+ * @property {number} [accountId] - The id of account.
+ * @property {string} [email] - E-mail address in the request.
+ * @property {string} [event] - The event, see <strong>AuditEvent</strong>.
+ * @property {string} [provider] - How user signed in.
+ * @property {string} [ip] - IP address of client.
+ * @property {Date|string} [since] - Events at or after this time.
+ * @property {Date|string} [until] - Events before this time.
+ * 
+ * @see dal#AuditLog
+ */
+
+/**
+ * Client of a sign-in, used to recognize the device.
+ * @typedef {Object} DeviceClient
+ * @property {string} [deviceId] - Device id kept in cookie of the browser, absent for a browser never signed in before.
+ * @property {string} [ip] - IP address of client.
+ * @property {string} [userAgent] - User-agent header of client.
+ * @property {string} [acceptLanguage] - Accept-Language header of client.
+ * 
+ * @see dal#KnownDevice
+ */
+
+/**
+ * Device of a sign-in, as recognized by known devices of the account.
+ * @typedef {Object} SignInDevice
+ * @property {string} deviceId - Device id to be kept in cookie of the browser.
+ * @property {boolean} isNew - true if the device was not seen for the account before.
+ * @property {string} [revokeToken] - Token to forget the device and sign out everywhere, only for a device not seen before.
+ * @property {Date} [created] - The time when the device was first seen, only for a device not seen before.
+ * 
+ * @see dal#KnownDevice
+ */
+
 /**
  * Result of a database INSERT / UPDATE command.
  * @typedef {Object} UpdateResult
@@ -60,6 +326,29 @@ class Global { }
  * @property {string} input - Original input string to be checked.
  * @property {boolean} isValid - The input string is valid or not.
  * @property {InvalidNote[]} invalidNotes - The causes of why an input check operation fails.
+ * @property {number} [score] - Strength score of a password, from 0 (too guessable) to 4 (very unguessable).
+ * @property {string[]} [suggestions] - Suggestions to make a password stronger.
+ */
+
+/**
+ * The user who chooses a password, whose E-mail and nickname make a password easy to guess, and whose recent passwords cannot be reused.
+ * @typedef {Object} PasswordContext
+ * @property {string} [email] - E-mail address of the user, its local part is checked.
+ * @property {string} [nickname] - Nickname of the user.
+ * @property {string[]} [passwordHistory] - Hash records of current and previous passwords of the user, newest first.
+ * @property {string} [locale] - Locale of messages and suggestions, default locale when absent.
+ * 
+ * @see util#PasswordChecker
+ */
+
+/**
+ * Strength estimate of a password.
+ * @typedef {Object} PasswordScore
+ * @property {number} score - From 0 (too guessable) to 4 (very unguessable).
+ * @property {number} entropy - Estimated entropy in bits.
+ * @property {string[]} suggestions - Suggestions to make the password stronger.
+ * 
+ * @see util#PasswordStrength
  */
 
 /**
@@ -75,6 +364,11 @@ class Global { }
  * @property {string} apiKey - The API key from SendGrid.
  * @property {string} senderEmail - The sender email registered in SendGrid.
  * @property {string} [verifyUrl] - The verify URL of site when <strong>EmailSender.sendVerificationEmail()</strong> is used
+ * @property {string} [resetUrl] - The password reset URL of site when <strong>EmailSender.sendPasswordResetEmail()</strong> is used
+ * @property {string} [unlockUrl] - The sign-in unlock URL of site when <strong>EmailSender.sendUnlockEmail()</strong> is used
+ * @property {string} [signInUrl] - The sign-in link URL of site when <strong>EmailSender.sendSignInLinkEmail()</strong> is used
+ * @property {string} [emailChangeUrl] - The E-mail change URL of site when <strong>EmailSender.sendEmailChangeEmail()</strong> is used
+ * @property {string} [revokeUrl] - The "this wasn't me" URL of site when <strong>EmailSender.sendNewDeviceEmail()</strong> is used
  * 
  * @see util#EmailSender
  */
@@ -131,4 +425,74 @@ class ExpireError extends Error {
 
 }
 
+
+/**
+ * A TokenTheftError indicates that an old token of a token series was replayed, that is, the token was 
+ * probably stolen and already used by someone else. As a result, all tokens of the account should be revoked.
+ */
+class TokenTheftError extends Error {
+
+    /**
+     * Create a TokenTheftError with given information.
+     * 
+     * @param {string} message The message describing why an operation fails.
+     * @param {number} accountId - The id of account that owns the stolen token.
+     */
+    constructor(message, accountId) {
+        super(message);
+
+        /** The id of account that owns the stolen token. */
+        this.accountId = accountId;
+    }
+
+}
+
+
+/**
+ * A ThrottleError indicates that an operation was rejected, because of too many failed attempts in short time.
+ */
+class ThrottleError extends Error {
+
+    /**
+     * Create a ThrottleError with given information.
+     * 
+     * @param {string} message The message describing why an operation fails.
+     * @param {Date} retryAfter - The time when the operation can be tried again.
+     * @param {boolean} isLocked - The operation was rejected by a temporary lockout, not only a delay.
+     */
+    constructor(message, retryAfter, isLocked) {
+        super(message);
+
+        /** The time when the operation can be tried again. */
+        this.retryAfter = retryAfter;
+
+        /** The operation was rejected by a temporary lockout, not only a delay. */
+        this.isLocked = isLocked;
+    }
+
+}
+
+/**
+ * A DisabledAccountError indicates that a user tried to sign in to an account which was disabled by administrator.
+ */
+class DisabledAccountError extends Error {
+
+    /**
+     * Create a DisabledAccountError with given information.
+     * 
+     * @param {string} message The message describing why an operation fails.
+     * @param {number} accountId - The id of the disabled account.
+     */
+    constructor(message, accountId) {
+        super(message);
+
+        /** The id of the disabled account. */
+        this.accountId = accountId;
+    }
+
+}
+
 export { ExpireError };
+export { TokenTheftError };
+export { ThrottleError };
+export { DisabledAccountError };
@@ -0,0 +1,472 @@
+import express from 'express';
+
+import { Permission } from '../util/access-control.js';
+import { AuditLog, AuditEvent } from '../dal/audit-log.js';
+import { ClientRouter } from './client-router.js';
+import { ERROR_NO_ACCOUNT } from './site-errors.js';
+
+
+// input check constants
+const ERROR_SELF_DISABLE = new Error('You can\'t disable your own account');
+const ERROR_UNKNOWN_EVENT = new Error('Unknown event');
+const ERROR_INVALID_TIME = new Error('Invalid time, please use ISO 8601 format');
+const ERROR_NO_TOKEN = new Error('Access token not found, it may have been revoked already');
+const PROVIDER_ADMIN = 'admin';
+
+
+/**
+ * Routes for user management by administrators, that is, a console page and its JSON API. <br />
+ * Searching and viewing users need permission 'user:list', searching audit log needs permission 'audit:read',
+ * registering OAuth clients needs permission 'client:manage', while other actions need permission 'user:manage'.
+ * All API calls need two-factor authentication of signed in user enabled.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { AdminRouter } from './admin-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/admin', AdminRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class AdminRouter {
+
+    /**
+     * Created an AdminRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this AdminRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this AdminRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const account = site.account;
+        const canList = site.permitApi(Permission.USER_LIST);
+        const canManage = site.permitApi(Permission.USER_MANAGE);
+
+        // serve admin console
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin:
+         *     get:
+         *       summary: Show user management console
+         *       tags:
+         *         - "admin"
+         *       responses:
+         *         200:
+         *           description: Show user management console
+         *         302:
+         *           description: Redirect to /signin when user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         */
+        router.get('/', site.permitPage(Permission.USER_LIST), async function (req, res, next) {
+            const canManageUsers = await site.hasPermission(req, Permission.USER_MANAGE);
+            const canManageClients = await site.hasPermission(req, Permission.CLIENT_MANAGE);
+            const isSecondFactorEnabled = await site.isSignInSecondFactorEnabled(req);
+            res.render('admin.ejs', { canManageUsers, canManageClients, isSecondFactorEnabled });
+        });
+
+        // search users
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/users:
+         *     get:
+         *       summary: Search users by keyword in E-mail or nickname, or by id, in JSON format
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: q
+         *           in: query
+         *           description: Keyword, all users are listed when it's empty
+         *         - name: offset
+         *           in: query
+         *           description: Number of found users to skip, default 0
+         *         - name: limit
+         *           in: query
+         *           description: Maximum number of users to show, default 20 (at most 100)
+         *       responses:
+         *         200:
+         *           description: Show <strong>total</strong> number of found users, and a page of found <strong>users</strong>
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled
+         */
+        router.get('/users', canList, async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                const result = await account.searchUsers(req.query.q, req.query.offset, req.query.limit);
+                return res.json(result);
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // show detail of a user
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/users/{userId}:
+         *     get:
+         *       summary: Show detail of a user, in JSON format
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: userId
+         *           in: path
+         *           description: unique database id of a user
+         *       responses:
+         *         200:
+         *           description: Show detail of the user, including linked identities and personal access tokens
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         404:
+         *           description: Show Not Found if the user is unknown
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled
+         */
+        router.get('/users/:userId', canList, async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                const userId = parseInt(req.params.userId);
+                const user = userId ? await account.getUserDetail(userId) : null;
+                if (!user) {
+                    return res.status(404).json({ message: ERROR_NO_ACCOUNT.message });
+                }
+                user.personalTokens = await site.personalToken.listTokens(userId);
+                return res.json(user);
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // force or revoke email verification
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/users/{userId}/verified:
+         *     post:
+         *       summary: Force or revoke E-mail verification of a user
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: userId
+         *           in: path
+         *           description: unique database id of a user
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 verified:
+         *                   type: boolean
+         *                   description: New E-mail verified status
+         *               required:
+         *                - verified
+         *       responses:
+         *         200:
+         *           description: Show OK when verified status was changed
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or the user is unknown
+         */
+        router.post('/users/:userId/verified', canManage, async function (req, res, next) {
+            const verified = (true === req.body.verified);
+            try {
+                await site.checkSignInSecondFactor(req);
+                const user = await site.findTargetUser(req.params.userId);
+                await account.setUserVerified(user.id, verified);
+                if (verified) {
+                    await site.recordAudit(req, AuditEvent.EMAIL_VERIFIED, { accountId: user.id, email: user.email, provider: PROVIDER_ADMIN });
+                }
+                return res.json({ information: req.t(verified ? 'E-mail of {email} marked as verified' : 'E-mail of {email} marked as not verified', { email: user.email }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // resend verification email
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/users/{userId}/send-verify-email:
+         *     post:
+         *       summary: Send verification E-mail to a user again
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: userId
+         *           in: path
+         *           description: unique database id of a user
+         *       responses:
+         *         200:
+         *           description: Show OK when a new verification E-mail was sent
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or the user is unknown, or E-mail was already verified
+         */
+        router.post('/users/:userId/send-verify-email', canManage, async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                const user = await site.findTargetUser(req.params.userId);
+                await account.resendVerificationEmail(user.id);
+                await site.recordAudit(req, AuditEvent.VERIFY_EMAIL_SENT, { accountId: user.id, email: user.email, provider: PROVIDER_ADMIN });
+                return res.json({ information: req.t('Verification E-mail sent to {email}', { email: user.email }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // disable or enable a user
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/users/{userId}/disabled:
+         *     post:
+         *       summary: Disable or enable a user
+         *       description: A disabled user can't sign in, and is signed out from active sessions. Administrators can't disable themselves.
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: userId
+         *           in: path
+         *           description: unique database id of a user
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 disabled:
+         *                   type: boolean
+         *                   description: Disable (true) or enable (false) the user
+         *               required:
+         *                - disabled
+         *       responses:
+         *         200:
+         *           description: Show OK when the user was disabled or enabled
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or the user is unknown, or is the signed in user
+         */
+        router.post('/users/:userId/disabled', canManage, async function (req, res, next) {
+            const disabled = (true === req.body.disabled);
+            try {
+                await site.checkSignInSecondFactor(req);
+                const user = await site.findTargetUser(req.params.userId);
+                if (disabled && (user.email === req.user.email)) {
+                    throw ERROR_SELF_DISABLE;
+                }
+                await account.setUserDisabled(user.id, disabled);
+                await site.recordAudit(req, disabled ? AuditEvent.ACCOUNT_DISABLED : AuditEvent.ACCOUNT_ENABLED, { accountId: user.id, email: user.email, provider: PROVIDER_ADMIN });
+                return res.json({ information: req.t(disabled ? '{email} was disabled' : '{email} was enabled', { email: user.email }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // reset session counters
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/users/{userId}/reset-counters:
+         *     post:
+         *       summary: Reset login count and session count of a user
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: userId
+         *           in: path
+         *           description: unique database id of a user
+         *       responses:
+         *         200:
+         *           description: Show OK when counters were reset
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or the user is unknown
+         */
+        router.post('/users/:userId/reset-counters', canManage, async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                const user = await site.findTargetUser(req.params.userId);
+                await account.resetSessionCounters(user.id);
+                await site.recordAudit(req, AuditEvent.COUNTERS_RESET, { accountId: user.id, email: user.email, provider: PROVIDER_ADMIN });
+                return res.json({ information: req.t('Session counters of {email} were reset', { email: user.email }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // revoke a personal access token
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/users/{userId}/revoke-token:
+         *     post:
+         *       summary: Revoke a personal access token of a user
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: userId
+         *           in: path
+         *           description: unique database id of a user
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 tokenId:
+         *                   type: number
+         *                   description: id of a token in <strong>personalTokens</strong> of user detail
+         *               required:
+         *                - tokenId
+         *       responses:
+         *         200:
+         *           description: Show OK when the token was revoked
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or the user or token is unknown
+         */
+        router.post('/users/:userId/revoke-token', canManage, async function (req, res, next) {
+            const tokenId = parseInt(req.body.tokenId);
+            try {
+                await site.checkSignInSecondFactor(req);
+                const user = await site.findTargetUser(req.params.userId);
+                const target = (await site.personalToken.listTokens(user.id)).find((entry) => (entry.id === tokenId));
+                if (!target || (1 !== await site.personalToken.revokeToken(user.id, tokenId))) {
+                    throw ERROR_NO_TOKEN;
+                }
+                await site.recordAudit(req, AuditEvent.TOKEN_REVOKED, { accountId: user.id, email: user.email, provider: PROVIDER_ADMIN });
+                return res.json({ information: req.t('{name} revoked', { name: target.name }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // search security audit log
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/audit:
+         *     get:
+         *       summary: Search security audit log of all users, the latest event first, in JSON format
+         *       description: Requires permission 'audit:read', granted to role 'admin'. All given filters must match.
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: accountId
+         *           in: query
+         *           description: unique database id of a user
+         *         - name: email
+         *           in: query
+         *           description: E-mail address in the request, e.g. of failed sign-in attempts
+         *         - name: event
+         *           in: query
+         *           description: One of sign-up, sign-in, sign-in-failure, restore-login, new-device, sessions-revoked, sign-out,
+         *                        password-change, nickname-change, verify-email-sent, email-verified, app-authorized,
+         *                        token-created, token-revoked, account-disabled, account-enabled, counters-reset,
+         *                        role-granted, role-revoked, client-registered, client-deleted
+         *         - name: provider
+         *           in: query
+         *           description: How user signed in, e.g. 'password', 'email-link', 'remember-me' or 'google-oauth2'
+         *         - name: ip
+         *           in: query
+         *           description: IP address of client
+         *         - name: since
+         *           in: query
+         *           description: Events at or after this time, in ISO 8601 format
+         *         - name: until
+         *           in: query
+         *           description: Events before this time, in ISO 8601 format
+         *         - name: offset
+         *           in: query
+         *           description: Number of found events to skip, default 0
+         *         - name: limit
+         *           in: query
+         *           description: Maximum number of events to show, default 20 (at most 100)
+         *       responses:
+         *         200:
+         *           description: Show <strong>total</strong> number of found events, and a page of found <strong>events</strong>
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or a filter is invalid
+         */
+        router.get('/audit', site.permitApi(Permission.AUDIT_READ), async function (req, res, next) {
+            const filter = req.query;
+            try {
+                await site.checkSignInSecondFactor(req);
+                if (filter.event && !AuditLog.isEvent(filter.event)) {
+                    throw ERROR_UNKNOWN_EVENT;
+                }
+                if ([filter.since, filter.until].some((time) => time && isNaN(Date.parse(time)))) {
+                    throw ERROR_INVALID_TIME;
+                }
+                const result = await site.auditLog.searchEvents(filter, filter.offset, filter.limit);
+                return res.json(result);
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // serve registration of OAuth clients
+        router.use('/clients', ClientRouter.makeOne(site));
+    }
+
+    /**
+     * Create an initialized AdminRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created AdminRouter
+     */
+    static makeOne(site) {
+        var instance = new AdminRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { AdminRouter };
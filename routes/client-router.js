@@ -0,0 +1,229 @@
+import express from 'express';
+
+import { Permission } from '../util/access-control.js';
+import { AuditEvent } from '../dal/audit-log.js';
+
+
+// input check constants
+const ERROR_NO_CLIENT_NAME = new Error('Please input name of application');
+const ERROR_NO_REDIRECT_URI = new Error('Please input redirect URIs');
+const ERROR_INVALID_REDIRECT_URI = new Error('Redirect URI must be an HTTPS URL without fragment, or http://localhost for development');
+const ERROR_NO_CLIENT = new Error('Application not found');
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const PROVIDER_ADMIN = 'admin';
+
+
+/**
+ * Routes for registration of OAuth clients by administrators, that is, our other apps that sign in by this site. <br />
+ * All actions need permission 'client:manage', and two-factor authentication of signed in user enabled.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { ClientRouter } from './client-router.js';
+ * 
+ * // in AdminRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/clients', ClientRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ * 
+ * @see routes#OAuthRouter
+ */
+class ClientRouter {
+
+    /**
+     * Created a ClientRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this ClientRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this ClientRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const oauthClient = site.oauthClient;
+        const canManage = site.permitApi(Permission.CLIENT_MANAGE);
+
+        // list clients
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/clients:
+         *     get:
+         *       summary: List registered OAuth clients, without secrets, in JSON format
+         *       tags:
+         *         - "admin"
+         *       responses:
+         *         200:
+         *           description: Show <strong>clients</strong>, with clientId, name, redirectUris, isPublic and created
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled
+         */
+        router.get('/', canManage, async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                return res.json({ clients: await oauthClient.listClients() });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // register a client
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/clients:
+         *     post:
+         *       summary: Register an OAuth client
+         *       description: The client secret is shown only once, in the response.
+         *       tags:
+         *         - "admin"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 name:
+         *                   type: string
+         *                   description: Name of the app, shown on consent screen
+         *                 redirectUris:
+         *                   type: array
+         *                   items:
+         *                     type: string
+         *                   description: Redirect URIs of the app, HTTPS URLs (or http://localhost for development),
+         *                                optional for a public client which signs in only by device authorization, e.g. a command-line tool
+         *                 isPublic:
+         *                   type: boolean
+         *                   description: true for SPA or mobile app, which can't keep a secret
+         *               required:
+         *                - name
+         *       responses:
+         *         200:
+         *           description: Show the registered <strong>client</strong>, with clientId and clientSecret
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or input is invalid
+         */
+        router.post('/', canManage, async function (req, res, next) {
+            const name = String(req.body.name || '').trim();
+            const isPublic = (true === req.body.isPublic);
+            try {
+                await site.checkSignInSecondFactor(req);
+                if (!name) {
+                    throw ERROR_NO_CLIENT_NAME;
+                }
+                const redirectUris = ClientRouter.checkRedirectUris(req.body.redirectUris, isPublic);
+                const client = await oauthClient.registerClient(name, redirectUris, isPublic);
+                await site.recordAudit(req, AuditEvent.CLIENT_REGISTERED, { email: req.user.email, provider: PROVIDER_ADMIN });
+                return res.json({ client, information: req.t('{name} registered', { name }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // delete a client
+        /**
+         * @swagger
+         * paths:
+         *   /user/admin/clients/{clientId}/delete:
+         *     post:
+         *       summary: Delete an OAuth client, with consents of users and tokens issued to it
+         *       tags:
+         *         - "admin"
+         *       parameters:
+         *         - name: clientId
+         *           in: path
+         *           description: The client identifier
+         *       responses:
+         *         200:
+         *           description: Show OK when the client was deleted
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication not enabled, or the client is unknown
+         */
+        router.post('/:clientId/delete', canManage, async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                const client = await oauthClient.findClient(req.params.clientId);
+                if (!client) {
+                    throw ERROR_NO_CLIENT;
+                }
+                await oauthClient.deleteClient(client.client_id);
+                await site.recordAudit(req, AuditEvent.CLIENT_DELETED, { email: req.user.email, provider: PROVIDER_ADMIN });
+                return res.json({ information: req.t('{name} deleted', { name: client.name }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+    }
+
+    /**
+     * Check redirect URIs of a client. Each must be an HTTPS URL without fragment, while plain HTTP is allowed for localhost.
+     * A public client may have no redirect URI, then it signs in only by device authorization.
+     * 
+     * @param {string[]|string} redirectUris - The redirect URIs, as an array or one URI per line.
+     * @param {boolean} [isPublic] - true for a public client.
+     * @return {string[]} - The redirect URIs, without empty and duplicate ones.
+     * @throws {Error} When no redirect URI is given for a confidential client, or any of them is invalid.
+     */
+    static checkRedirectUris(redirectUris, isPublic) {
+        const list = (Array.isArray(redirectUris) ? redirectUris : String(redirectUris || '').split('\n'))
+            .map((uri) => String(uri).trim()).filter((uri) => uri);
+        if ((0 === list.length) && !isPublic) {
+            throw ERROR_NO_REDIRECT_URI;
+        }
+        list.forEach((uri) => {
+            var url;
+            try {
+                url = new URL(uri);
+            } catch (err) {
+                throw ERROR_INVALID_REDIRECT_URI;
+            }
+            const isLocal = ('http:' === url.protocol) && LOCAL_HOSTS.includes(url.hostname);
+            if ((('https:' !== url.protocol) && !isLocal) || url.hash || uri.includes('#')) {
+                throw ERROR_INVALID_REDIRECT_URI;
+            }
+        });
+        return [...new Set(list)];
+    }
+
+    /**
+     * Create an initialized ClientRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created ClientRouter
+     */
+    static makeOne(site) {
+        var instance = new ClientRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { ClientRouter };
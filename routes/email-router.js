@@ -0,0 +1,164 @@
+import express from 'express';
+
+
+// input check constants
+const INFO_CHANGE_SENT = 'A confirmation link was sent to the new E-mail, your E-mail is changed after the link is followed';
+const INFO_CHANGED = 'Your E-mail was changed, please use the new E-mail to sign in';
+
+
+/**
+ * Routes for changing E-mail address of a signed in user. <br />
+ * The new address is kept as pending until the link sent to it is followed, and then it replaces the old address.
+ * Active sessions keep signed in, since passport session refers to the account by id.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { EmailRouter } from './email-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/email', EmailRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class EmailRouter {
+
+    /**
+     * Created an EmailRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this EmailRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this EmailRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const account = site.account;
+
+        // request change of E-mail address
+        /**
+         * @swagger
+         * paths:
+         *   /user/email/change:
+         *     post:
+         *       summary: Request to change E-mail address of signed in user
+         *       description: User must re-authenticate by password. Accounts without password must have signed in recently.
+         *                    A confirmation link is sent to the new address, and a notice is sent to the current address.
+         *       tags:
+         *         - "verify"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 email:
+         *                   type: string
+         *                   description: New E-mail address of user
+         *                 password:
+         *                   type: string
+         *                   description: Current password of user, required if the account has password
+         *               required:
+         *                - email
+         *       responses:
+         *         200:
+         *           description: Show OK when the confirmation link was sent
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if re-authentication failed, or the new E-mail is invalid or already used
+         */
+        router.post('/change', site.secureApi, async function (req, res, next) {
+            const newEmail = String(req.body.email || '').trim();
+            try {
+                const user = await site.findSignInUser(req);
+                site.checkEmailAddress(newEmail);
+                await site.checkReauthenticated(req, user, req.body.password);
+                await account.requestEmailChange(user.email, newEmail, req.locale);
+                return res.json({ information: INFO_CHANGE_SENT });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // confirm change of E-mail address
+        /**
+         * @swagger
+         * paths:
+         *   /user/email/confirm/{email}/{changeToken}:
+         *     get:
+         *       summary: Change E-mail address of a user to the new address, by change token.
+         *       description: The change token is <strong>valid</strong> only when it matches the last generated change token
+         *                    stored with given new address, and it can be used only once.
+         *       tags:
+         *         - "verify"
+         *       parameters:
+         *         - name: email
+         *           in: path
+         *           description: New E-mail address of a user.
+         *         - name: changeToken
+         *           in: path
+         *           description: Change token from the link in sent E-mail.
+         *       responses:
+         *         200:
+         *           description: Show result when E-mail address was changed.
+         *         404:
+         *           description: Show Not Found to mislead attacker when change token is <strong>invalid</strong>.
+         *         412:
+         *           description: Show error message when change token expired, or the new address was used by another account.
+         */
+        router.get('/confirm/:email/:changeToken', async function (req, res, next) {
+            const { email, changeToken } = req.params;
+            const newEmail = decodeURIComponent(email);
+            const returnTo = req.isAuthenticated() ? '/user/profile' : '/signin';
+            var oldEmail = '';
+            try {
+                oldEmail = await account.confirmEmailChange(newEmail, changeToken);
+            } catch (err) {
+                return res.status(412).render('alert.ejs', { title: 'Change E-mail', message: err.message, returnTo });
+            }
+            if (!oldEmail) {
+                res.status(404);
+                return next();
+            }
+
+            // keep the E-mail remembered by sign-in page, if it was the old one
+            if (oldEmail === req.cookies.email) {
+                res.cookie('email', newEmail, { path: '/' });
+            }
+            if (req.user && (oldEmail === req.user.email)) {
+                req.user.email = newEmail;
+            }
+            return res.render('alert.ejs', { title: 'Change E-mail', information: INFO_CHANGED, returnTo });
+        });
+    }
+
+    /**
+     * Create an initialized EmailRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created EmailRouter
+     */
+    static makeOne(site) {
+        var instance = new EmailRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { EmailRouter };
@@ -0,0 +1,162 @@
+import express from 'express';
+
+import { AuthorizationParser } from '../util/authorization-parser.js';
+
+
+// input check constants
+const ERROR_UNKNOWN_PROVIDER = new Error('Unknown sign-in provider');
+
+
+/**
+ * Routes for linking sign-in identities (social network) to the account of a signed in user, in JSON format. <br />
+ * Linking needs proof of both ownerships: user re-authenticates as the account first, and then signs in at the identity provider.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { IdentityRouter } from './identity-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/identities', IdentityRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class IdentityRouter {
+
+    /**
+     * Created an IdentityRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this IdentityRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this IdentityRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const account = site.account;
+
+        // start linking an identity
+        /**
+         * @swagger
+         * paths:
+         *   /user/identities/link:
+         *     post:
+         *       summary: Start linking a sign-in identity of given provider to signed in user
+         *       description: User must re-authenticate by password. Accounts without password must have signed in recently.
+         *                    Then user is redirected to sign in at the identity provider, and the identity is linked in callback.
+         *       tags:
+         *         - "identity"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 provider:
+         *                   type: string
+         *                   description: Name of identity provider, e.g. 'google'
+         *                 password:
+         *                   type: string
+         *                   description: Current password of user, required if the account has password
+         *               required:
+         *                - provider
+         *       responses:
+         *         200:
+         *           description: Show the URL to sign in at identity provider, as <strong>redirect</strong>
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if re-authentication failed, or provider is unknown
+         */
+        router.post('/link', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                const provider = AuthorizationParser.findProvider(req.body.provider);
+                if (!provider) {
+                    throw ERROR_UNKNOWN_PROVIDER;
+                }
+                await site.checkReauthenticated(req, user, req.body.password);
+                site.startLinkIdentity(req, provider);
+                return res.json({ redirect: '/signin/' + provider.name });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // unlink an identity
+        /**
+         * @swagger
+         * paths:
+         *   /user/identities/unlink:
+         *     post:
+         *       summary: Unlink the sign-in identity of given provider from signed in user
+         *       description: The identity used to sign up can't be unlinked.
+         *       tags:
+         *         - "identity"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 provider:
+         *                   type: string
+         *                   description: Name of identity provider, e.g. 'google'
+         *                 password:
+         *                   type: string
+         *                   description: Current password of user, required if the account has password
+         *               required:
+         *                - provider
+         *       responses:
+         *         200:
+         *           description: Show OK when the identity was unlinked
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if re-authentication failed, or the identity can't be unlinked
+         */
+        router.post('/unlink', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                const provider = AuthorizationParser.findProvider(req.body.provider);
+                if (!provider) {
+                    throw ERROR_UNKNOWN_PROVIDER;
+                }
+                await site.checkReauthenticated(req, user, req.body.password);
+                await account.unlinkIdentity(user.email, provider.code);
+                return res.json({ information: req.t('{provider} sign-in unlinked', { provider: provider.label }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+    }
+
+    /**
+     * Create an initialized IdentityRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created IdentityRouter
+     */
+    static makeOne(site) {
+        var instance = new IdentityRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { IdentityRouter };
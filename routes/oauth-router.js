@@ -0,0 +1,957 @@
+import express from 'express';
+import { AuditEvent } from '../dal/audit-log.js';
+import { DeviceCodeStatus } from '../dal/device-code.js';
+import { TokenIssuer } from '../util/token-issuer.js';
+import { TokenUtil } from '../util/token-util.js';
+import { TokenTheftError, ThrottleError } from '../global.js';
+
+
+// constants of OAuth 2.0 / OpenID Connect
+const OAUTH_PATH = '/oauth';
+const RESPONSE_TYPE_CODE = 'code';
+const CODE_CHALLENGE_S256 = 'S256';
+const GRANT_AUTHORIZATION_CODE = 'authorization_code';
+const GRANT_REFRESH = 'refresh_token';
+const GRANT_DEVICE_CODE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEVICE_PATH = '/device';
+const PROMPT_NONE = 'none';
+const PROMPT_CONSENT = 'consent';
+const SCOPE_OPENID = 'openid';
+const SCOPE_OFFLINE_ACCESS = 'offline_access';
+const SUPPORTED_SCOPES = [SCOPE_OPENID, 'email', 'profile', SCOPE_OFFLINE_ACCESS];
+const RX_BASIC = /^Basic\s+(\S+)$/i;
+const RX_BEARER = /^Bearer\s+(\S+)$/i;
+
+// descriptions of scopes on consent screen
+const SCOPE_DESCRIPTIONS = {
+    openid: 'Sign you in with your account',
+    email: 'See your E-mail address, and whether it is verified',
+    profile: 'See your nickname',
+    offline_access: 'Stay connected while you are not using the app'
+};
+
+// input check constants
+const ERROR_UNKNOWN_CLIENT = new Error('Unknown application');
+const ERROR_INVALID_REDIRECT = new Error('Redirect URI is not registered for this application');
+const ERROR_UNSUPPORTED_RESPONSE = new Error('Unsupported response type');
+const ERROR_PKCE_REQUIRED = new Error('PKCE with S256 method is required');
+const ERROR_NO_SCOPE = new Error('No supported scope was requested');
+const ERROR_LOGIN_REQUIRED = new Error('User is not signed in');
+const ERROR_CONSENT_REQUIRED = new Error('User has not allowed this application');
+const ERROR_ACCESS_DENIED = new Error('User denied the request');
+const ERROR_INVALID_CLIENT = new Error('Invalid client credentials');
+const ERROR_UNSUPPORTED_GRANT = new Error('Unsupported grant type');
+const ERROR_INVALID_CODE = new Error('Invalid or expired authorization code');
+const ERROR_INVALID_REFRESH = new Error('Invalid or expired refresh token');
+const ERROR_INVALID_TOKEN = new Error('Invalid or expired access token');
+const ERROR_INSUFFICIENT_SCOPE = new Error('The access token does not allow this request');
+const ERROR_INVALID_USER_CODE = new Error('Invalid or expired code, please check the code shown on your device');
+const ERROR_TOO_MANY_USER_CODES = new Error('Too many invalid codes, please try again later');
+const ERROR_INVALID_DEVICE_CODE = new Error('Invalid device code');
+const ERROR_AUTHORIZATION_PENDING = new Error('User has not yet approved the request');
+const ERROR_SLOW_DOWN = new Error('Polling too fast, please wait longer between requests');
+const ERROR_EXPIRED_DEVICE_CODE = new Error('Device code expired, please start again');
+
+// OAuth error codes of errors sent back to client
+const ERROR_CODES = new Map([
+    [ERROR_UNSUPPORTED_RESPONSE, 'unsupported_response_type'],
+    [ERROR_PKCE_REQUIRED, 'invalid_request'],
+    [ERROR_NO_SCOPE, 'invalid_scope'],
+    [ERROR_LOGIN_REQUIRED, 'login_required'],
+    [ERROR_CONSENT_REQUIRED, 'consent_required'],
+    [ERROR_ACCESS_DENIED, 'access_denied'],
+    [ERROR_INVALID_CLIENT, 'invalid_client'],
+    [ERROR_UNSUPPORTED_GRANT, 'unsupported_grant_type'],
+    [ERROR_INVALID_CODE, 'invalid_grant'],
+    [ERROR_INVALID_REFRESH, 'invalid_grant'],
+    [ERROR_INVALID_DEVICE_CODE, 'invalid_grant'],
+    [ERROR_AUTHORIZATION_PENDING, 'authorization_pending'],
+    [ERROR_SLOW_DOWN, 'slow_down'],
+    [ERROR_EXPIRED_DEVICE_CODE, 'expired_token']
+]);
+
+
+/**
+ * Routes of OAuth 2.0 / OpenID Connect provider, so that our other apps can "Sign in with" this site. <br />
+ * Apps are registered as OAuth clients by administrators, see <strong>OAuthClient</strong>. An app sends user to the
+ * authorization endpoint with a PKCE challenge, user signs in (or is already signed in, which gives single sign-on across apps),
+ * allows the app on a consent screen once, and the app exchanges the returned code for an ID token and an access token
+ * of userinfo endpoint. Tokens are signed by the same keys as bearer tokens, published by the JWKS endpoint. <br />
+ * Apps without browser, e.g. command-line tools, use device authorization grant (RFC 8628) instead. The app shows a user code,
+ * user approves it on verification page from any device after signing in, and the app polls token endpoint until then.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { OAuthRouter } from './oauth-router.js';
+ * 
+ * // in Site.addRoutes()
+ * const router = this.router;
+ * router.use('/oauth', OAuthRouter.makeOne(site));
+ * router.get('/.well-known/openid-configuration', function (req, res) {
+ *     return res.json(OAuthRouter.makeDiscovery(issuer, '/.well-known/jwks.json'));
+ * });
+ * 
+ * </code>
+ * </pre>
+ */
+class OAuthRouter {
+
+    /**
+     * Created an OAuthRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this OAuthRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this OAuthRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const oauthRouter = this;
+
+        // start authorization
+        /**
+         * @swagger
+         * paths:
+         *   /oauth/authorize:
+         *     get:
+         *       summary: Authorization endpoint, which signs in user for an app, and redirects back with an authorization code
+         *       description: |
+         *         User is asked to sign in when not yet signed in, and to allow the app when not yet allowed.
+         *         Only <strong>code</strong> response type with PKCE (S256) is supported.
+         *       tags:
+         *         - "oauth"
+         *       parameters:
+         *         - name: response_type
+         *           in: query
+         *           description: Must be <strong>code</strong>
+         *         - name: client_id
+         *           in: query
+         *           description: The client identifier of app
+         *         - name: redirect_uri
+         *           in: query
+         *           description: One of registered redirect URIs of app
+         *         - name: scope
+         *           in: query
+         *           description: Space separated scopes, of openid, email, profile and offline_access
+         *         - name: state
+         *           in: query
+         *           description: Opaque value of app, returned with the code
+         *         - name: nonce
+         *           in: query
+         *           description: Nonce of app, kept in ID token
+         *         - name: code_challenge
+         *           in: query
+         *           description: PKCE code challenge
+         *         - name: code_challenge_method
+         *           in: query
+         *           description: Must be <strong>S256</strong>
+         *         - name: prompt
+         *           in: query
+         *           description: <strong>none</strong> to fail instead of showing pages, <strong>consent</strong> to ask for consent again
+         *       responses:
+         *         200:
+         *           description: Show consent screen
+         *         302:
+         *           description: Redirect to app with <strong>code</strong> (or <strong>error</strong>) and <strong>state</strong>, or redirect to /signin
+         *         400:
+         *           description: Show Bad Request when the app or redirect URI is unknown
+         */
+        router.get('/authorize', async function (req, res, next) {
+            var request;
+            try {
+                request = await oauthRouter.findAuthorizationRequest(req.query);
+            } catch (err) {
+                return res.status(400).render('alert.ejs', { title: req.t('Sign In'), message: req.t(err.message) });
+            }
+            try {
+                OAuthRouter.checkAuthorizationRequest(request);
+                return await oauthRouter.authorize(req, res, request);
+            } catch (err) {
+                return OAuthRouter.redirectError(res, request, err, next);
+            }
+        });
+
+        // answer consent screen
+        /**
+         * @swagger
+         * paths:
+         *   /oauth/authorize:
+         *     post:
+         *       summary: Allow or deny an app on consent screen
+         *       description: Parameters of authorization request are sent again, with <strong>decision</strong> of user.
+         *       tags:
+         *         - "oauth"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 decision:
+         *                   type: string
+         *                   enum: [allow, deny]
+         *       responses:
+         *         302:
+         *           description: Redirect to app with <strong>code</strong> (or <strong>error</strong>) and <strong>state</strong>
+         *         400:
+         *           description: Show Bad Request when the app or redirect URI is unknown
+         *         403:
+         *           description: Show Forbidden when CSRF token is invalid
+         */
+        router.post('/authorize', async function (req, res, next) {
+            var request;
+            var user;
+            try {
+                request = await oauthRouter.findAuthorizationRequest(req.body);
+            } catch (err) {
+                return res.status(400).render('alert.ejs', { title: req.t('Sign In'), message: req.t(err.message) });
+            }
+            try {
+                OAuthRouter.checkAuthorizationRequest(request);
+                user = await oauthRouter.site.findSignInUser(req);
+                if (!user) {
+                    throw ERROR_LOGIN_REQUIRED;
+                }
+                if ('allow' !== req.body.decision) {
+                    throw ERROR_ACCESS_DENIED;
+                }
+                await oauthRouter.site.oauthClient.saveConsent(user.id, request.client.client_id, request.scope);
+                await oauthRouter.site.recordAudit(req, AuditEvent.APP_AUTHORIZED, { accountId: user.id, email: user.email, provider: request.client.name });
+                return await oauthRouter.sendCode(req, res, request, user);
+            } catch (err) {
+                return OAuthRouter.redirectError(res, request, err, next);
+            }
+        });
+
+        // exchange code for tokens
+        /**
+         * @swagger
+         * paths:
+         *   /oauth/token:
+         *     post:
+         *       summary: Token endpoint, which exchanges an authorization code, a device code or a refresh token for tokens
+         *       description: |
+         *         Confidential apps authenticate by <strong>client_secret_basic</strong> or <strong>client_secret_post</strong>,
+         *         public apps send <strong>client_id</strong> only. Refresh token is issued for <strong>offline_access</strong> scope.
+         *         A device code is polled with <strong>urn:ietf:params:oauth:grant-type:device_code</strong> grant type, which fails with
+         *         <strong>authorization_pending</strong> or <strong>slow_down</strong> until user approved it. Each
+         *         <strong>slow_down</strong> adds 5 seconds to the interval of the device code.
+         *       tags:
+         *         - "oauth"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 grant_type:
+         *                   type: string
+         *                   enum: [authorization_code, refresh_token, urn:ietf:params:oauth:grant-type:device_code]
+         *                 code:
+         *                   type: string
+         *                 device_code:
+         *                   type: string
+         *                 redirect_uri:
+         *                   type: string
+         *                 code_verifier:
+         *                   type: string
+         *                 refresh_token:
+         *                   type: string
+         *                 client_id:
+         *                   type: string
+         *                 client_secret:
+         *                   type: string
+         *               required:
+         *                - grant_type
+         *       responses:
+         *         200:
+         *           description: Show <strong>access_token</strong>, <strong>token_type</strong>, <strong>expires_in</strong>, <strong>scope</strong>, <strong>id_token</strong> and <strong>refresh_token</strong>
+         *         400:
+         *           description: Show <strong>error</strong> and <strong>error_description</strong> when the grant is invalid
+         *         401:
+         *           description: Show <strong>invalid_client</strong> error when client authentication failed
+         */
+        router.post('/token', async function (req, res, next) {
+            const grantType = req.body.grant_type;
+            var client;
+            var pair;
+            try {
+                client = await oauthRouter.authenticateClient(req);
+                if (GRANT_AUTHORIZATION_CODE === grantType) {
+                    pair = await oauthRouter.grantAuthorizationCode(req, client);
+                } else if (GRANT_REFRESH === grantType) {
+                    pair = await oauthRouter.grantRefresh(req, client);
+                } else if (GRANT_DEVICE_CODE === grantType) {
+                    pair = await oauthRouter.grantDeviceCode(req, client);
+                } else {
+                    throw ERROR_UNSUPPORTED_GRANT;
+                }
+            } catch (err) {
+                return OAuthRouter.sendTokenError(req, res, err, next);
+            }
+            return OAuthRouter.sendTokens(res, pair);
+        });
+
+        // start device authorization
+        /**
+         * @swagger
+         * paths:
+         *   /oauth/device_authorization:
+         *     post:
+         *       summary: Device authorization endpoint, which issues a device code and a user code to an app without browser
+         *       description: |
+         *         The app shows <strong>user_code</strong> and <strong>verification_uri</strong> to user, then polls token endpoint
+         *         with <strong>device_code</strong>, no faster than <strong>interval</strong> seconds. Apps authenticate as on token endpoint.
+         *       tags:
+         *         - "oauth"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 client_id:
+         *                   type: string
+         *                 client_secret:
+         *                   type: string
+         *                 scope:
+         *                   type: string
+         *                   description: Space separated scopes, of openid, email, profile and offline_access
+         *       responses:
+         *         200:
+         *           description: Show <strong>device_code</strong>, <strong>user_code</strong>, <strong>verification_uri</strong>,
+         *                        <strong>verification_uri_complete</strong>, <strong>expires_in</strong> and <strong>interval</strong>
+         *         400:
+         *           description: Show <strong>invalid_scope</strong> error when no supported scope was requested
+         *         401:
+         *           description: Show <strong>invalid_client</strong> error when client authentication failed
+         */
+        router.post('/device_authorization', async function (req, res, next) {
+            var client;
+            var scope;
+            var authorization;
+            try {
+                client = await oauthRouter.authenticateClient(req);
+                scope = OAuthRouter.parseScope(req.body.scope);
+                if (!scope) {
+                    throw ERROR_NO_SCOPE;
+                }
+                authorization = await oauthRouter.site.deviceCode.issueCode(client, scope);
+            } catch (err) {
+                return OAuthRouter.sendTokenError(req, res, err, next);
+            }
+            const verificationUri = oauthRouter.getIssuer() + OAUTH_PATH + DEVICE_PATH;
+            res.set('Cache-Control', 'no-store');
+            return res.json({
+                device_code: authorization.deviceCode,
+                user_code: authorization.userCode,
+                verification_uri: verificationUri,
+                verification_uri_complete: verificationUri + '?user_code=' + encodeURIComponent(authorization.userCode),
+                expires_in: authorization.expiresIn,
+                interval: authorization.interval
+            });
+        });
+
+        // show verification page of device authorization
+        /**
+         * @swagger
+         * paths:
+         *   /oauth/device:
+         *     get:
+         *       summary: Verification page of device authorization, where user enters the code shown on device
+         *       description: User is asked to sign in when not yet signed in. With a valid user code, the app is shown to be approved or denied.
+         *       tags:
+         *         - "oauth"
+         *       parameters:
+         *         - name: user_code
+         *           in: query
+         *           description: The user code shown on device, optional
+         *       responses:
+         *         200:
+         *           description: Show the code form, or the app to be approved
+         *         302:
+         *           description: Redirect to /signin when user not yet signed in
+         */
+        router.get(DEVICE_PATH, async function (req, res, next) {
+            try {
+                const user = await oauthRouter.site.findSignInUser(req);
+                if (!user) {
+                    oauthRouter.site.setReturnTo(req, req.originalUrl);
+                    return res.redirect('/signin');
+                }
+                return await oauthRouter.showDeviceCode(req, res, user, req.query.user_code);
+            } catch (err) {
+                return next(err);
+            }
+        });
+
+        // answer verification page of device authorization
+        /**
+         * @swagger
+         * paths:
+         *   /oauth/device:
+         *     post:
+         *       summary: Approve or deny an app on verification page of device authorization
+         *       tags:
+         *         - "oauth"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 user_code:
+         *                   type: string
+         *                 decision:
+         *                   type: string
+         *                   enum: [allow, deny]
+         *       responses:
+         *         200:
+         *           description: Show result of the decision, or the code form again when the code is invalid or expired
+         *         302:
+         *           description: Redirect to /signin when user not yet signed in
+         *         403:
+         *           description: Show Forbidden when CSRF token is invalid
+         */
+        router.post(DEVICE_PATH, async function (req, res, next) {
+            const isApproved = ('allow' === req.body.decision);
+            try {
+                const site = oauthRouter.site;
+                const user = await site.findSignInUser(req);
+                if (!user) {
+                    site.setReturnTo(req, OAUTH_PATH + DEVICE_PATH);
+                    return res.redirect('/signin');
+                }
+                const found = await oauthRouter.findUserCode(req, user, req.body.user_code);
+                if (!found || (1 !== await site.deviceCode.decideCode(found.row.user_code, user.id, isApproved, OAuthRouter.getAuthTime(req)))) {
+                    return res.render('device.ejs', { email: user.email, userCode: req.body.user_code, message: ERROR_INVALID_USER_CODE.message });
+                }
+                const client = found.client;
+                if (!isApproved) {
+                    return res.render('alert.ejs', { title: req.t('Device Sign-In'), information: req.t('Request was denied, the device will not be signed in.') });
+                }
+                await site.recordAudit(req, AuditEvent.APP_AUTHORIZED, { accountId: user.id, email: user.email, provider: client.name });
+                return res.render('alert.ejs', { title: req.t('Device Sign-In'), information: req.t('Device approved, you can return to your device now.') });
+            } catch (err) {
+                if (err instanceof ThrottleError) {
+                    return res.status(429).render('device.ejs', { email: req.user.email, userCode: req.body.user_code, message: ERROR_TOO_MANY_USER_CODES.message });
+                }
+                return next(err);
+            }
+        });
+
+        // show claims of user
+        /**
+         * @swagger
+         * paths:
+         *   /oauth/userinfo:
+         *     get:
+         *       summary: Userinfo endpoint, which shows claims of user allowed by scope of access token
+         *       description: The access token issued by token endpoint is sent as bearer token, in <strong>Authorization</strong> header.
+         *       tags:
+         *         - "oauth"
+         *       responses:
+         *         200:
+         *           description: Show <strong>sub</strong>, with <strong>email</strong>, <strong>email_verified</strong> and <strong>nickname</strong> when allowed
+         *         401:
+         *           description: Show Unauthorized when the access token is invalid, expired or revoked
+         *         403:
+         *           description: Show Forbidden when the access token has no <strong>openid</strong> scope
+         */
+        router.get('/userinfo', function (req, res, next) {
+            return oauthRouter.sendUserInfo(req, res, next);
+        });
+        router.post('/userinfo', function (req, res, next) {
+            return oauthRouter.sendUserInfo(req, res, next);
+        });
+    }
+
+    /**
+     * Find the app and redirect URI of an authorization request. Errors of them can't be sent back to the app,
+     * because the redirect URI is not trusted.
+     * 
+     * @param {Object} params - Parameters of authorization request, from query string or consent form.
+     * @return {AuthorizationRequest} - The authorization request, not yet checked by <strong>checkAuthorizationRequest()</strong>.
+     * @throws {Error} When the app is unknown, or the redirect URI is not registered.
+     */
+    async findAuthorizationRequest(params) {
+        const client = await this.site.oauthClient.findClient(params.client_id);
+        if (!client) {
+            throw ERROR_UNKNOWN_CLIENT;
+        }
+        if (!params.redirect_uri || !client.redirect_uris.includes(params.redirect_uri)) {
+            throw ERROR_INVALID_REDIRECT;
+        }
+        return {
+            client,
+            redirectUri: params.redirect_uri,
+            scope: OAuthRouter.parseScope(params.scope),
+            state: params.state,
+            nonce: params.nonce,
+            responseType: params.response_type,
+            codeChallenge: params.code_challenge,
+            codeChallengeMethod: params.code_challenge_method,
+            prompt: params.prompt
+        };
+    }
+
+    /**
+     * Check response type, PKCE and scope of an authorization request.
+     * 
+     * @param {AuthorizationRequest} request - The authorization request.
+     * @throws {Error} When the request is not supported, the error is sent back to the app.
+     */
+    static checkAuthorizationRequest(request) {
+        if (RESPONSE_TYPE_CODE !== request.responseType) {
+            throw ERROR_UNSUPPORTED_RESPONSE;
+        }
+        if (!request.codeChallenge || (CODE_CHALLENGE_S256 !== request.codeChallengeMethod)) {
+            throw ERROR_PKCE_REQUIRED;
+        }
+        if (!request.scope) {
+            throw ERROR_NO_SCOPE;
+        }
+    }
+
+    /**
+     * Continue an authorization request by the session of user. User is asked to sign in when not yet signed in,
+     * and is shown consent screen when the app was not allowed with requested scope. Otherwise the code is sent right away.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {AuthorizationRequest} request - The checked authorization request.
+     * @throws {Error} When <strong>prompt=none</strong> is requested, but a page must be shown.
+     */
+    async authorize(req, res, request) {
+        const user = await this.site.findSignInUser(req);
+        var consentedScopes;
+        if (!user) {
+            if (PROMPT_NONE === request.prompt) {
+                throw ERROR_LOGIN_REQUIRED;
+            }
+            this.site.setReturnTo(req, req.originalUrl);
+            return res.redirect('/signin');
+        }
+        consentedScopes = await this.site.oauthClient.findConsent(user.id, request.client.client_id);
+        if ((PROMPT_CONSENT !== request.prompt) && request.scope.split(' ').every((scope) => consentedScopes.includes(scope))) {
+            return await this.sendCode(req, res, request, user);
+        }
+        if (PROMPT_NONE === request.prompt) {
+            throw ERROR_CONSENT_REQUIRED;
+        }
+        return res.render('consent.ejs', {
+            clientName: request.client.name,
+            email: user.email,
+            scopes: OAuthRouter.describeScopes(req, request.scope),
+            params: {
+                response_type: request.responseType,
+                client_id: request.client.client_id,
+                redirect_uri: request.redirectUri,
+                scope: request.scope,
+                state: request.state,
+                nonce: request.nonce,
+                code_challenge: request.codeChallenge,
+                code_challenge_method: request.codeChallengeMethod
+            }
+        });
+    }
+
+    /**
+     * Show verification page of device authorization. With a valid user code, the app and requested scopes are shown to be
+     * approved or denied, otherwise the code form is shown.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {Object} user - The account record of signed in user.
+     * @param {string} [userCode] - The user code from query string.
+     */
+    async showDeviceCode(req, res, user, userCode) {
+        var found = null;
+        if (userCode) {
+            try {
+                found = await this.findUserCode(req, user, userCode);
+            } catch (err) {
+                if (err instanceof ThrottleError) {
+                    return res.status(429).render('device.ejs', { email: user.email, userCode, message: ERROR_TOO_MANY_USER_CODES.message });
+                }
+                throw err;
+            }
+        }
+        if (!found) {
+            return res.render('device.ejs', { email: user.email, userCode, message: userCode ? ERROR_INVALID_USER_CODE.message : null });
+        }
+        return res.render('device.ejs', {
+            email: user.email,
+            userCode: found.row.user_code,
+            clientName: found.client.name,
+            scopes: OAuthRouter.describeScopes(req, found.row.scope)
+        });
+    }
+
+    /**
+     * Find a pending device code by user code entered by signed in user, with its client. Invalid codes are counted per
+     * account and per client IP, so that user codes can't be guessed by brute force (RFC 8628 section 5.1).
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} user - The account record of signed in user.
+     * @param {string} userCode - The user code entered by user.
+     * @return {Object} - The code record as <strong>row</strong>, and the client record as <strong>client</strong>, if the code is valid.
+     * @return null - otherwise
+     * @throws {ThrottleError} When too many invalid codes were entered.
+     */
+    async findUserCode(req, user, userCode) {
+        const site = this.site;
+        await site.userCodeThrottle.check(user.email, req.ip);
+        const row = await site.deviceCode.findUserCode(userCode);
+        const client = row ? await site.oauthClient.findClient(row.client_id) : null;
+        if (!client) {
+            await site.userCodeThrottle.recordFailure(user.email, req.ip);
+            return null;
+        }
+        await site.userCodeThrottle.recordSuccess(user.email);
+        return { row, client };
+    }
+
+    /**
+     * Get the issuer, that is, base URL of this site.
+     * 
+     * @return {string} - The issuer.
+     */
+    getIssuer() {
+        return TokenIssuer.getIssuer() || this.site.config.serviceUri;
+    }
+
+    /**
+     * Issue an authorization code, and redirect user back to the app with it.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {AuthorizationRequest} request - The checked authorization request.
+     * @param {Object} user - The account record of signed in user.
+     */
+    async sendCode(req, res, request, user) {
+        const code = await this.site.authorizationCode.issueCode(user.id, request, OAuthRouter.getAuthTime(req));
+        return res.redirect(OAuthRouter.makeRedirectUri(request.redirectUri, { code, state: request.state }));
+    }
+
+    /**
+     * Get the time when user signed in by entering credentials, or when the login was restored.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {Date} - The time when user signed in.
+     */
+    static getAuthTime(req) {
+        return new Date(req.session.authTime || req.user.signedIn || Date.now());
+    }
+
+    /**
+     * Redirect user back to the app with an error. Unexpected errors are passed to next middleware.
+     * 
+     * @param {Response} res - The HTTP response
+     * @param {AuthorizationRequest} request - The authorization request.
+     * @param {Error} err - The error.
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     */
+    static redirectError(res, request, err, next) {
+        const error = ERROR_CODES.get(err);
+        if (!error) {
+            return next(err);
+        }
+        return res.redirect(OAuthRouter.makeRedirectUri(request.redirectUri, { error, error_description: err.message, state: request.state }));
+    }
+
+    /**
+     * Authenticate the app calling token endpoint, by HTTP Basic authentication or by <strong>client_id</strong> and
+     * <strong>client_secret</strong> in request body.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {Object} - The client record.
+     * @throws {Error} When the app is unknown, or its secret is incorrect.
+     */
+    async authenticateClient(req) {
+        const basic = RX_BASIC.exec(req.get('authorization') || '');
+        var clientId = req.body.client_id;
+        var clientSecret = req.body.client_secret;
+        var credentials;
+        var client;
+        if (basic) {
+            credentials = Buffer.from(basic[1], 'base64').toString('utf8').split(':');
+            try {
+                clientId = decodeURIComponent(credentials[0]);
+                clientSecret = decodeURIComponent(credentials.slice(1).join(':'));
+            } catch (err) {
+                throw ERROR_INVALID_CLIENT;
+            }
+        }
+        client = await this.site.oauthClient.authenticateClient(clientId, clientSecret);
+        if (!client) {
+            throw ERROR_INVALID_CLIENT;
+        }
+        return client;
+    }
+
+    /**
+     * Exchange an authorization code for tokens. The code must be issued to the app for the same redirect URI, and the
+     * code verifier must match the PKCE challenge.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} client - The authenticated client record.
+     * @return {RefreshTokenPair} - The issued refresh token, with the account record as <strong>user</strong>, and the
+     *                              <strong>nonce</strong> and <strong>authTime</strong> of the code.
+     * @throws {Error} When the code is invalid.
+     */
+    async grantAuthorizationCode(req, client) {
+        const site = this.site;
+        const row = await site.authorizationCode.consumeCode(req.body.code);
+        var user;
+        var pair;
+        if (!row || (row.client_id !== client.client_id) || (row.redirect_uri !== req.body.redirect_uri)) {
+            throw ERROR_INVALID_CODE;
+        }
+        if (!TokenUtil.verifyCodeChallenge(req.body.code_verifier, row.code_challenge)) {
+            throw ERROR_INVALID_CODE;
+        }
+        user = await site.account.findUserById(row.account_id);
+        if (!user || user.disabled) {
+            throw ERROR_INVALID_CODE;
+        }
+        pair = await site.refreshToken.issueToken(user.id, client.name, (site.config.tokenOptions || {}).refreshDays, { clientId: client.client_id, scope: row.scope });
+        return Object.assign(pair, { user, nonce: row.nonce, authTime: row.auth_time });
+    }
+
+    /**
+     * Rotate a refresh token issued to the app. A refresh token of another app is revoked.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} client - The authenticated client record.
+     * @return {RefreshTokenPair} - The rotated refresh token, with the account record as <strong>user</strong>.
+     * @throws {Error} When the refresh token is invalid, expired, or replayed.
+     */
+    async grantRefresh(req, client) {
+        const site = this.site;
+        var pair;
+        var user;
+        try {
+            pair = await site.refreshToken.rotateToken(req.body.refresh_token);
+        } catch (err) {
+            if (err instanceof TokenTheftError) {
+                throw ERROR_INVALID_REFRESH;
+            }
+            throw err;
+        }
+        if (!pair) {
+            throw ERROR_INVALID_REFRESH;
+        }
+        user = await site.account.findUserById(pair.accountId);
+        if ((pair.clientId !== client.client_id) || !user || user.disabled) {
+            await site.refreshToken.revokeToken(pair.family);
+            throw ERROR_INVALID_REFRESH;
+        }
+        pair.user = user;
+        return pair;
+    }
+
+    /**
+     * Exchange an approved device code for tokens. The code must be issued to the app, and approved by user.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} client - The authenticated client record.
+     * @return {RefreshTokenPair} - The issued refresh token, with the account record as <strong>user</strong>, and the
+     *                              <strong>authTime</strong> of the approval.
+     * @throws {Error} When the code is invalid, expired, denied, or not yet approved.
+     */
+    async grantDeviceCode(req, client) {
+        const site = this.site;
+        const row = await site.deviceCode.pollCode(req.body.device_code, client.client_id);
+        var user;
+        var pair;
+        if (!row) {
+            throw ERROR_INVALID_DEVICE_CODE;
+        }
+        if (row.expired) {
+            throw ERROR_EXPIRED_DEVICE_CODE;
+        }
+        if (DeviceCodeStatus.PENDING === row.status) {
+            throw (row.slowDown ? ERROR_SLOW_DOWN : ERROR_AUTHORIZATION_PENDING);
+        }
+        if (DeviceCodeStatus.DENIED === row.status) {
+            throw ERROR_ACCESS_DENIED;
+        }
+        user = await site.account.findUserById(row.account_id);
+        if (!user || user.disabled) {
+            throw ERROR_INVALID_DEVICE_CODE;
+        }
+        pair = await site.refreshToken.issueToken(user.id, client.name, (site.config.tokenOptions || {}).refreshDays, { clientId: client.client_id, scope: row.scope });
+        return Object.assign(pair, { user, authTime: row.auth_time });
+    }
+
+    /**
+     * Send tokens of a grant. ID token is sent for <strong>openid</strong> scope, and refresh token for
+     * <strong>offline_access</strong> scope. Responses of tokens are never cached.
+     * 
+     * @param {Response} res - The HTTP response
+     * @param {RefreshTokenPair} pair - The refresh token, with the account record as <strong>user</strong>.
+     */
+    static sendTokens(res, pair) {
+        const scopes = pair.scope.split(' ');
+        const { accessToken, expiresIn } = TokenIssuer.issueAccessToken(pair.user, pair.family, { clientId: pair.clientId, scope: pair.scope });
+        const body = {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: expiresIn,
+            scope: pair.scope
+        };
+        if (scopes.includes(SCOPE_OPENID)) {
+            body.id_token = TokenIssuer.issueIdToken(pair.user, pair.clientId, pair.scope, { nonce: pair.nonce, authTime: pair.authTime });
+        }
+        if (scopes.includes(SCOPE_OFFLINE_ACCESS)) {
+            body.refresh_token = pair.refreshToken;
+        }
+        res.set('Cache-Control', 'no-store');
+        res.set('Pragma', 'no-cache');
+        return res.json(body);
+    }
+
+    /**
+     * Send error of token endpoint. Unexpected errors are passed to next middleware.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {Error} err - The error.
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     */
+    static sendTokenError(req, res, err, next) {
+        const error = ERROR_CODES.get(err);
+        if (!error) {
+            return next(err);
+        }
+        if (ERROR_INVALID_CLIENT === err) {
+            if (RX_BASIC.test(req.get('authorization') || '')) {
+                res.set('WWW-Authenticate', 'Basic realm="oauth"');
+            }
+            return res.status(401).json({ error, error_description: err.message });
+        }
+        return res.status(400).json({ error, error_description: err.message });
+    }
+
+    /**
+     * Send claims of user allowed by scope of the access token in <strong>Authorization: Bearer</strong> header.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     */
+    async sendUserInfo(req, res, next) {
+        const site = this.site;
+        const bearer = RX_BEARER.exec(req.get('authorization') || '');
+        var payload;
+        var user;
+        try {
+            payload = TokenIssuer.verifyAccessToken(bearer ? bearer[1] : '');
+            user = await site.account.findUserById(parseInt(payload.sub));
+            if (!payload.client_id || !user || user.disabled || !await site.refreshToken.isActive(payload.sid)) {
+                throw ERROR_INVALID_TOKEN;
+            }
+        } catch (err) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'invalid_token', error_description: ERROR_INVALID_TOKEN.message });
+        }
+        if (!String(payload.scope).split(' ').includes(SCOPE_OPENID)) {
+            res.set('WWW-Authenticate', 'Bearer error="insufficient_scope", scope="openid"');
+            return res.status(403).json({ error: 'insufficient_scope', error_description: ERROR_INSUFFICIENT_SCOPE.message });
+        }
+        res.set('Cache-Control', 'no-store');
+        return res.json(TokenIssuer.getUserClaims(user, payload.scope));
+    }
+
+    /**
+     * Keep supported scopes of requested scope, in order and without duplicates.
+     * 
+     * @param {string} [scope] - The requested scope, space separated.
+     * @return {string} - The supported scopes, space separated, empty if none.
+     */
+    static parseScope(scope) {
+        const scopes = String(scope || '').split(' ');
+        return SUPPORTED_SCOPES.filter((supported) => scopes.includes(supported)).join(' ');
+    }
+
+    /**
+     * Describe granted scopes to user, in locale of the request.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} scope - The scopes, space separated.
+     * @return {string[]} - The translated descriptions of scopes.
+     */
+    static describeScopes(req, scope) {
+        return scope.split(' ').map((entry) => req.t(SCOPE_DESCRIPTIONS[entry]));
+    }
+
+    /**
+     * Add parameters to a redirect URI, parameters without value are skipped.
+     * 
+     * @param {string} redirectUri - The redirect URI.
+     * @param {Object} params - The parameters.
+     * @return {string} - The redirect URI with parameters.
+     */
+    static makeRedirectUri(redirectUri, params) {
+        const url = new URL(redirectUri);
+        Object.keys(params).filter((name) => params[name]).forEach((name) => {
+            url.searchParams.set(name, params[name]);
+        });
+        return url.toString();
+    }
+
+    /**
+     * Make discovery metadata of OpenID Connect provider.
+     * 
+     * @param {string} issuer - The issuer, that is, base URL of this site.
+     * @param {string} jwksPath - Path of JWKS endpoint.
+     * @return {Object} - The provider metadata.
+     */
+    static makeDiscovery(issuer, jwksPath) {
+        return {
+            issuer,
+            authorization_endpoint: issuer + OAUTH_PATH + '/authorize',
+            token_endpoint: issuer + OAUTH_PATH + '/token',
+            userinfo_endpoint: issuer + OAUTH_PATH + '/userinfo',
+            device_authorization_endpoint: issuer + OAUTH_PATH + '/device_authorization',
+            jwks_uri: issuer + jwksPath,
+            scopes_supported: SUPPORTED_SCOPES,
+            response_types_supported: [RESPONSE_TYPE_CODE],
+            response_modes_supported: ['query'],
+            grant_types_supported: [GRANT_AUTHORIZATION_CODE, GRANT_REFRESH, GRANT_DEVICE_CODE],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: TokenIssuer.getAlgorithms(),
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+            code_challenge_methods_supported: [CODE_CHALLENGE_S256],
+            claims_supported: ['iss', 'sub', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'email', 'email_verified', 'nickname']
+        };
+    }
+
+    /**
+     * Create an initialized OAuthRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created OAuthRouter
+     */
+    static makeOne(site) {
+        var instance = new OAuthRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { OAuthRouter };
@@ -0,0 +1,288 @@
+import express from 'express';
+
+import { AuditEvent } from '../dal/audit-log.js';
+import { ERROR_NO_EMAIL } from './site-errors.js';
+
+
+// password router constants
+const FORGOT_PAGE = '/password/forgot';
+const RESET_PAGE = '/password/reset';
+const PROVIDER_RESET_LINK = 'reset-link';
+
+// input check constants
+const ERROR_INVALID_RESET = new Error('Invalid or used password reset link');
+const INFO_RESET_SENT = 'If the E-mail was signed up, a password reset E-mail was sent to it';
+
+
+/**
+ * Routes for public password recovery pages (forgot password / reset password by E-mail link).
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { PasswordRouter } from './password-router.js';
+ * 
+ * // in Site.addRoutes() or SomeRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/password', PasswordRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class PasswordRouter {
+
+    /**
+     * Created a PasswordRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this PasswordRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this PasswordRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const account = site.account;
+        const passwordRouter = this;
+
+        // serve forgot password page
+        /**
+         * @swagger
+         * paths:
+         *   /password/forgot:
+         *     get:
+         *       summary: Show the forgot password page
+         *       tags:
+         *         - "password"
+         *       responses:
+         *         200:
+         *           description: Always show the forgot password page
+         */
+        router.get('/forgot', function (req, res, next) {
+            passwordRouter.renderForgot(req, res);
+        });
+
+        // send password reset email
+        /**
+         * @swagger
+         * paths:
+         *   /password/forgot:
+         *     post:
+         *       summary: Send password reset email
+         *       description: Send an E-mail with a single-use password reset link, which replaces the previous link. Accounts
+         *                    signed up by social network recieve an E-mail explaining how to sign in instead. The response
+         *                    is the same whether the E-mail was signed up or not. Requests are rate limited per E-mail
+         *                    address and per client IP.
+         *       tags:
+         *         - "password"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 emailAddr:
+         *                   type: string
+         *                   description: Email address of a user
+         *               required:
+         *                - emailAddr
+         *       responses:
+         *         200:
+         *           description: Show the forgot password page with result of this operation
+         *         302:
+         *           description: Redirect to forgot password page with error message when E-mail address is missing,
+         *                        or too many E-mails were requested
+         */
+        router.post('/forgot', async function (req, res, next) {
+            const email = req.body.emailAddr;
+            try {
+                if (!email) {
+                    throw ERROR_NO_EMAIL;
+                }
+                await passwordRouter.site.countEmailRequest(req, email);
+                await account.sendPasswordResetEmail(email, req.locale);
+                return res.render('forgot-password.ejs', { information: INFO_RESET_SENT });
+            } catch (err) {
+                return passwordRouter.renderForgot(req, res, err);
+            }
+        });
+
+        // serve reset password page
+        /**
+         * @swagger
+         * paths:
+         *   /password/reset/{email}/{resetToken}:
+         *     get:
+         *       summary: Show the reset password page for a password reset link
+         *       tags:
+         *         - "password"
+         *       parameters:
+         *         - name: email
+         *           in: path
+         *           description: Email address of a user.
+         *         - name: resetToken
+         *           in: path
+         *           description: Reset token from the link in sent password reset email.
+         *       responses:
+         *         200:
+         *           description: Show the reset password page if reset token is <strong>valid</strong>.
+         *         404:
+         *           description: Show Not Found to mislead attacker when reset token is <strong>invalid</strong>.
+         *         412:
+         *           description: Show error message when reset token expired.
+         */
+        router.get('/reset/:email/:resetToken', async function (req, res, next) {
+            const { email, resetToken } = req.params;
+            const decodedEmail = decodeURIComponent(email);
+            var isValid = false;
+            try {
+                isValid = await account.checkResetToken(decodedEmail, resetToken);
+            } catch (err) {
+                return res.status(412).render('alert.ejs', { title: 'Reset Password', message: err.message, returnTo: FORGOT_PAGE });
+            }
+            if (isValid) {
+                return res.render('reset-password.ejs', { email: decodedEmail, resetToken, errorMessage: site.consumeErrorMessage(req) });
+            } else {
+                res.status(404);
+                return next();
+            }
+        });
+
+        // reset password by reset token
+        /**
+         * @swagger
+         * paths:
+         *   /password/reset:
+         *     post:
+         *       summary: Handle reset password by reset token
+         *       tags:
+         *         - "password"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 emailAddr:
+         *                   type: string
+         *                   description: Email address of a user
+         *                 resetToken:
+         *                   type: string
+         *                   description: Reset token from the link in sent password reset email
+         *                 password:
+         *                   type: string
+         *                   description: New password of a user
+         *                 passwordConfirm:
+         *                   type: string
+         *                   description: New password of a user, entered again
+         *               required:
+         *                - emailAddr
+         *                - resetToken
+         *                - password
+         *       responses:
+         *         200:
+         *           description: Show result of this reset password operation
+         *         302:
+         *           description: Redirect to reset password page with error message when new password is invalid
+         *         412:
+         *           description: Show error message when reset token is invalid or expired
+         */
+        router.post('/reset', async function (req, res, next) {
+            const email = req.body.emailAddr;
+            const resetToken = req.body.resetToken;
+            const password = req.body.password;
+            const passwordConfirm = req.body.passwordConfirm;
+            var result;
+            var userList = [];
+            var passwordHistory = [];
+            var isReset = false;
+            try {
+                if (email) {
+                    userList = await account.findUsersByEmail(email);
+                }
+                // recent passwords are checked only with a valid reset token, so that they cannot be guessed by this page
+                if ((site.passwordChecker.policy.historySize > 0) && (1 === userList.length) && await account.checkResetToken(email, resetToken)) {
+                    passwordHistory = await account.listRecentPasswords(userList[0], site.passwordChecker.policy.historySize);
+                }
+                result = await site.passwordChecker.checkPassword(password || '', passwordConfirm, {
+                    email,
+                    nickname: (1 === userList.length) ? userList[0].nickname : null,
+                    passwordHistory,
+                    locale: req.locale
+                });
+                if (!result.isValid) {
+                    return passwordRouter.renderReset(req, res, email, resetToken, { message: site.concatMessage(result.invalidNotes) });
+                }
+                isReset = await account.resetPassword(email, resetToken, password);
+                if (!isReset) {
+                    throw ERROR_INVALID_RESET;
+                }
+                if (site.isSessionStored() && (1 === userList.length)) {
+                    await site.userSession.revokeAccountSessions(userList[0].id);
+                }
+                await site.recordAudit(req, AuditEvent.PASSWORD_CHANGE, { email, provider: PROVIDER_RESET_LINK });
+            } catch (err) {
+                return res.status(412).render('alert.ejs', { title: 'Reset Password', message: err.message, returnTo: FORGOT_PAGE });
+            }
+            return res.render('alert.ejs', { title: 'Reset Password', information: 'Password updated, please sign in with new password', returnTo: '/signin' });
+        });
+    }
+
+    /**
+     * Render forgot password page, with optional error message.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {MessageObject} [err] - Optional object with error message
+     */
+    renderForgot(req, res, err) {
+        const site = this.site;
+        if (err) {
+            req.session.errorMessage = err.message;
+            return res.redirect(FORGOT_PAGE);
+        }
+        return res.render('forgot-password.ejs', { errorMessage: site.consumeErrorMessage(req) });
+    }
+
+    /**
+     * Redirect to reset password page of a password reset link, with error message.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {string} email - Email address of a user.
+     * @param {string} resetToken - Reset token from the link in sent password reset email.
+     * @param {MessageObject} err - Object with error message
+     */
+    renderReset(req, res, email, resetToken, err) {
+        const encodedEmail = encodeURIComponent(email || '');
+        const encodedToken = encodeURIComponent(resetToken || '');
+        req.session.errorMessage = err.message;
+        return res.redirect(`${RESET_PAGE}/${encodedEmail}/${encodedToken}`);
+    }
+
+    /**
+     * Create an initialized PasswordRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created PasswordRouter
+     */
+    static makeOne(site) {
+        var instance = new PasswordRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { PasswordRouter };
@@ -0,0 +1,226 @@
+import express from 'express';
+
+import { AccessControl } from '../util/access-control.js';
+import { AuditEvent } from '../dal/audit-log.js';
+
+
+// input check constants
+const ERROR_NO_TOKEN_NAME = new Error('Please input name of access token');
+const ERROR_NO_SCOPE = new Error('Please select at least one scope');
+const ERROR_INVALID_SCOPE = new Error('You can\'t grant this scope to an access token');
+const ERROR_INVALID_DAYS = new Error('Access token must expire in 1 to 365 days');
+const ERROR_NO_TOKEN = new Error('Access token not found, it may have been revoked already');
+const TOKEN_MAX_DAYS = 365;
+
+
+/**
+ * Routes for personal access tokens of signed in user, that is, creating, listing and revoking tokens, in JSON format. <br />
+ * A token is sent by scripts and CI as <strong>Authorization: Bearer</strong> header, to JSON routes that accept it with
+ * a scope. Creating a token needs the current password, or a sign-in within 10 minutes for users without password.
+ * The token is shown only once, when created.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { PersonalTokenRouter } from './personal-token-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/tokens', PersonalTokenRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ * 
+ * @see TokenScope
+ */
+class PersonalTokenRouter {
+
+    /**
+     * Created a PersonalTokenRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this PersonalTokenRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this PersonalTokenRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const personalToken = site.personalToken;
+
+        // list tokens
+        /**
+         * @swagger
+         * paths:
+         *   /user/tokens:
+         *     get:
+         *       summary: Show personal access tokens of signed in user, the most recently created one first
+         *       tags:
+         *         - "token"
+         *       responses:
+         *         200:
+         *           description: Show <strong>tokens</strong>, each with name, scopes, created, lastUsed and expires,
+         *                        and <strong>scopes</strong> the user can grant
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if account of signed in user is not found
+         */
+        router.get('/', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                return res.json({
+                    tokens: await personalToken.listTokens(user.id),
+                    scopes: AccessControl.listTokenScopes(user.roles)
+                });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // create a token
+        /**
+         * @swagger
+         * paths:
+         *   /user/tokens:
+         *     post:
+         *       summary: Create a personal access token
+         *       description: The token is shown only once, in the response.
+         *       tags:
+         *         - "token"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 name:
+         *                   type: string
+         *                   description: Name of the token, e.g. where it is used
+         *                 scopes:
+         *                   type: array
+         *                   items:
+         *                     type: string
+         *                   description: Scopes of the token, e.g. profile:read, user:list or user:statistics
+         *                 days:
+         *                   type: number
+         *                   description: The token expires in given days, 1 to 365
+         *                 password:
+         *                   type: string
+         *                   description: Current password, required for users signed up by E-mail & password
+         *               required:
+         *                - name
+         *                - scopes
+         *                - days
+         *       responses:
+         *         200:
+         *           description: Show the created <strong>token</strong>, with id, name, token, scopes and expires
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if input is invalid, or user not re-authenticated
+         */
+        router.post('/', site.secureApi, async function (req, res, next) {
+            const name = String(req.body.name || '').trim();
+            const days = parseInt(req.body.days);
+            try {
+                const user = await site.findSignInUser(req);
+                if (!name) {
+                    throw ERROR_NO_TOKEN_NAME;
+                }
+                const scopes = PersonalTokenRouter.checkScopes(req.body.scopes, user.roles);
+                if (!(days >= 1 && days <= TOKEN_MAX_DAYS)) {
+                    throw ERROR_INVALID_DAYS;
+                }
+                await site.checkReauthenticated(req, user, req.body.password);
+                const token = await personalToken.createToken(user.id, name, scopes, days);
+                await site.recordAudit(req, AuditEvent.TOKEN_CREATED, { accountId: user.id, email: user.email, provider: token.name });
+                return res.json({ token, information: req.t('{name} created', { name: token.name }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // revoke a token
+        /**
+         * @swagger
+         * paths:
+         *   /user/tokens/{tokenId}/revoke:
+         *     post:
+         *       summary: Revoke a personal access token of signed in user
+         *       tags:
+         *         - "token"
+         *       parameters:
+         *         - name: tokenId
+         *           in: path
+         *           description: id of a token in token list
+         *       responses:
+         *         200:
+         *           description: Show OK when the token was revoked
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if the token is not found
+         */
+        router.post('/:tokenId/revoke', site.secureApi, async function (req, res, next) {
+            const tokenId = parseInt(req.params.tokenId);
+            try {
+                const user = await site.findSignInUser(req);
+                const target = (await personalToken.listTokens(user.id)).find((entry) => (entry.id === tokenId));
+                if (!target || (1 !== await personalToken.revokeToken(user.id, tokenId))) {
+                    throw ERROR_NO_TOKEN;
+                }
+                await site.recordAudit(req, AuditEvent.TOKEN_REVOKED, { accountId: user.id, email: user.email, provider: target.name });
+                return res.json({ information: req.t('{name} revoked', { name: target.name }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+    }
+
+    /**
+     * Check scopes of a token to be created, see <strong>TokenScope</strong>.
+     * 
+     * @param {string[]|string} scopes - The requested scopes.
+     * @param {string[]} roles - Roles of the user, as a scope named as a permission needs the permission.
+     * @return {string[]} - The scopes, without duplicate ones.
+     * @throws {Error} When no scope is given, or any of them can't be granted.
+     */
+    static checkScopes(scopes, roles) {
+        const list = [...new Set((Array.isArray(scopes) ? scopes : [scopes]).filter((scope) => scope).map(String))];
+        const grantable = AccessControl.listTokenScopes(roles);
+        if (0 === list.length) {
+            throw ERROR_NO_SCOPE;
+        }
+        if (!list.every((scope) => grantable.includes(scope))) {
+            throw ERROR_INVALID_SCOPE;
+        }
+        return list;
+    }
+
+    /**
+     * Create an initialized PersonalTokenRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created PersonalTokenRouter
+     */
+    static makeOne(site) {
+        var instance = new PersonalTokenRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { PersonalTokenRouter };
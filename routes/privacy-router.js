@@ -0,0 +1,177 @@
+import express from 'express';
+
+
+// input check constants
+const ERROR_NOT_SCHEDULED = new Error('Deletion of your account was not scheduled');
+const INFO_DELETION_CANCELLED = 'Deletion of your account was cancelled';
+const EXPORT_FILE_NAME = 'account-data.json';
+
+
+/**
+ * Routes for personal data of a signed in user, that is, exporting the data and deleting the account, in JSON format. <br />
+ * Deletion takes effect after a grace period (see <strong>DeletionOptions</strong>), and it can be cancelled by signing in
+ * and cancelling it before then.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { PrivacyRouter } from './privacy-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/privacy', PrivacyRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class PrivacyRouter {
+
+    /**
+     * Created a PrivacyRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this PrivacyRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this PrivacyRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const account = site.account;
+
+        // export personal data
+        /**
+         * @swagger
+         * paths:
+         *   /user/privacy/export:
+         *     get:
+         *       summary: Download personal data of signed in user, as a JSON file
+         *       description: The account record and related activity (linked identities, saved sign-ins, two-factor status,
+         *                    sessions, known devices, personal tokens, OAuth consents and audit events), without password and
+         *                    other secrets.
+         *       tags:
+         *         - "privacy"
+         *       responses:
+         *         200:
+         *           description: Show personal data of signed in user, as an attachment
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if the account is not found
+         */
+        router.get('/export', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                const data = await account.exportUserData(user.email);
+                res.attachment(EXPORT_FILE_NAME);
+                return res.json(data);
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // schedule deletion of account
+        /**
+         * @swagger
+         * paths:
+         *   /user/privacy/delete:
+         *     post:
+         *       summary: Schedule deletion of signed in user, and sign out
+         *       description: User must re-authenticate by password. Accounts without password must have signed in recently.
+         *                    The account is deleted permanently after a grace period, and saved sign-ins are revoked at once.
+         *       tags:
+         *         - "privacy"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 password:
+         *                   type: string
+         *                   description: Current password of user, required if the account has password
+         *       responses:
+         *         200:
+         *           description: Show the time after which the account is deleted, as <strong>deleteAfter</strong>
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if re-authentication failed
+         */
+        router.post('/delete', site.secureApi, async function (req, res, next) {
+            const graceDays = (site.config.deletionOptions || {}).graceDays;
+            var deleteAfter;
+            try {
+                const user = await site.findSignInUser(req);
+                await site.checkReauthenticated(req, user, req.body.password);
+                deleteAfter = await account.requestDeletion(user.email, graceDays, req.locale);
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+
+            // sign out this browser, saved sign-ins were revoked already
+            await site.forgetUser(req, res);
+            req.logout();
+            req.session.destroy();
+            return res.json({
+                deleteAfter,
+                information: req.t('Your account will be deleted after {time}. To keep it, sign in and cancel from your profile before then', { time: deleteAfter.toISOString() })
+            });
+        });
+
+        // cancel deletion of account
+        /**
+         * @swagger
+         * paths:
+         *   /user/privacy/cancel-delete:
+         *     post:
+         *       summary: Cancel scheduled deletion of signed in user, in the grace period
+         *       tags:
+         *         - "privacy"
+         *       responses:
+         *         200:
+         *           description: Show OK when deletion was cancelled
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if deletion was not scheduled
+         */
+        router.post('/cancel-delete', site.secureApi, async function (req, res, next) {
+            try {
+                const updateCount = await account.cancelDeletion(req.user.email);
+                if (1 !== updateCount) {
+                    throw ERROR_NOT_SCHEDULED;
+                }
+                return res.json({ information: INFO_DELETION_CANCELLED });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+    }
+
+    /**
+     * Create an initialized PrivacyRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created PrivacyRouter
+     */
+    static makeOne(site) {
+        var instance = new PrivacyRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { PrivacyRouter };
@@ -0,0 +1,195 @@
+import express from 'express';
+
+import { AccessControl, Permission } from '../util/access-control.js';
+import { AuditEvent } from '../dal/audit-log.js';
+
+
+// input check constants
+const PROVIDER_ADMIN = 'admin';
+
+
+/**
+ * Routes for granting and revoking roles of users, in JSON format. All routes need permission 'role:manage'. <br />
+ * The first administrator is bootstrapped by config, see <strong>AccessOptions</strong>.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { RoleRouter } from './role-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/roles', RoleRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class RoleRouter {
+
+    /**
+     * Created a RoleRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this RoleRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this RoleRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const account = site.account;
+
+        // list roles
+        /**
+         * @swagger
+         * paths:
+         *   /user/roles:
+         *     get:
+         *       summary: Show defined roles with their permissions, and users who have each role
+         *       tags:
+         *         - "role"
+         *       responses:
+         *         200:
+         *           description: Show list of roles
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         */
+        router.get('/', site.permitApi(Permission.ROLE_MANAGE), async function (req, res, next) {
+            const roleList = AccessControl.listRoles();
+            var userList;
+            for (const entry of roleList) {
+                userList = await account.findUsersByRole(entry.role);
+                entry.users = userList.map((user) => ({ id: user.id, email: user.email, nickname: user.nickname }));
+            }
+            return res.json(roleList);
+        });
+
+        // grant a role
+        /**
+         * @swagger
+         * paths:
+         *   /user/roles/grant:
+         *     post:
+         *       summary: Grant a role to a user
+         *       description: Signed in user must have two-factor authentication enabled.
+         *       tags:
+         *         - "role"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 userId:
+         *                   type: number
+         *                   description: unique database id of a user
+         *                 role:
+         *                   type: string
+         *                   description: Name of a role, e.g. 'analyst'
+         *               required:
+         *                - userId
+         *                - role
+         *       responses:
+         *         200:
+         *           description: Show OK when the role was granted
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if the role or the user is unknown
+         */
+        router.post('/grant', site.permitApi(Permission.ROLE_MANAGE), async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                const user = await site.findTargetUser(req.body.userId);
+                const updateCount = await account.grantRole(user.id, req.body.role);
+                if (1 !== updateCount) {
+                    return res.json({ information: req.t('{email} already has role {role}', { email: user.email, role: req.body.role }) });
+                }
+                await site.recordAudit(req, AuditEvent.ROLE_GRANTED, { accountId: user.id, email: user.email, provider: PROVIDER_ADMIN });
+                return res.json({ information: req.t('Role {role} granted to {email}', { email: user.email, role: req.body.role }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // revoke a role
+        /**
+         * @swagger
+         * paths:
+         *   /user/roles/revoke:
+         *     post:
+         *       summary: Revoke a role from a user
+         *       description: Signed in user must have two-factor authentication enabled. The last administrator can't be revoked.
+         *       tags:
+         *         - "role"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 userId:
+         *                   type: number
+         *                   description: unique database id of a user
+         *                 role:
+         *                   type: string
+         *                   description: Name of a role, e.g. 'analyst'
+         *               required:
+         *                - userId
+         *                - role
+         *       responses:
+         *         200:
+         *           description: Show OK when the role was revoked
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if user has no permission
+         *         412:
+         *           description: Show Precondition Failed if the user is unknown, or revoking the last administrator
+         */
+        router.post('/revoke', site.permitApi(Permission.ROLE_MANAGE), async function (req, res, next) {
+            try {
+                await site.checkSignInSecondFactor(req);
+                const user = await site.findTargetUser(req.body.userId);
+                const updateCount = await account.revokeRole(user.id, req.body.role);
+                if (1 !== updateCount) {
+                    return res.json({ information: req.t('{email} has no role {role}', { email: user.email, role: req.body.role }) });
+                }
+                await site.recordAudit(req, AuditEvent.ROLE_REVOKED, { accountId: user.id, email: user.email, provider: PROVIDER_ADMIN });
+                return res.json({ information: req.t('Role {role} revoked from {email}', { email: user.email, role: req.body.role }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+    }
+
+    /**
+     * Create an initialized RoleRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created RoleRouter
+     */
+    static makeOne(site) {
+        var instance = new RoleRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { RoleRouter };
@@ -0,0 +1,184 @@
+import express from 'express';
+
+
+// input check constants
+const ERROR_NOT_STORED = new Error('Sign-in sessions are not kept on this site');
+const ERROR_NO_SESSION = new Error('Session not found, it may have signed out already');
+const ERROR_CURRENT_SESSION = new Error('This is your current session, please use Logout instead');
+
+
+/**
+ * Routes for sessions where signed in user is signed in, that is, listing the sessions and revoking sessions of other devices,
+ * in JSON format. <br />
+ * Sessions are listed only when they are kept in database, see <strong>SessionStoreOptions</strong>.
+ * A revoked session is signed out at its next request, and its saved sign-in (remember-me) is revoked as well.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { SessionRouter } from './session-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/sessions', SessionRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class SessionRouter {
+
+    /**
+     * Created a SessionRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this SessionRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this SessionRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const userSession = site.userSession;
+        const sessionRouter = this;
+
+        // list sessions
+        /**
+         * @swagger
+         * paths:
+         *   /user/sessions:
+         *     get:
+         *       summary: Show sessions where signed in user is signed in, the most recently active one first
+         *       tags:
+         *         - "session"
+         *       responses:
+         *         200:
+         *           description: Show list of sessions, each with <strong>device</strong>, <strong>ip</strong> and <strong>lastActive</strong>
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if sessions are not kept in database
+         */
+        router.get('/', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await sessionRouter.findSignInUser(req);
+                return res.json(await userSession.listAccountSessions(user.id, req.sessionID));
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // revoke a session
+        /**
+         * @swagger
+         * paths:
+         *   /user/sessions/revoke:
+         *     post:
+         *       summary: Sign out a session of another device
+         *       tags:
+         *         - "session"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 sessionId:
+         *                   type: number
+         *                   description: id of a session in session list
+         *               required:
+         *                - sessionId
+         *       responses:
+         *         200:
+         *           description: Show OK when the session was revoked
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if the session is not found, or is the current session
+         */
+        router.post('/revoke', site.secureApi, async function (req, res, next) {
+            const sessionId = parseInt(req.body.sessionId);
+            try {
+                const user = await sessionRouter.findSignInUser(req);
+                const sessionList = await userSession.listAccountSessions(user.id, req.sessionID);
+                const target = sessionList.find((entry) => (entry.id === sessionId));
+                if (!target) {
+                    throw ERROR_NO_SESSION;
+                }
+                if (target.current) {
+                    throw ERROR_CURRENT_SESSION;
+                }
+                await userSession.revokeSession(user.id, sessionId);
+                return res.json({ information: req.t('Signed out {device}', { device: target.device }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // revoke all other sessions
+        /**
+         * @swagger
+         * paths:
+         *   /user/sessions/revoke-others:
+         *     post:
+         *       summary: Sign out all sessions except the current one
+         *       tags:
+         *         - "session"
+         *       responses:
+         *         200:
+         *           description: Show OK with number of revoked sessions, as <strong>count</strong>
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if sessions are not kept in database
+         */
+        router.post('/revoke-others', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await sessionRouter.findSignInUser(req);
+                const count = await userSession.revokeOtherSessions(user.id, req.sessionID);
+                return res.json({ count, information: req.t('Signed out {count} other sessions', { count }) });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+    }
+
+    /**
+     * Find account record of signed in user, when sessions are kept in database.
+     * 
+     * @param {Request} req - The HTTP request
+     * @returns {Object} - The account record in database.
+     * @throws {Error} When sessions are not kept in database, or account of signed in user is not found.
+     */
+    async findSignInUser(req) {
+        if (!this.site.isSessionStored()) {
+            throw ERROR_NOT_STORED;
+        }
+        return await this.site.findSignInUser(req);
+    }
+
+    /**
+     * Create an initialized SessionRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created SessionRouter
+     */
+    static makeOne(site) {
+        var instance = new SessionRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { SessionRouter };
@@ -0,0 +1,11 @@
+// errors of sign-in and form input, shared by Site and routers of the same sign-in flows
+const ERROR_NO_EMAIL = new Error('Please input E-mail');
+const ERROR_NO_PASSWORD = new Error('Please input Password');
+const ERROR_LOGIN_FAILED = new Error('Incorrect E-mail or Password');
+const ERROR_NO_ACCOUNT = new Error('Account not found');
+const ERROR_CSRF = new Error('This form has expired or was sent from another site, please reload the page and try again');
+const ERROR_SECOND_FACTOR_REQUIRED = new Error('Two-factor authentication required');
+const ERROR_SECOND_FACTOR_FAILED = new Error('Invalid authentication code');
+
+
+export { ERROR_NO_EMAIL, ERROR_NO_PASSWORD, ERROR_LOGIN_FAILED, ERROR_NO_ACCOUNT, ERROR_CSRF, ERROR_SECOND_FACTOR_REQUIRED, ERROR_SECOND_FACTOR_FAILED };
@@ -9,20 +9,84 @@ import swaggerJSDoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 
 import { Account } from '../dal/account.js';
+import { RememberToken } from '../dal/remember-token.js';
+import { RefreshToken } from '../dal/refresh-token.js';
+import { PersonalToken } from '../dal/personal-token.js';
+import { OAuthClient } from '../dal/oauth-client.js';
+import { AuthorizationCode } from '../dal/authorization-code.js';
+import { DeviceCode } from '../dal/device-code.js';
+import { TwoFactor } from '../dal/two-factor.js';
+import { UserSession } from '../dal/user-session.js';
+import { DbSessionStore } from '../dal/session-store.js';
+import { AuditLog, AuditEvent } from '../dal/audit-log.js';
+import { KnownDevice } from '../dal/known-device.js';
+import { TokenTheftError, DisabledAccountError, ThrottleError } from '../global.js';
+import { ERROR_NO_EMAIL, ERROR_NO_PASSWORD, ERROR_LOGIN_FAILED, ERROR_NO_ACCOUNT, ERROR_CSRF, ERROR_SECOND_FACTOR_REQUIRED, ERROR_SECOND_FACTOR_FAILED } from './site-errors.js';
 import { PasswordChecker } from '../util/password-checker.js';
+import { LoginThrottle } from '../util/login-throttle.js';
+import { AuthorizationParser, AuthorizationProvider } from '../util/authorization-parser.js';
+import { AccessControl } from '../util/access-control.js';
+import { CsrfGuard } from '../util/csrf-guard.js';
+import { OidcStrategy } from '../util/oidc-strategy.js';
+import { Localizer } from '../util/localizer.js';
+import { TokenIssuer } from '../util/token-issuer.js';
 import { UserRouter } from './user-router.js';
+import { PasswordRouter } from './password-router.js';
+import { TokenRouter } from './token-router.js';
+import { OAuthRouter } from './oauth-router.js';
 
 
 // site specific constants
 const USER_HOME = '/user/dashboard';
-const RESTORED_LOGIN = 'x';
+const SECOND_FACTOR_PAGE = '/signin/2fa';
+const SECOND_FACTOR_MINUTES = 5;
+const SECOND_FACTOR_ATTEMPTS = 5;
+const LINK_IDENTITY_MINUTES = 10;
+const REAUTHENTICATE_MINUTES = 10;
+const RETURN_TO_MINUTES = 10;
+const PROFILE_PAGE = '/user/profile';
 const LOCAL_LOGIN = 'local';
+const REMEMBER_COOKIE = 'remember';
+const DEVICE_COOKIE = 'device';
+const LOCALE_COOKIE = 'lang';
+const LOCALE_QUERY = 'lang';
+const PROVIDER_PASSWORD = 'password';
+const PROVIDER_EMAIL_LINK = 'email-link';
+const PROVIDER_REMEMBER_ME = 'remember-me';
+const DEFAULT_PURGE_MINUTES = 60;
+const USER_CODE_KEY_PREFIX = 'user-code:';
+
+// throttle of E-mails requested by visitors, a new link can be requested after a progressive delay
+const EMAIL_THROTTLE_OPTIONS = {
+    keyPrefix: 'email-request:',
+    delayAfter: 1,
+    baseDelaySeconds: 30,
+    maxDelaySeconds: 600
+};
+const JWKS_PATH = '/.well-known/jwks.json';
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+const RX_BEARER = /^Bearer\s+(\S+)$/i;
+const RX_LOCAL_PATH = /^\/(?![\/\\])/;
+
+// paths of bearer tokens, they don't rely on session cookie, and the token endpoint checks CSRF of session grant by itself
+const CSRF_EXEMPT_PATHS = ['/token', '/token/revoke', '/oauth/token', '/oauth/userinfo', '/oauth/device_authorization'];
 
 // input check constants
-const ERROR_LOGIN_FAILED = new Error('Incorrect E-mail or Password');
 const ERROR_INVALID_EMAIL = new Error('Invalid E-mail');
-const ERROR_NO_EMAIL = new Error('Please input E-mail');
-const ERROR_NO_PASSWORD = new Error('Please input Password');
+const ERROR_SECOND_FACTOR_EXPIRED = new Error('Two-factor sign-in expired, please sign in again');
+const ERROR_SECOND_FACTOR_ATTEMPTS = new Error('Too many invalid authentication codes, please sign in again');
+const ERROR_REMEMBER_THEFT = new Error('Your saved sign-in was used by another browser, all saved sign-ins were revoked. Please sign in again');
+const ERROR_SOCIAL_LOGIN = new Error('Invalid login from social network');
+const ERROR_INVALID_SIGNIN_LINK = new Error('Invalid or used sign-in link');
+const ERROR_INVALID_UNLOCK_LINK = new Error('Invalid or used unlock link');
+const ERROR_INVALID_REVOKE_LINK = new Error('Invalid, expired or used link');
+const INFO_SIGNIN_LINK_SENT = 'If the E-mail was signed up, a sign-in link was sent to it';
+const ERROR_PERMISSION = new Error('You do not have permission to access this resource');
+const ERROR_INVALID_BEARER = new Error('Invalid or expired access token');
+const ERROR_TOKEN_SCOPE = new Error('This access token does not have the required scope');
+const ERROR_TOO_MANY_EMAILS = new Error('Too many E-mails were requested, please try again later');
+const ERROR_REAUTHENTICATE = new Error('Please confirm your password, or sign in again if your account has no password');
+const ERROR_IDENTITY_NOT_LINKED = new Error('This sign-in is not linked to your account. If the E-mail was signed up before, please sign in as before and link it from your profile');
 const RX_EMAIL = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{1,3})+$/;
 
 // cookie policy constants
@@ -35,6 +99,22 @@ const RESTORE_COOKIE_POLICY = {
     path: '/',
     signed: true
 };
+const REMEMBER_COOKIE_POLICY = {
+    path: '/',
+    signed: true,
+    httpOnly: true
+};
+const DEVICE_COOKIE_POLICY = {
+    maxAge: 365 * 24 * 3600 * 1000,
+    path: '/',
+    signed: true,
+    httpOnly: true
+};
+const LOCALE_COOKIE_POLICY = {
+    maxAge: 365 * 24 * 3600 * 1000,
+    path: '/',
+    httpOnly: true
+};
 
 
 /**
@@ -92,11 +172,101 @@ class Site {
          */
         this.account = Account.makeOne();
 
+        /** 
+         * Remember-me token manager of this site.
+         * @see RememberToken
+         */
+        this.rememberToken = RememberToken.makeOne();
+
+        /** 
+         * Refresh token manager of bearer authentication.
+         * @see RefreshToken
+         */
+        this.refreshToken = RefreshToken.makeOne();
+
+        /** 
+         * Personal access tokens of users, e.g. for scripts and CI.
+         * @see PersonalToken
+         */
+        this.personalToken = PersonalToken.makeOne();
+
+        /** 
+         * Registry of OAuth clients, that is, other apps that sign in by this site.
+         * @see OAuthClient
+         */
+        this.oauthClient = OAuthClient.makeOne();
+
+        /** 
+         * Authorization code manager of OAuth provider.
+         * @see AuthorizationCode
+         */
+        this.authorizationCode = AuthorizationCode.makeOne();
+
+        /** 
+         * Device code manager of OAuth provider, for apps without browser.
+         * @see DeviceCode
+         */
+        this.deviceCode = DeviceCode.makeOne();
+
+        /** 
+         * Two-factor authentication manager of this site.
+         * @see TwoFactor
+         */
+        this.twoFactor = TwoFactor.makeOne();
+
+        /** 
+         * Sign-in session manager of this site, to list and revoke sessions stored in database.
+         * @see UserSession
+         */
+        this.userSession = UserSession.makeOne();
+
+        /** 
+         * Security audit log of this site.
+         * @see AuditLog
+         */
+        this.auditLog = AuditLog.makeOne();
+
+        /** 
+         * Known devices of users, to alert users of sign-ins from new devices.
+         * @see KnownDevice
+         */
+        this.knownDevice = KnownDevice.makeOne();
+
+        /** 
+         * Brute-force protection of password sign-in.
+         * @see LoginThrottle
+         */
+        this.loginThrottle = LoginThrottle.makeOne(config.throttleOptions);
+
+        /** 
+         * Brute-force protection of user codes entered on verification page of device authorization (RFC 8628 section 5.1), 
+         * counted per account and per client IP apart from sign-in.
+         * @see LoginThrottle
+         */
+        this.userCodeThrottle = LoginThrottle.makeOne(Object.assign({}, config.throttleOptions, { keyPrefix: USER_CODE_KEY_PREFIX }));
+
+        /** 
+         * Rate limit of E-mails requested by visitors (e.g. password reset links), counted per email address and per client IP.
+         * @see LoginThrottle
+         */
+        this.emailThrottle = LoginThrottle.makeOne(Object.assign({}, config.throttleOptions, EMAIL_THROTTLE_OPTIONS));
+
         /** 
          * Password checker of this site. 
          * @see PasswordChecker
          */
-        this.passwordChecker = new PasswordChecker({ enableSampleMessage: true });
+        this.passwordChecker = new PasswordChecker(Object.assign({ enableSampleMessage: true }, config.passwordOptions));
+
+        /** 
+         * Strategies of native OpenID Connect issuers, by provider name.
+         * @see OidcStrategy
+         */
+        this.oidcStrategies = {};
+
+        // middlewares using this site instance, bound to be passed to routers directly
+        this.localAuthenticate = this.localAuthenticate.bind(this);
+        this.tryRestoreLogin = this.tryRestoreLogin.bind(this);
+        this.authenticateBearer = this.authenticateBearer.bind(this);
     }
 
     /**
@@ -108,6 +278,39 @@ class Site {
     initialize() {
         this.addMiddlewares();
         this.addRoutes();
+        this.startAccountPurge();
+    }
+
+    /**
+     * Start deleting accounts whose grace period of deletion has passed, periodically.
+     * @see DeletionOptions
+     */
+    startAccountPurge() {
+        const site = this;
+        const options = this.config.deletionOptions || {};
+        const timer = setInterval(function () {
+            site.purgeDeletedAccounts();
+        }, (options.purgeMinutes || DEFAULT_PURGE_MINUTES) * 60 * 1000);
+
+        // never keep the process alive just for purging
+        timer.unref();
+    }
+
+    /**
+     * Delete accounts whose grace period of deletion has passed, and forget attempts and locks kept by their E-mail addresses.
+     */
+    async purgeDeletedAccounts() {
+        var emailList;
+        try {
+            emailList = await this.account.deleteExpiredAccounts();
+            for (const email of emailList) {
+                await this.loginThrottle.forget(email);
+                await this.userCodeThrottle.forget(email);
+                await this.emailThrottle.forget(email);
+            }
+        } catch (err) {
+            console.error(err);
+        }
     }
 
     /**
@@ -141,6 +344,83 @@ class Site {
         return res.redirect('/signin');
     }
 
+    /**
+     * A site-level middleware to sign in a request by access token in <strong>Authorization: Bearer</strong> header. <br />
+     * The access token must be valid, its refresh token not revoked, and the account not disabled, otherwise Unauthorized (401)
+     * is shown, without falling back to session. Tokens issued to OAuth clients are accepted only by userinfo endpoint.
+     * A personal access token signs in the request only on routes that accept it, see <strong>permitToken()</strong>.
+     * Requests without bearer token are passed as they are.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     * @see routes#TokenRouter
+     */
+    async authenticateBearer(req, res, next) {
+        const accessToken = Site.getBearerToken(req);
+        var payload;
+        var personalToken;
+        var account;
+        if (!accessToken) {
+            return next();
+        }
+        try {
+            if (PersonalToken.isPersonalToken(accessToken)) {
+                personalToken = await this.personalToken.useToken(accessToken);
+                account = personalToken ? await this.account.findUserById(personalToken.account_id) : null;
+                if (!account || account.disabled) {
+                    throw ERROR_INVALID_BEARER;
+                }
+            } else {
+                payload = TokenIssuer.verifyAccessToken(accessToken);
+                account = await this.account.findUserById(parseInt(payload.sub));
+                if (payload.client_id || !account || account.disabled || !await this.refreshToken.isActive(payload.sid)) {
+                    throw ERROR_INVALID_BEARER;
+                }
+            }
+        } catch (err) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ message: ERROR_INVALID_BEARER.message });
+        }
+        if (personalToken) {
+            // not signed in by session either, as the request is exempt from CSRF check
+            req.user = null;
+            req.personalToken = {
+                id: personalToken.id,
+                scopes: personalToken.scopes,
+                user: { id: account.id, email: account.email, locale: account.locale, signedIn: personalToken.created.getTime() }
+            };
+            return next();
+        }
+        req.user = { id: account.id, email: account.email, locale: account.locale, signedIn: payload.iat * 1000, tokenFamily: payload.sid };
+        return next();
+    }
+
+    /**
+     * Create a site-level middleware for JSON routes that accept personal access tokens, with given scope, see <strong>TokenScope</strong>. <br />
+     * It signs in the request by personal access token, and shows Forbidden (403) if the token does not have the scope.
+     * Requests without personal access token are passed as they are, so it is put before <strong>secureApi</strong>
+     * or <strong>permitApi()</strong>.
+     * 
+     * @param {string} scope - The required scope.
+     * @return {Function} - The middleware.
+     * @see #authenticateBearer
+     */
+    permitToken(scope) {
+        return function (req, res, next) {
+            const personalToken = req.personalToken;
+            if (!personalToken) {
+                return next();
+            }
+            if (!personalToken.scopes.includes(scope)) {
+                res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+                return res.status(403).json({ message: ERROR_TOKEN_SCOPE.message });
+            }
+            req.user = personalToken.user;
+            return next();
+        };
+    }
+
     /**
      * A site-level middleware for secure API that need user login. <br />
      * A cookie value named 'lastPage' will NOT be stored, because JSON is not friendly for normal user.
@@ -156,6 +436,107 @@ class Site {
         return res.status(401).json({});
     }
 
+    /**
+     * Find account record of signed in user, e.g. in routes behind <strong>secureApi</strong>.
+     * 
+     * @param {Request} req - The HTTP request
+     * @returns {Object} - The account record in database, if user signed in.
+     * @returns null - if user not yet signed in.
+     * @throws {Error} When account of signed in user is not found.
+     */
+    async findSignInUser(req) {
+        var userList;
+        if (!req.isAuthenticated() || !req.user.email) {
+            return null;
+        }
+        userList = await this.account.findUsersByEmail(req.user.email);
+        if (1 !== userList.length) {
+            throw ERROR_NO_ACCOUNT;
+        }
+        return userList[0];
+    }
+
+    /**
+     * Create a site-level middleware for secure API that need a permission, see <strong>Permission</strong>. <br />
+     * It shows Unauthorized (401) if user not yet signed in, and Forbidden (403) if none of user roles has the permission.
+     * 
+     * @param {string} permission - The required permission.
+     * @return {Function} - The middleware.
+     */
+    permitApi(permission) {
+        const site = this;
+        return async function (req, res, next) {
+            var isPermitted;
+            if (!req.isAuthenticated()) {
+                return res.status(401).json({});
+            }
+            try {
+                isPermitted = await site.hasPermission(req, permission);
+            } catch (err) {
+                return next(err);
+            }
+            if (!isPermitted) {
+                return res.status(403).json({ message: ERROR_PERMISSION.message });
+            }
+            return next();
+        };
+    }
+
+    /**
+     * Create a site-level middleware for secure page that need a permission, see <strong>Permission</strong>. <br />
+     * It redirects to sign-in page if user not yet signed in, and shows Forbidden (403) if none of user roles has the permission.
+     * 
+     * @param {string} permission - The required permission.
+     * @return {Function} - The middleware.
+     */
+    permitPage(permission) {
+        const site = this;
+        return async function (req, res, next) {
+            var isPermitted;
+            res.cookie('lastPage', req.originalUrl);
+            if (!req.isAuthenticated()) {
+                return res.redirect('/signin');
+            }
+            try {
+                isPermitted = await site.hasPermission(req, permission);
+            } catch (err) {
+                return next(err);
+            }
+            if (!isPermitted) {
+                return res.status(403).render('alert.ejs', { title: 'Forbidden', message: ERROR_PERMISSION.message, returnTo: USER_HOME });
+            }
+            return next();
+        };
+    }
+
+    /**
+     * A site-level check that the signed in user has a permission or not. <br />
+     * When there is no administrator yet, the user of bootstrap E-mail (see <strong>AccessOptions</strong>) becomes the first one.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} permission - The permission to be checked.
+     * @returns {boolean} - true if any role of signed in user has the permission
+     */
+    async hasPermission(req, permission) {
+        const bootstrapEmail = (this.config.accessOptions || {}).bootstrapAdminEmail;
+        var userList;
+        var roles;
+        if (!req.user) {
+            return false;
+        }
+        userList = await this.account.findUsersByEmail(req.user.email);
+        if (1 !== userList.length) {
+            return false;
+        }
+        roles = userList[0].roles || [];
+        if (!AccessControl.hasPermission(roles, permission) && bootstrapEmail && (bootstrapEmail === req.user.email)) {
+            if (1 === await this.account.bootstrapAdmin(req.user.email)) {
+                roles = (await this.account.findUserById(userList[0].id)).roles;
+            }
+        }
+        return AccessControl.hasPermission(roles, permission);
+    }
+
     /**
      * A site-level verify function to check the signed in user had email address verified or not.
      * 
@@ -176,6 +557,91 @@ class Site {
         return isVerified;
     }
 
+    /**
+     * A site-level check that the signed in user had two-factor authentication enabled or not.
+     * 
+     * @param {Request} req - The HTTP request
+     * @returns {boolean} - true if two-factor authentication of signed in user is enabled
+     */
+    async isSignInSecondFactorEnabled(req) {
+        if (req.user) {
+            return await this.needSecondFactor(req.user.email);
+        }
+        return false;
+    }
+
+    /**
+     * Require the signed in user had two-factor authentication enabled, as required by administration APIs, e.g. to manage 
+     * users, roles and OAuth clients.
+     * 
+     * @param {Request} req - The HTTP request
+     * @throws {Error} When two-factor authentication of signed in user is not enabled.
+     * @see #isSignInSecondFactorEnabled
+     */
+    async checkSignInSecondFactor(req) {
+        if (!await this.isSignInSecondFactorEnabled(req)) {
+            throw ERROR_SECOND_FACTOR_REQUIRED;
+        }
+    }
+
+    /**
+     * Find account record of a user managed by administration APIs.
+     * 
+     * @param {number|string} userId - Unique database id of the user, e.g. from request path or body.
+     * @returns {Object} - The account record in database.
+     * @throws {Error} When the account is not found.
+     */
+    async findTargetUser(userId) {
+        const id = parseInt(userId);
+        const user = id ? await this.account.findUserById(id) : null;
+        if (!user) {
+            throw ERROR_NO_ACCOUNT;
+        }
+        return user;
+    }
+
+    /**
+     * Check a user must pass two-factor authentication to sign in or not.
+     * 
+     * @param {string} email - E-mail address of a user
+     * @returns {boolean} - true if two-factor authentication of the user is enabled
+     */
+    async needSecondFactor(email) {
+        const userList = await this.account.findUsersByEmail(email);
+        if (1 === userList.length) {
+            return (true === userList[0].totp_enabled);
+        }
+        return false;
+    }
+
+    /**
+     * Check sessions of this site are kept in database, where they can be listed and revoked by users.
+     * @return {boolean} - true if sessions are kept in database.
+     * @see SessionStoreOptions
+     */
+    isSessionStored() {
+        return ('database' === (this.config.sessionStoreOptions || {}).store);
+    }
+
+    /**
+     * Keep the current session signed in after all sessions of its user were revoked, e.g. when user changed password.
+     * Other sessions kept in database are removed at the same time.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} user - The account record of signed in user.
+     * @see dal#Account#revokeAllSessions
+     */
+    async keepCurrentSession(req, user) {
+        const account = await this.account.findUserById(user.id);
+        if (account && account.sessions_revoked && req.session.passport && req.session.passport.user) {
+            // sign in again after the revoke, by clock of database
+            req.session.passport.user.signedIn = Math.max(Date.now(), account.sessions_revoked.getTime() + 1);
+        }
+        if (this.isSessionStored()) {
+            await this.userSession.revokeOtherSessions(user.id, req.sessionID);
+        }
+    }
+
     /**
      * Add middlewares to express app.
      */
@@ -185,15 +651,27 @@ class Site {
         Site.requiredOption(config.sessionOptions.secret, 'SESSION_SECRET not set');
         const cookieSecret = Site.requiredOption(config.cookieOptions.secret, 'COOKIE_SECRET not set');
 
+        // keep sessions in database if configured
+        const sessionOptions = Object.assign({}, config.sessionOptions);
+        if (this.isSessionStored()) {
+            sessionOptions.store = DbSessionStore.makeOne(config.sessionStoreOptions);
+        }
+
         // add middlewares
         const app = this.app;
         app.use(cors(config.corsOptions));
-        app.use(session(config.sessionOptions));
+        app.use(session(sessionOptions));
         app.use(cookieParser(cookieSecret));
         app.use(express.json());
         app.use(express.urlencoded({ extended: false }));
         app.use(passport.initialize());
         app.use(passport.session());
+        if (this.isSessionStored()) {
+            app.use(Site.recordSessionClient);
+        }
+        app.use(Site.provideLocale);
+        app.use(Site.provideCsrfToken);
+        app.use(Site.checkCsrfToken);
 
         // prepare passport
         this.preparePassport();
@@ -238,18 +716,36 @@ class Site {
          *           description: Always redirect to /
          */
         const config = this.config;
-        router.get('/signout', function (req, res, next) {
+        router.get('/signout', async function (req, res, next) {
+            const oidcStrategy = site.findOidcStrategy(req.user && req.user.authProvider);
+            var logoutUri;
+
             // cookie sign-out
-            Site.signRestoreUser(res, '', '');
+            if (req.user) {
+                await site.recordAudit(req, AuditEvent.SIGN_OUT, { email: req.user.email, provider: req.user.authProvider });
+            }
+            await site.forgetUser(req, res);
+            Site.signLoginType(res);
             req.logout();
             req.session.destroy();
             res.clearCookie('user');
+            res.clearCookie('password');
+
+            // users of native OpenID Connect issuers sign out at issuer only when federated
+            if (oidcStrategy) {
+                try {
+                    logoutUri = req.query.federated ? await oidcStrategy.client.makeLogoutUrl(config.serviceUri) : null;
+                } catch (err) {
+                    console.error(err);
+                }
+                return res.redirect(logoutUri || '/');
+            }
 
             // prepare auth0 sign-out URL
             const domain = config.auth0Options.domain;
             const clientID = config.auth0Options.clientID;
             const returnTo = encodeURIComponent(config.serviceUri);
-            var logoutUri = `https://${domain}/v2/logout?client_id=${clientID}&returnTo=${returnTo}`;
+            logoutUri = `https://${domain}/v2/logout?client_id=${clientID}&returnTo=${returnTo}`;
             if (req.query.federated) {
                 logoutUri += '&federated';
             }
@@ -301,6 +797,9 @@ class Site {
          *                 password:
          *                   type: string
          *                   description: Raw password of a user
+         *                 rememberMe:
+         *                   type: string
+         *                   description: Keep user signed in on this browser by a remember-me token, when present
          *               required:
          *                - emailAddr
          *                - password
@@ -318,109 +817,527 @@ class Site {
             }
         });
 
-        // serve auth0 google signin
+        // serve sign-in unlock page
         /**
          * @swagger
          * paths:
-         *   /signin/google:
+         *   /signin/unlock/{email}/{unlockToken}:
          *     get:
          *       tags:
-         *         - "auth0"
-         *       summary: Handle google sign in, by auth0
+         *         - "account"
+         *       summary: Show the page to confirm unlocking password sign-in of a user, which was locked by too many failed attempts
+         *       description: The token is not used here, so that links opened by E-mail scanners do not use it up.
+         *       parameters:
+         *         - name: email
+         *           in: path
+         *           description: Email address of a user.
+         *         - name: unlockToken
+         *           in: path
+         *           description: Unlock token from the link in sent E-mail.
          *       responses:
-         *         302:
-         *           description: Redirect to sign-in page by auth0
+         *         200:
+         *           description: Show the confirm page if unlock token is valid
+         *         404:
+         *           description: Show Not Found when unlock token is invalid or already used
          */
-        router.get('/signin/google', passport.authenticate('auth0', { connection: 'google-oauth2' }), function (req, res) {
-            res.redirect(USER_HOME);
+        router.get('/signin/unlock/:email/:unlockToken', async function (req, res, next) {
+            const { email, unlockToken } = req.params;
+            const decodedEmail = decodeURIComponent(email);
+            var isValid = false;
+            try {
+                isValid = await site.loginThrottle.checkUnlockToken(decodedEmail, unlockToken);
+            } catch (err) {
+                return next(err);
+            }
+            if (isValid) {
+                return res.render('confirm-link.ejs', {
+                    title: 'Unlock Sign-In',
+                    description: 'Unlock password sign-in of the account below.',
+                    action: '/signin/unlock',
+                    email: decodedEmail,
+                    tokenName: 'unlockToken',
+                    token: unlockToken,
+                    submitLabel: 'Unlock'
+                });
+            }
+            res.status(404);
+            return next();
         });
 
-        // serve auth0 facebook signin
+        // serve unlock of password sign-in
         /**
          * @swagger
          * paths:
-         *   /signin/facebook:
-         *     get:
+         *   /signin/unlock:
+         *     post:
          *       tags:
-         *         - "auth0"
-         *       summary: Handle google sign in, by auth0
+         *         - "account"
+         *       summary: Unlock password sign-in of a user, the unlock token is used up
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 emailAddr:
+         *                   type: string
+         *                   description: Email address of a user
+         *                 unlockToken:
+         *                   type: string
+         *                   description: Unlock token from the link in sent E-mail
+         *               required:
+         *                - emailAddr
+         *                - unlockToken
          *       responses:
-         *         302:
-         *           description: Redirect to sign-in page by auth0
+         *         200:
+         *           description: Show the result when sign-in was unlocked
+         *         412:
+         *           description: Show error message when unlock token is invalid or already used
          */
-         router.get('/signin/facebook', passport.authenticate('auth0', { connection: 'facebook' }), function (req, res) {
-            res.redirect(USER_HOME);
+        router.post('/signin/unlock', async function (req, res, next) {
+            const email = req.body[site.config.passportOptions.usernameField];
+            var isUnlocked = false;
+            try {
+                isUnlocked = await site.loginThrottle.unlock(email, req.body.unlockToken);
+            } catch (err) {
+                return next(err);
+            }
+            if (isUnlocked) {
+                return res.render('alert.ejs', { title: 'Sign In Unlocked', information: 'Sign-in was unlocked, you can sign in now', returnTo: '/signin' });
+            }
+            return res.status(412).render('alert.ejs', { title: 'Unlock Sign-In', message: ERROR_INVALID_UNLOCK_LINK.message, returnTo: '/signin' });
         });
 
-        // serve auth0 callback
+        // serve "this wasn't me" page of new-device E-mail
         /**
          * @swagger
          * paths:
-         *   /callback:
+         *   /signin/not-me/{email}/{revokeToken}:
          *     get:
          *       tags:
-         *         - "auth0"
-         *       summary: Handle callback status from auth0
+         *         - "account"
+         *       summary: Show the page to confirm signing out a user everywhere, when a sign-in from a new device was not made by the user
+         *       description: The token is not used here, so that links opened by E-mail scanners do not sign the user out.
+         *       parameters:
+         *         - name: email
+         *           in: path
+         *           description: Email address of a user.
+         *         - name: revokeToken
+         *           in: path
+         *           description: Revoke token from the link in sent E-mail.
          *       responses:
-         *         302:
-         *           description: Redirect to dashboard
+         *         200:
+         *           description: Show the confirm page if revoke token is valid
+         *         404:
+         *           description: Show Not Found when revoke token is invalid, expired or already used
          */
-        router.get('/callback', (req, res, next) => {
-            var auth0Callback = passport.authenticate('auth0', function auth0Verify(err, profile, info) {
-                if (err) {
-                    return next(err);
-                }
-                if (!profile) {
-                    return res.redirect(USER_HOME);
+        router.get('/signin/not-me/:email/:revokeToken', async function (req, res, next) {
+            const { email, revokeToken } = req.params;
+            const decodedEmail = decodeURIComponent(email);
+            var isValid = false;
+            try {
+                const userList = await site.account.findUsersByEmail(decodedEmail);
+                if (1 === userList.length) {
+                    isValid = await site.knownDevice.checkRevokeToken(userList[0].id, revokeToken);
                 }
-                req.logIn(profile, async function (err) {
-                    if (err) {
-                        return next(err);
-                    }
-
-                    try {
-                        var oidc = req.user.oidc;
-                        if (oidc) {
-                            info.email = req.user.email;
-                            info.nickname = oidc.nickname;
-                            info.provider = oidc.provider;
-                        }
-                        var isRestored = false;
-                        var loginType = req.signedCookies.loginType;
-                        if (loginType && (LOCAL_LOGIN !== loginType)) {
-                            isRestored = true;
-                        }
-                        var signInSucceed;
-                        if (info.provider) {
-                            signInSucceed = await site.account.auth0SignIn(info.email, info.nickname, info.provider);
-                            if (signInSucceed) {
-                                await site.account.updateSession(info.email, isRestored);
-                                return Site.signRestoreUser(res, info.email, info.provider).redirect(USER_HOME);
-                            }
-                            req.logout();
-                            return site.renderSignIn(req, res, { message: 'Invalid login from social network' });
-                        }
-                    } catch (errSignIn) {
-                        console.error(errSignIn);
-                    }
-                    req.logout();
-                    return res.redirect(USER_HOME);
+            } catch (err) {
+                return next(err);
+            }
+            if (isValid) {
+                return res.render('confirm-link.ejs', {
+                    title: 'This Wasn\'t Me',
+                    description: 'Sign out all sessions and saved sign-ins of the account below, if the new sign-in was not made by you.',
+                    action: '/signin/not-me',
+                    email: decodedEmail,
+                    tokenName: 'revokeToken',
+                    token: revokeToken,
+                    submitLabel: 'Sign Out Everywhere'
                 });
-            });
-            auth0Callback(req, res, next);
+            }
+            res.status(404);
+            return next();
         });
 
-        // serve sign-up page
+        // serve "this wasn't me" of new-device E-mail
         /**
          * @swagger
          * paths:
-         *   /signup:
-         *     get:
+         *   /signin/not-me:
+         *     post:
          *       tags:
-         *        - "account"
-         *       summary: Show the sign up page
-         *       responses:
-         *         200:
+         *         - "account"
+         *       summary: Sign out a user everywhere, when a sign-in from a new device was not made by the user
+         *       description: Saved sign-ins are revoked, and all sessions are signed out. The new device is forgotten,
+         *                    so its next sign-in is reported again. The revoke token is used up.
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 emailAddr:
+         *                   type: string
+         *                   description: Email address of a user
+         *                 revokeToken:
+         *                   type: string
+         *                   description: Revoke token from the link in sent E-mail
+         *               required:
+         *                - emailAddr
+         *                - revokeToken
+         *       responses:
+         *         200:
+         *           description: Show the result when all sessions were signed out
+         *         412:
+         *           description: Show error message when revoke token is invalid, expired or already used
+         */
+        router.post('/signin/not-me', async function (req, res, next) {
+            const email = req.body[site.config.passportOptions.usernameField];
+            var user = null;
+            var isRevoked = false;
+            try {
+                const userList = await site.account.findUsersByEmail(email);
+                if (1 === userList.length) {
+                    user = userList[0];
+                    isRevoked = await site.knownDevice.revokeDevice(user.id, req.body.revokeToken);
+                }
+                if (isRevoked) {
+                    await site.account.revokeAllSessions(user.id);
+                    if (site.isSessionStored()) {
+                        await site.userSession.revokeAccountSessions(user.id);
+                    }
+                    await site.recordAudit(req, AuditEvent.SESSIONS_REVOKED, { accountId: user.id, email: user.email });
+                }
+            } catch (err) {
+                return next(err);
+            }
+            if (isRevoked) {
+                res.clearCookie(REMEMBER_COOKIE);
+                return res.render('alert.ejs', {
+                    title: 'Signed Out Everywhere',
+                    information: 'All sessions of your account were signed out. Please reset your password now, in case it was stolen',
+                    returnTo: '/password/forgot'
+                });
+            }
+            return res.status(412).render('alert.ejs', { title: 'This Wasn\'t Me', message: ERROR_INVALID_REVOKE_LINK.message, returnTo: '/signin' });
+        });
+
+        // serve sign-in link request
+        /**
+         * @swagger
+         * paths:
+         *   /signin/link/send:
+         *     post:
+         *       tags:
+         *         - "account"
+         *       summary: Send a single-use sign-in link by E-mail (passwordless sign-in)
+         *       description: Works for accounts signed up by social network too. The response is the same whether the E-mail 
+         *                    was signed up or not. A new link replaces the previous one, and requests are rate limited per
+         *                    E-mail address and per client IP.
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 emailAddr:
+         *                   type: string
+         *                   description: Email address of a user
+         *               required:
+         *                - emailAddr
+         *       responses:
+         *         200:
+         *           description: Show result of this operation
+         *         302:
+         *           description: Redirect to sign in page with error message when E-mail address is missing, or too many
+         *                        E-mails were requested
+         */
+        router.post('/signin/link/send', async function (req, res, next) {
+            const email = req.body[site.config.passportOptions.usernameField];
+            try {
+                if (!email) {
+                    throw ERROR_NO_EMAIL;
+                }
+                await site.countEmailRequest(req, email);
+                await site.account.sendSignInLinkEmail(email, req.locale);
+            } catch (err) {
+                return site.renderSignIn(req, res, err);
+            }
+            return res.render('alert.ejs', { title: 'Sign In by E-mail Link', information: INFO_SIGNIN_LINK_SENT, returnTo: '/signin' });
+        });
+
+        // serve sign-in link page
+        /**
+         * @swagger
+         * paths:
+         *   /signin/link/{email}/{signInToken}:
+         *     get:
+         *       tags:
+         *         - "account"
+         *       summary: Show the page to confirm sign in by a sign-in link
+         *       description: The token is not consumed here, so that links opened by E-mail scanners do not use it up.
+         *       parameters:
+         *         - name: email
+         *           in: path
+         *           description: Email address of a user.
+         *         - name: signInToken
+         *           in: path
+         *           description: Sign-in token from the link in sent E-mail.
+         *       responses:
+         *         200:
+         *           description: Show the confirm page if sign-in token is <strong>valid</strong>.
+         *         404:
+         *           description: Show Not Found when sign-in token is <strong>invalid</strong> or already used.
+         *         412:
+         *           description: Show error message when sign-in token expired.
+         */
+        router.get('/signin/link/:email/:signInToken', async function (req, res, next) {
+            const { email, signInToken } = req.params;
+            const decodedEmail = decodeURIComponent(email);
+            var isValid = false;
+            try {
+                isValid = await site.account.checkSignInToken(decodedEmail, signInToken);
+            } catch (err) {
+                return res.status(412).render('alert.ejs', { title: 'Sign In by E-mail Link', message: err.message, returnTo: '/signin' });
+            }
+            if (isValid) {
+                return res.render('signin-link.ejs', { email: decodedEmail, signInToken });
+            }
+            res.status(404);
+            return next();
+        });
+
+        // serve sign-in by link
+        /**
+         * @swagger
+         * paths:
+         *   /signin/link:
+         *     post:
+         *       tags:
+         *         - "account"
+         *       summary: Handle sign in by a sign-in link, the sign-in token is consumed
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 emailAddr:
+         *                   type: string
+         *                   description: Email address of a user
+         *                 signInToken:
+         *                   type: string
+         *                   description: Sign-in token from the link in sent E-mail
+         *               required:
+         *                - emailAddr
+         *                - signInToken
+         *       responses:
+         *         302:
+         *           description: Redirect to dashboard when sign in succeed, or to two-factor sign in page when it's enabled.
+         *         412:
+         *           description: Show error message when sign-in token is invalid, used or expired
+         */
+        router.post('/signin/link', async function (req, res, next) {
+            const email = req.body[site.config.passportOptions.usernameField];
+            const signInToken = req.body.signInToken;
+            var isSignedIn = false;
+            try {
+                isSignedIn = await site.account.signInByToken(email, signInToken);
+                if (!isSignedIn) {
+                    throw ERROR_INVALID_SIGNIN_LINK;
+                }
+                if (await site.needSecondFactor(email)) {
+                    return site.startSecondFactor(req, res, { email, signInMethod: PROVIDER_EMAIL_LINK });
+                }
+                await site.loginThrottle.recordSuccess(email);
+                await site.account.updateSession(email, false);
+                await site.checkSignInDevice(req, email);
+                await site.recordAudit(req, AuditEvent.SIGN_IN, { email, provider: PROVIDER_EMAIL_LINK });
+            } catch (err) {
+                await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email, provider: PROVIDER_EMAIL_LINK });
+                return res.status(412).render('alert.ejs', { title: 'Sign In by E-mail Link', message: err.message, returnTo: '/signin' });
+            }
+            req.login(email, function (err) {
+                if (err) {
+                    return next(err);
+                }
+                Site.markAuthTime(req);
+                return Site.signLoginType(res).redirect(Site.consumeReturnTo(req));
+            });
+        });
+
+        // serve two-factor sign-in page
+        /**
+         * @swagger
+         * paths:
+         *   /signin/2fa:
+         *     get:
+         *       tags:
+         *         - "account"
+         *       summary: Show the two-factor sign in page, after the first factor (password or social network) passed
+         *       responses:
+         *         200:
+         *           description: Show the two-factor sign in page
+         *         302:
+         *           description: Redirect to sign in page when there is no pending two-factor sign in, or it expired
+         */
+        router.get('/signin/2fa', function (req, res) {
+            const pending = site.getPendingSecondFactor(req);
+            if (!pending) {
+                return site.renderSignIn(req, res, ERROR_SECOND_FACTOR_EXPIRED);
+            }
+            return res.render('two-factor.ejs', { errorMessage: site.consumeErrorMessage(req) });
+        });
+
+        // serve two-factor sign-in
+        /**
+         * @swagger
+         * paths:
+         *   /signin/2fa:
+         *     post:
+         *       tags:
+         *         - "account"
+         *       summary: Handle two-factor sign in
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 code:
+         *                   type: string
+         *                   description: The 6-digit code from authenticator app, or a recovery code
+         *               required:
+         *                - code
+         *       responses:
+         *         302:
+         *           description: Redirect to dashboard when sign in succeed, or back to two-factor sign in page (or sign in page) with error message.
+         */
+        router.post('/signin/2fa', async function (req, res, next) {
+            const pending = site.getPendingSecondFactor(req);
+            var userList;
+            var isVerified = false;
+            if (!pending) {
+                return site.renderSignIn(req, res, ERROR_SECOND_FACTOR_EXPIRED);
+            }
+            try {
+                await site.loginThrottle.check(pending.email, req.ip);
+            } catch (errThrottle) {
+                req.session.secondFactor = null;
+                return site.renderSignIn(req, res, errThrottle);
+            }
+            try {
+                userList = await site.account.findUsersByEmail(pending.email);
+                if (1 === userList.length) {
+                    isVerified = await site.twoFactor.verifySecondFactor(userList[0].id, req.body.code);
+                }
+                if (!isVerified) {
+                    await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email: pending.email, provider: Site.getPendingProvider(pending) });
+                    await site.recordSignInFailure(pending.email, req.ip);
+                    pending.attempts++;
+                    if (pending.attempts >= SECOND_FACTOR_ATTEMPTS) {
+                        req.session.secondFactor = null;
+                        return site.renderSignIn(req, res, ERROR_SECOND_FACTOR_ATTEMPTS);
+                    }
+                    req.session.errorMessage = ERROR_SECOND_FACTOR_FAILED.message;
+                    return res.redirect(SECOND_FACTOR_PAGE);
+                }
+                req.session.secondFactor = null;
+                await site.completeSignIn(req, res, pending);
+                await site.loginThrottle.recordSuccess(pending.email);
+            } catch (err) {
+                return next(err);
+            }
+        });
+
+        // serve social network signin by identity provider
+        /**
+         * @swagger
+         * paths:
+         *   /signin/{provider}:
+         *     get:
+         *       tags:
+         *         - "auth0"
+         *       summary: Handle social network sign in, by auth0 or a native OpenID Connect issuer
+         *       description: Providers are configured in identity provider registry, e.g. 'google' or 'facebook'.
+         *       parameters:
+         *         - name: provider
+         *           in: path
+         *           description: Name of identity provider.
+         *       responses:
+         *         302:
+         *           description: Redirect to sign-in page by auth0, or by the OpenID Connect issuer
+         *         404:
+         *           description: Show Not Found when identity provider is not configured
+         */
+        router.get('/signin/:provider', function (req, res, next) {
+            const provider = AuthorizationParser.findProvider(req.params.provider);
+            if (!provider) {
+                res.status(404);
+                return next('route');
+            }
+            return passport.authenticate(Site.getStrategyName(provider), { connection: provider.connection })(req, res, next);
+        }, function (req, res) {
+            res.redirect(USER_HOME);
+        });
+
+        // serve auth0 callback
+        /**
+         * @swagger
+         * paths:
+         *   /callback:
+         *     get:
+         *       tags:
+         *         - "auth0"
+         *       summary: Handle callback status from auth0
+         *       responses:
+         *         302:
+         *           description: Redirect to dashboard
+         */
+        router.get('/callback', function (req, res, next) {
+            site.socialCallback('auth0', req, res, next);
+        });
+
+        // serve callback of native OpenID Connect issuers
+        /**
+         * @swagger
+         * paths:
+         *   /callback/{provider}:
+         *     get:
+         *       tags:
+         *         - "auth0"
+         *       summary: Handle authorization response from a native OpenID Connect issuer
+         *       description: The authorization code is exchanged for tokens with PKCE, after state is checked. Then the 
+         *                    signature, issuer, audience and nonce of ID token are validated.
+         *       parameters:
+         *         - name: provider
+         *           in: path
+         *           description: Name of identity provider, with strategy 'oidc'.
+         *       responses:
+         *         302:
+         *           description: Redirect to dashboard when sign in succeed, or to sign in page with error message.
+         *         404:
+         *           description: Show Not Found when identity provider is not configured
+         */
+        router.get('/callback/:provider', function (req, res, next) {
+            const provider = AuthorizationParser.findProvider(req.params.provider);
+            if (!provider || ('oidc' !== provider.strategy)) {
+                res.status(404);
+                return next();
+            }
+            site.socialCallback(Site.getStrategyName(provider), req, res, next);
+        });
+
+        // serve sign-up page
+        /**
+         * @swagger
+         * paths:
+         *   /signup:
+         *     get:
+         *       tags:
+         *        - "account"
+         *       summary: Show the sign up page
+         *       responses:
+         *         200:
          *           description: Show the sign up page when user not yet signed in
          *         302:
          *           description: Redirect to previous page (stored in cookie) when signed in
@@ -468,23 +1385,20 @@ class Site {
             var result;
             var nickname;
             try {
-                if (!email) {
-                    throw ERROR_NO_EMAIL;
-                }
-                if (!RX_EMAIL.test(email)) {
-                    throw ERROR_INVALID_EMAIL;
-                }
+                site.checkEmailAddress(email);
                 if (!password) {
                     throw ERROR_NO_PASSWORD;
                 }
-                result = site.passwordChecker.checkPassword(password);
+                result = await site.passwordChecker.checkPassword(password, null, { email, locale: req.locale });
                 if (result.isValid) {
                     nickname = email.split('@')[0];
-                    await site.account.emailSignUp(email, password, nickname);
+                    await site.account.emailSignUp(email, password, nickname, req.locale);
+                    await site.recordAudit(req, AuditEvent.SIGN_UP, { email, provider: PROVIDER_PASSWORD });
 
                     // sign in automatically when signed up
                     return passport.authenticate('db-auth')(req, res, function () {
-                        return res.redirect(USER_HOME);
+                        Site.markAuthTime(req);
+                        return res.redirect(Site.consumeReturnTo(req));
                     });
                 } else {
                     message = site.concatMessage(result.invalidNotes);
@@ -495,8 +1409,53 @@ class Site {
             }
         });
 
-        // serve user list & profile
-        router.use('/user', UserRouter.makeOne(site));
+        // serve user list & profile, JSON routes accept bearer tokens as well
+        router.use('/user', site.authenticateBearer, UserRouter.makeOne(site));
+
+        // serve bearer tokens
+        router.use('/token', TokenRouter.makeOne(site));
+
+        // serve public keys of bearer tokens
+        /**
+         * @swagger
+         * paths:
+         *   /.well-known/jwks.json:
+         *     get:
+         *       tags:
+         *         - "token"
+         *       summary: Show public keys of access tokens, as a JSON Web Key Set
+         *       description: Other services verify access tokens by these keys offline
+         *       responses:
+         *         200:
+         *           description: The key set, with <strong>keys</strong> in JWK format
+         */
+        router.get(JWKS_PATH, function (req, res) {
+            return res.json(TokenIssuer.getJwks());
+        });
+
+        // serve OAuth 2.0 / OpenID Connect provider for other apps
+        router.use('/oauth', OAuthRouter.makeOne(site));
+
+        // serve discovery metadata of OpenID Connect provider
+        /**
+         * @swagger
+         * paths:
+         *   /.well-known/openid-configuration:
+         *     get:
+         *       tags:
+         *         - "oauth"
+         *       summary: Show discovery metadata of OpenID Connect provider
+         *       description: Endpoints, scopes and algorithms supported, for OpenID Connect client libraries of other apps
+         *       responses:
+         *         200:
+         *           description: The provider metadata
+         */
+        router.get(DISCOVERY_PATH, function (req, res) {
+            return res.json(OAuthRouter.makeDiscovery(TokenIssuer.getIssuer() || site.config.serviceUri, JWKS_PATH));
+        });
+
+        // serve forgot password & reset password
+        router.use('/password', PasswordRouter.makeOne(site));
 
         // serve static content
         /**
@@ -586,32 +1545,64 @@ class Site {
      */
     preparePassport() {
 
-        // set serializer / deserializer
+        const site = this;
+        const config = site.config;
+
+        // set serializer / deserializer, the account id is kept so that a session follows change of E-mail address
         passport.serializeUser(async (user, done) => {
             var userObject;
+            var userList;
             if (user.oidc) {
                 userObject = { email: user.email, authProvider: user.oidc.provider };
             } else {
                 userObject = { email: user };
             }
+            userObject.signedIn = Date.now();
+            try {
+                userList = await site.account.findUsersByEmail(userObject.email);
+                if (1 === userList.length) {
+                    userObject.id = userList[0].id;
+                }
+            } catch (err) {
+                return done(err);
+            }
             done(null, userObject);
         });
-        passport.deserializeUser((user, done) => {
+        passport.deserializeUser(async (user, done) => {
+            var account;
+            if (!user.id) {
+                return done(null, user);
+            }
+            try {
+                account = await site.account.findUserById(user.id);
+            } catch (err) {
+                return done(err);
+            }
+            if (!account || account.disabled) {
+                // account was removed or disabled, sign out
+                return done(null, false);
+            }
+            if (account.sessions_revoked && !(user.signedIn > account.sessions_revoked.getTime())) {
+                // signed out everywhere after this session signed in
+                return done(null, false);
+            }
+            user.email = account.email;
+            user.locale = account.locale;
             done(null, user);
         });
 
         // create LocalStrategy
-        const site = this;
-        const config = site.config;
-        const localStrategy = new LocalStrategy(config.passportOptions, async function verify(email, password, cb) {
-            const isRestored = (RESTORED_LOGIN === password);
+        const strategyOptions = Object.assign({ passReqToCallback: true }, config.passportOptions);
+        const localStrategy = new LocalStrategy(strategyOptions, async function verify(req, email, password, cb) {
             var succeed = false;
             try {
-                if (!isRestored) {
-                    succeed = await site.account.emailSignIn(email, password);
+                succeed = await site.account.emailSignIn(email, password);
+                if (succeed && await site.needSecondFactor(email)) {
+                    return cb(null, email, { secondFactor: true });
                 }
-                if (succeed || isRestored) {
-                    await site.account.updateSession(email, isRestored);
+                if (succeed) {
+                    await site.account.updateSession(email, false);
+                    await site.checkSignInDevice(req, email);
                     return cb(null, email);
                 } else {
                     return cb(null, false);
@@ -642,70 +1633,482 @@ class Site {
         // apply strategies
         passport.use('db-auth', localStrategy);
         passport.use('auth0', auth0Strategy);
+
+        // create and apply OidcStrategy for each native OpenID Connect issuer
+        AuthorizationParser.getProviders().filter((provider) => ('oidc' === provider.strategy)).forEach((provider) => {
+            const options = Site.requiredOption((config.oidcOptions || {})[provider.name], 'OIDC options not set: ' + provider.name);
+            const oidcStrategy = new OidcStrategy(options, function (tokenSet, profile, done) {
+                const email = Site.getAuth0UserEmail(profile);
+                if (!email) {
+                    return done(null, false, { message: 'E-mail address not provided by identity provider' });
+                }
+                done(null, { oidc: profile, email });
+            });
+            site.oidcStrategies[provider.name] = oidcStrategy;
+            passport.use(Site.getStrategyName(provider), oidcStrategy);
+        });
     }
 
     /**
-     * Middleware for password login.
+     * Find the strategy of a native OpenID Connect issuer, by connection name of identity provider.
      * 
-     * @param {Request} req - The HTTP request
-     * @param {Response} res - The HTTP response
-     * @param {NextCallback} next - Callback of next Express.js middleware
+     * @param {string} connection - The connection name, e.g. provider of a signed in user.
+     * @return {OidcStrategy} - The strategy if the provider signs in by a native OpenID Connect issuer.
+     * @return undefined - otherwise
      */
-    localAuthenticate(req, res, next) {
-        const parsedPassword = req.body.password;
-        if (parsedPassword && (RESTORED_LOGIN === parsedPassword)) {
-            return next(ERROR_LOGIN_FAILED);
+    findOidcStrategy(connection) {
+        const provider = connection ? AuthorizationParser.findProviderByConnection(connection) : undefined;
+        if (provider && ('oidc' === provider.strategy)) {
+            return this.oidcStrategies[provider.name];
         }
-        const cbAuthMiddleware = passport.authenticate('db-auth', { failureRedirect: '/signin' }, function (err, user, info) {
-            if (err) {
-                return next(err);
-            }
-            if (!user) {
-                return next(ERROR_LOGIN_FAILED);
+        return undefined;
+    }
+
+    /**
+     * Handle callback of social network sign-in, by auth0 or a native OpenID Connect issuer. <br />
+     * The identity is resolved to an account first, and the signed in user is held for two-factor authentication when it's enabled.
+     * When the signed in user started linking an identity, the identity is linked instead of sign in.
+     * 
+     * @param {string} strategyName - Name of passport strategy to handle the callback.
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     */
+    socialCallback(strategyName, req, res, next) {
+        const site = this;
+        var socialCallback = passport.authenticate(strategyName, async function socialVerify(err, socialUser, info) {
+            if (err) {
+                return next(err);
+            }
+            if (!socialUser) {
+                return site.renderSignIn(req, res, (info && info.message) ? info : ERROR_SOCIAL_LOGIN);
+            }
+
+            const profile = socialUser.oidc;
+            const authProvider = profile.provider;
+            const subject = profile.id || profile.user_id;
+            const pendingLink = site.takePendingLink(req, authProvider);
+            if (pendingLink) {
+                return site.completeLinkIdentity(req, res, pendingLink, socialUser.email, subject);
+            }
+
+            var isRestored = false;
+            var loginType = req.signedCookies.loginType;
+            if (loginType && (LOCAL_LOGIN !== loginType)) {
+                isRestored = true;
+            }
+            var email;
+            var isSignUp;
+            try {
+                isSignUp = (0 === (await site.account.findUsersByEmail(socialUser.email)).length);
+                email = await site.account.auth0SignIn(socialUser.email, profile.nickname, authProvider, subject);
+                if (!email) {
+                    await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email: socialUser.email, provider: authProvider });
+                    return site.renderSignIn(req, res, ERROR_IDENTITY_NOT_LINKED);
+                }
+                if (isSignUp && (email === socialUser.email)) {
+                    await site.recordAudit(req, AuditEvent.SIGN_UP, { email, provider: authProvider });
+                }
+                if (await site.needSecondFactor(email)) {
+                    return site.startSecondFactor(req, res, { email, authProvider, isRestored });
+                }
+                await site.account.updateSession(email, isRestored);
+                if (!isRestored) {
+                    await site.checkSignInDevice(req, email);
+                }
+                await site.recordAudit(req, isRestored ? AuditEvent.RESTORE_LOGIN : AuditEvent.SIGN_IN, { email, provider: authProvider });
+            } catch (errSignIn) {
+                await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email: socialUser.email, provider: authProvider });
+                if (errSignIn instanceof DisabledAccountError) {
+                    return site.renderSignIn(req, res, errSignIn);
+                }
+                console.error(errSignIn);
+                return site.renderSignIn(req, res, ERROR_SOCIAL_LOGIN);
             }
-            req.login(user, function (err) {
+            req.logIn({ email, oidc: { provider: authProvider } }, function (err) {
                 if (err) {
                     return next(err);
                 }
-                return Site.signRestoreUser(res, req.user).redirect(USER_HOME);
+                Site.markAuthTime(req);
+                return Site.signLoginType(res, authProvider).redirect(Site.consumeReturnTo(req));
             });
         });
-        cbAuthMiddleware(req, res, next);
+        socialCallback(req, res, next);
+    }
+
+    /**
+     * Check the signed in user proved ownership of the account again, e.g. before linking a sign-in identity. <br />
+     * Accounts signed up by password are checked by given password, other accounts must have signed in recently.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} user - Account record of the signed in user.
+     * @param {string} [password] - Current password entered by user.
+     * @returns {boolean} - true if the user re-authenticated.
+     */
+    async isReauthenticated(req, user, password) {
+        if (AuthorizationProvider.AUTH_PASSWORD === user.provider_code) {
+            return !!password && await Account.checkHash(password, user.password);
+        }
+        const authTime = req.session.authTime;
+        return !!authTime && ((Date.now() - authTime) <= (REAUTHENTICATE_MINUTES * 60 * 1000));
     }
 
     /**
-     * Middleware for restore login according to cookie.
+     * Require the signed in user proved ownership of the account again, e.g. before deleting the account.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} user - Account record of the signed in user.
+     * @param {string} [password] - Current password entered by user.
+     * @throws {Error} When the user did not re-authenticate.
+     * @see #isReauthenticated
+     */
+    async checkReauthenticated(req, user, password) {
+        if (!await this.isReauthenticated(req, user, password)) {
+            throw ERROR_REAUTHENTICATE;
+        }
+    }
+
+    /**
+     * Count a request of E-mail to given address by a visitor, e.g. a password reset link. Each request sends a new link, 
+     * so requests are limited to protect the mailbox from flooding. Unknown addresses are counted the same.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} email - Email address to send E-mail to.
+     * @throws {Error} When too many E-mails were requested recently.
+     */
+    async countEmailRequest(req, email) {
+        try {
+            await this.emailThrottle.check(email, req.ip);
+        } catch (err) {
+            if (err instanceof ThrottleError) {
+                throw ERROR_TOO_MANY_EMAILS;
+            }
+            throw err;
+        }
+        await this.emailThrottle.recordFailure(email, req.ip);
+    }
+
+    /**
+     * Hold a request of linking a sign-in identity to the signed in user in session, until callback of the identity provider.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {IdentityProvider} provider - The identity provider to be linked.
+     */
+    startLinkIdentity(req, provider) {
+        req.session.linkIdentity = { email: req.user.email, connection: provider.connection, created: Date.now() };
+    }
+
+    /**
+     * Take (and remove) the pending request of linking a sign-in identity from session, if it's made by the signed in user 
+     * for given provider, and not yet expired.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} connection - Connection name of the identity provider in callback.
+     * @return {Object} - The pending request, if present.
+     * @return null - otherwise
+     * @see #startLinkIdentity
+     */
+    takePendingLink(req, connection) {
+        const pending = req.session.linkIdentity;
+        req.session.linkIdentity = null;
+        if (pending && req.user && (req.user.email === pending.email) && (connection === pending.connection)) {
+            if ((Date.now() - pending.created) <= (LINK_IDENTITY_MINUTES * 60 * 1000)) {
+                return pending;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Link a sign-in identity to the signed in user, after user signed in at the identity provider, and show the result.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {Object} pending - The pending request of linking.
+     * @param {string} providerEmail - E-mail address given by the identity provider.
+     * @param {string} subject - User ID at the identity provider.
+     * @see #startLinkIdentity
+     */
+    async completeLinkIdentity(req, res, pending, providerEmail, subject) {
+        const label = AuthorizationParser.getLabel(AuthorizationParser.parse(pending.connection));
+        try {
+            await this.account.linkIdentity(pending.email, pending.connection, subject, providerEmail);
+        } catch (err) {
+            return res.status(412).render('alert.ejs', { title: 'Link Sign-in', message: err.message, returnTo: PROFILE_PAGE });
+        }
+        return res.render('alert.ejs', { title: 'Link Sign-in', information: req.t('{provider} sign-in linked, you can use it to sign in now', { provider: label }), returnTo: PROFILE_PAGE });
+    }
+
+    /**
+     * Middleware for password login. A remember-me token is issued when user checked 'rememberMe' on sign-in page. <br />
+     * Failed attempts are counted by email address and client IP, too many failures lead to delay or temporary lockout.
+     * When two-factor authentication is enabled, failures are cleared only after the second factor passed.
      * 
      * @param {Request} req - The HTTP request
      * @param {Response} res - The HTTP response
      * @param {NextCallback} next - Callback of next Express.js middleware
      */
-    tryRestoreLogin(req, res, next) {
-        var signedUser = '';
-        if (!req.isAuthenticated()) {
+    async localAuthenticate(req, res, next) {
+        const site = this;
+        const email = req.body[site.config.passportOptions.usernameField];
+        const ip = req.ip;
+        try {
+            await site.loginThrottle.check(email, ip);
+        } catch (errThrottle) {
+            return next(errThrottle);
+        }
+        const cbAuthMiddleware = passport.authenticate('db-auth', { failureRedirect: '/signin' }, async function (err, user, info) {
+            if (err) {
+                await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email, provider: PROVIDER_PASSWORD });
+                return next(err);
+            }
+            try {
+                if (!user) {
+                    await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email, provider: PROVIDER_PASSWORD });
+                    await site.recordSignInFailure(email, ip);
+                    return next(ERROR_LOGIN_FAILED);
+                }
+                if (info && info.secondFactor) {
+                    return site.startSecondFactor(req, res, { email: user, rememberMe: !!req.body.rememberMe });
+                }
+                await site.loginThrottle.recordSuccess(email);
+            } catch (errThrottle) {
+                return next(errThrottle);
+            }
+            await site.recordAudit(req, AuditEvent.SIGN_IN, { email: user, provider: PROVIDER_PASSWORD });
+            req.login(user, async function (err) {
+                if (err) {
+                    return next(err);
+                }
+                Site.markAuthTime(req);
+                if (req.body.rememberMe) {
+                    try {
+                        await site.rememberUser(res, user);
+                    } catch (errRemember) {
+                        console.error(errRemember);
+                    }
+                }
+                return Site.signLoginType(res).redirect(Site.consumeReturnTo(req));
+            });
+        });
+        cbAuthMiddleware(req, res, next);
+    }
 
-            // try to restore auth0 login
-            var loginType = req.signedCookies.loginType;
-            if (loginType && (LOCAL_LOGIN !== loginType)) {
-                return next();
+    /**
+     * Record an event in security audit log, with IP address and user-agent of the request. <br />
+     * Failures of audit log are reported to console only, so that they never break the request.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} event - The event, see <strong>AuditEvent</strong>.
+     * @param {AuditDetail} detail - Account and provider of the event.
+     */
+    async recordAudit(req, event, detail) {
+        try {
+            await this.auditLog.recordEvent(event, Object.assign({ ip: req.ip, userAgent: req.get('user-agent') }, detail));
+        } catch (err) {
+            console.error(err);
+        }
+    }
+
+    /**
+     * Recognize the device of a sign-in by its device cookie or browser fingerprint, and keep the device id in cookie. <br />
+     * A sign-in from a device not seen for the account before is recorded in audit log, and the user is alerted by E-mail 
+     * with a "this wasn't me" link. Failures are reported to console only, so that they never break the sign-in.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} email - E-mail address of signed in user
+     */
+    async checkSignInDevice(req, email) {
+        const client = {
+            deviceId: req.signedCookies[DEVICE_COOKIE],
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            acceptLanguage: req.get('accept-language')
+        };
+        var userList;
+        var device;
+        try {
+            userList = await this.account.findUsersByEmail(email);
+            if (1 !== userList.length) {
+                return;
+            }
+            device = await this.knownDevice.recordSignIn(userList[0].id, client);
+            req.res.cookie(DEVICE_COOKIE, device.deviceId, DEVICE_COOKIE_POLICY);
+            if (device.isNew) {
+                await this.recordAudit(req, AuditEvent.NEW_DEVICE, { accountId: userList[0].id, email });
+                await this.account.sendNewDeviceEmail(email, device, client, req.locale);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    }
+
+    /**
+     * Count a failed password sign-in, and send unlock E-mail when the account was locked by this failure.
+     * 
+     * @param {string} email - E-mail address in the sign-in attempt
+     * @param {string} ip - IP address of client
+     */
+    async recordSignInFailure(email, ip) {
+        const lock = await this.loginThrottle.recordFailure(email, ip);
+        if (lock) {
+            await this.account.sendUnlockEmail(email, lock.unlockToken, lock.lockedUntil);
+        }
+    }
+
+    /**
+     * Hold a sign-in that passed the first factor in session, and redirect user to two-factor sign-in page.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {Object} pending - The pending sign-in, with <strong>email</strong>, and optional <strong>authProvider</strong>, 
+     *                           <strong>signInMethod</strong>, <strong>isRestored</strong> and <strong>rememberMe</strong>.
+     */
+    startSecondFactor(req, res, pending) {
+        req.session.secondFactor = Object.assign({ created: Date.now(), attempts: 0 }, pending);
+        return res.redirect(SECOND_FACTOR_PAGE);
+    }
+
+    /**
+     * Get the pending sign-in held in session, if it's not yet expired.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {Object} - The pending sign-in, if present.
+     * @return null - otherwise
+     * @see #startSecondFactor
+     */
+    getPendingSecondFactor(req) {
+        const pending = req.session.secondFactor;
+        if (pending && pending.email) {
+            if ((Date.now() - pending.created) <= (SECOND_FACTOR_MINUTES * 60 * 1000)) {
+                return pending;
             }
+            req.session.secondFactor = null;
+        }
+        return null;
+    }
 
-            // try to restore local login
-            signedUser = req.signedCookies.user;
-            if (signedUser) {
-                var user = req.signedCookies.user;
-                req.body.emailAddr = user;
-                req.body.password = req.signedCookies.password;
+    /**
+     * Complete a pending sign-in after two-factor authentication passed.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {Object} pending - The pending sign-in held in session.
+     * @see #startSecondFactor
+     */
+    async completeSignIn(req, res, pending) {
+        const site = this;
+        var user = pending.email;
+        if (pending.authProvider) {
+            user = { email: pending.email, oidc: { provider: pending.authProvider } };
+        }
+        await site.account.updateSession(pending.email, !!pending.isRestored);
+        if (!pending.isRestored) {
+            await site.checkSignInDevice(req, pending.email);
+        }
+        await site.recordAudit(req, pending.isRestored ? AuditEvent.RESTORE_LOGIN : AuditEvent.SIGN_IN, { email: pending.email, provider: Site.getPendingProvider(pending) });
+        req.login(user, async function (err) {
+            if (err) {
+                console.error(err);
+                return site.renderSignIn(req, res, ERROR_LOGIN_FAILED);
+            }
+            Site.markAuthTime(req);
+            if (pending.rememberMe) {
+                try {
+                    await site.rememberUser(res, pending.email);
+                } catch (errRemember) {
+                    console.error(errRemember);
+                }
+            }
+            return Site.signLoginType(res, pending.authProvider).redirect(Site.consumeReturnTo(req));
+        });
+    }
 
-                return passport.authenticate('db-auth')(req, res, function () {
-                    var redirectUri = req.cookies.lastPage || USER_HOME;
-                    return Site.signRestoreUser(res, user).redirect(redirectUri);
-                });
+    /**
+     * Middleware for restore login according to remember-me cookie. The remember-me token rotates on every restored login. <br />
+     * When a replayed (old) token is detected, all saved sign-ins of the account are revoked and user must sign in again.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     */
+    async tryRestoreLogin(req, res, next) {
+        if (req.isAuthenticated()) {
+            return res.redirect(Site.consumeReturnTo(req));
+        }
+
+        // try to restore local login
+        const remembered = Site.parseRememberCookie(req.signedCookies[REMEMBER_COOKIE]);
+        if (!remembered) {
+            return next();
+        }
+        var rotated;
+        var user;
+        try {
+            rotated = await this.rememberToken.rotateToken(remembered.series, remembered.token);
+            if (rotated) {
+                user = await this.account.findUserById(rotated.accountId);
+            }
+            if (user && user.disabled) {
+                user = null;
+            }
+            if (user) {
+                await this.account.updateSession(user.email, true);
+                await this.recordAudit(req, AuditEvent.RESTORE_LOGIN, { accountId: user.id, email: user.email, provider: PROVIDER_REMEMBER_ME });
             }
+        } catch (err) {
+            res.clearCookie(REMEMBER_COOKIE);
+            if (err instanceof TokenTheftError) {
+                return this.renderSignIn(req, res, ERROR_REMEMBER_THEFT);
+            }
+            return next(err);
+        }
+        if (!user) {
+            res.clearCookie(REMEMBER_COOKIE);
             return next();
         }
 
-        res.redirect(USER_HOME);
+        req.login(user.email, function (err) {
+            if (err) {
+                return next(err);
+            }
+            var redirectUri = Site.consumeReturnTo(req, req.cookies.lastPage);
+            Site.setRememberCookie(res, rotated);
+            return Site.signLoginType(res).redirect(redirectUri);
+        });
+    }
+
+    /**
+     * Issue a remember-me token for a signed in user, and store it in a signed cookie.
+     * 
+     * @param {Response} res - The HTTP response
+     * @param {string} email - E-mail address of a user
+     */
+    async rememberUser(res, email) {
+        const userList = await this.account.findUsersByEmail(email);
+        var pair;
+        if (1 === userList.length) {
+            pair = await this.rememberToken.issueToken(userList[0].id);
+            Site.setRememberCookie(res, pair);
+        }
+    }
+
+    /**
+     * Revoke the remember-me token stored in cookie (if present), and clear the cookie.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     */
+    async forgetUser(req, res) {
+        const remembered = Site.parseRememberCookie(req.signedCookies[REMEMBER_COOKIE]);
+        if (remembered) {
+            try {
+                await this.rememberToken.revokeToken(remembered.series);
+            } catch (err) {
+                console.error(err);
+            }
+        }
+        res.clearCookie(REMEMBER_COOKIE);
     }
 
     /**
@@ -716,11 +2119,15 @@ class Site {
      * @param {MessageObject} [err] - Optional object with error message
      */
     renderSignIn(req, res, err) {
+        if (err instanceof ThrottleError) {
+            req.session.errorMessage = LoginThrottle.describeError(err.retryAfter, err.isLocked, req.locale);
+            return res.redirect('/signin');
+        }
         if (err) {
             req.session.errorMessage = err.message;
             return res.redirect('/signin');
         }
-        return res.render('login.ejs', { errorMessage: this.consumeErrorMessage(req) });
+        return res.render('login.ejs', { errorMessage: this.consumeErrorMessage(req), identityProviders: AuthorizationParser.getProviders() });
     }
 
     /**
@@ -735,7 +2142,7 @@ class Site {
             req.session.errorMessage = err.message;
             return res.redirect('/signup');
         }
-        res.render('register.ejs', { errorMessage: this.consumeErrorMessage(req) });
+        res.render('register.ejs', { errorMessage: this.consumeErrorMessage(req), identityProviders: AuthorizationParser.getProviders() });
     }
 
     /**
@@ -772,6 +2179,21 @@ class Site {
         return errorMessage;
     }
 
+    /**
+     * Check given input is an E-mail address.
+     * 
+     * @param {string} email - The input E-mail address
+     * @throws {Error} When E-mail address is empty or invalid.
+     */
+    checkEmailAddress(email) {
+        if (!email) {
+            throw ERROR_NO_EMAIL;
+        }
+        if (!RX_EMAIL.test(email)) {
+            throw ERROR_INVALID_EMAIL;
+        }
+    }
+
     /**
      * Concat messages in array of message objects into a single string, seperated by ASCII Line-Feed '\n' character.
      * 
@@ -791,22 +2213,273 @@ class Site {
     }
 
     /**
-     * Create a signed login record to be restored in the future.
+     * Record the time user signed in by entering credentials in session. Logins restored by cookie are not recorded.
      * 
+     * @param {Request} req - The HTTP request
+     * @see #isReauthenticated
+     */
+    static markAuthTime(req) {
+        req.session.authTime = Date.now();
+    }
+
+    /**
+     * Keep a page of this site in session, where user returns after signed in, e.g. authorization endpoint of OAuth.
+     * It expires in 10 minutes, so that an abandoned page is not shown on later sign-ins.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} url - Path of the page, must be a path of this site.
+     * @see #consumeReturnTo
+     */
+    setReturnTo(req, url) {
+        req.session.returnTo = { url, created: Date.now() };
+    }
+
+    /**
+     * Get the page where user returns after signed in, and remove it from session.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} [fallback] - The page when none is kept, dashboard by default.
+     * @return {string} - Path of the page.
+     * @see #setReturnTo
+     */
+    static consumeReturnTo(req, fallback) {
+        const returnTo = req.session.returnTo;
+        req.session.returnTo = null;
+        if (returnTo && RX_LOCAL_PATH.test(returnTo.url) && (Date.now() - returnTo.created < RETURN_TO_MINUTES * 60 * 1000)) {
+            return returnTo.url;
+        }
+        return fallback || USER_HOME;
+    }
+
+    /**
+     * Middleware to choose locale of a request, from <strong>lang</strong> query (remembered in cookie), <strong>lang</strong> cookie, 
+     * preferred locale of signed in user, and Accept-Language header in order. <br />
+     * The locale is kept as <strong>req.locale</strong> and provided to page templates as <strong>locale</strong>, 
+     * with <strong>t()</strong> to translate text. Messages of JSON responses are translated as well.
+     * 
+     * @param {Request} req - The HTTP request
      * @param {Response} res - The HTTP response
-     * @param {string} email - E-mail address of a user
-     * @param {string} [loginType] - Type of user login. Currently 'local', 'google-oauth2', and 'facebook' are supported.
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     * @see util#Localizer
      */
-    static signRestoreUser(res, email, loginType) {
+    static provideLocale(req, res, next) {
+        const queryLocale = Localizer.matchLocale(req.query[LOCALE_QUERY]);
+        if (queryLocale) {
+            res.cookie(LOCALE_COOKIE, queryLocale, LOCALE_COOKIE_POLICY);
+        }
+        const userLocale = req.user ? req.user.locale : null;
+        req.locale = Localizer.negotiate([queryLocale, req.cookies[LOCALE_COOKIE], userLocale], req.get('accept-language'));
+        req.t = Localizer.makeTranslator(req.locale);
+        res.locals.locale = req.locale;
+        res.locals.locales = Localizer.getLocales();
+        res.locals.localeNames = Localizer.getLocaleNames();
+        res.locals.t = req.t;
+        Object.defineProperty(res.locals, 'clientMessages', {
+            enumerable: true,
+            get: function () {
+                return Localizer.makeClientCatalog(req.locale);
+            }
+        });
+
+        // translate message and information of JSON responses
+        const sendJson = res.json;
+        res.json = function (body) {
+            if (body && ('object' === typeof body) && !Array.isArray(body)) {
+                body = Object.assign({}, body);
+                ['message', 'information'].filter((key) => ('string' === typeof body[key])).forEach((key) => {
+                    body[key] = req.t(body[key]);
+                });
+            }
+            return sendJson.call(this, body);
+        };
+        return next();
+    }
+
+    /**
+     * Set cookie of locale, e.g. after a user changed preferred locale, so that pages follow the new locale right away.
+     * 
+     * @param {Response} res - The HTTP response
+     * @param {string} locale - The locale, or null to follow the browser
+     */
+    setLocaleCookie(res, locale) {
+        if (locale) {
+            res.cookie(LOCALE_COOKIE, locale, LOCALE_COOKIE_POLICY);
+        } else {
+            res.clearCookie(LOCALE_COOKIE, { path: LOCALE_COOKIE_POLICY.path });
+        }
+    }
+
+    /**
+     * Middleware to provide CSRF token to page templates as <strong>csrfToken</strong>. The token is created in session only
+     * when a page uses it, so that requests without pages (e.g. JSON API) do not start sessions.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     * @see CsrfGuard
+     */
+    static provideCsrfToken(req, res, next) {
+        Object.defineProperty(res.locals, 'csrfToken', {
+            enumerable: true,
+            get: function () {
+                return CsrfGuard.getToken(req);
+            }
+        });
+        return next();
+    }
+
+    /**
+     * Middleware to reject state-changing requests without CSRF token of the session, with 403 Forbidden. <br />
+     * JSON requests get a JSON message, and others get an alert page.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     * @see CsrfGuard
+     */
+    static checkCsrfToken(req, res, next) {
+        if (Site.isCsrfExempt(req) || CsrfGuard.checkRequest(req)) {
+            return next();
+        }
+        res.status(403);
+        if (Site.isJsonRequest(req)) {
+            return res.json({ message: ERROR_CSRF.message });
+        }
+        return res.render('alert.ejs', { title: 'Forbidden', message: ERROR_CSRF.message, returnTo: '/' });
+    }
+
+    /**
+     * Check a request is exempt from CSRF check, that is, a request to token endpoints, or a request to /user with bearer token.
+     * Neither relies on cookies, so they can't be forged by another site.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {boolean} - true if CSRF check is not required.
+     */
+    static isCsrfExempt(req) {
+        if (CSRF_EXEMPT_PATHS.includes(req.path)) {
+            return true;
+        }
+        return (req.path.startsWith('/user/') && !!Site.getBearerToken(req));
+    }
+
+    /**
+     * Get bearer token in Authorization header of a request.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {string} - The token, if present.
+     * @return null - otherwise
+     */
+    static getBearerToken(req) {
+        const match = RX_BEARER.exec(req.get('authorization') || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Check a request expects JSON response, that is, a request with JSON body, an XMLHttpRequest, or a request not accepting HTML.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {boolean} - true if JSON response is expected.
+     */
+    static isJsonRequest(req) {
+        return !!(req.is('json') || req.xhr || !req.accepts('html'));
+    }
+
+    /**
+     * Middleware to record client of a signed in session, that is, IP address, user-agent and remember-me series of the browser,
+     * so that the session can be listed and revoked on profile page. The session is saved only when the client changed.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {NextCallback} next - Callback of next Express.js middleware
+     */
+    static recordSessionClient(req, res, next) {
+        if (!req.user) {
+            return next();
+        }
+        const remembered = Site.parseRememberCookie(req.signedCookies[REMEMBER_COOKIE]);
+        const client = {
+            ip: req.ip,
+            userAgent: req.get('user-agent') || '',
+            rememberSeries: remembered ? remembered.series : null
+        };
+        const recorded = req.session.client || {};
+        if ((recorded.ip !== client.ip) || (recorded.userAgent !== client.userAgent) || (recorded.rememberSeries !== client.rememberSeries)) {
+            req.session.client = client;
+        }
+        return next();
+    }
+
+    /**
+     * Create a signed record of login type, so that a login by social network can be recognized as restored login in the future.
+     * 
+     * @param {Response} res - The HTTP response
+     * @param {string} [loginType] - Type of user login, 'local' or a connection name of identity provider (e.g. 'google-oauth2').
+     * @return {Response} - The given HTTP response
+     */
+    static signLoginType(res, loginType) {
         const policy = RESTORE_COOKIE_POLICY;
         if (!loginType) {
             loginType = LOCAL_LOGIN;
         }
-        return res.cookie('user', email, policy).cookie('loginType', loginType, policy).cookie('password', RESTORED_LOGIN, policy);
+        return res.cookie('loginType', loginType, policy);
+    }
+
+    /**
+     * Store a remember-me token in a signed cookie, which expires together with the token series.
+     * 
+     * @param {Response} res - The HTTP response
+     * @param {RememberTokenPair} pair - The remember-me token to be stored.
+     * @return {Response} - The given HTTP response
+     */
+    static setRememberCookie(res, pair) {
+        const policy = Object.assign({ expires: pair.expires }, REMEMBER_COOKIE_POLICY);
+        return res.cookie(REMEMBER_COOKIE, `${pair.series}:${pair.token}`, policy);
+    }
+
+    /**
+     * Parse a remember-me cookie value into series and token.
+     * 
+     * @param {string} cookieValue - The remember-me cookie value, in 'series:token' format.
+     * @return {Object} - An object with series and token, if cookie value is well-formed.
+     * @return null - otherwise
+     */
+    static parseRememberCookie(cookieValue) {
+        var parts;
+        if (cookieValue && (String === cookieValue.constructor)) {
+            parts = cookieValue.split(':');
+            if ((2 === parts.length) && parts[0] && parts[1]) {
+                return { series: parts[0], token: parts[1] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get how a pending sign-in passed the first factor, as provider in security audit log.
+     * 
+     * @param {Object} pending - The pending sign-in held in session.
+     * @return {string} - The connection name of identity provider, 'email-link', or 'password'.
+     * @see #startSecondFactor
+     */
+    static getPendingProvider(pending) {
+        return pending.authProvider || pending.signInMethod || PROVIDER_PASSWORD;
+    }
+
+    /**
+     * Get name of passport strategy to sign in by given identity provider.
+     * 
+     * @param {IdentityProvider} provider - The identity provider entry.
+     * @return {string} - 'auth0', or a strategy name of native OpenID Connect issuer, e.g. 'oidc-corporate'.
+     */
+    static getStrategyName(provider) {
+        if ('oidc' === provider.strategy) {
+            return 'oidc-' + provider.name;
+        }
+        return 'auth0';
     }
 
     /**
-     * Get E-mail address assigned by Auth0Strategy
+     * Get E-mail address assigned by Auth0Strategy (or OidcStrategy, in the same profile shape)
      * 
      * @param {Object} profile - Profile information from Auth0Strategy
      * @return {string} The E-mail address if present
@@ -0,0 +1,325 @@
+import express from 'express';
+import { AuditEvent } from '../dal/audit-log.js';
+import { RefreshToken } from '../dal/refresh-token.js';
+import { TokenIssuer } from '../util/token-issuer.js';
+import { CsrfGuard } from '../util/csrf-guard.js';
+import { LoginThrottle } from '../util/login-throttle.js';
+import { ThrottleError } from '../global.js';
+import { ERROR_NO_EMAIL, ERROR_NO_PASSWORD, ERROR_LOGIN_FAILED, ERROR_NO_ACCOUNT, ERROR_CSRF, ERROR_SECOND_FACTOR_REQUIRED, ERROR_SECOND_FACTOR_FAILED } from './site-errors.js';
+
+
+// constants for grant types
+const GRANT_PASSWORD = 'password';
+const GRANT_SESSION = 'session';
+const GRANT_REFRESH = 'refresh_token';
+const PROVIDER_PASSWORD = 'password';
+
+// input check constants
+const ERROR_UNSUPPORTED_GRANT = new Error('Unsupported grant type');
+const ERROR_NOT_SIGNED_IN = new Error('Not signed in');
+const ERROR_INVALID_REFRESH = new Error('Invalid or expired refresh token, please sign in again');
+
+
+/**
+ * Routes of bearer tokens for SPA and mobile clients, which can't use the session cookie. <br />
+ * A client gets a short-lived access token (JWT) and a refresh token, by E-mail & password or by the session of a signed
+ * in browser, and sends the access token as <strong>Authorization: Bearer</strong> header to JSON routes under /user.
+ * The refresh token rotates on every use, and access tokens are revoked with their refresh token. <br />
+ * Responses follow the token endpoint of OAuth 2.0 (RFC 6749), with <strong>message</strong> in addition to <strong>error</strong>.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { TokenRouter } from './token-router.js';
+ * 
+ * // in Site.addRoutes()
+ * const router = this.router;
+ * router.use('/token', TokenRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre>
+ */
+class TokenRouter {
+
+    /**
+     * Created a TokenRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this TokenRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this TokenRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const tokenRouter = this;
+
+        // issue tokens
+        /**
+         * @swagger
+         * paths:
+         *   /token:
+         *     post:
+         *       summary: Issue an access token and a refresh token
+         *       description: |
+         *         Grant types are <strong>password</strong> (E-mail as <strong>username</strong>, <strong>password</strong>,
+         *         and <strong>code</strong> when two-factor authentication is enabled), <strong>session</strong> (the signed in
+         *         session of browser, with CSRF token), and <strong>refresh_token</strong> (the refresh token is rotated).
+         *       tags:
+         *         - "token"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 grant_type:
+         *                   type: string
+         *                   enum: [password, session, refresh_token]
+         *                 username:
+         *                   type: string
+         *                   description: E-mail of user, for password grant
+         *                 password:
+         *                   type: string
+         *                   description: Password of user, for password grant
+         *                 code:
+         *                   type: string
+         *                   description: Code from authenticator app or a recovery code, for password grant of two-factor users
+         *                 refresh_token:
+         *                   type: string
+         *                   description: The refresh token, for refresh_token grant
+         *               required:
+         *                - grant_type
+         *       responses:
+         *         200:
+         *           description: Show <strong>access_token</strong>, <strong>token_type</strong>, <strong>expires_in</strong> and <strong>refresh_token</strong>
+         *         400:
+         *           description: Show <strong>error</strong> and <strong>message</strong> when the grant is invalid
+         *         403:
+         *           description: Show Forbidden when CSRF token of session grant is invalid
+         *         429:
+         *           description: Show Too Many Requests when sign-in is delayed or locked by failed attempts
+         */
+        router.post('/', async function (req, res, next) {
+            const grantType = req.body.grant_type;
+            var pair;
+            try {
+                if (GRANT_PASSWORD === grantType) {
+                    pair = await tokenRouter.grantPassword(req);
+                } else if (GRANT_SESSION === grantType) {
+                    if (!CsrfGuard.checkRequest(req)) {
+                        return res.status(403).json({ error: 'invalid_request', message: ERROR_CSRF.message });
+                    }
+                    pair = await tokenRouter.grantSession(req);
+                } else if (GRANT_REFRESH === grantType) {
+                    pair = await tokenRouter.grantRefresh(req);
+                } else {
+                    return res.status(400).json({ error: 'unsupported_grant_type', message: ERROR_UNSUPPORTED_GRANT.message });
+                }
+            } catch (err) {
+                return tokenRouter.sendError(req, res, err);
+            }
+            return tokenRouter.sendTokens(res, pair);
+        });
+
+        // revoke a token
+        /**
+         * @swagger
+         * paths:
+         *   /token/revoke:
+         *     post:
+         *       summary: Revoke a refresh token, with all access tokens issued by it
+         *       description: An access token can be given as well, then its refresh token is revoked.
+         *       tags:
+         *         - "token"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 token:
+         *                   type: string
+         *                   description: The refresh token or access token
+         *               required:
+         *                - token
+         *       responses:
+         *         200:
+         *           description: Always show OK, even when the token is invalid or was revoked already (RFC 7009)
+         */
+        router.post('/revoke', async function (req, res, next) {
+            const token = req.body.token;
+            const parsed = RefreshToken.parseToken(token);
+            var payload;
+            try {
+                if (parsed) {
+                    await tokenRouter.site.refreshToken.revokeToken(parsed.family);
+                } else if (token) {
+                    payload = TokenIssuer.verifyAccessToken(token);
+                    await tokenRouter.site.refreshToken.revokeToken(payload.sid);
+                }
+            } catch (err) {
+                // invalid tokens are ignored
+            }
+            return res.json({});
+        });
+    }
+
+    /**
+     * Check E-mail & password (and two-factor code when enabled) of a user, then issue a refresh token. <br />
+     * Failed attempts are counted by brute-force protection of password sign-in, and recorded in audit log.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {RefreshTokenPair} - The issued refresh token.
+     * @throws {Error} When credentials are missing or incorrect.
+     * @throws {ThrottleError} When sign-in is delayed or locked by failed attempts.
+     */
+    async grantPassword(req) {
+        const site = this.site;
+        const email = req.body.username;
+        const password = req.body.password;
+        var userList;
+        if (!email) {
+            throw ERROR_NO_EMAIL;
+        }
+        if (!password) {
+            throw ERROR_NO_PASSWORD;
+        }
+        await site.loginThrottle.check(email, req.ip);
+        if (!await site.account.emailSignIn(email, password)) {
+            await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email, provider: PROVIDER_PASSWORD });
+            await site.recordSignInFailure(email, req.ip);
+            throw ERROR_LOGIN_FAILED;
+        }
+        userList = await site.account.findUsersByEmail(email);
+        if (1 !== userList.length) {
+            throw ERROR_NO_ACCOUNT;
+        }
+        if (true === userList[0].totp_enabled) {
+            if (!req.body.code) {
+                throw ERROR_SECOND_FACTOR_REQUIRED;
+            }
+            if (!await site.twoFactor.verifySecondFactor(userList[0].id, String(req.body.code))) {
+                await site.recordAudit(req, AuditEvent.SIGN_IN_FAILURE, { email, provider: PROVIDER_PASSWORD });
+                await site.recordSignInFailure(email, req.ip);
+                throw ERROR_SECOND_FACTOR_FAILED;
+            }
+        }
+        await site.loginThrottle.recordSuccess(email);
+        await site.recordAudit(req, AuditEvent.SIGN_IN, { email, provider: PROVIDER_PASSWORD });
+        return await this.issueRefreshToken(req, userList[0]);
+    }
+
+    /**
+     * Issue a refresh token to the user signed in by session of browser, e.g. a SPA served by this site.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {RefreshTokenPair} - The issued refresh token.
+     * @throws {Error} When user not yet signed in.
+     */
+    async grantSession(req) {
+        const user = await this.site.findSignInUser(req);
+        if (!user) {
+            throw ERROR_NOT_SIGNED_IN;
+        }
+        return await this.issueRefreshToken(req, user);
+    }
+
+    /**
+     * Rotate a refresh token. The account must still be enabled, and the token must not be issued to an OAuth client.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {RefreshTokenPair} - The rotated refresh token.
+     * @throws {Error} When the refresh token is invalid, expired, or replayed.
+     */
+    async grantRefresh(req) {
+        const site = this.site;
+        const pair = await site.refreshToken.rotateToken(req.body.refresh_token);
+        var user;
+        if (!pair) {
+            throw ERROR_INVALID_REFRESH;
+        }
+        user = await site.account.findUserById(pair.accountId);
+        if (!user || user.disabled || pair.clientId) {
+            await site.refreshToken.revokeToken(pair.family);
+            throw ERROR_INVALID_REFRESH;
+        }
+        pair.user = user;
+        return pair;
+    }
+
+    /**
+     * Issue a new refresh token family to a user.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} user - The account record.
+     * @return {RefreshTokenPair} - The issued refresh token, with the account record as <strong>user</strong>.
+     */
+    async issueRefreshToken(req, user) {
+        const tokenOptions = this.site.config.tokenOptions || {};
+        const pair = await this.site.refreshToken.issueToken(user.id, req.get('user-agent'), tokenOptions.refreshDays);
+        pair.user = user;
+        return pair;
+    }
+
+    /**
+     * Send an access token with given refresh token. Responses of tokens are never cached.
+     * 
+     * @param {Response} res - The HTTP response
+     * @param {RefreshTokenPair} pair - The refresh token, with the account record as <strong>user</strong>.
+     */
+    sendTokens(res, pair) {
+        const { accessToken, expiresIn } = TokenIssuer.issueAccessToken(pair.user, pair.family);
+        res.set('Cache-Control', 'no-store');
+        res.set('Pragma', 'no-cache');
+        return res.json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: expiresIn,
+            refresh_token: pair.refreshToken
+        });
+    }
+
+    /**
+     * Send error of a rejected grant.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {Error} err - The error.
+     */
+    sendError(req, res, err) {
+        if (err instanceof ThrottleError) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((err.retryAfter.getTime() - Date.now()) / 1000))));
+            return res.status(429).json({ error: 'invalid_grant', message: LoginThrottle.describeError(err.retryAfter, err.isLocked, req.locale) });
+        }
+        if ((ERROR_NO_EMAIL === err) || (ERROR_NO_PASSWORD === err)) {
+            return res.status(400).json({ error: 'invalid_request', message: err.message });
+        }
+        return res.status(400).json({ error: 'invalid_grant', message: err.message });
+    }
+
+    /**
+     * Create an initialized TokenRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created TokenRouter
+     */
+    static makeOne(site) {
+        var instance = new TokenRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { TokenRouter };
@@ -0,0 +1,257 @@
+import express from 'express';
+import QRCode from 'qrcode';
+import { LoginThrottle } from '../util/login-throttle.js';
+import { ThrottleError } from '../global.js';
+import { ERROR_SECOND_FACTOR_FAILED } from './site-errors.js';
+
+
+// two-factor router constants
+const DEFAULT_ISSUER = 'ExpressMultiPassport';
+
+
+/**
+ * Routes for two-factor authentication (TOTP) settings of a signed in user, in JSON format.
+ * @memberof routes#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import express from 'express';
+ * import { TwoFactorRouter } from './two-factor-router.js';
+ * 
+ * // in UserRouter.addRoutes()
+ * const router = this.router;
+ * router.use('/2fa', TwoFactorRouter.makeOne(site));
+ * 
+ * </code>
+ * </pre> 
+ */
+class TwoFactorRouter {
+
+    /**
+     * Created a TwoFactorRouter for given site.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     */
+    constructor(site) {
+
+        /** Express.js router for this TwoFactorRouter. */
+        this.router = new express.Router();
+
+        /** The Site that this TwoFactorRouter co-work with. */
+        this.site = site;
+    }
+
+    /**
+     * Add routes to a router owned by this instance.
+     */
+    addRoutes() {
+        const router = this.router;
+        const site = this.site;
+        const twoFactor = site.twoFactor;
+        const twoFactorRouter = this;
+
+        // start two-factor enrolment
+        /**
+         * @swagger
+         * paths:
+         *   /user/2fa/setup:
+         *     post:
+         *       summary: Start two-factor enrolment, by generating a new TOTP secret
+         *       description: The secret does not take effect until it is confirmed by /user/2fa/enable.
+         *       tags:
+         *         - "2fa"
+         *       responses:
+         *         200:
+         *           description: Show the TOTP secret, the otpauth URI and its QR code (as data URL)
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if two-factor authentication was already enabled
+         */
+        router.post('/setup', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                const issuer = (site.config.twoFactorOptions || {}).issuer || DEFAULT_ISSUER;
+                const { secret, otpauthUri } = await twoFactor.startEnrolment(user.id, issuer);
+                const qrDataUrl = await QRCode.toDataURL(otpauthUri);
+                return res.json({ secret, otpauthUri, qrDataUrl });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // confirm two-factor enrolment
+        /**
+         * @swagger
+         * paths:
+         *   /user/2fa/enable:
+         *     post:
+         *       summary: Confirm two-factor enrolment by a code from authenticator app
+         *       tags:
+         *         - "2fa"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 code:
+         *                   type: string
+         *                   description: The 6-digit code from authenticator app
+         *               required:
+         *                - code
+         *       responses:
+         *         200:
+         *           description: Show recovery codes, which are shown only once
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if the code is invalid
+         */
+        router.post('/enable', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                const recoveryCodes = await twoFactor.confirmEnrolment(user.id, req.body.code);
+                if (!recoveryCodes) {
+                    throw ERROR_SECOND_FACTOR_FAILED;
+                }
+                return res.json({ recoveryCodes, information: 'Two-factor authentication enabled' });
+            } catch (err) {
+                return res.status(412).json({ message: err.message });
+            }
+        });
+
+        // disable two-factor authentication
+        /**
+         * @swagger
+         * paths:
+         *   /user/2fa/disable:
+         *     post:
+         *       summary: Disable two-factor authentication
+         *       tags:
+         *         - "2fa"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 code:
+         *                   type: string
+         *                   description: The 6-digit code from authenticator app, or a recovery code
+         *               required:
+         *                - code
+         *       responses:
+         *         200:
+         *           description: Show OK when two-factor authentication was disabled
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if the code is invalid
+         *         429:
+         *           description: Show Too Many Requests if too many invalid codes were entered, with Retry-After
+         */
+        router.post('/disable', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                await twoFactorRouter.verifyCode(req, user, () => twoFactor.disable(user.id, req.body.code));
+                return res.json({ information: 'Two-factor authentication disabled' });
+            } catch (err) {
+                return twoFactorRouter.sendError(req, res, err);
+            }
+        });
+
+        // regenerate recovery codes
+        /**
+         * @swagger
+         * paths:
+         *   /user/2fa/recovery-codes:
+         *     post:
+         *       summary: Replace all recovery codes with newly generated ones
+         *       tags:
+         *         - "2fa"
+         *       requestBody:
+         *         content:
+         *           application/json:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 code:
+         *                   type: string
+         *                   description: The 6-digit code from authenticator app, or a recovery code
+         *               required:
+         *                - code
+         *       responses:
+         *         200:
+         *           description: Show new recovery codes, which are shown only once
+         *         401:
+         *           description: Show Unauthorized if user not yet signed in
+         *         412:
+         *           description: Show Precondition Failed if the code is invalid
+         *         429:
+         *           description: Show Too Many Requests if too many invalid codes were entered, with Retry-After
+         */
+        router.post('/recovery-codes', site.secureApi, async function (req, res, next) {
+            try {
+                const user = await site.findSignInUser(req);
+                await twoFactorRouter.verifyCode(req, user, () => twoFactor.verifySecondFactor(user.id, req.body.code));
+                const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user.id);
+                return res.json({ recoveryCodes, information: 'Recovery codes regenerated' });
+            } catch (err) {
+                return twoFactorRouter.sendError(req, res, err);
+            }
+        });
+    }
+
+    /**
+     * Verify a code entered by signed in user. Invalid codes are counted by the sign-in throttle, as on two-factor
+     * sign-in, so that codes can't be guessed by brute force in a left-open session.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} user - The account record of signed in user.
+     * @param {Function} verify - Async function that verifies the code, and returns true if the code is accepted.
+     * @throws {ThrottleError} When too many invalid codes were entered.
+     * @throws {Error} When the code is invalid.
+     */
+    async verifyCode(req, user, verify) {
+        const site = this.site;
+        await site.loginThrottle.check(user.email, req.ip);
+        const isVerified = await verify();
+        if (!isVerified) {
+            await site.recordSignInFailure(user.email, req.ip);
+            throw ERROR_SECOND_FACTOR_FAILED;
+        }
+        await site.loginThrottle.recordSuccess(user.email);
+    }
+
+    /**
+     * Send error of a rejected code.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Response} res - The HTTP response
+     * @param {Error} err - The error.
+     */
+    sendError(req, res, err) {
+        if (err instanceof ThrottleError) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((err.retryAfter.getTime() - Date.now()) / 1000))));
+            return res.status(429).json({ message: LoginThrottle.describeError(err.retryAfter, err.isLocked, req.locale) });
+        }
+        return res.status(412).json({ message: err.message });
+    }
+
+    /**
+     * Create an initialized TwoFactorRouter instance, and return owned router.
+     * 
+     * @param {routes#Site} site - The given site instance, where <strong>middlewares</strong> in site may be useful.
+     * @return {Router} - The router instance owned by created TwoFactorRouter
+     */
+    static makeOne(site) {
+        var instance = new TwoFactorRouter(site);
+        instance.addRoutes();
+        return instance.router;
+    }
+
+}
+
+export { TwoFactorRouter };
@@ -1,5 +1,24 @@
 import express from 'express';
 
+import { TwoFactorRouter } from './two-factor-router.js';
+import { IdentityRouter } from './identity-router.js';
+import { EmailRouter } from './email-router.js';
+import { PrivacyRouter } from './privacy-router.js';
+import { RoleRouter } from './role-router.js';
+import { AdminRouter } from './admin-router.js';
+import { SessionRouter } from './session-router.js';
+import { PersonalTokenRouter } from './personal-token-router.js';
+import { AuthorizationParser, AuthorizationProvider } from '../util/authorization-parser.js';
+import { AccessControl, Permission, TokenScope } from '../util/access-control.js';
+import { AuditEvent } from '../dal/audit-log.js';
+import { Localizer } from '../util/localizer.js';
+
+// number of security events shown in profile page
+const PROFILE_AUDIT_LIMIT = 20;
+
+const PROFILE_PAGE = '/user/profile';
+const ERROR_UNKNOWN_LOCALE = new Error('Unsupported language');
+
 
 /**
  * Routes for user-related page / APIs.
@@ -69,13 +88,19 @@ class UserRouter {
             var user;
             var id;
             var isVerified = false;
+            var isSecondFactorEnabled = false;
+            var canListUsers = false;
+            var canReadStatistics = false;
             if (1 === userList.length) {
                 user = userList[0];
                 isVerified = user.verified;
+                isSecondFactorEnabled = user.totp_enabled;
                 id = user.id;
+                canListUsers = await site.hasPermission(req, Permission.USER_LIST);
+                canReadStatistics = await site.hasPermission(req, Permission.USER_STATISTICS);
             }
 
-            res.render('dashboard.ejs', { id, isVerified, authProvider });
+            res.render('dashboard.ejs', { id, isVerified, isSecondFactorEnabled, authProvider, canListUsers, canReadStatistics });
         });
 
         // serve user profile
@@ -103,11 +128,35 @@ class UserRouter {
             const userList = await account.findUsersByEmail(email);
             var user;
             var nickname = null;
+            var isSecondFactorEnabled = false;
+            var recoveryCodeCount = 0;
+            var hasPassword = false;
+            var identities = [];
+            var pendingEmail = null;
+            var deleteAfter = null;
+            var signInSessions = null;
+            var auditEvents = [];
+            var tokenScopes = [];
+            var preferredLocale = null;
             if (1 === userList.length) {
                 user = userList[0];
                 nickname = user.nickname;
+                preferredLocale = user.locale;
+                isSecondFactorEnabled = user.totp_enabled;
+                if (isSecondFactorEnabled) {
+                    recoveryCodeCount = await site.twoFactor.countRecoveryCodes(user.id);
+                }
+                hasPassword = (AuthorizationProvider.AUTH_PASSWORD === user.provider_code);
+                identities = UserRouter.listSignInMethods(user, await account.listIdentities(email));
+                pendingEmail = user.pending_email;
+                deleteAfter = user.delete_after;
+                if (site.isSessionStored()) {
+                    signInSessions = await site.userSession.listAccountSessions(user.id, req.sessionID);
+                }
+                auditEvents = await site.auditLog.listAccountEvents(user.id, PROFILE_AUDIT_LIMIT);
+                tokenScopes = AccessControl.listTokenScopes(user.roles);
             }
-            res.render('profile.ejs', { nickname, email, authProvider });
+            res.render('profile.ejs', { nickname, email, authProvider, isSecondFactorEnabled, recoveryCodeCount, hasPassword, identities, pendingEmail, deleteAfter, signInSessions, auditEvents, tokenScopes, preferredLocale });
         });
 
         // change nickname in user profile
@@ -145,10 +194,47 @@ class UserRouter {
             const nickname = req.body.nickname;
             if (email && nickname) {
                 await account.changeUserNickname(email, nickname);
+                await site.recordAudit(req, AuditEvent.NICKNAME_CHANGE, { email });
             }
             return res.redirect(req.originalUrl);
         });
 
+        // change preferred locale in user profile
+        /**
+         * @swagger
+         * paths:
+         *   /user/locale:
+         *     post:
+         *       summary: Handle preferred locale change in user profile
+         *       description: The locale is used for pages and E-mails of the user. An empty locale follows the language of browser.
+         *       tags:
+         *         - "user"
+         *       requestBody:
+         *         content:
+         *           application/x-www-form-urlencoded:
+         *             schema:
+         *               type: object
+         *               properties:
+         *                 locale:
+         *                   type: string
+         *                   description: Preferred locale of the user, e.g. 'en' or 'zh-TW', empty to follow the browser
+         *       responses:
+         *         302:
+         *           description: Redirect to user profile to show pages in the new locale, or redirect to /signin when user not yet signed in
+         *         412:
+         *           description: Show error message when the locale is not supported
+         */
+        router.post('/locale', site.securePage, async function (req, res, next) {
+            const localeInput = req.body.locale;
+            const locale = Localizer.matchLocale(localeInput);
+            if (localeInput && (locale !== localeInput)) {
+                return res.status(412).render('alert.ejs', { title: 'Language', message: ERROR_UNKNOWN_LOCALE.message, returnTo: PROFILE_PAGE });
+            }
+            await account.changeUserLocale(req.user.email, locale);
+            site.setLocaleCookie(res, locale);
+            return res.redirect(PROFILE_PAGE);
+        });
+
         // serve user list
         /**
          * @swagger
@@ -156,6 +242,7 @@ class UserRouter {
          *   /user/list:
          *     get:
          *       summary: Show list of users, in JSON format
+         *       description: Requires permission 'user:list', granted to role 'admin'. A personal access token needs scope 'user:list'.
          *       tags:
          *         - "user"
          *       responses:
@@ -164,13 +251,18 @@ class UserRouter {
          *         401:
          *           description: Show Unauthorized if user not yet signed in
          *         403:
-         *           description: Show Forbidden if user not yet verify email address
+         *           description: Show Forbidden if user has no permission, not yet verify email address, not yet enable two-factor
+         *                        authentication, or the access token does not have the scope
          */
-        router.get('/list', site.secureApi, async function (req, res, next) {
+        router.get('/list', site.permitToken(TokenScope.USER_LIST), site.permitApi(Permission.USER_LIST), async function (req, res, next) {
             const isVerified = await site.isSignInVerified(req);
             if (!isVerified) {
                 return res.status(403).json({ message: 'Not verified' });
             }
+            const isSecondFactorEnabled = await site.isSignInSecondFactorEnabled(req);
+            if (!isSecondFactorEnabled) {
+                return res.status(403).json({ message: 'Two-factor authentication required' });
+            }
             const userList = await account.getUserList();
             return res.json(userList);
         });
@@ -182,6 +274,8 @@ class UserRouter {
          *   /user/statistics:
          *     get:
          *       summary: Show user statistics, in JSON format
+         *       description: Requires permission 'user:statistics', granted to roles 'admin' and 'analyst'.
+         *                    A personal access token needs scope 'user:statistics'.
          *       tags:
          *         - "user"
          *       responses:
@@ -190,9 +284,10 @@ class UserRouter {
          *         401:
          *           description: Show Unauthorized if user not yet signed in
          *         403:
-         *           description: Show Forbidden if user not yet verify email address
+         *           description: Show Forbidden if user has no permission, not yet verify email address, or the access token
+         *                        does not have the scope
          */
-         router.get('/statistics', site.secureApi, async function (req, res, next) {
+        router.get('/statistics', site.permitToken(TokenScope.USER_STATISTICS), site.permitApi(Permission.USER_STATISTICS), async function (req, res, next) {
             const isVerified = await site.isSignInVerified(req);
             if (!isVerified) {
                 return res.status(403).json({ message: 'Not verified' });
@@ -208,6 +303,7 @@ class UserRouter {
          *   /user/reset-password:
          *     post:
          *       summary: Handle reset password
+         *       description: Other sessions of the user are signed out, and saved sign-ins and tokens are revoked.
          *       tags:
          *         - "user"
          *       requestBody:
@@ -252,8 +348,18 @@ class UserRouter {
                 var user = await account.findUserById(userId);
                 var result;
                 var updateCount;
+                var passwordHistory = [];
                 if (user && (user.email === req.user.email)) {
-                    result = site.passwordChecker.checkPassword(newPassword);
+                    // recent passwords are checked only after old password matched, so that they cannot be guessed by this API
+                    if ((site.passwordChecker.policy.historySize > 0) && await site.isReauthenticated(req, user, oldPassword)) {
+                        passwordHistory = await account.listRecentPasswords(user, site.passwordChecker.policy.historySize);
+                    }
+                    result = await site.passwordChecker.checkPassword(newPassword, null, {
+                        email: user.email,
+                        nickname: user.nickname,
+                        passwordHistory,
+                        locale: req.locale
+                    });
                     if (!result.isValid) {
                         message = site.concatMessage(result.invalidNotes);
                         return res.json({ isValid, message });
@@ -261,6 +367,8 @@ class UserRouter {
                     updateCount = await site.account.changeUserPassword(user.email, oldPassword, newPassword);
                     if (1 === updateCount) {
                         isValid = true;
+                        await site.keepCurrentSession(req, user);
+                        await site.recordAudit(req, AuditEvent.PASSWORD_CHANGE, { accountId: user.id, email: user.email });
                         return res.json({ isValid, information: 'Password updated' });
                     }
                 }
@@ -276,6 +384,7 @@ class UserRouter {
          *   /user/get-id:
          *     get:
          *       summary: Show id of current signed in user (in JSON format), only for DEMO
+         *       description: A personal access token needs scope 'profile:read'.
          *       tags:
          *         - "user"
          *       responses:
@@ -283,8 +392,10 @@ class UserRouter {
          *           description: Show id of current signed in user
          *         401:
          *           description: Show Unauthorized if user not yet signed in
+         *         403:
+         *           description: Show Forbidden if the access token does not have the scope
          */
-        router.get('/get-id', site.secureApi, async function (req, res, next) {
+        router.get('/get-id', site.permitToken(TokenScope.PROFILE_READ), site.secureApi, async function (req, res, next) {
             var email = '';
             var id = -1;
             if (req.user) {
@@ -329,7 +440,8 @@ class UserRouter {
             try {
                 if (req.isAuthenticated() && req.user) {
                     email = req.user.email;
-                    await account.sendVerificationEmail(email);
+                    await account.sendVerificationEmail(email, req.locale);
+                    await site.recordAudit(req, AuditEvent.VERIFY_EMAIL_SENT, { email });
                     // report OK
                     messageObject.message = 'OK';
                     return res.json(messageObject);
@@ -380,12 +492,52 @@ class UserRouter {
                 return res.status(412).render('alert.ejs', { title: 'E-mail Verification', message: err.message, returnTo: '/signin' });
             }
             if (isValid) {
+                await site.recordAudit(req, AuditEvent.EMAIL_VERIFIED, { email: decodedEmail });
                 return res.redirect('/signin');
             } else {
                 res.status(404);
                 return next();
             }
         });
+
+        // serve two-factor authentication settings
+        router.use('/2fa', TwoFactorRouter.makeOne(site));
+
+        // serve linking of sign-in identities
+        router.use('/identities', IdentityRouter.makeOne(site));
+
+        // serve change of E-mail address
+        router.use('/email', EmailRouter.makeOne(site));
+
+        // serve export of personal data & deletion of account
+        router.use('/privacy', PrivacyRouter.makeOne(site));
+
+        // serve list & revocation of sign-in sessions
+        router.use('/sessions', SessionRouter.makeOne(site));
+
+        // serve personal access tokens
+        router.use('/tokens', PersonalTokenRouter.makeOne(site));
+
+        // serve roles of users
+        router.use('/roles', RoleRouter.makeOne(site));
+
+        // serve user management console
+        router.use('/admin', AdminRouter.makeOne(site));
+    }
+
+    /**
+     * List sign-in methods of identity providers for profile page, that is, every configured provider and its linked identity.
+     * 
+     * @param {Object} user - Account record of a user.
+     * @param {Object[]} identityList - Identities linked to the user.
+     * @return {Object[]} - Sign-in methods, each with <strong>provider</strong> entry, linked <strong>identity</strong> (or null) 
+     *                      and <strong>isSignUp</strong> (the provider used to sign up, which can't be unlinked).
+     */
+    static listSignInMethods(user, identityList) {
+        return AuthorizationParser.getProviders().map((provider) => {
+            const identity = identityList.find((row) => (provider.code === row.provider_code)) || null;
+            return { provider, identity, isSignUp: (provider.code === user.provider_code) };
+        });
     }
 
     /**
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JwtUtil } from '../../util/jwt-util.js';
+import { SKIP_WITHOUT_DATABASE, startSite, stopSite, makeEmail, readHiddenInputs, SiteClient } from './site-server.js';
+
+const PASSWORD = 'Purple-Mountain-42';
+const REDIRECT_URI = 'https://app.example.com/callback';
+const CODE_VERIFIER = crypto.randomBytes(32).toString('base64url');
+const CODE_CHALLENGE = crypto.createHash('sha256').update(CODE_VERIFIER).digest('base64url');
+
+
+describe('OAuthRouter', { skip: SKIP_WITHOUT_DATABASE }, () => {
+    var started;
+    var email;
+    var user;
+    var confidential;
+    var publicClient;
+
+    /**
+     * Make path of an authorization request of a client, with PKCE.
+     */
+    function authorizePath(client, params) {
+        return '/oauth/authorize?' + new URLSearchParams(Object.assign({
+            response_type: 'code',
+            client_id: client.clientId,
+            redirect_uri: REDIRECT_URI,
+            scope: 'openid email profile',
+            state: 'state-1',
+            nonce: 'nonce-1',
+            code_challenge: CODE_CHALLENGE,
+            code_challenge_method: 'S256'
+        }, params));
+    }
+
+    /**
+     * Post a token request to the token endpoint, without cookies.
+     */
+    async function requestToken(form, headers) {
+        return await new SiteClient(started.baseUrl).post('/oauth/token', form, headers);
+    }
+
+    /**
+     * Make Basic authorization header of a confidential client.
+     */
+    function basicAuth(client, secret) {
+        return { authorization: 'Basic ' + Buffer.from(`${client.clientId}:${secret || client.clientSecret}`).toString('base64') };
+    }
+
+    /**
+     * Sign in as user, allow the client on consent page unless allowed before, and get the authorization code.
+     */
+    async function authorize(client, params) {
+        const browser = new SiteClient(started.baseUrl);
+        await browser.signIn(email, PASSWORD);
+        var res = await browser.get(authorizePath(client, params));
+        if (200 === res.status) {
+            res = await browser.post('/oauth/authorize', Object.assign(readHiddenInputs(res.text), { decision: 'allow' }));
+        }
+        assert.equal(res.status, 302);
+        return new URL(res.location).searchParams.get('code');
+    }
+
+    before(async () => {
+        started = await startSite();
+        email = makeEmail('oauth');
+        await started.site.account.emailSignUp(email, PASSWORD, 'oauth-user');
+        user = (await started.site.account.findUsersByEmail(email))[0];
+        confidential = await started.site.oauthClient.registerClient('Wiki', [REDIRECT_URI], false);
+        publicClient = await started.site.oauthClient.registerClient('Mobile', [REDIRECT_URI], true);
+    });
+
+    after(async () => {
+        await started.site.oauthClient.deleteClient(confidential.clientId);
+        await started.site.oauthClient.deleteClient(publicClient.clientId);
+        await started.site.account.getDbClient().account.deleteMany({ where: { email } });
+        await stopSite(started.server);
+    });
+
+    it('rejects unknown clients and unregistered redirect URIs without redirect', async () => {
+        const browser = new SiteClient(started.baseUrl);
+        assert.equal((await browser.get(authorizePath(confidential, { redirect_uri: 'https://evil.example.com/callback' }))).status, 400);
+        assert.equal((await browser.get(authorizePath({ clientId: 'unknown-client' }))).status, 400);
+    });
+
+    it('redirects errors of a valid client back to it with state', async () => {
+        const browser = new SiteClient(started.baseUrl);
+        var res = await browser.get(authorizePath(confidential, { code_challenge: '' }));
+        var params = new URL(res.location).searchParams;
+        assert.equal(res.status, 302);
+        assert.equal(params.get('error'), 'invalid_request');
+        assert.equal(params.get('state'), 'state-1');
+
+        res = await browser.get(authorizePath(confidential, { prompt: 'none' }));
+        assert.equal(new URL(res.location).searchParams.get('error'), 'login_required');
+    });
+
+    it('signs user in, asks for consent, and returns to the client', async () => {
+        const browser = new SiteClient(started.baseUrl);
+        var res = await browser.get(authorizePath(confidential));
+        assert.equal(res.status, 302);
+        assert.equal(res.location, '/signin');
+
+        res = await browser.signIn(email, PASSWORD);
+        assert.ok(res.location.startsWith('/oauth/authorize?'));
+        res = await browser.get(res.location);
+        assert.equal(res.status, 200);
+        assert.ok(res.text.includes('Wiki'));
+        const form = readHiddenInputs(res.text);
+        assert.equal(form.code_challenge, CODE_CHALLENGE);
+
+        res = await browser.post('/oauth/authorize', Object.assign({}, form, { decision: 'allow', _csrf: '' }));
+        assert.equal(res.status, 403);
+
+        res = await browser.post('/oauth/authorize', Object.assign({}, form, { decision: 'deny' }));
+        assert.equal(new URL(res.location).searchParams.get('error'), 'access_denied');
+
+        res = await browser.post('/oauth/authorize', Object.assign({}, form, { decision: 'allow' }));
+        const location = new URL(res.location);
+        assert.equal(location.origin + location.pathname, REDIRECT_URI);
+        assert.ok(location.searchParams.get('code'));
+        assert.equal(location.searchParams.get('state'), 'state-1');
+
+        // consent is remembered
+        res = await browser.get(authorizePath(confidential));
+        assert.ok(res.location.startsWith(REDIRECT_URI + '?code='));
+    });
+
+    it('exchanges a code for tokens with the PKCE verifier and client secret', async () => {
+        const code = await authorize(confidential);
+        const exchange = { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: CODE_VERIFIER };
+        var res = await requestToken(exchange, basicAuth(confidential, 'wrong-secret'));
+        assert.equal(res.status, 401);
+        assert.equal(res.json().error, 'invalid_client');
+
+        res = await requestToken(exchange, basicAuth(confidential));
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+        const tokens = res.json();
+        assert.equal(tokens.scope, 'openid email profile');
+        assert.equal(tokens.refresh_token, undefined);
+
+        const jwks = (await new SiteClient(started.baseUrl).get('/.well-known/jwks.json')).json();
+        const idToken = JwtUtil.verify(tokens.id_token, jwks.keys, { issuer: started.baseUrl, audience: confidential.clientId });
+        assert.equal(idToken.sub, String(user.id));
+        assert.equal(idToken.email, email);
+        assert.equal(idToken.nonce, 'nonce-1');
+
+        res = await new SiteClient(started.baseUrl).get('/oauth/userinfo', { authorization: 'Bearer ' + tokens.access_token });
+        assert.equal(res.json().email, email);
+
+        // a code is used only once
+        res = await requestToken(exchange, basicAuth(confidential));
+        assert.equal(res.status, 400);
+        assert.equal(res.json().error, 'invalid_grant');
+    });
+
+    it('consumes a code presented with a wrong PKCE verifier', async () => {
+        const code = await authorize(confidential);
+        const exchange = { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: 'x'.repeat(43) };
+        var res = await requestToken(exchange, basicAuth(confidential));
+        assert.equal(res.status, 400);
+        assert.equal(res.json().error, 'invalid_grant');
+
+        res = await requestToken(Object.assign(exchange, { code_verifier: CODE_VERIFIER }), basicAuth(confidential));
+        assert.equal(res.status, 400);
+    });
+
+    it('issues refresh tokens to a public client, which are not usable by other clients', async () => {
+        const code = await authorize(publicClient, { scope: 'openid offline_access' });
+        var res = await requestToken({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: CODE_VERIFIER, client_id: publicClient.clientId });
+        assert.equal(res.status, 200);
+        const tokens = res.json();
+        assert.ok(tokens.refresh_token);
+
+        res = await requestToken({ grant_type: 'refresh_token', refresh_token: tokens.refresh_token, client_id: publicClient.clientId });
+        assert.equal(res.status, 200);
+        const rotated = res.json();
+        assert.notEqual(rotated.refresh_token, tokens.refresh_token);
+
+        res = await requestToken({ grant_type: 'refresh_token', refresh_token: rotated.refresh_token }, basicAuth(confidential));
+        assert.equal(res.status, 400);
+        res = await new SiteClient(started.baseUrl).post('/token', { grant_type: 'refresh_token', refresh_token: rotated.refresh_token });
+        assert.equal(res.status, 400);
+    });
+
+});
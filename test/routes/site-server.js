@@ -0,0 +1,162 @@
+import express from 'express';
+import ejs from 'ejs';
+
+import { EmailSender } from '../../util/email-sender.js';
+import { PasswordHasher } from '../../util/password-hasher.js';
+import { TokenIssuer } from '../../util/token-issuer.js';
+
+// route tests read and write the database of DATABASE_URL, whose tables are created by 'npx prisma db push'
+const SKIP_WITHOUT_DATABASE = process.env.DATABASE_URL ? false : 'DATABASE_URL is not set';
+const RX_CSRF_TOKEN = /name="(?:_csrf|csrf-token)" (?:value|content)="([^"]+)"/;
+const RX_HIDDEN_INPUT = /<input type="hidden" name="(\w+)" value="([^"]*)"/g;
+const TEST_HASH_COST = 1024;
+
+
+/**
+ * Start a Site on a free local port, with sessions and sign-in throttles in memory. E-mails are kept in
+ * <strong>sentMails</strong> instead of being sent. <br />
+ * Site is imported here rather than on top, so that test files are loaded without a generated database client.
+ * 
+ * @param {Object} [extraConfig] - Config merged into the default test config.
+ * @return {Object} - The started <strong>site</strong>, its <strong>server</strong> and <strong>baseUrl</strong>, and <strong>sentMails</strong>.
+ */
+async function startSite(extraConfig) {
+    const { Site } = await import('../../routes/site.js');
+    const app = express();
+    const sentMails = [];
+    app.engine('ejs', ejs.renderFile);
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const config = Object.assign({
+        serviceUri: baseUrl,
+        corsOptions: { origin: baseUrl, optionsSuccessStatus: 200 },
+        sessionOptions: { name: 'sess', secret: 'session-secret', resave: false, saveUninitialized: false, cookie: {} },
+        cookieOptions: { secret: 'cookie-secret' },
+        auth0Options: { domain: 'example.auth0.com', clientID: 'auth0-client', clientSecret: 'auth0-secret', callbackURL: baseUrl + '/callback' },
+        passportOptions: { usernameField: 'emailAddr', passwordField: 'password' },
+        tokenOptions: { issuer: baseUrl, accessMinutes: 5, refreshDays: 7, generateKey: true }
+    }, extraConfig);
+
+    PasswordHasher.initialize({ cost: TEST_HASH_COST });
+    TokenIssuer.initialize(config.tokenOptions);
+    EmailSender.sendMail = (msg) => sentMails.push(msg);
+    const site = Site.makeOne(app, config);
+    app.use('/', site.router);
+    return { site, server, baseUrl, sentMails };
+}
+
+/**
+ * Stop a server started by startSite(), including idle keep-alive connections.
+ * 
+ * @param {Server} server - The server.
+ */
+async function stopSite(server) {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+}
+
+/**
+ * Make a unique E-mail address, so that tests can run again on the same database.
+ * 
+ * @param {string} name - Local part of the address.
+ * @return {string} - The E-mail address.
+ */
+function makeEmail(name) {
+    return `${name}-${Date.now()}-${Math.floor(Math.random() * 1000000)}@example.com`;
+}
+
+/**
+ * Read hidden inputs of a form page, e.g. to post the consent page back.
+ * 
+ * @param {string} html - The page.
+ * @return {Object} - Values of hidden inputs by name.
+ */
+function readHiddenInputs(html) {
+    return Object.fromEntries([...html.matchAll(RX_HIDDEN_INPUT)].map((found) => [found[1], found[2]]));
+}
+
+
+/**
+ * HTTP client of a site, like a browser which keeps cookies and does not follow redirects. The CSRF token of the last
+ * page is kept as <strong>csrfToken</strong>, and is never sent unless a test puts it into a request.
+ */
+class SiteClient {
+
+    /**
+     * Create a client without cookies.
+     * 
+     * @param {string} baseUrl - Base URL of the site.
+     */
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.cookies = new Map();
+        this.csrfToken = null;
+    }
+
+    /**
+     * Send a GET request.
+     * 
+     * @param {string} path - Path of the request, or a redirect location of the site.
+     * @param {Object} [headers] - Extra request headers.
+     * @return {Object} - The response, with <strong>status</strong>, <strong>location</strong>, <strong>headers</strong>, <strong>text</strong> and <strong>json()</strong>.
+     */
+    async get(path, headers) {
+        return await this.send('GET', path, null, headers);
+    }
+
+    /**
+     * Send a POST request with a form body.
+     * 
+     * @param {string} path - Path of the request.
+     * @param {Object} form - Form fields.
+     * @param {Object} [headers] - Extra request headers.
+     * @return {Object} - The response, as of get().
+     */
+    async post(path, form, headers) {
+        return await this.send('POST', path, new URLSearchParams(form).toString(), Object.assign({ 'content-type': 'application/x-www-form-urlencoded' }, headers));
+    }
+
+    /**
+     * Sign in by E-mail and password, as on sign-in page.
+     * 
+     * @param {string} email - Email address.
+     * @param {string} password - Password.
+     * @return {Object} - The response of sign-in, redirecting to where user was going.
+     */
+    async signIn(email, password) {
+        await this.get('/signin');
+        return await this.post('/signin/password', { emailAddr: email, password, _csrf: this.csrfToken });
+    }
+
+    /**
+     * Send a request with cookies of this client, and keep cookies and CSRF token of the response.
+     * @private
+     */
+    async send(method, path, body, headers) {
+        const url = new URL(path, this.baseUrl);
+        const cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        const res = await fetch(url, { method, body, headers: Object.assign(cookie ? { cookie } : {}, headers), redirect: 'manual' });
+        res.headers.getSetCookie().forEach((setCookie) => {
+            const pair = setCookie.split(';')[0];
+            const index = pair.indexOf('=');
+            const value = pair.substring(index + 1);
+            if (value && !/expires=Thu, 01 Jan 1970/i.test(setCookie)) {
+                this.cookies.set(pair.substring(0, index), value);
+            } else {
+                this.cookies.delete(pair.substring(0, index));
+            }
+        });
+        const text = await res.text();
+        const found = RX_CSRF_TOKEN.exec(text);
+        if (found) {
+            this.csrfToken = found[1];
+        }
+        return { status: res.status, location: res.headers.get('location'), headers: res.headers, text, json: () => JSON.parse(text) };
+    }
+
+}
+
+
+export { SKIP_WITHOUT_DATABASE, startSite, stopSite, makeEmail, readHiddenInputs, SiteClient };
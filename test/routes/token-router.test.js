@@ -0,0 +1,123 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SKIP_WITHOUT_DATABASE, startSite, stopSite, makeEmail, SiteClient } from './site-server.js';
+
+const PASSWORD = 'Purple-Mountain-42';
+
+
+describe('TokenRouter', { skip: SKIP_WITHOUT_DATABASE }, () => {
+    var started;
+    var email;
+    var user;
+
+    /**
+     * Post a token request without cookies, as a SPA or mobile client does.
+     */
+    async function requestToken(form) {
+        return await new SiteClient(started.baseUrl).post('/token', form);
+    }
+
+    /**
+     * Get id of signed in user by an access token.
+     */
+    async function getId(accessToken) {
+        return await new SiteClient(started.baseUrl).get('/user/get-id', { authorization: 'Bearer ' + accessToken });
+    }
+
+    before(async () => {
+        started = await startSite();
+        email = makeEmail('token');
+        await started.site.account.emailSignUp(email, PASSWORD, 'token-user');
+        user = (await started.site.account.findUsersByEmail(email))[0];
+    });
+
+    after(async () => {
+        await started.site.account.getDbClient().account.deleteMany({ where: { email } });
+        await stopSite(started.server);
+    });
+
+    it('rejects unsupported grants and missing or wrong credentials', async () => {
+        var res = await requestToken({ grant_type: 'client_credentials' });
+        assert.equal(res.status, 400);
+        assert.equal(res.json().error, 'unsupported_grant_type');
+
+        res = await requestToken({ grant_type: 'password', username: email });
+        assert.equal(res.json().error, 'invalid_request');
+
+        res = await requestToken({ grant_type: 'password', username: email, password: 'wrong-password' });
+        assert.equal(res.status, 400);
+        assert.equal(res.json().error, 'invalid_grant');
+        await started.site.loginThrottle.recordSuccess(email);
+    });
+
+    it('issues tokens by password without CSRF token, and accepts the access token as bearer', async () => {
+        var res = await requestToken({ grant_type: 'password', username: email, password: PASSWORD });
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+        const tokens = res.json();
+        assert.equal(tokens.token_type, 'Bearer');
+        assert.equal(tokens.expires_in, 300);
+
+        res = await getId(tokens.access_token);
+        assert.equal(res.status, 200);
+        assert.ok(res.text.includes(String(user.id)));
+
+        res = await getId('not.a.token');
+        assert.equal(res.status, 401);
+        assert.match(res.headers.get('www-authenticate'), /invalid_token/);
+        assert.equal((await new SiteClient(started.baseUrl).get('/user/get-id')).status, 401);
+    });
+
+    it('exempts bearer requests to /user from CSRF check, but not cookie requests', async () => {
+        const tokens = (await requestToken({ grant_type: 'password', username: email, password: PASSWORD })).json();
+        var res = await new SiteClient(started.baseUrl).post('/user/send-verify-email', {}, { authorization: 'Bearer ' + tokens.access_token });
+        assert.notEqual(res.status, 403);
+
+        const browser = new SiteClient(started.baseUrl);
+        await browser.signIn(email, PASSWORD);
+        res = await browser.post('/user/send-verify-email', {});
+        assert.equal(res.status, 403);
+    });
+
+    it('rotates refresh tokens, and revokes the family when a used one is presented again', async () => {
+        const first = (await requestToken({ grant_type: 'password', username: email, password: PASSWORD })).json();
+        var res = await requestToken({ grant_type: 'refresh_token', refresh_token: first.refresh_token });
+        assert.equal(res.status, 200);
+        const second = res.json();
+        assert.notEqual(second.refresh_token, first.refresh_token);
+        assert.equal((await getId(second.access_token)).status, 200);
+
+        // reuse of the first token means it was stolen, so the whole family is revoked
+        res = await requestToken({ grant_type: 'refresh_token', refresh_token: first.refresh_token });
+        assert.equal(res.status, 400);
+        res = await requestToken({ grant_type: 'refresh_token', refresh_token: second.refresh_token });
+        assert.equal(res.status, 400);
+        assert.equal((await getId(second.access_token)).status, 401);
+    });
+
+    it('revokes a family by its access token', async () => {
+        const tokens = (await requestToken({ grant_type: 'password', username: email, password: PASSWORD })).json();
+        var res = await new SiteClient(started.baseUrl).post('/token/revoke', { token: tokens.access_token });
+        assert.equal(res.status, 200);
+        assert.equal((await getId(tokens.access_token)).status, 401);
+
+        res = await new SiteClient(started.baseUrl).post('/token/revoke', { token: 'garbage' });
+        assert.equal(res.status, 200);
+    });
+
+    it('issues tokens to a signed in session only with CSRF token', async () => {
+        const browser = new SiteClient(started.baseUrl);
+        var res = await browser.post('/token', { grant_type: 'session' });
+        assert.equal(res.status, 403);
+
+        await browser.signIn(email, PASSWORD);
+        await browser.get('/user/dashboard');
+        res = await browser.post('/token', { grant_type: 'session' });
+        assert.equal(res.status, 403);
+        res = await browser.post('/token', { grant_type: 'session', _csrf: browser.csrfToken });
+        assert.equal(res.status, 200);
+        assert.equal((await getId(res.json().access_token)).status, 200);
+    });
+
+});
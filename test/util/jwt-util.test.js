@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JwtUtil } from '../../util/jwt-util.js';
+
+
+/**
+ * Make a signing key in JWK format, with alg and kid.
+ */
+function makeKey(alg, kid) {
+    const { privateKey } = ('ES256' === alg)
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return Object.assign(privateKey.export({ format: 'jwk' }), { alg, kid });
+}
+
+const NOW = Math.floor(Date.now() / 1000);
+const ES_KEY = makeKey('ES256', 'es-1');
+const RS_KEY = makeKey('RS256', 'rs-1');
+const PUBLIC_KEYS = [JwtUtil.toPublicJwk(ES_KEY), JwtUtil.toPublicJwk(RS_KEY)];
+const PAYLOAD = { iss: 'https://issuer.example.com', aud: 'client-1', sub: '42', iat: NOW, exp: NOW + 300 };
+
+
+describe('JwtUtil', () => {
+
+    it('signs and verifies tokens by EC and RSA keys', () => {
+        [ES_KEY, RS_KEY].forEach((key) => {
+            const token = JwtUtil.sign(PAYLOAD, key, { typ: 'at+jwt' });
+            const decoded = JwtUtil.decode(token);
+            assert.deepEqual(decoded.header, { alg: key.alg, typ: 'at+jwt', kid: key.kid });
+            assert.deepEqual(JwtUtil.verify(token, PUBLIC_KEYS, { issuer: PAYLOAD.iss, audience: 'client-1' }), PAYLOAD);
+        });
+    });
+
+    it('publishes public part of keys only', () => {
+        const publicJwk = JwtUtil.toPublicJwk(ES_KEY);
+        assert.equal(publicJwk.d, undefined);
+        assert.equal(publicJwk.use, 'sig');
+        assert.equal(publicJwk.kid, 'es-1');
+    });
+
+    it('rejects tampered payload and signature', () => {
+        const token = JwtUtil.sign(PAYLOAD, ES_KEY);
+        const [header, , signature] = token.split('.');
+        const forged = JwtUtil.encodeBase64Url(JSON.stringify(Object.assign({}, PAYLOAD, { sub: '1' })));
+        assert.throws(() => JwtUtil.verify(`${header}.${forged}.${signature}`, PUBLIC_KEYS), /Invalid JWT signature/);
+        assert.throws(() => JwtUtil.verify(token.substring(0, token.length - 4) + 'AAAA', PUBLIC_KEYS), /Invalid JWT signature/);
+    });
+
+    it('rejects tokens signed by other keys', () => {
+        const other = makeKey('ES256', 'es-1');
+        assert.throws(() => JwtUtil.verify(JwtUtil.sign(PAYLOAD, other), PUBLIC_KEYS), /Invalid JWT signature/);
+        assert.throws(() => JwtUtil.verify(JwtUtil.sign(PAYLOAD, makeKey('ES256', 'unknown')), PUBLIC_KEYS), /No matched key/);
+    });
+
+    it('rejects unsigned and unexpected algorithms', () => {
+        const body = JwtUtil.encodeBase64Url(JSON.stringify(PAYLOAD));
+        const none = JwtUtil.encodeBase64Url(JSON.stringify({ alg: 'none', kid: 'es-1' }));
+        const hmac = JwtUtil.encodeBase64Url(JSON.stringify({ alg: 'HS256', kid: 'rs-1' }));
+        assert.throws(() => JwtUtil.verify(`${none}.${body}.`, PUBLIC_KEYS), /Unsupported JWT algorithm/);
+        assert.throws(() => JwtUtil.verify(`${hmac}.${body}.AAAA`, PUBLIC_KEYS), /Unsupported JWT algorithm/);
+        assert.throws(() => JwtUtil.verify(JwtUtil.sign(PAYLOAD, RS_KEY), PUBLIC_KEYS, { algorithms: ['ES256'] }), /Unsupported JWT algorithm/);
+    });
+
+    it('checks issuer, audience and lifetime with clock skew', () => {
+        const sign = (claims) => JwtUtil.sign(Object.assign({}, PAYLOAD, claims), ES_KEY);
+        assert.throws(() => JwtUtil.verify(sign({}), PUBLIC_KEYS, { issuer: 'https://other.example.com' }), /issuer/);
+        assert.throws(() => JwtUtil.verify(sign({}), PUBLIC_KEYS, { audience: 'client-2' }), /audience/);
+        assert.ok(JwtUtil.verify(sign({ aud: ['client-2', 'client-1'] }), PUBLIC_KEYS, { audience: 'client-1' }));
+        assert.throws(() => JwtUtil.verify(sign({ exp: NOW - 120 }), PUBLIC_KEYS), /JWT expired/);
+        assert.ok(JwtUtil.verify(sign({ exp: NOW - 30 }), PUBLIC_KEYS));
+        assert.throws(() => JwtUtil.verify(sign({ exp: undefined }), PUBLIC_KEYS), /JWT expired/);
+        assert.throws(() => JwtUtil.verify(sign({ nbf: NOW + 120 }), PUBLIC_KEYS), /not yet valid/);
+        assert.throws(() => JwtUtil.verify(sign({ iat: NOW + 120 }), PUBLIC_KEYS), /in the future/);
+    });
+
+    it('rejects malformed tokens', () => {
+        assert.throws(() => JwtUtil.decode('abc'), /Malformed JWT/);
+        assert.throws(() => JwtUtil.decode('a.b.c'), /Malformed JWT/);
+        assert.throws(() => JwtUtil.decode(''), /Malformed JWT/);
+    });
+
+});
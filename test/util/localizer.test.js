@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { Localizer } from '../../util/localizer.js';
+
+// text translated by page templates and scripts of pages
+const VIEW_DIR = new URL('../../views/', import.meta.url);
+const RX_VIEW_TEXT = /\b(?:t|translateText)\('((?:[^'\\]|\\.)+)'/g;
+
+
+describe('Localizer', () => {
+
+    it('keeps all catalogs on the same keys', () => {
+        const catalogs = Localizer.getCatalogs();
+        const defaultKeys = Object.keys(catalogs.en).sort();
+        Object.keys(catalogs).forEach((locale) => {
+            assert.deepEqual(Object.keys(catalogs[locale]).sort(), defaultKeys, `keys of ${locale}`);
+        });
+    });
+
+    it('has catalog entries of text in page templates and scripts', () => {
+        const catalog = Localizer.getCatalogs().en;
+        const files = fs.readdirSync(VIEW_DIR).filter((name) => name.endsWith('.ejs')).map((name) => new URL(name, VIEW_DIR))
+            .concat([new URL('f/js/oauth.js', VIEW_DIR)]);
+        files.forEach((file) => {
+            for (const found of fs.readFileSync(file, 'utf8').matchAll(RX_VIEW_TEXT)) {
+                const text = found[1].replace(/\\'/g, '\'');
+                assert.ok(Object.prototype.hasOwnProperty.call(catalog, text), `${text} of ${file.pathname}`);
+            }
+        });
+    });
+
+    it('selects plural forms by count', () => {
+        assert.equal(Localizer.translate('en', 'Found {count} users', { count: 1 }), 'Found 1 user');
+        assert.equal(Localizer.translate('en', 'Found {count} users', { count: 3 }), 'Found 3 users');
+        assert.equal(Localizer.translate('en', 'You have {count} unused recovery codes.', { count: 0 }), 'You have no unused recovery codes.');
+        assert.equal(Localizer.translate('zh-TW', 'Found {count} users', { count: 1 }), '找到 1 位使用者');
+    });
+
+    it('makes client catalogs without untranslated text', () => {
+        const english = JSON.parse(Localizer.makeClientCatalog('en'));
+        const chinese = JSON.parse(Localizer.makeClientCatalog('zh-TW'));
+        assert.equal(english['Sign In'], undefined);
+        assert.equal(english['Found {count} users'].one, 'Found 1 user');
+        assert.equal(chinese['Sign In'], '登入');
+        assert.equal(chinese['Found {count} users'], '找到 {count} 位使用者');
+        assert.ok(!Localizer.makeClientCatalog('zh-TW').includes('<'));
+    });
+
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LoginThrottle } from '../../util/login-throttle.js';
+import { MemoryAttemptStore } from '../../dal/memory-attempt-store.js';
+import { ThrottleError } from '../../global.js';
+
+const EMAIL = 'user@example.com';
+const IP = '192.0.2.1';
+
+
+/**
+ * Make a LoginThrottle with counters in memory, and short delays.
+ */
+function makeThrottle(options) {
+    return new LoginThrottle(new MemoryAttemptStore(), Object.assign({ delayAfter: 3, lockAfter: 5, ipDelayAfter: 8, ipLockAfter: 20 }, options));
+}
+
+/**
+ * Record failures of an email address, from different IP addresses unless given.
+ */
+async function fail(throttle, count, email, ip) {
+    var lock = null;
+    for (var i = 0; i < count; i++) {
+        lock = await throttle.recordFailure(email || EMAIL, ip || `198.51.100.${i}`);
+    }
+    return lock;
+}
+
+
+describe('LoginThrottle', () => {
+
+    it('allows a few failed attempts without delay', async () => {
+        const throttle = makeThrottle();
+        await fail(throttle, 2);
+        await throttle.check(EMAIL, IP);
+    });
+
+    it('delays attempts after failures, without locking', async () => {
+        const throttle = makeThrottle();
+        await fail(throttle, 3);
+        await assert.rejects(throttle.check(EMAIL, IP), (err) => (err instanceof ThrottleError) && !err.isLocked && (err.retryAfter > new Date()));
+        await throttle.check('other@example.com', IP);
+    });
+
+    it('locks email address after more failures, and unlocks by unlock token', async () => {
+        const throttle = makeThrottle();
+        assert.equal(await fail(throttle, 4), null);
+        const lock = await throttle.recordFailure(EMAIL, IP);
+        assert.match(lock.unlockToken, /^[0-9a-f]{64}$/);
+        assert.ok(lock.lockedUntil > new Date());
+        await assert.rejects(throttle.check(EMAIL, IP), (err) => (err instanceof ThrottleError) && err.isLocked);
+
+        assert.equal(await throttle.checkUnlockToken(EMAIL, lock.unlockToken), true);
+        assert.equal(await throttle.checkUnlockToken(EMAIL, 'wrong-token'), false);
+        assert.equal(await throttle.unlock(EMAIL, 'wrong-token'), false);
+        assert.equal(await throttle.unlock(EMAIL, ''), false);
+        await assert.rejects(throttle.check(EMAIL, IP), ThrottleError);
+        assert.equal(await throttle.unlock(EMAIL, lock.unlockToken), true);
+        await throttle.check(EMAIL, IP);
+        assert.equal(await throttle.unlock(EMAIL, lock.unlockToken), false);
+    });
+
+    it('counts email addresses case-insensitively', async () => {
+        const throttle = makeThrottle();
+        await fail(throttle, 3, ' User@Example.COM ');
+        await assert.rejects(throttle.check(EMAIL, IP), ThrottleError);
+    });
+
+    it('clears failures of email address on success', async () => {
+        const throttle = makeThrottle();
+        await fail(throttle, 3);
+        await throttle.recordSuccess(EMAIL);
+        await throttle.check(EMAIL, IP);
+    });
+
+    it('delays client IP trying many email addresses', async () => {
+        const throttle = makeThrottle();
+        for (var i = 0; i < 8; i++) {
+            await throttle.recordFailure(`user${i}@example.com`, IP);
+        }
+        await assert.rejects(throttle.check('new@example.com', IP), ThrottleError);
+        await throttle.check('new@example.com', '192.0.2.2');
+    });
+
+    it('counts apart from other throttles by key prefix, in a shared store', async () => {
+        const store = new MemoryAttemptStore();
+        const signIn = new LoginThrottle(store, { delayAfter: 3 });
+        const userCode = new LoginThrottle(store, { delayAfter: 3, keyPrefix: 'user-code:' });
+        for (var i = 0; i < 3; i++) {
+            await userCode.recordFailure(EMAIL, IP);
+        }
+        await assert.rejects(userCode.check(EMAIL, IP), ThrottleError);
+        await signIn.check(EMAIL, IP);
+    });
+
+    it('describes delays in seconds', () => {
+        const now = new Date();
+        const retryAfter = new Date(now.getTime() + 4500);
+        assert.equal(LoginThrottle.describeError(retryAfter, false, 'en', now), 'Too many failed sign-in attempts, please try again in 5 seconds');
+        assert.match(LoginThrottle.describeError(retryAfter, true, 'en', now), /temporarily locked/);
+    });
+
+});
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PasswordHasher } from '../../util/password-hasher.js';
+
+// a low cost keeps tests fast, production uses 32768
+const TEST_COST = 1024;
+
+
+describe('PasswordHasher', () => {
+
+    beforeEach(() => {
+        PasswordHasher.initialize({ cost: TEST_COST, peppers: '' });
+    });
+
+    it('makes hash records in versioned format, with a random salt', async () => {
+        const hash = await PasswordHasher.makeHash('correct horse');
+        assert.match(hash, /^\$scrypt\$N=1024,r=8,p=1,u=nfkc\$[0-9a-f]{64}\$[0-9a-f]{128}$/);
+        assert.notEqual(await PasswordHasher.makeHash('correct horse'), hash);
+    });
+
+    it('checks passwords against hash records', async () => {
+        const hash = await PasswordHasher.makeHash('correct horse');
+        assert.equal(await PasswordHasher.checkHash('correct horse', hash), true);
+        assert.equal(await PasswordHasher.checkHash('correct horse ', hash), false);
+        assert.equal(await PasswordHasher.checkHash('', hash), false);
+    });
+
+    it('hashes without blocking, by returning promises', () => {
+        const pending = PasswordHasher.makeHash('correct horse');
+        assert.ok(pending instanceof Promise);
+        return pending;
+    });
+
+    it('matches passwords typed in different Unicode forms', async () => {
+        const hash = await PasswordHasher.makeHash('ｐａｓｓ１２３');
+        assert.equal(await PasswordHasher.checkHash('pass123', hash), true);
+        assert.equal(await PasswordHasher.checkHash('Café', await PasswordHasher.makeHash('Café')), true);
+    });
+
+    it('tells records made by other cost parameters need rehash', async () => {
+        const hash = await PasswordHasher.makeHash('correct horse');
+        assert.equal(PasswordHasher.needsRehash(hash), false);
+        PasswordHasher.initialize({ cost: 2048 });
+        assert.equal(PasswordHasher.needsRehash(hash), true);
+        assert.equal(await PasswordHasher.checkHash('correct horse', hash), true);
+    });
+
+    it('keys hashes by pepper, and keeps old peppers for rotation', async () => {
+        PasswordHasher.initialize({ cost: TEST_COST, peppers: 'p1:first-secret' });
+        const hash = await PasswordHasher.makeHash('correct horse');
+        assert.match(hash, /,k=p1,u=nfkc\$/);
+        assert.equal(await PasswordHasher.checkHash('correct horse', hash), true);
+
+        PasswordHasher.initialize({ cost: TEST_COST, peppers: 'p2:second-secret,p1:first-secret' });
+        assert.equal(await PasswordHasher.checkHash('correct horse', hash), true);
+        assert.equal(PasswordHasher.needsRehash(hash), true);
+
+        PasswordHasher.initialize({ cost: TEST_COST, peppers: 'p1:changed-secret' });
+        assert.equal(await PasswordHasher.checkHash('correct horse', hash), false);
+    });
+
+    it('rejects records made by a pepper not configured', async () => {
+        PasswordHasher.initialize({ cost: TEST_COST, peppers: 'p1:first-secret' });
+        const hash = await PasswordHasher.makeHash('correct horse');
+        PasswordHasher.initialize({ cost: TEST_COST, peppers: '' });
+        await assert.rejects(PasswordHasher.checkHash('correct horse', hash), /Unknown password pepper: p1/);
+    });
+
+    it('checks records in legacy format, and tells they need rehash', async () => {
+        const salt = crypto.randomBytes(16);
+        const legacy = crypto.scryptSync('old password', salt, 128, { N: 1024 }).toString('hex') + salt.toString('hex');
+        assert.equal(await PasswordHasher.checkHash('old password', legacy), true);
+        assert.equal(await PasswordHasher.checkHash('other password', legacy), false);
+        assert.equal(PasswordHasher.needsRehash(legacy), true);
+    });
+
+    it('validates options', () => {
+        assert.throws(() => PasswordHasher.initialize({ cost: 1000 }), /power of 2/);
+        assert.throws(() => PasswordHasher.initialize({ peppers: 'no-separator' }), /id:secret/);
+        assert.throws(() => PasswordHasher.initialize({ peppers: 'bad id:secret' }), /id:secret/);
+    });
+
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PasswordStrength } from '../../util/password-strength.js';
+import { PasswordChecker } from '../../util/password-checker.js';
+
+const DICTIONARY = new Set(['password', 'monkey', 'dragon', 'test', 'sunshine', 'princess']);
+const COMMON_PASSWORDS = PasswordChecker.loadCommonPasswords(new URL('../../config/common-passwords.txt', import.meta.url));
+
+
+describe('PasswordStrength', () => {
+
+    it('scores long random passwords high', () => {
+        assert.equal(PasswordStrength.estimate('xK#9mQ!2vLp$8wR').score, 4);
+        assert.equal(PasswordStrength.estimate('Gh7+kLq2Wz!').score, 4);
+    });
+
+    it('scores keyboard walks and sequences low', () => {
+        ['qwertyuiop', '1234567890', 'abcdefgh', '1qaz2wsx', 'zyxwvuts'].forEach((password) => {
+            const strength = PasswordStrength.estimate(password);
+            assert.ok(strength.score <= 1, `${password} scored ${strength.score}`);
+            assert.match(strength.suggestions[0], /keyboard patterns/);
+        });
+    });
+
+    it('scores common words low, also with capital letters and substitutions', () => {
+        ['password', 'Password', 'P@ssw0rd', 'Dr@g0n'].forEach((password) => {
+            const strength = PasswordStrength.estimate(password, [], DICTIONARY);
+            assert.ok(strength.score <= 1, `${password} scored ${strength.score}`);
+        });
+        assert.ok(PasswordStrength.estimate('P@ssw0rd', [], DICTIONARY).suggestions.some((suggestion) => /substitutions/.test(suggestion)));
+    });
+
+    it('scores passwords made of user inputs low', () => {
+        const strength = PasswordStrength.estimate('johndoe', ['john.doe@example.com', 'Johnny']);
+        assert.ok(strength.score <= 1);
+        assert.match(strength.suggestions[0], /E-mail address or nickname/);
+        assert.ok(PasswordStrength.estimate('johndoe').score > strength.score);
+    });
+
+    it('scores empty passwords zero', () => {
+        assert.deepEqual(PasswordStrength.estimate(''), { score: 0, entropy: 0, suggestions: ['Add another word or two, uncommon words are better'] });
+    });
+
+    it('scores longer passwords higher', () => {
+        const short = PasswordStrength.estimate('purple ferry', [], DICTIONARY);
+        const long = PasswordStrength.estimate('purple mountain ferry lantern', [], DICTIONARY);
+        assert.ok(long.entropy > short.entropy);
+        assert.equal(long.score, 4);
+    });
+
+    it('scores short passwords low, whatever their character classes', () => {
+        // same scores as zxcvbn
+        assert.equal(PasswordStrength.estimate('aW7+test', [], COMMON_PASSWORDS).score, 2);
+        assert.equal(PasswordStrength.estimate('Xk9#mQ2vL', [], COMMON_PASSWORDS).score, 3);
+    });
+
+    it('scores dates low, by distance from current year', () => {
+        const strength = PasswordStrength.estimate('19871225Ab!', [], COMMON_PASSWORDS);
+        assert.equal(strength.score, 2);
+        assert.match(strength.suggestions[0], /dates and years/);
+        assert.ok(PasswordStrength.estimate('1987-12-25').entropy > PasswordStrength.estimate('19871225').entropy);
+        assert.ok(PasswordStrength.estimate('1700').entropy > PasswordStrength.estimate('2020').entropy);
+    });
+
+    it('scores repeats low', () => {
+        const strength = PasswordStrength.estimate('zzzzzzzzA1!', [], COMMON_PASSWORDS);
+        assert.equal(strength.score, 1);
+        assert.match(strength.suggestions[0], /repeated characters/);
+        assert.ok(PasswordStrength.estimate('abcabcabc').score <= 1);
+    });
+
+});
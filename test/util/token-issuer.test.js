@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TokenIssuer } from '../../util/token-issuer.js';
+
+const ISSUER = 'https://auth.example.com';
+const USER = { id: 42, email: 'john@example.com' };
+
+
+describe('TokenIssuer', () => {
+
+    it('refuses to start without issuer', () => {
+        assert.throws(() => TokenIssuer.initialize({ generateKey: true }), /Issuer of JWT is required/);
+    });
+
+    it('refuses to start without signing keys unless generating a key is allowed', () => {
+        assert.throws(() => TokenIssuer.initialize({ issuer: ISSUER }), /JWT signing keys are required/);
+        assert.throws(() => TokenIssuer.initialize({ issuer: ISSUER, signingKeys: [] }), /JWT signing keys are required/);
+    });
+
+    it('issues tokens by configured keys', () => {
+        const key = TokenIssuer.generateKey();
+        TokenIssuer.initialize({ issuer: ISSUER, signingKeys: [key] });
+        const { accessToken } = TokenIssuer.issueAccessToken(USER, 'family-1');
+        const payload = TokenIssuer.verifyAccessToken(accessToken);
+        assert.equal(payload.iss, ISSUER);
+        assert.equal(payload.aud, ISSUER);
+        assert.equal(payload.sub, '42');
+        assert.deepEqual(TokenIssuer.getJwks().keys.map((jwk) => jwk.kid), [key.kid]);
+    });
+
+    it('generates a key for development', () => {
+        TokenIssuer.initialize({ issuer: ISSUER, generateKey: true });
+        const { accessToken } = TokenIssuer.issueAccessToken(USER, 'family-1');
+        assert.equal(TokenIssuer.verifyAccessToken(accessToken).sub, '42');
+    });
+
+});
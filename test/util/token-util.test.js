@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TokenUtil } from '../../util/token-util.js';
+
+// test vector in RFC 7636 appendix B
+const RFC_VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+const RFC_CHALLENGE = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+
+describe('TokenUtil', () => {
+
+    it('makes random tokens in hex format', () => {
+        assert.match(TokenUtil.makeRandomToken(), /^[0-9a-f]{128}$/);
+        assert.match(TokenUtil.makeRandomToken(16), /^[0-9a-f]{32}$/);
+        assert.notEqual(TokenUtil.makeRandomToken(16), TokenUtil.makeRandomToken(16));
+    });
+
+    it('hashes tokens by SHA-256', () => {
+        assert.equal(TokenUtil.hashToken('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    it('compares strings of different lengths', () => {
+        assert.equal(TokenUtil.safeEqual('abc', 'abc'), true);
+        assert.equal(TokenUtil.safeEqual('abc', 'abd'), false);
+        assert.equal(TokenUtil.safeEqual('abc', 'abcd'), false);
+    });
+
+    describe('verifyCodeChallenge', () => {
+
+        it('accepts the verifier of RFC 7636 test vector', () => {
+            assert.equal(TokenUtil.verifyCodeChallenge(RFC_VERIFIER, RFC_CHALLENGE), true);
+        });
+
+        it('accepts challenges made by makeCodeChallenge', () => {
+            const verifier = TokenUtil.makeRandomToken(32);
+            assert.equal(TokenUtil.makeCodeChallenge(RFC_VERIFIER), RFC_CHALLENGE);
+            assert.equal(TokenUtil.verifyCodeChallenge(verifier, TokenUtil.makeCodeChallenge(verifier)), true);
+        });
+
+        it('rejects other verifiers', () => {
+            assert.equal(TokenUtil.verifyCodeChallenge(RFC_VERIFIER.replace('d', 'e'), RFC_CHALLENGE), false);
+            assert.equal(TokenUtil.verifyCodeChallenge(RFC_VERIFIER, RFC_CHALLENGE.toLowerCase()), false);
+        });
+
+        it('rejects verifiers not in 43 to 128 unreserved characters', () => {
+            const short = RFC_VERIFIER.substring(0, 42);
+            const long = 'a'.repeat(129);
+            assert.equal(TokenUtil.verifyCodeChallenge(short, TokenUtil.makeCodeChallenge(short)), false);
+            assert.equal(TokenUtil.verifyCodeChallenge(long, TokenUtil.makeCodeChallenge(long)), false);
+            assert.equal(TokenUtil.verifyCodeChallenge(RFC_VERIFIER + '+', TokenUtil.makeCodeChallenge(RFC_VERIFIER + '+')), false);
+            assert.equal(TokenUtil.verifyCodeChallenge(undefined, RFC_CHALLENGE), false);
+        });
+
+    });
+
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Totp } from '../../util/totp.js';
+
+// secret of test vectors in RFC 6238 appendix B, that is, '12345678901234567890' in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+
+describe('Totp', () => {
+
+    it('generates codes of RFC 6238 test vectors (SHA-1, last 6 digits)', () => {
+        const vectors = [
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1111111111, '050471'],
+            [1234567890, '005924'],
+            [2000000000, '279037'],
+            [20000000000, '353130']
+        ];
+        vectors.forEach(([seconds, code]) => {
+            const step = Totp.getStep(new Date(seconds * 1000));
+            assert.equal(Totp.generateCode(RFC_SECRET, step), code, `code at ${seconds}`);
+        });
+    });
+
+    it('encodes and decodes base32 without padding', () => {
+        assert.equal(Totp.encodeBase32(Buffer.from('12345678901234567890')), RFC_SECRET);
+        assert.equal(Totp.decodeBase32(RFC_SECRET).toString(), '12345678901234567890');
+        assert.equal(Totp.decodeBase32(Totp.encodeBase32(Buffer.from('f'))).toString(), 'f');
+    });
+
+    it('makes random secrets of 160 bits', () => {
+        const secret = Totp.makeSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(Totp.makeSecret(), secret);
+    });
+
+    it('accepts codes of current and adjacent time steps only', () => {
+        const secret = Totp.makeSecret();
+        const step = Totp.getStep();
+        assert.equal(Totp.verifyCode(secret, Totp.generateCode(secret, step)), step);
+        assert.equal(Totp.verifyCode(secret, Totp.generateCode(secret, step - 1)), step - 1);
+        assert.equal(Totp.verifyCode(secret, Totp.generateCode(secret, step - 3)), -1);
+        assert.equal(Totp.verifyCode(secret, Totp.generateCode(secret, step + 3)), -1);
+    });
+
+    it('rejects replayed codes by last accepted time step', () => {
+        const secret = Totp.makeSecret();
+        const step = Totp.getStep();
+        const code = Totp.generateCode(secret, step);
+        assert.equal(Totp.verifyCode(secret, code, step - 1), step);
+        assert.equal(Totp.verifyCode(secret, code, step), -1);
+    });
+
+    it('rejects malformed codes and missing secret', () => {
+        const secret = Totp.makeSecret();
+        const code = Totp.generateCode(secret, Totp.getStep());
+        assert.equal(Totp.verifyCode(secret, code.substring(1)), -1);
+        assert.equal(Totp.verifyCode(secret, code + '0'), -1);
+        assert.equal(Totp.verifyCode(secret, 'abcdef'), -1);
+        assert.equal(Totp.verifyCode(secret, ''), -1);
+        assert.equal(Totp.verifyCode('', code), -1);
+        assert.equal(Totp.verifyCode(secret, code.substring(0, 3) + ' ' + code.substring(3)), Totp.getStep());
+    });
+
+    it('makes otpauth URI for authenticator apps', () => {
+        const uri = Totp.makeUri(RFC_SECRET, 'user@example.com', 'My Site');
+        assert.equal(uri, `otpauth://totp/My%20Site%3Auser%40example.com?secret=${RFC_SECRET}&issuer=My%20Site&algorithm=SHA1&digits=6&period=30`);
+    });
+
+});
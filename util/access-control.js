@@ -0,0 +1,146 @@
+/**
+ * Enum of permissions to access admin endpoints.
+ * @enum {Permission}
+ * @see util#AccessControl
+ */
+const Permission = {
+
+    /** List all users (without secrets) */
+    USER_LIST: 'user:list',
+
+    /** Show user statistics */
+    USER_STATISTICS: 'user:statistics',
+
+    /** Manage users, e.g. disable an account */
+    USER_MANAGE: 'user:manage',
+
+    /** Grant or revoke roles of users */
+    ROLE_MANAGE: 'role:manage',
+
+    /** Search security audit log of all users */
+    AUDIT_READ: 'audit:read',
+
+    /** Register or delete OAuth clients, that is, other apps that sign in by this site */
+    CLIENT_MANAGE: 'client:manage'
+};
+
+/**
+ * Enum of roles, each role is a named set of permissions.
+ * @enum {Role}
+ * @see util#AccessControl
+ */
+const Role = {
+
+    /** Administrator, who has all permissions */
+    ADMIN: 'admin',
+
+    /** Analyst, who can read user statistics */
+    ANALYST: 'analyst'
+};
+
+
+/**
+ * Enum of scopes of personal access tokens, that is, JSON routes a token can access. <br />
+ * A scope named as a permission is useful only when the owner of token has the permission as well.
+ * @enum {TokenScope}
+ * @see util#AccessControl
+ */
+const TokenScope = {
+
+    /** Read own account, e.g. /user/get-id */
+    PROFILE_READ: 'profile:read',
+
+    /** List all users, needs permission 'user:list' */
+    USER_LIST: Permission.USER_LIST,
+
+    /** Show user statistics, needs permission 'user:statistics' */
+    USER_STATISTICS: Permission.USER_STATISTICS
+};
+
+
+// permissions granted to each role
+const ROLE_PERMISSIONS = {
+    [Role.ADMIN]: Object.values(Permission),
+    [Role.ANALYST]: [Permission.USER_STATISTICS]
+};
+
+
+/**
+ * Role-based access control. Roles of a user are stored with the account, while permissions of each role are defined here. <br />
+ * A user is granted a permission when any role of the user has it.
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { AccessControl, Permission } from './util/access-control.js';
+ * 
+ * // roles of the account record
+ * if (AccessControl.hasPermission(user.roles, Permission.USER_LIST)) {
+ *     console.log('user can list users');
+ * }
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ * @see Permission
+ * @see Role
+ * @see TokenScope
+ */
+class AccessControl {
+
+    /**
+     * Check any of given roles has given permission.
+     * 
+     * @param {string[]} roles - Roles of a user.
+     * @param {string} permission - The permission to be checked.
+     * @return {boolean} - true if the permission is granted.
+     */
+    static hasPermission(roles, permission) {
+        return (roles || []).some((role) => AccessControl.getRolePermissions(role).includes(permission));
+    }
+
+    /**
+     * Get permissions of a role.
+     * 
+     * @param {string} role - Name of a role.
+     * @return {string[]} - Permissions of the role, or an empty list for unknown role.
+     */
+    static getRolePermissions(role) {
+        return ROLE_PERMISSIONS[role] || [];
+    }
+
+    /**
+     * Check given name is a defined role.
+     * 
+     * @param {string} role - Name of a role.
+     * @return {boolean} - true if the role is defined.
+     */
+    static isRole(role) {
+        return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+    }
+
+    /**
+     * List defined roles with their permissions.
+     * 
+     * @return {Object[]} - Roles, each with <strong>role</strong> and <strong>permissions</strong> entries.
+     */
+    static listRoles() {
+        return Object.keys(ROLE_PERMISSIONS).map((role) => ({ role, permissions: ROLE_PERMISSIONS[role].slice() }));
+    }
+
+    /**
+     * List scopes of personal access tokens, that given roles can grant. A scope named as a permission needs the permission.
+     * 
+     * @param {string[]} roles - Roles of a user.
+     * @return {string[]} - Scopes that can be granted.
+     */
+    static listTokenScopes(roles) {
+        const permissions = Object.values(Permission);
+        return Object.values(TokenScope).filter((scope) => (!permissions.includes(scope) || AccessControl.hasPermission(roles, scope)));
+    }
+
+}
+
+
+export { AccessControl, Permission, Role, TokenScope };
@@ -1,3 +1,5 @@
+import { IdentityProviderRegistry } from './identity-provider-registry.js';
+
 /**
  * Enum of authorization provider support.
  * @enum {AuthorizationProvider}
@@ -11,27 +13,49 @@ const AuthorizationProvider = {
     /** Numeric code to specify password sign in */
     AUTH_PASSWORD: 1, 
 
-    /** Numeric code to specify google-oauth2 sign in */
+    /** Numeric code to specify google-oauth2 sign in (default config) */
     AUTH_GOOGLE_OAUTH2: 2, 
 
-    /** Numeric code to specify facebook sign in */
+    /** Numeric code to specify facebook sign in (default config) */
     AUTH_FACEBOOK: 3
 };
 
 
+// default identity providers, when AuthorizationParser is not initialized by config
+const DEFAULT_PROVIDERS = [
+    { name: 'google', connection: 'google-oauth2', code: AuthorizationProvider.AUTH_GOOGLE_OAUTH2, label: 'Google', icon: '/f/img/oauth_google.png' },
+    { name: 'facebook', connection: 'facebook', code: AuthorizationProvider.AUTH_FACEBOOK, label: 'Facebook', icon: '/f/img/oauth_facebook.png' }
+];
+
+
 /**
- * Helper class for Account to parse given authorization provider into numeric code.
+ * Helper class for Account to parse given authorization provider into numeric code. <br />
+ * Social network providers are looked up in an <a href="util.IdentityProviderRegistry.html">IdentityProviderRegistry</a>, 
+ * which is read from config by <a href="#.initialize">AuthorizationParser.initialize()</a>.
  * @memberof util#
  * 
  * @hideconstructor
  * @see dal#Account
  * @see AuthorizationProvider
+ * @see util#IdentityProviderRegistry
  */
 class AuthorizationParser {
-    
+
+    static registry = new IdentityProviderRegistry(DEFAULT_PROVIDERS);
+
+    /**
+     * Initialize AuthorizationParser with identity providers from config.
+     * 
+     * @param {IdentityProvider[]} providerList - The provider entries from config.
+     * @throws {Error} When a provider entry is invalid, or duplicated.
+     */
+    static initialize(providerList) {
+        AuthorizationParser.registry = new IdentityProviderRegistry(providerList);
+    }
+
     /**
      * Parse given authorization provider in string format into numeric code.
-     * @param {string} authProvider - Given authorization provider in string format.
+     * @param {string} authProvider - Given authorization provider in string format, that is, 'password' or a connection name.
      * @returns {number} numeric constant code of supported authorization provider.
      * @throws {Error} Error when given authProvider is not supported.
      */
@@ -39,15 +63,55 @@ class AuthorizationParser {
         if('password' === authProvider) {
             return AuthorizationProvider.AUTH_PASSWORD;
         }
-        if('google-oauth2' === authProvider) {
-            return AuthorizationProvider.AUTH_GOOGLE_OAUTH2;
-        }
-        if('facebook' === authProvider) {
-            return AuthorizationProvider.AUTH_FACEBOOK;
+        const provider = AuthorizationParser.registry.findByConnection(authProvider);
+        if (provider) {
+            return provider.code;
         }
         throw new Error('Unsupported authProvider: ' + authProvider);
     }
 
+    /**
+     * Get human-friendly label of given authorization provider in numeric code, e.g. to be shown in an E-mail.
+     * @param {number} providerCode - Authorization provider in numeric form.
+     * @returns {string} label of given authorization provider.
+     */
+    static getLabel(providerCode) {
+        if (AuthorizationProvider.AUTH_PASSWORD === providerCode) {
+            return 'E-mail & Password';
+        }
+        const provider = AuthorizationParser.registry.findByCode(providerCode);
+        if (provider) {
+            return provider.label;
+        }
+        return 'Social Network';
+    }
+
+    /**
+     * Get all identity providers, e.g. to show sign-in buttons.
+     * @returns {IdentityProvider[]} - All identity provider entries.
+     */
+    static getProviders() {
+        return AuthorizationParser.registry.list();
+    }
+
+    /**
+     * Find an identity provider by name used in URL.
+     * @param {string} name - The provider name.
+     * @returns {IdentityProvider} - The provider entry if present, undefined otherwise.
+     */
+    static findProvider(name) {
+        return AuthorizationParser.registry.findByName(name);
+    }
+
+    /**
+     * Find an identity provider by connection name, e.g. provider of a signed in user.
+     * @param {string} connection - The connection name.
+     * @returns {IdentityProvider} - The provider entry if present, undefined otherwise.
+     */
+    static findProviderByConnection(connection) {
+        return AuthorizationParser.registry.findByConnection(connection);
+    }
+
 }
 
 export { AuthorizationProvider };
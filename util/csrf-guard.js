@@ -0,0 +1,75 @@
+import { TokenUtil } from './token-util.js';
+
+// constants for CSRF tokens
+const CSRF_TOKEN_LENGTH = 32;
+const CSRF_FIELD = '_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+
+/**
+ * Synchronizer token protection against cross-site request forgery (CSRF). <br />
+ * A random token is kept in the session of each browser. Pages put the token in a hidden form field named <strong>_csrf</strong>,
+ * or send it in header <strong>X-CSRF-Token</strong> with JSON requests. A state-changing request (any method other than
+ * GET, HEAD and OPTIONS) is accepted only when it carries the token of its session.
+ * 
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { CsrfGuard } from './util/csrf-guard.js';
+ * 
+ * // in a page template
+ * // &lt;input type="hidden" name="_csrf" value="&lt;%= csrfToken %&gt;" /&gt;
+ * res.render('page.ejs', { csrfToken: CsrfGuard.getToken(req) });
+ * 
+ * // before handling a POST request
+ * if (!CsrfGuard.checkRequest(req)) {
+ *     return res.status(403).json({ message: 'Invalid CSRF token' });
+ * }
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ */
+class CsrfGuard {
+
+    /**
+     * Get CSRF token of the session, a new token is created in the session when absent.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {string} - The CSRF token, or an empty string if the request has no session.
+     */
+    static getToken(req) {
+        if (!req.session) {
+            return '';
+        }
+        if (!req.session.csrfToken) {
+            req.session.csrfToken = TokenUtil.makeRandomToken(CSRF_TOKEN_LENGTH);
+        }
+        return req.session.csrfToken;
+    }
+
+    /**
+     * Check a request carries CSRF token of its session, in form field or in header. Safe methods are always accepted.
+     * 
+     * @param {Request} req - The HTTP request
+     * @return {boolean} - true if the request is accepted.
+     */
+    static checkRequest(req) {
+        if (SAFE_METHODS.includes(req.method)) {
+            return true;
+        }
+        const expected = req.session && req.session.csrfToken;
+        const actual = (req.body && req.body[CSRF_FIELD]) || req.get(CSRF_HEADER);
+        if (!expected || !actual) {
+            return false;
+        }
+        return TokenUtil.safeEqual(expected, actual);
+    }
+
+}
+
+
+export { CsrfGuard };
@@ -1,7 +1,9 @@
 import sgMail from '@sendgrid/mail';
+import { Localizer } from './localizer.js';
 
 /**
- * Utility class to send E-mail to end user by SendGrid.
+ * Utility class to send E-mail to end user by SendGrid. <br />
+ * Each E-mail is written in the locale given by caller, or in the default locale when absent.
  * 
  * @memberof util#
  * 
@@ -15,7 +17,12 @@ import sgMail from '@sendgrid/mail';
  *     mailOptions: {
  *         apiKey: process.env.SENDGRID_API_KEY,
  *         senderEmail: process.env.SENDGRID_SENDER,
- *         verifyUrl: process.env.SERVICE_BASE + '/user/verify'
+ *         verifyUrl: process.env.SERVICE_BASE + '/user/verify',
+ *         resetUrl: process.env.SERVICE_BASE + '/password/reset',
+ *         unlockUrl: process.env.SERVICE_BASE + '/signin/unlock',
+ *         signInUrl: process.env.SERVICE_BASE + '/signin/link',
+ *         emailChangeUrl: process.env.SERVICE_BASE + '/user/email/confirm',
+ *         revokeUrl: process.env.SERVICE_BASE + '/signin/not-me'
  *     }
  * };
  * 
@@ -23,7 +30,7 @@ import sgMail from '@sendgrid/mail';
  * EmailSender.initialize(config.mailOptions);
  * 
  * // send verification email 
- * EmailSender.sendVerificationEmail('test@example.com', 'token1234');
+ * EmailSender.sendVerificationEmail('test@example.com', 'token1234', 'zh-TW');
  * 
  * </code>
  * </pre> 
@@ -34,7 +41,7 @@ import sgMail from '@sendgrid/mail';
  */
 class EmailSender {
 
-    static status = { senderEmail: 'test@example.com', verifyUrl: 'https://example.com/verify' };
+    static status = { senderEmail: 'test@example.com', verifyUrl: 'https://example.com/verify', resetUrl: 'https://example.com/password/reset', unlockUrl: 'https://example.com/signin/unlock', signInUrl: 'https://example.com/signin/link', emailChangeUrl: 'https://example.com/user/email/confirm', revokeUrl: 'https://example.com/signin/not-me' };
 
     /**
      * Initialize EmailSender with given mail options. If given mail options do NOT match 
@@ -47,6 +54,11 @@ class EmailSender {
         status.apiKey = mailOptions.apiKey;
         status.senderEmail = mailOptions.senderEmail;
         status.verifyUrl = mailOptions.verifyUrl;
+        status.resetUrl = mailOptions.resetUrl;
+        status.unlockUrl = mailOptions.unlockUrl;
+        status.signInUrl = mailOptions.signInUrl;
+        status.emailChangeUrl = mailOptions.emailChangeUrl;
+        status.revokeUrl = mailOptions.revokeUrl;
         sgMail.setApiKey(status.apiKey);
     }
 
@@ -69,17 +81,227 @@ class EmailSender {
      * 
      * @param {string} email - Email address that will recieve the verification email.
      * @param {string} verifyCode - The verification code or token.
+     * @param {string} [locale] - The locale of the email.
      */
-    static sendVerificationEmail(email, verifyCode) {
+    static sendVerificationEmail(email, verifyCode, locale) {
+        const t = Localizer.makeTranslator(locale);
         const encodedEmail = encodeURIComponent(email);
         const verifyBase = EmailSender.status.verifyUrl;
         const verifyLink = `${verifyBase}/${encodedEmail}/${verifyCode}`;
-        const htmlContent = `Click <a href="${verifyLink}">HERE</a> to verify your E-mail.`;
+        const htmlContent = t('Click <a href="{link}">HERE</a> to verify your E-mail.', { link: verifyLink });
         const msg = {
             to: email,
             from: EmailSender.status.senderEmail,
-            subject: 'Verification Email',
-            text: 'Verification Email',
+            subject: t('Verification Email'),
+            text: t('Verification Email'),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+    /**
+     * Send a password reset email to the given email address.
+     * 
+     * @param {string} email - Email address that will recieve the password reset email.
+     * @param {string} resetCode - The password reset code or token.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendPasswordResetEmail(email, resetCode, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const encodedEmail = encodeURIComponent(email);
+        const resetBase = EmailSender.status.resetUrl;
+        const resetLink = `${resetBase}/${encodedEmail}/${resetCode}`;
+        const htmlContent = t('Click <a href="{link}">HERE</a> to reset your password. The link can be used only once.', { link: resetLink }) + '<br />' +
+            t('If you did not ask to reset your password, please ignore this E-mail.');
+        const msg = {
+            to: email,
+            from: EmailSender.status.senderEmail,
+            subject: t('Password Reset Email'),
+            text: t('Password Reset Email'),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+    /**
+     * Send an email explaining that the account has no password to reset, because it was signed up by social network.
+     * 
+     * @param {string} email - Email address that will recieve the email.
+     * @param {string} providerLabel - Label of the social network that the account signs in with.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendNoPasswordEmail(email, providerLabel, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const provider = EmailSender.escapeHtml(providerLabel);
+        const htmlContent = t('Your account was signed up with {provider}, so it has no password to reset.', { provider }) + '<br />' +
+            t('Please sign in with {provider} instead.', { provider });
+        const msg = {
+            to: email,
+            from: EmailSender.status.senderEmail,
+            subject: t('Password Reset Email'),
+            text: t('Your account has no password, please sign in with {provider}.', { provider: providerLabel }),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+    /**
+     * Send an email telling that sign-in of the account was locked because of too many failed attempts, 
+     * with a link to unlock it.
+     * 
+     * @param {string} email - Email address that will recieve the unlock email.
+     * @param {string} unlockCode - The unlock code or token.
+     * @param {Date} lockedUntil - The time when lock expires by itself.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendUnlockEmail(email, unlockCode, lockedUntil, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const encodedEmail = encodeURIComponent(email);
+        const unlockBase = EmailSender.status.unlockUrl;
+        const unlockLink = `${unlockBase}/${encodedEmail}/${unlockCode}`;
+        const htmlContent = t('There were too many failed sign-in attempts to your account, so sign-in was locked until {time}.', { time: lockedUntil.toISOString() }) + '<br />' +
+            t('If it was you, click <a href="{link}">HERE</a> to unlock now.', { link: unlockLink }) + ' ' +
+            t('If it was not you, please consider changing your password.');
+        const msg = {
+            to: email,
+            from: EmailSender.status.senderEmail,
+            subject: t('Account Locked Email'),
+            text: t('Account Locked Email'),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+    /**
+     * Send an email with a sign-in link (passwordless sign-in) to the given email address.
+     * 
+     * @param {string} email - Email address that will recieve the email.
+     * @param {string} signInCode - The sign-in code or token.
+     * @param {number} validMinutes - Minutes that the sign-in link is valid.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendSignInLinkEmail(email, signInCode, validMinutes, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const encodedEmail = encodeURIComponent(email);
+        const signInBase = EmailSender.status.signInUrl;
+        const signInLink = `${signInBase}/${encodedEmail}/${signInCode}`;
+        const htmlContent = t('Click <a href="{link}">HERE</a> to sign in. The link can be used only once, within {count} minutes.', { link: signInLink, count: validMinutes }) + '<br />' +
+            t('If you did not ask to sign in, please ignore this E-mail.');
+        const msg = {
+            to: email,
+            from: EmailSender.status.senderEmail,
+            subject: t('Sign-in Link Email'),
+            text: t('Sign-in Link Email'),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+
+    /**
+     * Send an email with a link to confirm the new email address of an account.
+     * 
+     * @param {string} newEmail - New email address that will recieve the email.
+     * @param {string} changeCode - The change code or token.
+     * @param {number} validMinutes - Minutes that the link is valid.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendEmailChangeEmail(newEmail, changeCode, validMinutes, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const encodedEmail = encodeURIComponent(newEmail);
+        const changeBase = EmailSender.status.emailChangeUrl;
+        const changeLink = `${changeBase}/${encodedEmail}/${changeCode}`;
+        const htmlContent = t('Click <a href="{link}">HERE</a> to use this E-mail address for your account, within {count} minutes.', { link: changeLink, count: validMinutes }) + '<br />' +
+            t('If you did not ask to change E-mail address, please ignore this E-mail.');
+        const msg = {
+            to: newEmail,
+            from: EmailSender.status.senderEmail,
+            subject: t('E-mail Change Email'),
+            text: t('E-mail Change Email'),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+    /**
+     * Send an email telling the current email address of an account that a change to another address was requested.
+     * 
+     * @param {string} email - Current email address that will recieve the email.
+     * @param {string} newEmail - The requested new email address.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendEmailChangeNotice(email, newEmail, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const htmlContent = t('A change of E-mail address of your account to {email} was requested, it takes effect when the link sent to the new address is followed.', { email: EmailSender.escapeHtml(newEmail) }) + '<br />' +
+            t('If it was not you, please sign in and change your password right away.');
+        const msg = {
+            to: email,
+            from: EmailSender.status.senderEmail,
+            subject: t('E-mail Change Notice'),
+            text: t('A change of E-mail address to {email} was requested.', { email: newEmail }),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+    /**
+     * Send an email telling that the account was signed in from a new device, with a link to sign out everywhere
+     * if it was not the owner of the account.
+     * 
+     * @param {string} email - Email address that will recieve the email.
+     * @param {string} revokeCode - The revoke code or token.
+     * @param {Date} signInTime - The time of the sign-in.
+     * @param {string} ip - IP address of the new device.
+     * @param {string} userAgent - User-agent of the new device.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendNewDeviceEmail(email, revokeCode, signInTime, ip, userAgent, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const encodedEmail = encodeURIComponent(email);
+        const revokeBase = EmailSender.status.revokeUrl;
+        const revokeLink = `${revokeBase}/${encodedEmail}/${revokeCode}`;
+        const htmlContent = t('There was a new sign-in to your account.') + '<br />' +
+            t('Time: {time}', { time: signInTime.toISOString() }) + '<br />' +
+            t('IP address: {ip}', { ip: EmailSender.escapeHtml(ip || '-') }) + '<br />' +
+            t('Browser: {browser}', { browser: EmailSender.escapeHtml(userAgent || '-') }) + '<br />' +
+            t('If it was you, you can ignore this E-mail. If it wasn\'t you, click <a href="{link}">HERE</a> to sign out all sessions, then change your password right away.', { link: revokeLink });
+        const msg = {
+            to: email,
+            from: EmailSender.status.senderEmail,
+            subject: t('New Sign-in to Your Account'),
+            text: t('New sign-in to your account at {time} from {ip}.', { time: signInTime.toISOString(), ip: ip || t('unknown IP address') }),
+            html: htmlContent
+        }
+        EmailSender.sendMail(msg);
+    }
+
+    /**
+     * Escape text to be put in HTML content of an email, e.g. user-agent sent by a client.
+     * 
+     * @param {string} text - The text to be escaped.
+     * @return {string} - The escaped text.
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+
+    /**
+     * Send an email telling that deletion of the account was scheduled, and how to cancel it in the grace period.
+     * 
+     * @param {string} email - Email address that will recieve the email.
+     * @param {Date} deleteAfter - The time after which the account is deleted.
+     * @param {string} [locale] - The locale of the email.
+     */
+    static sendDeletionEmail(email, deleteAfter, locale) {
+        const t = Localizer.makeTranslator(locale);
+        const htmlContent = t('Your account is scheduled to be deleted permanently after {time}.', { time: deleteAfter.toISOString() }) + '<br />' +
+            t('To keep your account, sign in before then and cancel the deletion from your profile page.');
+        const msg = {
+            to: email,
+            from: EmailSender.status.senderEmail,
+            subject: t('Account Deletion Email'),
+            text: t('Account Deletion Email'),
             html: htmlContent
         }
         EmailSender.sendMail(msg);
@@ -0,0 +1,120 @@
+// constants for provider entries
+const RX_PROVIDER_NAME = /^[a-z0-9][a-z0-9-]*$/;
+const RESERVED_NAMES = ['password', '2fa', 'unlock', 'link'];
+const MIN_PROVIDER_CODE = 2;
+const STRATEGY_NAMES = ['auth0', 'oidc'];
+
+
+/**
+ * Registry of identity providers (social network sign-in), read from config. Each provider entry gives 
+ * the name used in URL (<strong>/signin/:name</strong>), the connection name of Auth0, a numeric code 
+ * stored with accounts, a display label and an icon. <br />
+ * The <strong>strategy</strong> of an entry is 'auth0' by default. Entries with strategy 'oidc' sign in by a native 
+ * OpenID Connect issuer instead, and the connection name is stored as provider of signed in users.
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * const registry = new IdentityProviderRegistry([
+ *     { name: 'google', connection: 'google-oauth2', code: 2, label: 'Google', icon: '/f/img/oauth_google.png' },
+ *     { name: 'github', connection: 'github', code: 4, label: 'GitHub', icon: '/f/img/oauth_github.png' },
+ *     { name: 'corporate', connection: 'corporate-oidc', code: 5, label: 'Corporate', strategy: 'oidc' }
+ * ]);
+ * 
+ * console.log(registry.findByName('github').connection);
+ * console.log(registry.findByConnection('google-oauth2').code);
+ * </code>
+ * </pre> 
+ * 
+ * @see util#AuthorizationParser
+ */
+class IdentityProviderRegistry {
+
+    /**
+     * Create a registry with given provider entries.
+     * 
+     * @param {IdentityProvider[]} providerList - The provider entries from config.
+     * @throws {Error} When a provider entry is invalid, or duplicated.
+     */
+    constructor(providerList) {
+
+        /** 
+         * @member {IdentityProvider[]} - Provider entries in the same order as config.
+         */
+        this.providerList = [];
+        (providerList || []).forEach((provider) => {
+            this.addProvider(provider);
+        });
+    }
+
+    /**
+     * Add a provider entry to this registry.
+     * 
+     * @param {IdentityProvider} provider - The provider entry.
+     * @throws {Error} When the provider entry is invalid, or duplicated.
+     */
+    addProvider(provider) {
+        const { name, connection, code, label, icon } = provider || {};
+        const strategy = (provider && provider.strategy) || 'auth0';
+        if (!RX_PROVIDER_NAME.test(name || '') || RESERVED_NAMES.includes(name)) {
+            throw new Error('Invalid identity provider name: ' + name);
+        }
+        if (!connection) {
+            throw new Error('Missing connection of identity provider: ' + name);
+        }
+        if (!Number.isInteger(code) || (code < MIN_PROVIDER_CODE)) {
+            throw new Error(`Identity provider code must be an integer >= ${MIN_PROVIDER_CODE}: ${name}`);
+        }
+        if (!STRATEGY_NAMES.includes(strategy)) {
+            throw new Error(`Unsupported strategy of identity provider: ${name} (${strategy})`);
+        }
+        if (this.findByName(name) || this.findByConnection(connection) || this.findByCode(code)) {
+            throw new Error('Duplicated identity provider: ' + name);
+        }
+        this.providerList.push(Object.freeze({ name, connection, code, label: label || name, icon: icon || '', strategy }));
+    }
+
+    /**
+     * Get all provider entries, e.g. to show sign-in buttons.
+     * 
+     * @return {IdentityProvider[]} - All provider entries.
+     */
+    list() {
+        return this.providerList.slice();
+    }
+
+    /**
+     * Find a provider entry by name used in URL.
+     * 
+     * @param {string} name - The provider name.
+     * @return {IdentityProvider} - The provider entry if present, undefined otherwise.
+     */
+    findByName(name) {
+        return this.providerList.find((provider) => (name === provider.name));
+    }
+
+    /**
+     * Find a provider entry by Auth0 connection name.
+     * 
+     * @param {string} connection - The connection name, e.g. 'google-oauth2'.
+     * @return {IdentityProvider} - The provider entry if present, undefined otherwise.
+     */
+    findByConnection(connection) {
+        return this.providerList.find((provider) => (connection === provider.connection));
+    }
+
+    /**
+     * Find a provider entry by numeric code.
+     * 
+     * @param {number} code - The provider code stored with accounts.
+     * @return {IdentityProvider} - The provider entry if present, undefined otherwise.
+     */
+    findByCode(code) {
+        return this.providerList.find((provider) => (code === provider.code));
+    }
+
+}
+
+
+export { IdentityProviderRegistry };
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+
+// constants for JSON Web Token (RFC 7519)
+const JWT_CLOCK_SKEW_SECONDS = 60;
+const JWT_ALGORITHMS = {
+    RS256: { hash: 'sha256', kty: 'RSA' },
+    RS384: { hash: 'sha384', kty: 'RSA' },
+    RS512: { hash: 'sha512', kty: 'RSA' },
+    PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', kty: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+
+/**
+ * Utility for JSON Web Tokens (JWT) signed by asymmetric keys, e.g. ID tokens issued by an OpenID Connect provider. <br />
+ * Signing keys are given in JSON Web Key (JWK) format, as published by a JWKS endpoint. Tokens of this site are signed
+ * by private keys in the same format.
+ * 
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { JwtUtil } from './util/jwt-util.js';
+ * 
+ * // keys from the JWKS endpoint of issuer
+ * const payload = JwtUtil.verify(idToken, jwks.keys, {
+ *     issuer: 'https://idp.example.com',
+ *     audience: 'my-client-id'
+ * });
+ * console.log(payload.sub);
+ * 
+ * // sign by a private key, with 'kid' and 'alg' in the key
+ * const token = JwtUtil.sign({ sub: '42', exp: expireSeconds }, privateJwk);
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ */
+class JwtUtil {
+
+    /**
+     * Decode a JWT in compact serialization, without verifying its signature.
+     * 
+     * @param {string} token - The JWT.
+     * @return {Object} - An object with <strong>header</strong>, <strong>payload</strong>, <strong>signature</strong> (Buffer)
+     *                    and <strong>signingInput</strong>.
+     * @throws {Error} When given token is not a well-formed JWT.
+     */
+    static decode(token) {
+        const parts = String(token || '').split('.');
+        var header;
+        var payload;
+        if (3 !== parts.length) {
+            throw new Error('Malformed JWT');
+        }
+        try {
+            header = JSON.parse(JwtUtil.decodeBase64Url(parts[0]).toString('utf8'));
+            payload = JSON.parse(JwtUtil.decodeBase64Url(parts[1]).toString('utf8'));
+        } catch (err) {
+            throw new Error('Malformed JWT');
+        }
+        if (!header || !payload || ('object' !== typeof header) || ('object' !== typeof payload)) {
+            throw new Error('Malformed JWT');
+        }
+        return {
+            header,
+            payload,
+            signature: JwtUtil.decodeBase64Url(parts[2]),
+            signingInput: `${parts[0]}.${parts[1]}`
+        };
+    }
+
+    /**
+     * Verify signature and registered claims of a JWT, and return its payload.
+     * 
+     * @param {string} token - The JWT.
+     * @param {Object[]} keys - Candidate signing keys in JWK format, the key is selected by <strong>kid</strong> in JWT header.
+     * @param {Object} [options] - Expected claims, with optional <strong>issuer</strong>, <strong>audience</strong>,
+     *                             <strong>algorithms</strong> (allowed 'alg' values) and <strong>now</strong> (Date).
+     * @return {Object} - The verified payload.
+     * @throws {Error} When the signature is invalid, or any expected claim does not match.
+     */
+    static verify(token, keys, options) {
+        const opts = options || {};
+        const decoded = JwtUtil.decode(token);
+        const { header, payload } = decoded;
+        const algorithms = opts.algorithms || Object.keys(JWT_ALGORITHMS);
+        const algorithm = JWT_ALGORITHMS[header.alg];
+        if (!algorithm || !algorithms.includes(header.alg)) {
+            throw new Error('Unsupported JWT algorithm: ' + header.alg);
+        }
+
+        const jwk = JwtUtil.selectKey(keys, header, algorithm);
+        if (!jwk) {
+            throw new Error('No matched key for JWT: ' + header.kid);
+        }
+        const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        const isValid = crypto.verify(algorithm.hash, Buffer.from(decoded.signingInput), {
+            key,
+            padding: algorithm.padding,
+            dsaEncoding: algorithm.dsaEncoding
+        }, decoded.signature);
+        if (!isValid) {
+            throw new Error('Invalid JWT signature');
+        }
+
+        JwtUtil.checkClaims(payload, opts);
+        return payload;
+    }
+
+    /**
+     * Sign a payload into a JWT in compact serialization.
+     * 
+     * @param {Object} payload - The JWT payload.
+     * @param {Object} jwk - The private signing key in JWK format, with <strong>alg</strong> and <strong>kid</strong>.
+     * @param {Object} [extraHeader] - Additional header parameters, e.g. { typ: 'at+jwt' }.
+     * @return {string} - The signed JWT.
+     * @throws {Error} When the algorithm of key is not supported.
+     */
+    static sign(payload, jwk, extraHeader) {
+        const algorithm = JWT_ALGORITHMS[jwk.alg];
+        if (!algorithm || (algorithm.kty !== jwk.kty)) {
+            throw new Error('Unsupported JWT algorithm: ' + jwk.alg);
+        }
+        const header = Object.assign({ alg: jwk.alg, typ: 'JWT', kid: jwk.kid }, extraHeader);
+        const signingInput = JwtUtil.encodeBase64Url(JSON.stringify(header)) + '.' + JwtUtil.encodeBase64Url(JSON.stringify(payload));
+        const key = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+        const signature = crypto.sign(algorithm.hash, Buffer.from(signingInput), {
+            key,
+            padding: algorithm.padding,
+            saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+            dsaEncoding: algorithm.dsaEncoding
+        });
+        return signingInput + '.' + JwtUtil.encodeBase64Url(signature);
+    }
+
+    /**
+     * Get the public part of a signing key in JWK format, e.g. to be published by a JWKS endpoint.
+     * 
+     * @param {Object} jwk - The private (or public) signing key in JWK format.
+     * @return {Object} - The public key in JWK format, with <strong>kid</strong>, <strong>alg</strong> and <strong>use</strong>.
+     */
+    static toPublicJwk(jwk) {
+        const publicJwk = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ format: 'jwk' });
+        return Object.assign(publicJwk, { kid: jwk.kid, alg: jwk.alg, use: 'sig' });
+    }
+
+    /**
+     * Check registered claims (iss, aud, exp, nbf, iat) of a JWT payload, with a small allowance of clock skew.
+     * 
+     * @param {Object} payload - The JWT payload.
+     * @param {Object} options - Expected claims, see <a href="#.verify">JwtUtil.verify()</a>.
+     * @throws {Error} When any expected claim does not match.
+     */
+    static checkClaims(payload, options) {
+        const now = Math.floor((options.now || new Date()).getTime() / 1000);
+        var audience;
+        if (options.issuer && (options.issuer !== payload.iss)) {
+            throw new Error('Unexpected JWT issuer: ' + payload.iss);
+        }
+        if (options.audience) {
+            audience = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+            if (!audience.includes(options.audience)) {
+                throw new Error('Unexpected JWT audience');
+            }
+        }
+        if (!Number.isFinite(payload.exp) || (payload.exp + JWT_CLOCK_SKEW_SECONDS) < now) {
+            throw new Error('JWT expired');
+        }
+        if (Number.isFinite(payload.nbf) && (payload.nbf - JWT_CLOCK_SKEW_SECONDS) > now) {
+            throw new Error('JWT not yet valid');
+        }
+        if (Number.isFinite(payload.iat) && (payload.iat - JWT_CLOCK_SKEW_SECONDS) > now) {
+            throw new Error('JWT issued in the future');
+        }
+    }
+
+    /**
+     * Select the signing key of a JWT from candidate keys.
+     * 
+     * @param {Object[]} keys - Candidate signing keys in JWK format.
+     * @param {Object} header - The JWT header.
+     * @param {Object} algorithm - The algorithm entry of JWT header.
+     * @return {Object} - The matched key if present, undefined otherwise.
+     */
+    static selectKey(keys, header, algorithm) {
+        const candidates = (keys || []).filter((jwk) => {
+            if (!jwk || (algorithm.kty !== jwk.kty)) {
+                return false;
+            }
+            if (jwk.use && ('sig' !== jwk.use)) {
+                return false;
+            }
+            if (jwk.alg && (header.alg !== jwk.alg)) {
+                return false;
+            }
+            return (!header.kid || (header.kid === jwk.kid));
+        });
+
+        // without kid, the key is selected only when there is no ambiguity
+        if (1 === candidates.length) {
+            return candidates[0];
+        }
+        return header.kid ? candidates[0] : undefined;
+    }
+
+    /**
+     * Encode given bytes in base64url format (RFC 4648, without padding).
+     * 
+     * @param {Buffer|string} input - The bytes to be encoded.
+     * @return {string} - the base64url string.
+     */
+    static encodeBase64Url(input) {
+        return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    }
+
+    /**
+     * Decode given base64url string into bytes.
+     * 
+     * @param {string} text - The base64url string.
+     * @return {Buffer} - the decoded bytes.
+     */
+    static decodeBase64Url(text) {
+        return Buffer.from(String(text).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    }
+
+}
+
+
+export { JwtUtil };
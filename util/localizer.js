@@ -0,0 +1,286 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// constants for message catalogs
+const DEFAULT_LOCALE = 'en';
+const DEFAULT_CATALOG_DIR = fileURLToPath(new URL('../config/locales', import.meta.url));
+const CATALOG_EXTENSION = '.json';
+const RX_PLACEHOLDER = /\{(\w+)\}/g;
+const RX_LANGUAGE_RANGE = /^([a-zA-Z]{1,8}(?:-[a-zA-Z0-9]{1,8})*|\*)$/;
+
+
+/**
+ * Translation of user-facing text by message catalogs, one JSON file for each locale (e.g. <strong>zh-TW.json</strong>). <br />
+ * Catalogs are keyed by the English text itself, so text without translation is shown in English as before. A translation
+ * may have <strong>{name}</strong> placeholders, and may be an object of plural forms (<strong>zero</strong>, <strong>one</strong>,
+ * <strong>two</strong>, <strong>few</strong>, <strong>many</strong>, <strong>other</strong>) selected by the <strong>count</strong>
+ * parameter, by plural rules of the locale.
+ * 
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { Localizer } from './util/localizer.js';
+ * 
+ * // config for Localizer, catalogs are read from config/locales by default
+ * Localizer.initialize({ defaultLocale: 'en', catalogDir: './config/locales' });
+ * 
+ * const locale = Localizer.negotiate([req.query.lang], req.get('accept-language'));
+ * const t = Localizer.makeTranslator(locale);
+ * console.log(t('Sign In'));
+ * console.log(t('The link is valid for {count} minutes', { count: 15 }));
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ * @see LocaleOptions
+ */
+class Localizer {
+
+    static status = { defaultLocale: DEFAULT_LOCALE, catalogs: null, clientCatalogs: {} };
+
+    /**
+     * Initialize Localizer with given locale options. The default locale is always supported, even without a catalog file.
+     * 
+     * @param {LocaleOptions} localeOptions - Default locale and directory of message catalogs.
+     * @throws {Error} When a catalog file is not valid JSON.
+     */
+    static initialize(localeOptions) {
+        const status = Localizer.status;
+        status.defaultLocale = localeOptions.defaultLocale || DEFAULT_LOCALE;
+        status.catalogs = Localizer.loadCatalogs(localeOptions.catalogDir || DEFAULT_CATALOG_DIR);
+        status.clientCatalogs = {};
+    }
+
+    /**
+     * Get message catalogs of all supported locales, read from default directory when Localizer was not initialized.
+     * 
+     * @return {Object} - Catalogs keyed by locale.
+     */
+    static getCatalogs() {
+        const status = Localizer.status;
+        if (!status.catalogs) {
+            status.catalogs = Localizer.loadCatalogs(DEFAULT_CATALOG_DIR);
+        }
+        return status.catalogs;
+    }
+
+    /**
+     * Get supported locales, the default locale first.
+     * 
+     * @return {string[]} - The supported locales, e.g. ['en', 'zh-TW'].
+     */
+    static getLocales() {
+        const defaultLocale = Localizer.status.defaultLocale;
+        const otherLocales = Object.keys(Localizer.getCatalogs()).filter((locale) => (locale !== defaultLocale)).sort();
+        return [defaultLocale].concat(otherLocales);
+    }
+
+    /**
+     * Get names of supported locales, each in its own language, e.g. to be shown in a language menu.
+     * 
+     * @return {Object} - Names keyed by locale, e.g. { 'en': 'English', 'zh-TW': '中文（台灣）' }.
+     */
+    static getLocaleNames() {
+        const names = {};
+        Localizer.getLocales().forEach((locale) => {
+            names[locale] = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        });
+        return names;
+    }
+
+    /**
+     * Find the supported locale of a language tag. Tags are compared case-insensitively, and a tag without region
+     * (e.g. 'zh') or with other subtags (e.g. 'zh-Hant-TW') matches a supported locale of the same language.
+     * 
+     * @param {string} languageTag - The language tag, e.g. from query string or Accept-Language header.
+     * @return {string} - The supported locale, if found.
+     * @return null - otherwise
+     */
+    static matchLocale(languageTag) {
+        if (!languageTag || !RX_LANGUAGE_RANGE.test(languageTag) || ('*' === languageTag)) {
+            return null;
+        }
+        const locales = Localizer.getLocales();
+        const tag = languageTag.toLowerCase();
+        const exact = locales.find((locale) => (locale.toLowerCase() === tag));
+        if (exact) {
+            return exact;
+        }
+        const language = tag.split('-')[0];
+        const region = tag.split('-').pop();
+        const sameLanguage = locales.filter((locale) => (locale.toLowerCase().split('-')[0] === language));
+        return sameLanguage.find((locale) => (locale.toLowerCase().split('-').pop() === region)) || sameLanguage[0] || null;
+    }
+
+    /**
+     * Parse an Accept-Language header into language tags, most preferred first. Tags with zero quality are dropped.
+     * 
+     * @param {string} [acceptLanguage] - The Accept-Language header, e.g. 'zh-TW,zh;q=0.9,en;q=0.8'.
+     * @return {string[]} - The language tags.
+     */
+    static parseAcceptLanguage(acceptLanguage) {
+        if (!acceptLanguage) {
+            return [];
+        }
+        return String(acceptLanguage).split(',').map((entry, index) => {
+            const parts = entry.trim().split(';');
+            const qualityPart = parts.slice(1).map((part) => part.trim()).find((part) => part.startsWith('q='));
+            const quality = qualityPart ? parseFloat(qualityPart.substring(2)) : 1;
+            return { tag: parts[0].trim(), quality: isNaN(quality) ? 0 : quality, index };
+        }).filter((entry) => (entry.tag && (entry.quality > 0)))
+            .sort((a, b) => ((b.quality - a.quality) || (a.index - b.index)))
+            .map((entry) => entry.tag);
+    }
+
+    /**
+     * Choose a supported locale, from preferred language tags in order (e.g. query string, cookie, and stored preference of user),
+     * then from Accept-Language header, and the default locale at last.
+     * 
+     * @param {string[]} preferredTags - Language tags in order of priority, empty ones are skipped.
+     * @param {string} [acceptLanguage] - The Accept-Language header.
+     * @return {string} - The chosen locale.
+     */
+    static negotiate(preferredTags, acceptLanguage) {
+        const tags = (preferredTags || []).concat(Localizer.parseAcceptLanguage(acceptLanguage));
+        for (var i = 0; i < tags.length; i++) {
+            const locale = Localizer.matchLocale(tags[i]);
+            if (locale) {
+                return locale;
+            }
+        }
+        return Localizer.status.defaultLocale;
+    }
+
+    /**
+     * Translate text into given locale, by its catalog, then by catalog of the default locale. Text not found in
+     * catalogs is kept as is. Placeholders are replaced by given parameters in both cases.
+     * 
+     * @param {string} [locale] - The locale, default locale when absent.
+     * @param {string} text - The text in English, which is the key in catalogs.
+     * @param {Object} [params] - Parameters of placeholders, <strong>count</strong> selects plural form.
+     * @return {string} - The translated text.
+     */
+    static translate(locale, text, params) {
+        const catalogs = Localizer.getCatalogs();
+        const defaultLocale = Localizer.status.defaultLocale;
+        const targetLocale = (locale && catalogs[locale]) ? locale : defaultLocale;
+        if ((null === text) || (undefined === text)) {
+            return '';
+        }
+        var entry = Localizer.findEntry(catalogs[targetLocale], text);
+        var entryLocale = targetLocale;
+        if (undefined === entry) {
+            entry = Localizer.findEntry(catalogs[defaultLocale], text);
+            entryLocale = defaultLocale;
+        }
+        if (undefined === entry) {
+            entry = String(text);
+        }
+        if ('object' === typeof entry) {
+            entry = Localizer.selectPlural(entryLocale, entry, (params || {}).count);
+        }
+        return Localizer.format(entry, params);
+    }
+
+    /**
+     * Find the translation of text in a catalog, only by its own keys.
+     * 
+     * @param {Object} [catalog] - The catalog.
+     * @param {string} text - The text in English.
+     * @return {string|Object} - The translation, if found.
+     * @return undefined - otherwise
+     */
+    static findEntry(catalog, text) {
+        return (catalog && Object.prototype.hasOwnProperty.call(catalog, text)) ? catalog[text] : undefined;
+    }
+
+    /**
+     * Select plural form of a translation by plural rules of the locale.
+     * 
+     * @param {string} locale - The locale.
+     * @param {Object} forms - The plural forms, <strong>other</strong> is required.
+     * @param {number} count - The count.
+     * @return {string} - The selected form.
+     */
+    static selectPlural(locale, forms, count) {
+        const number = Number(count);
+        if ((0 === number) && (undefined !== forms.zero)) {
+            return forms.zero;
+        }
+        const category = isNaN(number) ? 'other' : new Intl.PluralRules(locale).select(number);
+        return (undefined !== forms[category]) ? forms[category] : forms.other;
+    }
+
+    /**
+     * Replace <strong>{name}</strong> placeholders in text by given parameters. Unknown placeholders are kept.
+     * 
+     * @param {string} text - The text with placeholders.
+     * @param {Object} [params] - The parameters.
+     * @return {string} - The formatted text.
+     */
+    static format(text, params) {
+        if (!params) {
+            return String(text);
+        }
+        return String(text).replace(RX_PLACEHOLDER, (placeholder, name) => {
+            const value = params[name];
+            return ((undefined === value) || (null === value)) ? placeholder : String(value);
+        });
+    }
+
+    /**
+     * Make a translate function bound to given locale, e.g. to be used as <strong>t()</strong> in page templates.
+     * 
+     * @param {string} locale - The locale.
+     * @return {Function} - Function of (text, params) returning the translated text.
+     */
+    static makeTranslator(locale) {
+        return (text, params) => Localizer.translate(locale, text, params);
+    }
+
+    /**
+     * Get message catalog of given locale as JSON, to be used by scripts of pages. Entries missing in the locale come from
+     * the default locale, and entries same as the English text are left out. Plural forms are kept, to be selected by the
+     * scripts. The JSON is safe to be put in a &lt;script&gt; element.
+     * 
+     * @param {string} locale - The locale.
+     * @return {string} - The catalog in JSON format.
+     */
+    static makeClientCatalog(locale) {
+        const status = Localizer.status;
+        const catalogs = Localizer.getCatalogs();
+        const targetLocale = (locale && catalogs[locale]) ? locale : status.defaultLocale;
+        if (!status.clientCatalogs[targetLocale]) {
+            const catalog = {};
+            const merged = Object.assign({}, catalogs[status.defaultLocale], catalogs[targetLocale]);
+            Object.keys(merged).filter((text) => (merged[text] !== text)).forEach((text) => {
+                catalog[text] = merged[text];
+            });
+            status.clientCatalogs[targetLocale] = JSON.stringify(catalog).replace(/</g, '\\u003c');
+        }
+        return status.clientCatalogs[targetLocale];
+    }
+
+    /**
+     * Read message catalogs from a directory, one <strong>{locale}.json</strong> file for each locale.
+     * 
+     * @param {string} catalogDir - The directory of catalogs.
+     * @return {Object} - Catalogs keyed by locale.
+     * @throws {Error} When a catalog file is not valid JSON.
+     */
+    static loadCatalogs(catalogDir) {
+        const catalogs = {};
+        fs.readdirSync(catalogDir).filter((fileName) => fileName.endsWith(CATALOG_EXTENSION)).forEach((fileName) => {
+            const locale = path.basename(fileName, CATALOG_EXTENSION);
+            catalogs[locale] = JSON.parse(fs.readFileSync(path.join(catalogDir, fileName), 'utf8'));
+        });
+        return catalogs;
+    }
+
+}
+
+
+export { Localizer };
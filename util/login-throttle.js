@@ -0,0 +1,309 @@
+import { MemoryAttemptStore } from '../dal/memory-attempt-store.js';
+import { TimeUtil } from './time-util.js';
+import { TokenUtil } from './token-util.js';
+import { Localizer } from './localizer.js';
+import { ThrottleError } from '../global.js';
+
+
+// default throttle options
+const DEFAULT_OPTIONS = {
+    store: 'memory',
+    windowMinutes: 15,
+    delayAfter: 3,
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 60,
+    lockAfter: 10,
+    ipDelayAfter: 20,
+    ipLockAfter: 100,
+    lockMinutes: 30,
+    keyPrefix: ''
+};
+
+// constants for counter keys
+const KEY_EMAIL = 'email:';
+const KEY_IP = 'ip:';
+const UNLOCK_TOKEN_LENGTH = 32;
+
+// throttle messages
+const MESSAGE_DELAYED = 'Too many failed sign-in attempts, please try again in {seconds} seconds';
+const MESSAGE_LOCKED = 'Too many failed sign-in attempts, sign-in is temporarily locked. Please check your E-mail or try again later';
+
+
+/**
+ * Brute-force protection of sign-in. Failed attempts are counted per email address and per client IP in a sliding window. 
+ * After a few failures, the next attempt must wait for a progressive (doubled) delay; after more failures, a temporary 
+ * lockout is applied. A locked email address can be unlocked by an unlock token, which is sent by E-mail.
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * const loginThrottle = LoginThrottle.makeOne({ store: 'database', lockAfter: 10 });
+ * 
+ * // before checking password, throws ThrottleError when delayed or locked
+ * await loginThrottle.check(email, req.ip);
+ * 
+ * // after password check
+ * if (succeed) {
+ *     await loginThrottle.recordSuccess(email);
+ * } else {
+ *     const lock = await loginThrottle.recordFailure(email, req.ip);
+ *     if (lock) {
+ *         // send lock.unlockToken to user by E-mail
+ *     }
+ * }
+ * </code>
+ * </pre> 
+ * 
+ * @see dal#MemoryAttemptStore
+ * @see dal#DbAttemptStore
+ */
+class LoginThrottle {
+
+    /**
+     * Create a LoginThrottle with given counter storage and options.
+     * 
+     * @param {MemoryAttemptStore|DbAttemptStore} store - The storage of failed attempt counters and locks, or null to use
+     *                                                     DbAttemptStore, loaded on first use.
+     * @param {ThrottleOptions} [options] - Options to be applied to created instance.
+     */
+    constructor(store, options) {
+
+        /** The storage of failed attempt counters and locks. */
+        this.store = store;
+
+        /** Options applied to this instance, unset options fall back to default values. */
+        this.options = Object.assign({}, DEFAULT_OPTIONS);
+        Object.entries(options || {}).forEach(([name, value]) => {
+            if ((undefined !== value) && (null !== value) && !Number.isNaN(value)) {
+                this.options[name] = value;
+            }
+        });
+    }
+
+    /**
+     * Check a sign-in attempt is allowed now or not.
+     * @param {string} email - Email address in the sign-in attempt.
+     * @param {string} ip - IP address of client.
+     * 
+     * @throws {ThrottleError} When sign-in attempt should wait for a delay, or is locked.
+     */
+    async check(email, ip) {
+        const now = new Date();
+        await this.checkKey(this.getEmailKey(email), now, this.options.delayAfter);
+        await this.checkKey(this.getIpKey(ip), now, this.options.ipDelayAfter);
+    }
+
+    /**
+     * Record a failed sign-in attempt, and apply a temporary lockout when there are too many failures.
+     * @param {string} email - Email address in the sign-in attempt.
+     * @param {string} ip - IP address of client.
+     * @returns {Object} - An object with <strong>unlockToken</strong> and <strong>lockedUntil</strong>, when email address was locked by this failure.
+     * @returns null - otherwise
+     */
+    async recordFailure(email, ip) {
+        const options = this.options;
+        const store = await this.getStore();
+        const now = new Date();
+        const emailKey = this.getEmailKey(email);
+        const ipKey = this.getIpKey(ip);
+        const lockedUntil = TimeUtil.addMinutes(now, options.lockMinutes);
+        var failureList;
+        var unlockToken;
+
+        await store.addFailure(ipKey, now);
+        failureList = await store.listFailures(ipKey, this.getWindowStart(now));
+        if (failureList.length >= options.ipLockAfter) {
+            await store.setLock(ipKey, lockedUntil);
+            await store.clearFailures(ipKey);
+        }
+
+        await store.addFailure(emailKey, now);
+        failureList = await store.listFailures(emailKey, this.getWindowStart(now));
+        if (failureList.length >= options.lockAfter) {
+            unlockToken = TokenUtil.makeRandomToken(UNLOCK_TOKEN_LENGTH);
+            await store.setLock(emailKey, lockedUntil, TokenUtil.hashToken(unlockToken));
+            await store.clearFailures(emailKey);
+            return { unlockToken, lockedUntil };
+        }
+        return null;
+    }
+
+    /**
+     * Record a succeed sign-in attempt, which resets failure counter of the email address.
+     * @param {string} email - Email address in the sign-in attempt.
+     */
+    async recordSuccess(email) {
+        const store = await this.getStore();
+        await store.clearFailures(this.getEmailKey(email));
+    }
+
+    /**
+     * Forget failed attempts and lock of an email address, e.g. after its account is deleted.
+     * @param {string} email - Email address to be forgotten.
+     */
+    async forget(email) {
+        const store = await this.getStore();
+        const key = this.getEmailKey(email);
+        await store.clearFailures(key);
+        await store.clearLock(key);
+    }
+
+    /**
+     * Check an unlock token matches the lock of an email address, without using it up.
+     * @param {string} email - Email address which was locked.
+     * @param {string} unlockToken - The unlock token created when the email address was locked.
+     * @returns {boolean} - true if the unlock token can unlock the email address.
+     */
+    async checkUnlockToken(email, unlockToken) {
+        const store = await this.getStore();
+        const lock = await store.getLock(this.getEmailKey(email));
+        if (lock && lock.unlockHash && unlockToken) {
+            return TokenUtil.safeEqual(lock.unlockHash, TokenUtil.hashToken(unlockToken));
+        }
+        return false;
+    }
+
+    /**
+     * Unlock a locked email address by an unlock token.
+     * @param {string} email - Email address which was locked.
+     * @param {string} unlockToken - The unlock token created when the email address was locked.
+     * @returns {boolean} - true if the email address was unlocked.
+     */
+    async unlock(email, unlockToken) {
+        const store = await this.getStore();
+        const emailKey = this.getEmailKey(email);
+        if (!await this.checkUnlockToken(email, unlockToken)) {
+            return false;
+        }
+        await store.clearLock(emailKey);
+        await store.clearFailures(emailKey);
+        return true;
+    }
+
+    /**
+     * Check lock and progressive delay of a counter key.
+     * @private
+     * @param {string} key - The key of counter.
+     * @param {Date} now - The time of current attempt.
+     * @param {number} delayAfter - Failed attempts before progressive delay starts.
+     * 
+     * @throws {ThrottleError} When attempt should wait for a delay, or is locked.
+     */
+    async checkKey(key, now, delayAfter) {
+        const options = this.options;
+        const store = await this.getStore();
+        const lock = await store.getLock(key);
+        if (lock) {
+            if (now < lock.lockedUntil) {
+                throw new ThrottleError(MESSAGE_LOCKED, lock.lockedUntil, true);
+            }
+            await store.clearLock(key);
+        }
+
+        const failureList = await store.listFailures(key, this.getWindowStart(now));
+        const extraCount = failureList.length - delayAfter;
+        var delaySeconds;
+        var retryAfter;
+        if (extraCount >= 0) {
+            delaySeconds = Math.min(options.baseDelaySeconds * Math.pow(2, extraCount), options.maxDelaySeconds);
+            retryAfter = new Date(failureList[failureList.length - 1].getTime() + (delaySeconds * 1000));
+            if (now < retryAfter) {
+                throw new ThrottleError(LoginThrottle.describeError(retryAfter, false, null, now), retryAfter, false);
+            }
+        }
+    }
+
+    /**
+     * Get the storage of failed attempt counters and locks. DbAttemptStore is loaded on first use, so that the in-memory
+     * storage works without a database client.
+     * @private
+     * @returns {MemoryAttemptStore|DbAttemptStore} - The storage.
+     */
+    async getStore() {
+        if (!this.store) {
+            const { DbAttemptStore } = await import('../dal/attempt-store.js');
+            this.store = DbAttemptStore.makeOne();
+        }
+        return this.store;
+    }
+
+    /**
+     * Get start time of sliding window.
+     * @private
+     * @param {Date} now - The time of current attempt.
+     * @returns {Date} - Start time of sliding window.
+     */
+    getWindowStart(now) {
+        return TimeUtil.addMinutes(now, -this.options.windowMinutes);
+    }
+
+    /**
+     * Get counter key of an email address, with key prefix of this instance.
+     * @private
+     * @param {string} email - Email address.
+     * @returns {string} - The counter key.
+     */
+    getEmailKey(email) {
+        return this.options.keyPrefix + LoginThrottle.makeEmailKey(email);
+    }
+
+    /**
+     * Get counter key of a client IP, with key prefix of this instance.
+     * @private
+     * @param {string} ip - IP address of client.
+     * @returns {string} - The counter key.
+     */
+    getIpKey(ip) {
+        return this.options.keyPrefix + LoginThrottle.makeIpKey(ip);
+    }
+
+    /**
+     * Describe a rejected attempt in given locale, e.g. to show a ThrottleError to user in the language of the page.
+     * @param {Date} retryAfter - The time when sign-in can be tried again.
+     * @param {boolean} isLocked - Sign-in was locked, not only delayed.
+     * @param {string} [locale] - The locale, default locale when absent.
+     * @param {Date} [now] - The current time, default now.
+     * @returns {string} - The message.
+     */
+    static describeError(retryAfter, isLocked, locale, now) {
+        if (isLocked) {
+            return Localizer.translate(locale, MESSAGE_LOCKED);
+        }
+        const seconds = Math.max(1, Math.ceil((retryAfter.getTime() - (now || new Date()).getTime()) / 1000));
+        return Localizer.translate(locale, MESSAGE_DELAYED, { seconds });
+    }
+
+    /**
+     * Make counter key of an email address.
+     * @param {string} email - Email address.
+     * @returns {string} - The counter key.
+     */
+    static makeEmailKey(email) {
+        return KEY_EMAIL + String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Make counter key of a client IP.
+     * @param {string} ip - IP address of client.
+     * @returns {string} - The counter key.
+     */
+    static makeIpKey(ip) {
+        return KEY_IP + (ip || 'unknown');
+    }
+
+    /**
+     * Create a LoginThrottle, with counter storage selected by <strong>options.store</strong>.
+     * @param {ThrottleOptions} [options] - Options to be applied to created instance.
+     * @returns {LoginThrottle} - initialized LoginThrottle instance.
+     */
+    static makeOne(options) {
+        const instanceOptions = options || {};
+        const store = ('database' === instanceOptions.store) ? null : new MemoryAttemptStore();
+        return new LoginThrottle(store, instanceOptions);
+    }
+
+}
+
+
+export { LoginThrottle };
@@ -0,0 +1,310 @@
+import crypto from 'crypto';
+import { JwtUtil } from './jwt-util.js';
+import { TokenUtil } from './token-util.js';
+
+// constants for OpenID Connect client
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+const DEFAULT_SCOPE = 'openid email profile';
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const JWKS_REFRESH_MS = 60 * 1000;
+const PKCE_VERIFIER_LENGTH = 32;
+const STATE_LENGTH = 16;
+const NONCE_LENGTH = 16;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+
+/**
+ * Client of a standards-compliant OpenID Connect issuer (e.g. Keycloak or a corporate IdP), without Auth0 in between. <br />
+ * Endpoints are found by discovery, sign-in uses the authorization code flow with PKCE, and ID tokens are validated
+ * against the JWKS of issuer. Issuers must use https, except loopback issuers (e.g. a local stand-in issuer for tests).
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { OidcClient } from './util/oidc-client.js';
+ * 
+ * const client = new OidcClient({
+ *     issuer: 'https://idp.example.com/realms/demo',
+ *     clientID: 'my-client-id',
+ *     clientSecret: 'my-client-secret',
+ *     callbackURL: 'https://www.example.com/callback/corporate'
+ * });
+ * 
+ * // redirect user to issuer, and keep the request in session
+ * const authRequest = await client.makeAuthorizationRequest();
+ * 
+ * // in callback, exchange code for tokens and validate ID token
+ * const tokenSet = await client.exchangeCode(code, authRequest.codeVerifier);
+ * const claims = await client.verifyIdToken(tokenSet.id_token, authRequest.nonce);
+ * </code>
+ * </pre>
+ */
+class OidcClient {
+
+    /**
+     * Create a client for given issuer.
+     * 
+     * @param {Object} options - Client options, with <strong>issuer</strong>, <strong>clientID</strong>, <strong>callbackURL</strong>,
+     *                           and optional <strong>clientSecret</strong> (omitted for public clients) and <strong>scope</strong>.
+     * @throws {Error} When a required option is missing, or issuer is not a https URL.
+     */
+    constructor(options) {
+        const { issuer, clientID, clientSecret, callbackURL, scope } = options || {};
+        if (!issuer || !clientID || !callbackURL) {
+            throw new Error('OIDC issuer, clientID and callbackURL are required');
+        }
+        OidcClient.checkSecureUrl(issuer);
+
+        /** Issuer identifier, exactly as the 'iss' claim in ID tokens. */
+        this.issuer = issuer;
+
+        /** Client identifier registered at issuer. */
+        this.clientID = clientID;
+
+        /** Client secret registered at issuer, absent for public clients. */
+        this.clientSecret = clientSecret;
+
+        /** Redirect URI registered at issuer. */
+        this.callbackURL = callbackURL;
+
+        /** Requested scope, must include 'openid'. */
+        this.scope = scope || DEFAULT_SCOPE;
+
+        // cached discovery document and signing keys
+        this.metadata = null;
+        this.keys = null;
+        this.keysFetched = 0;
+    }
+
+    /**
+     * Get provider metadata by OpenID Connect discovery. The metadata is cached once fetched.
+     * 
+     * @return {Object} - The provider metadata.
+     * @throws {Error} When discovery failed, or the metadata belongs to another issuer.
+     */
+    async discover() {
+        var metadata;
+        if (!this.metadata) {
+            metadata = await OidcClient.fetchJson(this.issuer.replace(/\/+$/, '') + DISCOVERY_PATH);
+            if (metadata.issuer !== this.issuer) {
+                throw new Error('OIDC discovery issuer mismatch: ' + metadata.issuer);
+            }
+            if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+                throw new Error('OIDC discovery document incomplete: ' + this.issuer);
+            }
+            OidcClient.checkSecureUrl(metadata.authorization_endpoint);
+            OidcClient.checkSecureUrl(metadata.token_endpoint);
+            OidcClient.checkSecureUrl(metadata.jwks_uri);
+            this.metadata = metadata;
+        }
+        return this.metadata;
+    }
+
+    /**
+     * Get signing keys of issuer from its JWKS endpoint. Keys are cached, and refreshed when forced (e.g. an unknown kid
+     * was seen after key rotation), at most once per minute.
+     * 
+     * @param {boolean} [forceRefresh] - Refresh cached keys.
+     * @return {Object[]} - The signing keys in JWK format.
+     */
+    async getSigningKeys(forceRefresh) {
+        const metadata = await this.discover();
+        const now = Date.now();
+        var jwks;
+        if (!this.keys || (forceRefresh && ((now - this.keysFetched) >= JWKS_REFRESH_MS))) {
+            jwks = await OidcClient.fetchJson(metadata.jwks_uri);
+            this.keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+            this.keysFetched = now;
+        }
+        return this.keys;
+    }
+
+    /**
+     * Make an authorization request with fresh state, nonce and PKCE code verifier. <br />
+     * The returned <strong>state</strong>, <strong>nonce</strong> and <strong>codeVerifier</strong> must be kept (e.g. in session)
+     * until the callback.
+     * 
+     * @return {Object} - An object with <strong>url</strong> to redirect user, <strong>state</strong>, <strong>nonce</strong>
+     *                    and <strong>codeVerifier</strong>.
+     */
+    async makeAuthorizationRequest() {
+        const metadata = await this.discover();
+        const state = TokenUtil.makeRandomToken(STATE_LENGTH);
+        const nonce = TokenUtil.makeRandomToken(NONCE_LENGTH);
+        const codeVerifier = JwtUtil.encodeBase64Url(crypto.randomBytes(PKCE_VERIFIER_LENGTH));
+        const url = new URL(metadata.authorization_endpoint);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', this.clientID);
+        url.searchParams.set('redirect_uri', this.callbackURL);
+        url.searchParams.set('scope', this.scope);
+        url.searchParams.set('state', state);
+        url.searchParams.set('nonce', nonce);
+        url.searchParams.set('code_challenge', TokenUtil.makeCodeChallenge(codeVerifier));
+        url.searchParams.set('code_challenge_method', 'S256');
+        return { url: url.toString(), state, nonce, codeVerifier };
+    }
+
+    /**
+     * Exchange an authorization code for tokens at token endpoint.
+     * 
+     * @param {string} code - The authorization code from callback.
+     * @param {string} codeVerifier - The PKCE code verifier of the authorization request.
+     * @return {Object} - The token response, with <strong>id_token</strong> and <strong>access_token</strong>.
+     * @throws {Error} When issuer rejected the code, or the response has no ID token.
+     */
+    async exchangeCode(code, codeVerifier) {
+        const metadata = await this.discover();
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.callbackURL,
+            code_verifier: codeVerifier
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        if (this.clientSecret && this.useBasicAuth(metadata)) {
+            headers.Authorization = 'Basic ' + Buffer.from(
+                `${encodeURIComponent(this.clientID)}:${encodeURIComponent(this.clientSecret)}`
+            ).toString('base64');
+        } else {
+            body.set('client_id', this.clientID);
+            if (this.clientSecret) {
+                body.set('client_secret', this.clientSecret);
+            }
+        }
+
+        const tokenSet = await OidcClient.fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: body.toString() });
+        if (!tokenSet.id_token) {
+            throw new Error('OIDC token response has no id_token');
+        }
+        return tokenSet;
+    }
+
+    /**
+     * Validate an ID token, that is, its signature against JWKS of issuer, issuer, audience, expire time and nonce.
+     * 
+     * @param {string} idToken - The ID token from token response.
+     * @param {string} nonce - The nonce of the authorization request.
+     * @return {Object} - The claims in ID token.
+     * @throws {Error} When the ID token is invalid.
+     */
+    async verifyIdToken(idToken, nonce) {
+        const metadata = await this.discover();
+        const header = JwtUtil.decode(idToken).header;
+        const options = {
+            issuer: this.issuer,
+            audience: this.clientID,
+            algorithms: metadata.id_token_signing_alg_values_supported
+        };
+        var keys = await this.getSigningKeys();
+        if (header.kid && !keys.some((jwk) => (header.kid === jwk.kid))) {
+            keys = await this.getSigningKeys(true);
+        }
+
+        const claims = JwtUtil.verify(idToken, keys, options);
+        if (!claims.sub) {
+            throw new Error('OIDC ID token has no subject');
+        }
+        if (!nonce || !TokenUtil.safeEqual(claims.nonce || '', nonce)) {
+            throw new Error('OIDC ID token nonce mismatch');
+        }
+        if (Array.isArray(claims.aud) && (claims.aud.length > 1) && (this.clientID !== claims.azp)) {
+            throw new Error('OIDC ID token authorized party mismatch');
+        }
+        return claims;
+    }
+
+    /**
+     * Get claims from userinfo endpoint, e.g. when E-mail address is not present in ID token.
+     * 
+     * @param {string} accessToken - The access token from token response.
+     * @param {string} subject - The subject of validated ID token, userinfo of another subject is rejected.
+     * @return {Object} - The userinfo claims, or an empty object when issuer has no userinfo endpoint.
+     * @throws {Error} When the userinfo belongs to another subject.
+     */
+    async fetchUserInfo(accessToken, subject) {
+        const metadata = await this.discover();
+        var userInfo;
+        if (!metadata.userinfo_endpoint || !accessToken) {
+            return {};
+        }
+        OidcClient.checkSecureUrl(metadata.userinfo_endpoint);
+        userInfo = await OidcClient.fetchJson(metadata.userinfo_endpoint, { headers: { Authorization: 'Bearer ' + accessToken } });
+        if (subject !== userInfo.sub) {
+            throw new Error('OIDC userinfo subject mismatch');
+        }
+        return userInfo;
+    }
+
+    /**
+     * Make a sign-out URL of issuer (RP-initiated logout), if issuer supports it.
+     * 
+     * @param {string} returnTo - URL to return after sign-out at issuer.
+     * @return {string} - The sign-out URL if supported, null otherwise.
+     */
+    async makeLogoutUrl(returnTo) {
+        const metadata = await this.discover();
+        var url;
+        if (!metadata.end_session_endpoint) {
+            return null;
+        }
+        url = new URL(metadata.end_session_endpoint);
+        url.searchParams.set('client_id', this.clientID);
+        url.searchParams.set('post_logout_redirect_uri', returnTo);
+        return url.toString();
+    }
+
+    /**
+     * Check client authentication at token endpoint should be 'client_secret_basic' (the default) or not.
+     * 
+     * @param {Object} metadata - The provider metadata.
+     * @return {boolean} - true if client secret should be sent by HTTP Basic authentication.
+     */
+    useBasicAuth(metadata) {
+        const methods = metadata.token_endpoint_auth_methods_supported;
+        if (Array.isArray(methods) && !methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Ensure given URL uses https, unless the host is loopback.
+     * 
+     * @param {string} urlText - The URL to check.
+     * @throws {Error} When given URL is invalid or insecure.
+     */
+    static checkSecureUrl(urlText) {
+        const url = new URL(urlText);
+        if (('https:' !== url.protocol) && !(('http:' === url.protocol) && LOOPBACK_HOSTS.includes(url.hostname))) {
+            throw new Error('OIDC endpoint must use https: ' + urlText);
+        }
+    }
+
+    /**
+     * Fetch a JSON document, with a timeout.
+     * 
+     * @param {string} url - URL of the document.
+     * @param {Object} [init] - Options of fetch().
+     * @return {Object} - The parsed JSON document.
+     * @throws {Error} When the response is not 2xx, or not JSON.
+     */
+    static async fetchJson(url, init) {
+        const response = await fetch(url, Object.assign({ signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) }, init));
+        const text = await response.text();
+        var json;
+        try {
+            json = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`OIDC request failed (${response.status}): ${url}`);
+        }
+        if (!response.ok) {
+            throw new Error(`OIDC request failed (${response.status}): ${json.error || url}`);
+        }
+        return json;
+    }
+
+}
+
+
+export { OidcClient };
@@ -0,0 +1,191 @@
+import Strategy from 'passport-strategy';
+import { OidcClient } from './oidc-client.js';
+
+// constants for pending authorization requests in session
+const SESSION_KEY = 'oidcRequests';
+const REQUEST_MINUTES = 10;
+const MAX_PENDING_REQUESTS = 5;
+
+
+/**
+ * Passport strategy that signs in users by a native OpenID Connect issuer, see
+ * <a href="util.OidcClient.html">OidcClient</a>. <br />
+ * The state, nonce and PKCE code verifier of each authorization request are kept in session until the callback,
+ * and each of them can be used only once.
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import passport from 'passport';
+ * import { OidcStrategy } from './util/oidc-strategy.js';
+ * 
+ * const options = {
+ *     issuer: 'https://idp.example.com/realms/demo',
+ *     clientID: 'my-client-id',
+ *     clientSecret: 'my-client-secret',
+ *     callbackURL: 'https://www.example.com/callback/corporate',
+ *     connection: 'corporate'
+ * };
+ * passport.use('oidc-corporate', new OidcStrategy(options, function (tokenSet, profile, done) {
+ *     done(null, { oidc: profile, email: profile._json.email });
+ * }));
+ * </code>
+ * </pre>
+ */
+class OidcStrategy extends Strategy {
+
+    /**
+     * Create a strategy for given issuer.
+     * 
+     * @param {Object} options - Options of <a href="util.OidcClient.html">OidcClient</a>, and <strong>connection</strong>,
+     *                           the provider name set in profile.
+     * @param {Function} verify - Verify callback, called with (tokenSet, profile, done).
+     */
+    constructor(options, verify) {
+        super();
+
+        /** Name of this strategy. */
+        this.name = 'oidc';
+
+        /** Client of the issuer. */
+        this.client = new OidcClient(options);
+
+        /** Provider name set in profile, that is, connection name in identity provider registry. */
+        this.connection = options.connection || 'oidc';
+
+        this.verify = verify;
+    }
+
+    /**
+     * Authenticate a request. Without authorization response in query, user is redirected to issuer.
+     * Otherwise, the authorization response is validated and verify callback is called.
+     * 
+     * @param {Request} req - The HTTP request
+     */
+    authenticate(req) {
+        const strategy = this;
+        var task;
+        if (!req.session) {
+            return this.error(new Error('OIDC sign-in requires session support'));
+        }
+        if (req.query.code || req.query.error) {
+            task = this.handleCallback(req);
+        } else {
+            task = this.client.makeAuthorizationRequest().then((authRequest) => {
+                OidcStrategy.savePendingRequest(req, authRequest);
+                strategy.redirect(authRequest.url);
+            });
+        }
+        task.catch((err) => {
+            strategy.error(err);
+        });
+    }
+
+    /**
+     * Handle authorization response from issuer.
+     * 
+     * @param {Request} req - The HTTP request
+     */
+    async handleCallback(req) {
+        const strategy = this;
+        const client = this.client;
+        const pending = OidcStrategy.takePendingRequest(req, req.query.state);
+        if (!pending) {
+            return this.fail({ message: 'Invalid or expired sign-in request' });
+        }
+        if (req.query.error) {
+            return this.fail({ message: req.query.error_description || req.query.error });
+        }
+
+        var tokenSet;
+        var claims;
+        try {
+            tokenSet = await client.exchangeCode(req.query.code, pending.codeVerifier);
+            claims = await client.verifyIdToken(tokenSet.id_token, pending.nonce);
+            if (!claims.email) {
+                // claims in ID token take precedence over userinfo
+                claims = Object.assign(await client.fetchUserInfo(tokenSet.access_token, claims.sub), claims);
+            }
+        } catch (err) {
+            console.error(err);
+            return this.fail({ message: 'Invalid sign-in response from identity provider' });
+        }
+        if (false === claims.email_verified) {
+            return this.fail({ message: 'E-mail address not verified by identity provider' });
+        }
+
+        const profile = OidcStrategy.makeProfile(this.connection, claims);
+        this.verify(tokenSet, profile, function verified(err, user, info) {
+            if (err) {
+                return strategy.error(err);
+            }
+            if (!user) {
+                return strategy.fail(info);
+            }
+            strategy.success(user, info || {});
+        });
+    }
+
+    /**
+     * Keep an authorization request in session until the callback. Only a few recent requests are kept.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {Object} authRequest - The authorization request made by OidcClient.
+     */
+    static savePendingRequest(req, authRequest) {
+        const { state, nonce, codeVerifier } = authRequest;
+        const pendingList = (req.session[SESSION_KEY] || []).slice(1 - MAX_PENDING_REQUESTS);
+        pendingList.push({ state, nonce, codeVerifier, created: Date.now() });
+        req.session[SESSION_KEY] = pendingList;
+    }
+
+    /**
+     * Take (and remove) the authorization request of given state from session, if it's not yet expired.
+     * 
+     * @param {Request} req - The HTTP request
+     * @param {string} state - The state in authorization response.
+     * @return {Object} - The pending authorization request if present, null otherwise.
+     */
+    static takePendingRequest(req, state) {
+        const pendingList = req.session[SESSION_KEY] || [];
+        const index = pendingList.findIndex((pending) => (state && (state === pending.state)));
+        var pending;
+        if (index < 0) {
+            return null;
+        }
+        pending = pendingList.splice(index, 1)[0];
+        req.session[SESSION_KEY] = pendingList;
+        if ((Date.now() - pending.created) > (REQUEST_MINUTES * 60 * 1000)) {
+            return null;
+        }
+        return pending;
+    }
+
+    /**
+     * Make a passport profile from validated claims, in the same shape as profiles of Auth0Strategy.
+     * 
+     * @param {string} connection - The provider name set in profile.
+     * @param {Object} claims - The validated claims.
+     * @return {Object} - The passport profile.
+     */
+    static makeProfile(connection, claims) {
+        const profile = {
+            provider: connection,
+            id: claims.sub,
+            user_id: claims.sub,
+            displayName: claims.name || claims.preferred_username || claims.email,
+            nickname: claims.nickname || claims.preferred_username || claims.name || String(claims.email || '').split('@')[0],
+            emails: [],
+            _json: claims
+        };
+        if (claims.email) {
+            profile.emails.push({ value: claims.email });
+        }
+        return profile;
+    }
+
+}
+
+
+export { OidcStrategy };
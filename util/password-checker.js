@@ -1,8 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+import { PasswordStrength } from './password-strength.js';
+import { PasswordHasher } from './password-hasher.js';
+import { Localizer } from './localizer.js';
+
 const RX_LOWER = /[a-z]/;
 const RX_UPPER = /[A-Z]/;
 const RX_DIGIT = /[0-9]/;
 const RX_SPECIAL = /[\/!"#$%&'()*+,-.:;<=>?@[\]^_`{|}~]/;
 
+// character classes of Unicode letters, digits and symbols, used when policy normalizes Unicode
+const RX_UNICODE_LOWER = /\p{Ll}/u;
+const RX_UNICODE_UPPER = /\p{Lu}/u;
+const RX_UNICODE_DIGIT = /\p{Nd}/u;
+const RX_UNICODE_SPECIAL = /[\p{P}\p{S}]/u;
+const RX_PRINTABLE_ASCII = /^[\x20-\x7e]*$/;
+
+// constants for common and breached passwords
+const DEFAULT_COMMON_PASSWORD_FILE = new URL('../config/common-passwords.txt', import.meta.url);
+const RX_AFFIX = /^[^a-z]+|[^a-z]+$/g;
+const LEET_MAP = { '@': 'a', '4': 'a', '8': 'b', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+const RX_LEET = /[@4831!0$57]/g;
+const BREACHED_PREFIX_LENGTH = 5;
+const commonPasswordCache = new Map();
+
+/**
+ * Defines how Unicode characters in password are handled by a password policy
+ * 
+ * @enum {UnicodeMode}
+ */
+const UnicodeMode = {
+
+    /** @description Any character is accepted as is, and only ASCII characters count for character classes */
+    ALLOW: 'allow',
+
+    /** @description Any character is accepted, after NFKC normalization, and Unicode characters count for character classes */
+    NORMALIZE: 'normalize',
+
+    /** @description Only printable ASCII characters are accepted */
+    ASCII: 'ascii',
+};
+
+/**
+ * Defines presets of password policy, which can be overridden by each policy setting
+ * 
+ * @enum {PolicyPreset}
+ */
+const PolicyPreset = {
+
+    /** @description Lower, upper, digit and symbol characters are all required, in at least 8 characters */
+    CLASSIC: 'classic',
+
+    /** 
+     * @description Following NIST SP 800-63B, no composition rules, 8 to 64 characters of any Unicode (normalized), 
+     * and common or breached passwords are rejected 
+     */
+    NIST_800_63B: 'nist-800-63b',
+};
+
+const PRESET_POLICIES = {
+    [PolicyPreset.CLASSIC]: {
+        requireLower: true,
+        requireUpper: true,
+        requireDigit: true,
+        requireSymbol: true,
+        minLength: 8,
+        maxLength: 0,
+        unicode: UnicodeMode.ALLOW,
+        rejectCommon: true,
+        historySize: 0
+    },
+    [PolicyPreset.NIST_800_63B]: {
+        requireLower: false,
+        requireUpper: false,
+        requireDigit: false,
+        requireSymbol: false,
+        minLength: 8,
+        maxLength: 64,
+        unicode: UnicodeMode.NORMALIZE,
+        rejectCommon: true,
+        historySize: 0
+    }
+};
+
 /**
  * Defines validation violation notes (numeric) identifying difference cases of password check fails
  * 
@@ -27,23 +109,44 @@ const InvalidPassword = {
 
     /** @description Passwords (first, and confirmed) provided are different */
     PASSWORD_CONFIRM_NOT_SAME: 6,
+
+    /** @description Password is a commonly used password, or was found in known data breaches */
+    PASSWORD_TOO_COMMON: 7,
+
+    /** @description Password strength score is below the minimum score */
+    PASSWORD_TOO_WEAK: 8,
+
+    /** @description Password is longer than maximum length of policy */
+    PASSWORD_TOO_LONG: 9,
+
+    /** @description Password has characters not accepted by policy */
+    PASSWORD_INVALID_CHAR: 10,
+
+    /** @description Password is one of recent passwords of the user */
+    PASSWORD_REUSED: 11,
 };
 
 /**
- * Password Checker in order to check password part of user register inputs.
+ * Password Checker in order to check password part of user register inputs. <br />
+ * Rules are declared by a <strong>policy</strong>, that is, a preset (classic, or NIST SP 800-63B) with optional overrides of
+ * required character classes, length, Unicode handling and password history. Besides these rules, a password must not be
+ * a commonly used one, nor one found in local breached password hashes when <strong>breachedPasswordDir</strong> is given.
+ * All checks work offline.
  * 
  * @memberof util#
  * @see #checkPassword
+ * @see PasswordOptions
+ * @see PasswordPolicy
  * @tutorial [Usage]
  * <pre>
  * <code class='prettyprint'>
- * const options = { enableSampleMessage: true };
+ * const options = { enableSampleMessage: true, breachedPasswordDir: '/data/pwned-passwords', policy: { preset: 'nist-800-63b' } };
  * const passwordChecker = new PasswordChecker(options);
  * 
- * console.log('----\r\n', passwordChecker.checkPassword('aW5+tes'));
- * console.log('----\r\n', passwordChecker.checkPassword('aW5+test'));
- * console.log('----\r\n', passwordChecker.checkPassword('aW6+test', 'aW7+test'));
- * console.log('----\r\n', passwordChecker.checkPassword('aW7+test', 'aW7+test'));
+ * console.log('----\r\n', await passwordChecker.checkPassword('aW5+tes'));
+ * console.log('----\r\n', await passwordChecker.checkPassword('aW5+test'));
+ * console.log('----\r\n', await passwordChecker.checkPassword('aW6+test', 'aW7+test'));
+ * console.log('----\r\n', await passwordChecker.checkPassword('aW7+test', 'aW7+test'));
  * </code>
  * </pre> 
  */
@@ -52,22 +155,54 @@ class PasswordChecker {
     /**
      * Create a PasswordChecker instance with given options.
      * 
-     * @param {Object} options - Options to be applied to created instance
+     * @param {Object} options - Options to be applied to created instance, see <strong>PasswordOptions</strong>
      */
     constructor(options) {
         const instanceOptions = options || {};
 
         /** 
-         * @member {number} - Minimum accepted password length
+         * @member {PasswordPolicy} - Active password policy, made from <strong>policy</strong> option over its preset
+         * @default classic preset
+         */
+        this.policy = PasswordChecker.makePolicy(instanceOptions.policy, instanceOptions.strongLength);
+
+        /** 
+         * @member {number} - Minimum accepted password length, same as <strong>minLength</strong> of policy
          * @default 8
          */
-        this.strongLength = instanceOptions.strongLength || 8;
+        this.strongLength = this.policy.minLength;
 
         /** 
          * @member {boolean} - When set to true, generates sample (human-frendly) message when checkPassword() failed 
          * @default false
          */
         this.enableSampleMessage = (true === instanceOptions.enableSampleMessage);
+
+        /** 
+         * @member {Set<string>} - Commonly used passwords in lower case, read from <strong>commonPasswordFile</strong> option
+         * @default entries of config/common-passwords.txt
+         */
+        this.commonPasswords = PasswordChecker.loadCommonPasswords(instanceOptions.commonPasswordFile || DEFAULT_COMMON_PASSWORD_FILE);
+
+        /** 
+         * @member {string} - Directory of breached password hashes in k-anonymity prefix format, that is, one file 
+         * named <strong>{prefix}.txt</strong> for each first 5 hex digits of SHA-1, with lines of <strong>{suffix}:{count}</strong>.
+         * No breached password check when absent.
+         * @default null
+         */
+        this.breachedPasswordDir = instanceOptions.breachedPasswordDir || null;
+
+        /** 
+         * @member {number} - Minimum times a password was seen in breaches to be rejected
+         * @default 1
+         */
+        this.breachedMinCount = instanceOptions.breachedMinCount || 1;
+
+        /** 
+         * @member {number} - Minimum accepted strength score, from 0 (no minimum) to 4
+         * @default 0
+         */
+        this.minScore = instanceOptions.minScore || 0;
     }
 
     /**
@@ -76,7 +211,7 @@ class PasswordChecker {
      * @return {boolean} - True if passwordInput has a lower case character
      */
     hasLowerCharacter(passwordInput) {
-        return RX_LOWER.test(passwordInput);
+        return this.getCharacterClass(RX_LOWER, RX_UNICODE_LOWER).test(passwordInput);
     }
 
     /**
@@ -85,7 +220,7 @@ class PasswordChecker {
      * @return {boolean} - True if passwordInput has a upper case character
      */
     hasUpperCharacter(passwordInput) {
-        return RX_UPPER.test(passwordInput);
+        return this.getCharacterClass(RX_UPPER, RX_UNICODE_UPPER).test(passwordInput);
     }
 
     /**
@@ -94,7 +229,7 @@ class PasswordChecker {
      * @return {boolean} - True if passwordInput has a digit character
      */
     hasDigitCharacter(passwordInput) {
-        return RX_DIGIT.test(passwordInput);
+        return this.getCharacterClass(RX_DIGIT, RX_UNICODE_DIGIT).test(passwordInput);
     }
 
     /**
@@ -103,44 +238,192 @@ class PasswordChecker {
      * @return {boolean} - True if passwordInput has a special character
      */
     hasSpecialCharacter(passwordInput) {
-        return RX_SPECIAL.test(passwordInput);
+        return this.getCharacterClass(RX_SPECIAL, RX_UNICODE_SPECIAL).test(passwordInput);
     }
 
     /**
-     * Check given password input has strong length
+     * Check given password input has strong length, counted in Unicode code points
      * @param {string} passwordInput - The password input
      * @return {boolean} - True if passwordInput has strong length
      * @see #strongLength
      */
     hasStrongLength(passwordInput) {
-        return (passwordInput.length >= this.strongLength);
+        return (PasswordChecker.countCharacters(passwordInput) >= this.strongLength);
+    }
+
+    /**
+     * Check given password input is not longer than maximum length of policy, counted in Unicode code points
+     * @param {string} passwordInput - The password input
+     * @return {boolean} - True if passwordInput is not too long, or policy has no maximum length
+     */
+    hasAcceptedLength(passwordInput) {
+        return !this.policy.maxLength || (PasswordChecker.countCharacters(passwordInput) <= this.policy.maxLength);
     }
 
     /**
-     * Check given password input is a valid password or not.
+     * Check given password input has only characters accepted by Unicode mode of policy
+     * @param {string} passwordInput - The password input
+     * @return {boolean} - True if all characters are accepted
+     */
+    hasAcceptedCharacters(passwordInput) {
+        return (UnicodeMode.ASCII !== this.policy.unicode) || RX_PRINTABLE_ASCII.test(passwordInput);
+    }
+
+    /**
+     * Check given password input is not one of recent passwords, that is, the first <strong>historySize</strong> 
+     * hash records of given password history.
+     * @param {string} passwordInput - The password input
+     * @param {string[]} [passwordHistory] - Hash records of current and previous passwords, newest first
+     * @return {boolean} - True if passwordInput is not a recent password, or policy keeps no password history
+     */
+    async isUnusedPassword(passwordInput, passwordHistory) {
+        const recentHashes = (passwordHistory || []).slice(0, this.policy.historySize);
+        for (const hash of recentHashes) {
+            if (hash && await PasswordHasher.checkHash(passwordInput, hash)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Normalize given password input by Unicode mode of policy, NFKC normalization is applied in normalize mode
+     * @param {string} passwordInput - The password input
+     * @return {string} - The password to be checked
+     */
+    normalizePassword(passwordInput) {
+        const password = String(passwordInput || '');
+        return (UnicodeMode.NORMALIZE === this.policy.unicode) ? password.normalize('NFKC') : password;
+    }
+
+    /**
+     * Select the regular expression of a character class, by Unicode mode of policy
+     * @private
+     * @param {RegExp} asciiClass - The character class in ASCII
+     * @param {RegExp} unicodeClass - The character class in Unicode
+     * @return {RegExp} - The character class to be tested
+     */
+    getCharacterClass(asciiClass, unicodeClass) {
+        return (UnicodeMode.NORMALIZE === this.policy.unicode) ? unicodeClass : asciiClass;
+    }
+
+    /**
+     * Check given password input is not a commonly used password. Case, common character substitutions (e.g. '@' for 'a') 
+     * and digits or symbols around a common password are ignored, so 'Password1!' is treated as 'password'.
+     * @param {string} passwordInput - The password input
+     * @return {boolean} - True if passwordInput is not a commonly used password
+     */
+    isUncommonPassword(passwordInput) {
+        const lower = passwordInput.toLowerCase();
+        const stripped = lower.replace(RX_AFFIX, '');
+        const candidates = [
+            lower,
+            stripped,
+            PasswordChecker.replaceLeet(stripped),
+            PasswordChecker.replaceLeet(lower).replace(RX_AFFIX, '')
+        ];
+        return !candidates.some((candidate) => (candidate && this.commonPasswords.has(candidate)));
+    }
+
+    /**
+     * Check given password input was not found in local breached password hashes. 
+     * Only the file of its hash prefix is read, and no network is required.
+     * @param {string} passwordInput - The password input
+     * @return {boolean} - True if passwordInput was not found, or breached password check is not configured
+     * @see #breachedPasswordDir
+     */
+    isUnbreachedPassword(passwordInput) {
+        if (!this.breachedPasswordDir) {
+            return true;
+        }
+        const hash = crypto.createHash('sha1').update(passwordInput).digest('hex').toUpperCase();
+        const prefix = hash.substring(0, BREACHED_PREFIX_LENGTH);
+        const suffix = hash.substring(BREACHED_PREFIX_LENGTH);
+        const rangeFile = path.join(this.breachedPasswordDir, prefix + '.txt');
+        var content;
+        try {
+            content = fs.readFileSync(rangeFile, 'utf8');
+        } catch (err) {
+            if ('ENOENT' === err.code) {
+                return true;
+            }
+            throw err;
+        }
+        const found = content.split(/\r?\n/).map((line) => line.trim().split(':')).find((entry) => (suffix === entry[0].toUpperCase()));
+        return !found || ((parseInt(found[1]) || 1) < this.breachedMinCount);
+    }
+
+    /**
+     * Estimate strength of given password input, in a score from 0 (too guessable) to 4 (very unguessable). 
+     * Keyboard walks, repeats, dates, common words and words of the user are detected as patterns that are easy to guess.
+     * @param {string} passwordInput - The password input
+     * @param {PasswordContext} [userContext] - The user who chooses the password
+     * @return {PasswordScore} - The score, and suggestions to make the password stronger
+     * @see util#PasswordStrength
+     */
+    estimateStrength(passwordInput, userContext) {
+        const context = userContext || {};
+        return PasswordStrength.estimate(passwordInput, [context.email, context.nickname], this.commonPasswords);
+    }
+
+    /**
+     * Check given password input is a valid password or not, by rules of active policy. <br />
+     * Strength score and suggestions are returned in result, and a score below <strong>minScore</strong> is invalid. 
+     * Messages and suggestions are translated into <strong>locale</strong> of userContext.
      * @param {string} passwordInput - The password input
      * @param {string} [passwordConfirm] - The password confirm input
+     * @param {PasswordContext} [userContext] - The user who chooses the password, whose E-mail and nickname should not be in password, 
+     *                                          and whose recent passwords should not be reused
      * @return {InputCheck} - An InputCheck instance, describing the result of input checking
      */
-    checkPassword(passwordInput, passwordConfirm) {
+    async checkPassword(passwordInput, passwordConfirm, userContext) {
+        const policy = this.policy;
+        const password = this.normalizePassword(passwordInput);
+        const context = userContext || {};
         var invalidNotes = [];
-        this.collectInvalidNotes(invalidNotes, this.hasLowerCharacter(passwordInput), InvalidPassword.PASSWORD_NO_LOWER_CHAR);
-        this.collectInvalidNotes(invalidNotes, this.hasUpperCharacter(passwordInput), InvalidPassword.PASSWORD_NO_UPPER_CHAR);
-        this.collectInvalidNotes(invalidNotes, this.hasDigitCharacter(passwordInput), InvalidPassword.PASSWORD_NO_DIGIT_CHAR);
-        this.collectInvalidNotes(invalidNotes, this.hasSpecialCharacter(passwordInput), InvalidPassword.PASSWORD_NO_SYMBOL_CHAR);
-        this.collectInvalidNotes(invalidNotes, this.hasStrongLength(passwordInput), InvalidPassword.PASSWORD_TOO_SHORT);
+        this.collectInvalidNotes(invalidNotes, this.hasAcceptedCharacters(password), InvalidPassword.PASSWORD_INVALID_CHAR, context.locale);
+        if (policy.requireLower) {
+            this.collectInvalidNotes(invalidNotes, this.hasLowerCharacter(password), InvalidPassword.PASSWORD_NO_LOWER_CHAR, context.locale);
+        }
+        if (policy.requireUpper) {
+            this.collectInvalidNotes(invalidNotes, this.hasUpperCharacter(password), InvalidPassword.PASSWORD_NO_UPPER_CHAR, context.locale);
+        }
+        if (policy.requireDigit) {
+            this.collectInvalidNotes(invalidNotes, this.hasDigitCharacter(password), InvalidPassword.PASSWORD_NO_DIGIT_CHAR, context.locale);
+        }
+        if (policy.requireSymbol) {
+            this.collectInvalidNotes(invalidNotes, this.hasSpecialCharacter(password), InvalidPassword.PASSWORD_NO_SYMBOL_CHAR, context.locale);
+        }
+        this.collectInvalidNotes(invalidNotes, this.hasStrongLength(password), InvalidPassword.PASSWORD_TOO_SHORT, context.locale);
+        this.collectInvalidNotes(invalidNotes, this.hasAcceptedLength(password), InvalidPassword.PASSWORD_TOO_LONG, context.locale);
+        if ((0 === invalidNotes.length) && policy.rejectCommon) {
+            const isUncommon = this.isUncommonPassword(password) && this.isUnbreachedPassword(password);
+            this.collectInvalidNotes(invalidNotes, isUncommon, InvalidPassword.PASSWORD_TOO_COMMON, context.locale);
+        }
+        const strength = this.estimateStrength(password, context);
+        if (0 === invalidNotes.length) {
+            this.collectInvalidNotes(invalidNotes, (strength.score >= this.minScore), InvalidPassword.PASSWORD_TOO_WEAK, context.locale);
+            if (this.enableSampleMessage && (invalidNotes.length > 0) && (strength.suggestions.length > 0)) {
+                invalidNotes[0].message += '. ' + Localizer.translate(context.locale, strength.suggestions[0]);
+            }
+        }
+        if ((0 === invalidNotes.length) && (policy.historySize > 0)) {
+            this.collectInvalidNotes(invalidNotes, await this.isUnusedPassword(password, context.passwordHistory), InvalidPassword.PASSWORD_REUSED, context.locale);
+        }
 
         var samePassword;
         if ((passwordConfirm) && (0 === invalidNotes.length)) {
-            samePassword = (passwordConfirm === passwordInput);
-            this.collectInvalidNotes(invalidNotes, samePassword, InvalidPassword.PASSWORD_CONFIRM_NOT_SAME);
+            samePassword = (this.normalizePassword(passwordConfirm) === password);
+            this.collectInvalidNotes(invalidNotes, samePassword, InvalidPassword.PASSWORD_CONFIRM_NOT_SAME, context.locale);
         }
 
         const isValid = (0 === invalidNotes.length);
         const result = {
             input: passwordInput,
             isValid,
-            invalidNotes
+            invalidNotes,
+            score: strength.score,
+            suggestions: strength.suggestions.map((suggestion) => Localizer.translate(context.locale, suggestion))
         }
         return result;
     }
@@ -151,12 +434,13 @@ class PasswordChecker {
      * @param {InvalidNote[]} invalidNotes - Array to collect invalid input note
      * @param {boolean} isValid - Validation check passed from caller
      * @param {number} noteIn - The validation violation note (numeric) passed from caller
+     * @param {string} [locale] - The locale of message, default locale when absent
      */
-    collectInvalidNotes(invalidNotes, isValid, noteIn) {
+    collectInvalidNotes(invalidNotes, isValid, noteIn, locale) {
         var messageIn = '';
         if (!isValid) {
             if (this.enableSampleMessage) {
-                messageIn = this.getSampleMessage(noteIn);
+                messageIn = this.getSampleMessage(noteIn, locale);
                 invalidNotes.push({
                     note: noteIn,
                     message: messageIn,
@@ -170,47 +454,134 @@ class PasswordChecker {
     }
 
     /** 
-     * Generates sample messages for internal debug
+     * Generates sample messages for internal debug, matching the active policy
      * @private
      * @param {number} invalidNote - The validation violation note (numeric) to generate message
+     * @param {string} [locale] - The locale of message, default locale when absent
      */
-    getSampleMessage(invalidNote) {
+    getSampleMessage(invalidNote, locale) {
+        const policy = this.policy;
+        const t = Localizer.makeTranslator(locale);
         switch (invalidNote) {
             case InvalidPassword.PASSWORD_NO_LOWER_CHAR:
-                return 'Password must contain at least one lower character';
+                return t('Password must contain at least one lower character');
             case InvalidPassword.PASSWORD_NO_UPPER_CHAR:
-                return 'Password must contain at least one upper character';
+                return t('Password must contain at least one upper character');
             case InvalidPassword.PASSWORD_NO_DIGIT_CHAR:
-                return 'Password must contain at least one digit character';
+                return t('Password must contain at least one digit character');
             case InvalidPassword.PASSWORD_NO_SYMBOL_CHAR:
-                return 'Password must contain at least one special character';
+                return t('Password must contain at least one special character');
             case InvalidPassword.PASSWORD_TOO_SHORT:
-                return 'Password must contain at least ' + this.strongLength + ' characters';
+                return t('Password must contain at least {count} characters', { count: policy.minLength });
             case InvalidPassword.PASSWORD_CONFIRM_NOT_SAME:
-                return 'Password confirm must be same as the first password input';
+                return t('Password confirm must be same as the first password input');
+            case InvalidPassword.PASSWORD_TOO_COMMON:
+                return t('Password is too common or was found in a data breach, please choose another one');
+            case InvalidPassword.PASSWORD_TOO_WEAK:
+                return t('Password is too easy to guess');
+            case InvalidPassword.PASSWORD_TOO_LONG:
+                return t('Password must contain at most {count} characters', { count: policy.maxLength });
+            case InvalidPassword.PASSWORD_INVALID_CHAR:
+                return t('Password must contain only letters, digits, symbols and spaces in ASCII');
+            case InvalidPassword.PASSWORD_REUSED:
+                return t('Password must be different from last {count} passwords', { count: policy.historySize });
         }
-        return 'unknown password error';
+        return t('unknown password error');
     }
 
-    static runSample() {
+    static async runSample() {
         const options = { enableSampleMessage: true };
         const passwordChecker = new PasswordChecker(options);
 
-        console.log('----\r\n', passwordChecker.checkPassword(''));
-        console.log('----\r\n', passwordChecker.checkPassword('a'));
-        console.log('----\r\n', passwordChecker.checkPassword('aW'));
-        console.log('----\r\n', passwordChecker.checkPassword('+-345678'));
-        console.log('----\r\n', passwordChecker.checkPassword('aW5+'));
-        console.log('----\r\n', passwordChecker.checkPassword('aW5+tes'));
-        console.log('----\r\n', passwordChecker.checkPassword('aW5+test'));
-        console.log('----\r\n', passwordChecker.checkPassword('aW6+test', 'aW7+test'));
-        console.log('----\r\n', passwordChecker.checkPassword('aW7+test', 'aW7+test'));
+        console.log('----\r\n', await passwordChecker.checkPassword(''));
+        console.log('----\r\n', await passwordChecker.checkPassword('a'));
+        console.log('----\r\n', await passwordChecker.checkPassword('aW'));
+        console.log('----\r\n', await passwordChecker.checkPassword('+-345678'));
+        console.log('----\r\n', await passwordChecker.checkPassword('aW5+'));
+        console.log('----\r\n', await passwordChecker.checkPassword('aW5+tes'));
+        console.log('----\r\n', await passwordChecker.checkPassword('aW5+test'));
+        console.log('----\r\n', await passwordChecker.checkPassword('aW6+test', 'aW7+test'));
+        console.log('----\r\n', await passwordChecker.checkPassword('aW7+test', 'aW7+test'));
         console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_NO_LOWER_CHAR));
         console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_NO_UPPER_CHAR));
         console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_NO_DIGIT_CHAR));
         console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_NO_SYMBOL_CHAR));
         console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_TOO_SHORT));
         console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_CONFIRM_NOT_SAME));
+        console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_TOO_COMMON));
+        console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_TOO_WEAK));
+        console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_TOO_LONG));
+        console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_INVALID_CHAR));
+        console.log(passwordChecker.getSampleMessage(InvalidPassword.PASSWORD_REUSED));
+    }
+
+    /**
+     * Make a password policy from given policy options over its preset. Settings absent (or null) in options are taken from preset, 
+     * and a given <strong>strongLength</strong> option is kept as minimum length for compatibility.
+     * @param {PasswordPolicy} [policyOptions] - The policy options, with optional <strong>preset</strong>, default classic
+     * @param {number} [strongLength] - Minimum accepted password length from <strong>strongLength</strong> option
+     * @return {PasswordPolicy} - The policy with all settings
+     * @throws {Error} When the preset is unknown, or a setting is invalid
+     */
+    static makePolicy(policyOptions, strongLength) {
+        const options = policyOptions || {};
+        const preset = options.preset || PolicyPreset.CLASSIC;
+        const presetPolicy = PRESET_POLICIES[preset];
+        if (!presetPolicy) {
+            throw new Error(`Unknown password policy preset: ${preset}`);
+        }
+        const policy = Object.assign({ preset }, presetPolicy);
+        if (strongLength) {
+            policy.minLength = strongLength;
+        }
+        Object.keys(presetPolicy).forEach((key) => {
+            if ((undefined !== options[key]) && (null !== options[key])) {
+                policy[key] = options[key];
+            }
+        });
+        if (!Object.values(UnicodeMode).includes(policy.unicode)) {
+            throw new Error(`Unknown password policy unicode mode: ${policy.unicode}`);
+        }
+        if ((policy.minLength < 1) || (policy.maxLength && (policy.maxLength < policy.minLength)) || (policy.historySize < 0)) {
+            throw new Error('Invalid password policy length or history size');
+        }
+        return policy;
+    }
+
+    /**
+     * Count characters of text in Unicode code points, so that a character out of BMP (e.g. emoji) counts once.
+     * @param {string} text - The text
+     * @return {number} - Number of characters
+     */
+    static countCharacters(text) {
+        return Array.from(text).length;
+    }
+
+    /**
+     * Replace common character substitutions with letters, e.g. 'p@ssw0rd' into 'password'.
+     * @param {string} text - Text in lower case
+     * @return {string} - Text with substitutions replaced
+     */
+    static replaceLeet(text) {
+        return text.replace(RX_LEET, (c) => LEET_MAP[c]);
+    }
+
+    /**
+     * Read commonly used passwords from a file, one password per line. Lines starting with '#' are comments. 
+     * Each file is read once, and shared by all PasswordChecker instances.
+     * @param {string|URL} commonPasswordFile - Path of the file
+     * @return {Set<string>} - The commonly used passwords in lower case
+     */
+    static loadCommonPasswords(commonPasswordFile) {
+        const key = String(commonPasswordFile);
+        var passwordSet = commonPasswordCache.get(key);
+        if (!passwordSet) {
+            passwordSet = new Set(fs.readFileSync(commonPasswordFile, 'utf8').split(/\r?\n/)
+                .map((line) => line.trim().toLowerCase())
+                .filter((line) => (line && !line.startsWith('#'))));
+            commonPasswordCache.set(key, passwordSet);
+        }
+        return passwordSet;
     }
 
 
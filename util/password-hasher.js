@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import util from 'util';
+
+// constants for current hash format
+const HASH_PREFIX = '$scrypt$';
+const HASH_SALT_LENGTH = 32;
+const HASH_KEY_LENGTH = 64;
+const PEPPER_ALGORITHM = 'sha256';
+const RX_PEPPER_ID = /^[\w-]+$/;
+const UNICODE_FORM = 'nfkc';
+
+// constants for legacy hash format, that is, cypher|salt in hex format without parameters
+const LEGACY_KEY_LENGTH = 128;
+const LEGACY_OPTIONS = { N: 1024 };
+const LEGACY_SALT_IN_STRING = (2 * LEGACY_KEY_LENGTH);
+
+// scrypt runs in thread pool, so that hashing never blocks the event loop
+const scryptAsync = util.promisify(crypto.scrypt);
+
+
+/**
+ * Password hashing by <strong>scrypt</strong>, in a versioned format which keeps the cost parameters and the pepper key
+ * of each hash record, so that cost can be raised and pepper can be rotated without breaking existing passwords. <br />
+ * A hash record is defined by
+ * <pre>
+ * <strong>hashRecord := $scrypt$N={cost},r={blockSize},p={parallelization}[,k={pepperId}][,u=nfkc]${salt}${key}</strong>
+ * </pre>
+ * where salt and key are in hex format. When a pepper is configured, the password is keyed by HMAC with the pepper before
+ * scrypt, and the pepper itself is never stored in database. New records are made from the password in Unicode NFKC form
+ * (marked by <strong>u=nfkc</strong>), so that the same password typed by different input methods matches. <br />
+ * Hash records in legacy format (<strong>cypher|salt</strong> in hex, made with a fixed cost) are still accepted, and
+ * <a href="#.needsRehash">needsRehash()</a> tells when a record should be replaced after a successful sign-in.
+ * 
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { PasswordHasher } from './util/password-hasher.js';
+ * 
+ * // config for PasswordHasher, the first pepper is used for new hashes, others are kept for rotation
+ * PasswordHasher.initialize({ cost: 32768, peppers: '2024:new-secret,2023:old-secret' });
+ * 
+ * const hash = await PasswordHasher.makeHash(password);
+ * if (await PasswordHasher.checkHash(password, hash) && PasswordHasher.needsRehash(hash)) {
+ *     // store a new hash made by PasswordHasher.makeHash(password) in place of old hash
+ * }
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ * @see HashOptions
+ */
+class PasswordHasher {
+
+    static status = { cost: 32768, blockSize: 8, parallelization: 1, pepperId: null, peppers: {} };
+
+    /**
+     * Initialize PasswordHasher with given hash options.
+     * 
+     * @param {HashOptions} hashOptions - Cost parameters and peppers of password hashing.
+     * @throws {Error} When cost is not a power of 2, or a pepper entry is invalid.
+     */
+    static initialize(hashOptions) {
+        const status = PasswordHasher.status;
+        const peppers = PasswordHasher.parsePeppers(hashOptions.peppers);
+        const cost = hashOptions.cost || status.cost;
+        if ((cost < 2) || (0 !== (cost & (cost - 1)))) {
+            throw new Error('Password hash cost must be a power of 2');
+        }
+        status.cost = cost;
+        status.blockSize = hashOptions.blockSize || status.blockSize;
+        status.parallelization = hashOptions.parallelization || status.parallelization;
+        status.pepperId = (peppers.length > 0) ? peppers[0].id : null;
+        status.peppers = {};
+        peppers.forEach((pepper) => {
+            status.peppers[pepper.id] = pepper.secret;
+        });
+    }
+
+    /**
+     * Make a hash record from given password, with a random salt, current cost parameters and current pepper.
+     * 
+     * @param {string} password - The password to be hashed.
+     * @return {string} - a hash record in current format.
+     * @see #.checkHash
+     */
+    static async makeHash(password) {
+        const status = PasswordHasher.status;
+        const params = {
+            cost: status.cost,
+            blockSize: status.blockSize,
+            parallelization: status.parallelization,
+            pepperId: status.pepperId,
+            unicodeForm: UNICODE_FORM
+        };
+        const salt = crypto.randomBytes(HASH_SALT_LENGTH);
+        const key = await PasswordHasher.deriveKey(password, salt, params);
+        return PasswordHasher.formatRecord(params, salt, key);
+    }
+
+    /**
+     * Check given password matches a hash record, in current format or legacy format.
+     * 
+     * @param {string} password - The password to be checked.
+     * @param {string} fullRecord - Full hash record stored in database.
+     * @return {boolean} - true if given password matches hash record.
+     * @throws {Error} When the hash record was made with a pepper which is not configured.
+     * @see #.makeHash
+     */
+    static async checkHash(password, fullRecord) {
+        const record = PasswordHasher.parseRecord(fullRecord);
+        var key;
+        if (!record) {
+            return await PasswordHasher.checkLegacyHash(password, fullRecord);
+        }
+        if (record.params.pepperId && !PasswordHasher.status.peppers[record.params.pepperId]) {
+            throw new Error(`Unknown password pepper: ${record.params.pepperId}`);
+        }
+        key = await PasswordHasher.deriveKey(password, record.salt, record.params);
+        return (key.length === record.key.length) && crypto.timingSafeEqual(key, record.key);
+    }
+
+    /**
+     * Check a hash record should be replaced, because it was made in legacy format, by other cost parameters,
+     * by a pepper other than the current one, or without Unicode normalization.
+     * 
+     * @param {string} fullRecord - Full hash record stored in database.
+     * @return {boolean} - true if the hash record should be made again from the password.
+     */
+    static needsRehash(fullRecord) {
+        const status = PasswordHasher.status;
+        const record = PasswordHasher.parseRecord(fullRecord);
+        if (!record) {
+            return true;
+        }
+        const params = record.params;
+        return (params.cost !== status.cost) || (params.blockSize !== status.blockSize) ||
+            (params.parallelization !== status.parallelization) || (params.pepperId !== status.pepperId) ||
+            (params.unicodeForm !== UNICODE_FORM);
+    }
+
+    /**
+     * Derive key from password by scrypt, normalized when the parameters name a Unicode form, and keyed by pepper when the 
+     * parameters name one.
+     * 
+     * @param {string} password - The password.
+     * @param {Buffer} salt - The salt.
+     * @param {Object} params - Cost parameters, pepper id and Unicode form.
+     * @return {Buffer} - The derived key.
+     */
+    static async deriveKey(password, salt, params) {
+        var input = String(password);
+        if (params.unicodeForm) {
+            input = input.normalize(params.unicodeForm.toUpperCase());
+        }
+        if (params.pepperId) {
+            input = crypto.createHmac(PEPPER_ALGORITHM, PasswordHasher.status.peppers[params.pepperId]).update(input).digest();
+        }
+        return await scryptAsync(input, salt, HASH_KEY_LENGTH, {
+            N: params.cost,
+            r: params.blockSize,
+            p: params.parallelization,
+            maxmem: 256 * params.cost * params.blockSize
+        });
+    }
+
+    /**
+     * Format a hash record in current format.
+     * 
+     * @param {Object} params - Cost parameters, pepper id and Unicode form.
+     * @param {Buffer} salt - The salt.
+     * @param {Buffer} key - The derived key.
+     * @return {string} - The hash record.
+     */
+    static formatRecord(params, salt, key) {
+        var paramText = `N=${params.cost},r=${params.blockSize},p=${params.parallelization}`;
+        if (params.pepperId) {
+            paramText += `,k=${params.pepperId}`;
+        }
+        if (params.unicodeForm) {
+            paramText += `,u=${params.unicodeForm}`;
+        }
+        return `${HASH_PREFIX}${paramText}$${salt.toString('hex')}$${key.toString('hex')}`;
+    }
+
+    /**
+     * Parse a hash record in current format.
+     * 
+     * @param {string} fullRecord - Full hash record stored in database.
+     * @return {Object} - Cost parameters (<strong>params</strong>), <strong>salt</strong> and <strong>key</strong>,
+     *                    if the record is in current format.
+     * @return null - otherwise
+     */
+    static parseRecord(fullRecord) {
+        if (!fullRecord || !fullRecord.startsWith(HASH_PREFIX)) {
+            return null;
+        }
+        const parts = fullRecord.substring(HASH_PREFIX.length).split('$');
+        if ((3 !== parts.length) || !parts[1] || !parts[2]) {
+            return null;
+        }
+        const fields = {};
+        parts[0].split(',').forEach((field) => {
+            const index = field.indexOf('=');
+            fields[field.substring(0, index)] = field.substring(index + 1);
+        });
+        const params = {
+            cost: parseInt(fields.N),
+            blockSize: parseInt(fields.r),
+            parallelization: parseInt(fields.p),
+            pepperId: fields.k || null,
+            unicodeForm: fields.u || null
+        };
+        if (!params.cost || !params.blockSize || !params.parallelization || (params.unicodeForm && (UNICODE_FORM !== params.unicodeForm))) {
+            return null;
+        }
+        return { params, salt: Buffer.from(parts[1], 'hex'), key: Buffer.from(parts[2], 'hex') };
+    }
+
+    /**
+     * Check given password matches a hash record in legacy format, that is, <strong>cypher|salt</strong> in hex format.
+     * 
+     * @param {string} password - The password to be checked.
+     * @param {string} fullRecord - Full hash record stored in database.
+     * @return {boolean} - true if given password matches hash record.
+     */
+    static async checkLegacyHash(password, fullRecord) {
+        const hexSalt = fullRecord.substring(LEGACY_SALT_IN_STRING);
+        const salt = Buffer.from(hexSalt, 'hex');
+        const cypher = await scryptAsync(password, salt, LEGACY_KEY_LENGTH, LEGACY_OPTIONS);
+        const hexCypher = cypher.toString('hex');
+        if ((hexSalt.length + hexCypher.length) === fullRecord.length) {
+            if (fullRecord.startsWith(hexCypher) && fullRecord.endsWith(hexSalt)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Parse peppers from config, in 'id:secret' format separated by comma. The first pepper is the current one.
+     * 
+     * @param {string} [pepperText] - The peppers, e.g. '2024:new-secret,2023:old-secret'.
+     * @return {Object[]} - The peppers, each with <strong>id</strong> and <strong>secret</strong>.
+     * @throws {Error} When a pepper entry is invalid.
+     */
+    static parsePeppers(pepperText) {
+        if (!pepperText) {
+            return [];
+        }
+        return String(pepperText).split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+            const index = entry.indexOf(':');
+            const id = entry.substring(0, index);
+            const secret = entry.substring(index + 1);
+            if ((index < 1) || !RX_PEPPER_ID.test(id) || !secret) {
+                throw new Error('Invalid password pepper, please use id:secret format');
+            }
+            return { id, secret };
+        });
+    }
+
+}
+
+
+export { PasswordHasher };
@@ -0,0 +1,326 @@
+// keyboard rows and character sequences for walk detection, matched forward and backward
+const KEYBOARD_ROWS = ['1234567890-=', 'qwertyuiop[]', 'asdfghjkl;\'', 'zxcvbnm,./', '1qaz2wsx3edc4rfv5tgb6yhn7ujm8ik,9ol.0p;/', 'abcdefghijklmnopqrstuvwxyz'];
+const MIN_WALK_LENGTH = 3;
+const MIN_REPEAT_LENGTH = 3;
+const MIN_WORD_LENGTH = 3;
+
+// patterns are searched in the beginning of long passwords only, the rest counts full entropy
+const MAX_ANALYZED_LENGTH = 64;
+
+// common character substitutions, e.g. '@' for 'a'
+const LEET_MAP = { '@': 'a', '4': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z' };
+
+// date patterns, e.g. 1990, 19900101, 01/01/1990, 1990-1-1, with the year captured
+const RX_YEAR = /(?:19|20)\d\d/g;
+const RX_DATE = /(?:((?:19|20)\d\d)[-\/.]?(?:1[0-2]|0?[1-9])[-\/.]?(?:[12]\d|3[01]|0?[1-9]))|(?:(?:[12]\d|3[01]|0?[1-9])[-\/.]?(?:1[0-2]|0?[1-9])[-\/.]?((?:19|20)?\d\d))/g;
+const RX_DATE_SEPARATOR = /[-\/.]/;
+const MIN_YEAR_SPACE = 20;
+const DAYS_IN_YEAR = 365;
+
+// entropy of a character outside patterns, by a conservative charset of 10 like zxcvbn, as attackers try patterns first
+const BRUTEFORCE_BITS = Math.log2(10);
+
+// guesses (in log10) to reach score 1, 2, 3 and 4, see zxcvbn
+const SCORE_THRESHOLDS = [3, 6, 8, 10];
+const LOG10_2 = Math.log10(2);
+
+// kinds of detected patterns
+const PATTERN_WALK = 'walk';
+const PATTERN_REPEAT = 'repeat';
+const PATTERN_DATE = 'date';
+const PATTERN_WORD = 'word';
+const PATTERN_USER = 'user';
+
+// suggestions for detected patterns
+const SUGGESTIONS = {
+    [PATTERN_WALK]: 'Avoid keyboard patterns and sequences like "qwerty", "abcd" or "1234"',
+    [PATTERN_REPEAT]: 'Avoid repeated characters and words like "aaa" or "abcabc"',
+    [PATTERN_DATE]: 'Avoid dates and years that are associated with you',
+    [PATTERN_WORD]: 'Avoid common words and passwords, even with capital letters or symbols around them',
+    [PATTERN_USER]: 'Avoid using your E-mail address or nickname in password'
+};
+const SUGGESTION_LEET = 'Predictable substitutions like "@" for "a" or "0" for "o" do not help much';
+const SUGGESTION_LONGER = 'Add another word or two, uncommon words are better';
+
+
+/**
+ * Password strength estimate, in a 0 to 4 score like <a href="https://github.com/dropbox/zxcvbn">zxcvbn</a>. <br />
+ * The password is split into patterns that attackers try first, that is, keyboard walks and sequences, repeats, dates,
+ * common words (also with l33t substitutions), and user inputs like E-mail local part or nickname. Each pattern costs only
+ * a few bits of entropy, while other characters cost a conservative log2(10) bits each, whatever their character classes.
+ * The cheapest split, where patterns win ties against single characters, is taken as the estimated entropy, and mapped
+ * into a score by number of guesses.
+ * 
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { PasswordStrength } from './util/password-strength.js';
+ * 
+ * const strength = PasswordStrength.estimate('P@ssw0rd1990', ['john', 'john.doe'], commonPasswordSet);
+ * console.log(strength.score, strength.suggestions);
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ * @see PasswordChecker
+ */
+class PasswordStrength {
+
+    /**
+     * Estimate strength of a password.
+     * 
+     * @param {string} password - The password.
+     * @param {string[]} [userInputs] - Words related to the user, e.g. E-mail local part and nickname.
+     * @param {Set<string>} [dictionary] - Common words and passwords in lower case.
+     * @return {PasswordScore} - The score, estimated entropy, and suggestions to make the password stronger.
+     */
+    static estimate(password, userInputs, dictionary) {
+        const text = String(password || '');
+        const lower = text.substring(0, MAX_ANALYZED_LENGTH).toLowerCase();
+        const unleet = PasswordStrength.replaceLeet(lower);
+        const matches = [].concat(
+            PasswordStrength.findWalks(lower),
+            PasswordStrength.findRepeats(lower),
+            PasswordStrength.findDates(lower),
+            PasswordStrength.findWords(text, lower, unleet, dictionary || new Set(), PATTERN_WORD),
+            PasswordStrength.findWords(text, lower, unleet, PasswordStrength.makeUserWords(userInputs), PATTERN_USER)
+        );
+
+        // cheapest cover of the password by patterns and single characters, patterns win ties
+        const best = [{ bits: 0, match: null }];
+        var i;
+        for (i = 1; i <= text.length; i++) {
+            best[i] = { bits: best[i - 1].bits + BRUTEFORCE_BITS, match: null };
+            matches.filter((match) => (match.end === i)).forEach((match) => {
+                const bits = best[match.start].bits + match.bits;
+                if (bits <= best[i].bits) {
+                    best[i] = { bits, match };
+                }
+            });
+        }
+        const usedMatches = [];
+        i = text.length;
+        while (i > 0) {
+            if (best[i].match) {
+                usedMatches.unshift(best[i].match);
+                i = best[i].match.start;
+            } else {
+                i--;
+            }
+        }
+
+        const entropy = best[text.length].bits;
+        const guessesLog10 = entropy * LOG10_2;
+        const score = SCORE_THRESHOLDS.filter((threshold) => (guessesLog10 >= threshold)).length;
+        return { score, entropy, suggestions: PasswordStrength.makeSuggestions(score, usedMatches) };
+    }
+
+    /**
+     * Find keyboard walks and character sequences, e.g. 'qwerty', '1qaz', 'abcd' or '4321'.
+     * 
+     * @param {string} lower - The password in lower case.
+     * @return {Object[]} - Matched patterns.
+     */
+    static findWalks(lower) {
+        const matches = [];
+        const rows = KEYBOARD_ROWS.concat(KEYBOARD_ROWS.map((row) => row.split('').reverse().join('')));
+        const keyCount = KEYBOARD_ROWS.join('').length;
+        var start = 0;
+        var longest;
+        while (start < lower.length) {
+            longest = start;
+            rows.filter((row) => row.includes(lower[start])).forEach((row) => {
+                var end = start + 1;
+                while ((end < lower.length) && row.includes(lower.substring(start, end + 1))) {
+                    end++;
+                }
+                longest = Math.max(longest, end);
+            });
+            if ((longest - start) >= MIN_WALK_LENGTH) {
+                // guesses of a walk: starting key, direction, and length
+                matches.push({ pattern: PATTERN_WALK, start, end: longest, bits: Math.log2(keyCount * 2 * (longest - start)) });
+                start = longest;
+            } else {
+                start++;
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Find repeated characters and repeated chunks, e.g. 'aaa' or 'abcabc'.
+     * 
+     * @param {string} lower - The password in lower case.
+     * @return {Object[]} - Matched patterns.
+     */
+    static findRepeats(lower) {
+        const matches = [];
+        const rxRepeat = /(.+?)\1+/g;
+        var found;
+        while ((found = rxRepeat.exec(lower)) !== null) {
+            if (found[0].length >= MIN_REPEAT_LENGTH) {
+                // guesses of a repeat: the chunk, and number of repeats
+                matches.push({
+                    pattern: PATTERN_REPEAT,
+                    start: found.index,
+                    end: found.index + found[0].length,
+                    bits: (found[1].length * BRUTEFORCE_BITS) + Math.log2(found[0].length / found[1].length)
+                });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Find years and dates, with or without separators.
+     * 
+     * @param {string} text - The password.
+     * @return {Object[]} - Matched patterns.
+     */
+    static findDates(text) {
+        const matches = [];
+        var found;
+        var bits;
+        RX_YEAR.lastIndex = 0;
+        while ((found = RX_YEAR.exec(text)) !== null) {
+            matches.push({ pattern: PATTERN_DATE, start: found.index, end: found.index + 4, bits: Math.log2(PasswordStrength.getYearSpace(found[0])) });
+        }
+        RX_DATE.lastIndex = 0;
+        while ((found = RX_DATE.exec(text)) !== null) {
+            if (found[0].length >= 6) {
+                // guesses of a date: the year, the day of year, and two more bits when separators are used
+                bits = Math.log2(PasswordStrength.getYearSpace(found[1] || found[2]) * DAYS_IN_YEAR);
+                bits += RX_DATE_SEPARATOR.test(found[0]) ? 2 : 0;
+                matches.push({ pattern: PATTERN_DATE, start: found.index, end: found.index + found[0].length, bits });
+            }
+            RX_DATE.lastIndex = found.index + 1;
+        }
+        return matches;
+    }
+
+    /**
+     * Get number of years to guess before reaching given year, counting from current year, since recent years are
+     * tried first. Two-digit years are taken as 19xx after 50, or 20xx otherwise.
+     * 
+     * @param {string} yearText - The year, in two or four digits.
+     * @return {number} - Number of guesses for the year, at least 20.
+     */
+    static getYearSpace(yearText) {
+        var year = parseInt(yearText, 10);
+        if (yearText.length < 4) {
+            year += (year > 50) ? 1900 : 2000;
+        }
+        return Math.max(Math.abs(year - new Date().getFullYear()), MIN_YEAR_SPACE);
+    }
+
+    /**
+     * Find words of a word list in a password, also with capital letters and l33t substitutions.
+     * 
+     * @param {string} text - The password.
+     * @param {string} lower - The password in lower case.
+     * @param {string} unleet - The password in lower case, with substitutions replaced.
+     * @param {Set<string>} wordSet - The word list in lower case.
+     * @param {string} pattern - Kind of pattern for found words.
+     * @return {Object[]} - Matched patterns.
+     */
+    static findWords(text, lower, unleet, wordSet, pattern) {
+        const matches = [];
+        const rankBits = (PATTERN_USER === pattern) ? 1 : Math.log2(wordSet.size || 1);
+        var start;
+        var end;
+        var word;
+        var extraBits;
+        for (start = 0; start < lower.length; start++) {
+            for (end = start + MIN_WORD_LENGTH; end <= lower.length; end++) {
+                word = lower.substring(start, end);
+                if (!wordSet.has(word)) {
+                    word = unleet.substring(start, end);
+                }
+                if (!wordSet.has(word)) {
+                    continue;
+                }
+
+                // one more bit for capital letters, and one for each substitution
+                extraBits = (text.substring(start, end) !== lower.substring(start, end)) ? 1 : 0;
+                extraBits += PasswordStrength.countDifferences(lower.substring(start, end), word);
+                matches.push({ pattern, start, end, bits: rankBits + extraBits, isLeet: (word !== lower.substring(start, end)) });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Make words related to the user, e.g. 'john.doe@example.com' gives 'john.doe', 'john' and 'doe'.
+     * 
+     * @param {string[]} [userInputs] - E-mail address, nickname, or other words related to the user.
+     * @return {Set<string>} - The words in lower case.
+     */
+    static makeUserWords(userInputs) {
+        const wordSet = new Set();
+        (userInputs || []).filter(Boolean).forEach((input) => {
+            const value = String(input).toLowerCase().split('@')[0];
+            [value].concat(value.split(/[^a-z0-9]+/)).forEach((word) => {
+                if (word.length >= MIN_WORD_LENGTH) {
+                    wordSet.add(word);
+                }
+            });
+        });
+        return wordSet;
+    }
+
+    /**
+     * Make suggestions from detected patterns.
+     * 
+     * @param {number} score - The score.
+     * @param {Object[]} usedMatches - Patterns in the cheapest split of the password.
+     * @return {string[]} - Suggestions to make the password stronger.
+     */
+    static makeSuggestions(score, usedMatches) {
+        const suggestions = [];
+        usedMatches.forEach((match) => {
+            const suggestion = SUGGESTIONS[match.pattern];
+            if (!suggestions.includes(suggestion)) {
+                suggestions.push(suggestion);
+            }
+            if (match.isLeet && !suggestions.includes(SUGGESTION_LEET)) {
+                suggestions.push(SUGGESTION_LEET);
+            }
+        });
+        if (score < SCORE_THRESHOLDS.length - 1) {
+            suggestions.push(SUGGESTION_LONGER);
+        }
+        return suggestions;
+    }
+
+    /**
+     * Replace common character substitutions with letters, e.g. 'p@ssw0rd' into 'password'.
+     * 
+     * @param {string} text - Text in lower case.
+     * @return {string} - Text with substitutions replaced, in the same length.
+     */
+    static replaceLeet(text) {
+        return text.split('').map((c) => (LEET_MAP[c] || c)).join('');
+    }
+
+    /**
+     * Count different characters at the same positions of two strings in the same length.
+     * 
+     * @param {string} a - The first string.
+     * @param {string} b - The second string.
+     * @return {number} - Number of different characters.
+     */
+    static countDifferences(a, b) {
+        var count = 0;
+        var i;
+        for (i = 0; i < a.length; i++) {
+            count += (a[i] !== b[i]) ? 1 : 0;
+        }
+        return count;
+    }
+
+}
+
+
+export { PasswordStrength };
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import { JwtUtil } from './jwt-util.js';
+import { TokenUtil } from './token-util.js';
+
+// constants for access tokens
+const ACCESS_TOKEN_TYPE = 'at+jwt';
+const ID_TOKEN_TYPE = 'JWT';
+const SCOPE_EMAIL = 'email';
+const SCOPE_PROFILE = 'profile';
+const DEFAULT_ACCESS_MINUTES = 15;
+const DEFAULT_KEY_ALGORITHM = 'ES256';
+const JTI_LENGTH = 16;
+
+// errors of configuration
+const ERROR_NO_ISSUER = new Error('Issuer of JWT is required, e.g. SERVICE_BASE');
+const ERROR_NO_SIGNING_KEY = new Error('JWT signing keys are required, e.g. JWT_SIGNING_KEYS_FILE');
+
+
+/**
+ * Issuer of short-lived access tokens, in JWT format (RFC 9068) signed by private keys of this site. <br />
+ * The first signing key signs new tokens, and public parts of all keys are published by a JWKS endpoint, so that other
+ * services can verify tokens offline, and keys can be rotated by adding a new key before the old one. For development,
+ * a key can be generated on start instead, and tokens are no longer valid after restart.
+ * 
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { TokenIssuer } from './util/token-issuer.js';
+ * 
+ * // config for TokenIssuer, signing keys are private keys in JWK format
+ * TokenIssuer.initialize({ issuer: 'https://example.com', accessMinutes: 15, signingKeys: jwks.keys });
+ * 
+ * const { accessToken, expiresIn } = TokenIssuer.issueAccessToken({ id: 42, email: 'john@example.com' }, family);
+ * const payload = TokenIssuer.verifyAccessToken(accessToken);
+ * console.log(payload.sub, payload.sid);
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ * @see TokenOptions
+ */
+class TokenIssuer {
+
+    static status = { issuer: null, accessMinutes: DEFAULT_ACCESS_MINUTES, signingKeys: null, publicKeys: null, generateKey: false };
+
+    /**
+     * Initialize TokenIssuer with given token options.
+     * 
+     * @param {TokenOptions} tokenOptions - Issuer, lifetime and signing keys of access tokens.
+     * @throws {Error} When issuer is absent, no signing key is configured without <strong>generateKey</strong>, or a
+     *                  signing key is not a private key with <strong>kid</strong> and <strong>alg</strong>.
+     */
+    static initialize(tokenOptions) {
+        const status = TokenIssuer.status;
+        const signingKeys = tokenOptions.signingKeys || [];
+        if (!tokenOptions.issuer) {
+            throw ERROR_NO_ISSUER;
+        }
+        if (0 === signingKeys.length && !tokenOptions.generateKey) {
+            throw ERROR_NO_SIGNING_KEY;
+        }
+        signingKeys.forEach((jwk) => {
+            if (!jwk || !jwk.kid || !jwk.alg || !jwk.d) {
+                throw new Error('Invalid JWT signing key: ' + (jwk && jwk.kid));
+            }
+        });
+        status.issuer = tokenOptions.issuer;
+        status.generateKey = !!tokenOptions.generateKey;
+        status.accessMinutes = tokenOptions.accessMinutes || DEFAULT_ACCESS_MINUTES;
+        status.signingKeys = (signingKeys.length > 0) ? signingKeys : null;
+        status.publicKeys = status.signingKeys ? status.signingKeys.map((jwk) => JwtUtil.toPublicJwk(jwk)) : null;
+    }
+
+    /**
+     * Get signing keys, a key is generated for development when TokenIssuer was not initialized with any.
+     * 
+     * @return {Object[]} - Private signing keys in JWK format, the first one signs new tokens.
+     * @throws {Error} When no signing key is configured, and generating a key is not allowed.
+     */
+    static getSigningKeys() {
+        const status = TokenIssuer.status;
+        if (!status.signingKeys) {
+            if (!status.generateKey) {
+                throw ERROR_NO_SIGNING_KEY;
+            }
+            console.warn(' # JWT signing key generated, tokens are not valid after restart');
+            status.signingKeys = [TokenIssuer.generateKey()];
+            status.publicKeys = status.signingKeys.map((jwk) => JwtUtil.toPublicJwk(jwk));
+        }
+        return status.signingKeys;
+    }
+
+    /**
+     * Get issuer of tokens, that is, base URL of this site.
+     * 
+     * @return {string} - The issuer.
+     */
+    static getIssuer() {
+        return TokenIssuer.status.issuer;
+    }
+
+    /**
+     * Get algorithms of all signing keys, e.g. to be shown in discovery metadata.
+     * 
+     * @return {string[]} - The algorithms, e.g. ['ES256'].
+     */
+    static getAlgorithms() {
+        return [...new Set(TokenIssuer.getSigningKeys().map((jwk) => jwk.alg))];
+    }
+
+    /**
+     * Get public keys of all signing keys, as a JSON Web Key Set.
+     * 
+     * @return {Object} - The key set, with <strong>keys</strong> in JWK format.
+     */
+    static getJwks() {
+        TokenIssuer.getSigningKeys();
+        return { keys: TokenIssuer.status.publicKeys };
+    }
+
+    /**
+     * Issue an access token of a user.
+     * 
+     * @param {Object} user - The account record, with <strong>id</strong> and <strong>email</strong>.
+     * @param {string} family - The refresh token family the access token belongs to, kept as <strong>sid</strong> claim,
+     *                          so that the access token is revoked with its refresh token.
+     * @param {Object} [grant] - The OAuth client (<strong>clientId</strong>) and granted <strong>scope</strong>, kept as
+     *                           <strong>client_id</strong> and <strong>scope</strong> claims, absent for first-party clients.
+     * @return {Object} - The token as <strong>accessToken</strong>, and its lifetime in seconds as <strong>expiresIn</strong>.
+     */
+    static issueAccessToken(user, family, grant) {
+        const status = TokenIssuer.status;
+        const jwk = TokenIssuer.getSigningKeys()[0];
+        const now = Math.floor(Date.now() / 1000);
+        const expiresIn = status.accessMinutes * 60;
+        const payload = {
+            iss: status.issuer,
+            aud: status.issuer,
+            sub: String(user.id),
+            email: user.email,
+            sid: family,
+            iat: now,
+            exp: now + expiresIn,
+            jti: TokenUtil.makeRandomToken(JTI_LENGTH)
+        };
+        if (grant && grant.clientId) {
+            payload.client_id = grant.clientId;
+            payload.scope = grant.scope;
+        }
+        return { accessToken: JwtUtil.sign(payload, jwk, { typ: ACCESS_TOKEN_TYPE }), expiresIn };
+    }
+
+    /**
+     * Issue an ID token of OpenID Connect, which tells a client who signed in.
+     * E-mail claims are included for <strong>email</strong> scope, and nickname for <strong>profile</strong> scope.
+     * 
+     * @param {Object} user - The account record, with <strong>id</strong>, <strong>email</strong>, <strong>verified</strong>
+     *                        and <strong>nickname</strong>.
+     * @param {string} clientId - The client identifier, as audience of the token.
+     * @param {string} scope - The granted scope, space separated.
+     * @param {Object} [session] - The <strong>nonce</strong> of authorization request, and <strong>authTime</strong> (Date) when user signed in.
+     * @return {string} - The ID token.
+     */
+    static issueIdToken(user, clientId, scope, session) {
+        const status = TokenIssuer.status;
+        const jwk = TokenIssuer.getSigningKeys()[0];
+        const now = Math.floor(Date.now() / 1000);
+        const payload = Object.assign({
+            iss: status.issuer,
+            aud: clientId,
+            sub: String(user.id),
+            iat: now,
+            exp: now + status.accessMinutes * 60
+        }, TokenIssuer.getUserClaims(user, scope));
+        if (session && session.authTime) {
+            payload.auth_time = Math.floor(session.authTime.getTime() / 1000);
+        }
+        if (session && session.nonce) {
+            payload.nonce = session.nonce;
+        }
+        return JwtUtil.sign(payload, jwk, { typ: ID_TOKEN_TYPE });
+    }
+
+    /**
+     * Get claims of a user allowed by granted scope, e.g. for ID token and userinfo endpoint.
+     * 
+     * @param {Object} user - The account record.
+     * @param {string} scope - The granted scope, space separated.
+     * @return {Object} - The claims, with <strong>sub</strong> always.
+     */
+    static getUserClaims(user, scope) {
+        const scopes = String(scope || '').split(' ');
+        const claims = { sub: String(user.id) };
+        if (scopes.includes(SCOPE_EMAIL)) {
+            claims.email = user.email;
+            claims.email_verified = (true === user.verified);
+        }
+        if (scopes.includes(SCOPE_PROFILE)) {
+            claims.nickname = user.nickname;
+        }
+        return claims;
+    }
+
+    /**
+     * Verify an access token issued by this site, and return its payload.
+     * 
+     * @param {string} accessToken - The access token.
+     * @return {Object} - The verified payload, with account id as <strong>sub</strong> and refresh token family as <strong>sid</strong>.
+     * @throws {Error} When the token is not a valid access token of this site, or expired.
+     */
+    static verifyAccessToken(accessToken) {
+        const status = TokenIssuer.status;
+        const keys = TokenIssuer.getJwks().keys;
+        const payload = JwtUtil.verify(accessToken, keys, {
+            issuer: status.issuer || undefined,
+            audience: status.issuer || undefined,
+            algorithms: keys.map((jwk) => jwk.alg)
+        });
+        if (ACCESS_TOKEN_TYPE !== JwtUtil.decode(accessToken).header.typ) {
+            throw new Error('Unexpected JWT type');
+        }
+        return payload;
+    }
+
+    /**
+     * Generate a signing key.
+     * 
+     * @param {string} [algorithm] - The algorithm of key, 'ES256' by default.
+     * @return {Object} - The private signing key in JWK format, with <strong>kid</strong> and <strong>alg</strong>.
+     */
+    static generateKey(algorithm) {
+        const alg = algorithm || DEFAULT_KEY_ALGORITHM;
+        const keyPair = alg.startsWith('ES')
+            ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-' + ('ES512' === alg ? 521 : alg.substring(2)) })
+            : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const jwk = keyPair.privateKey.export({ format: 'jwk' });
+        return Object.assign(jwk, { kid: TokenUtil.makeRandomToken(8), alg });
+    }
+
+}
+
+
+export { TokenIssuer };
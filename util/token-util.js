@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+
+// constants for random tokens
+const TOKEN_BYTE_LENGTH = 64;
+const TOKEN_HASH_ALGORITHM = 'sha256';
+
+// constants for PKCE (RFC 7636)
+const RX_CODE_VERIFIER = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+
+/**
+ * Utility for random tokens, e.g. tokens in links sent by E-mail or tokens stored in cookies, and for PKCE code challenges.
+ * 
+ * @memberof util#
+ * @hideconstructor
+ */
+class TokenUtil {
+
+    /**
+     * Make a random token in hex format.
+     * 
+     * @param {number} [byteLength] - Number of random bytes in the token.
+     * @return {string} - a random token in hex format.
+     */
+    static makeRandomToken(byteLength) {
+        const tokenBuffer = Buffer.alloc(byteLength || TOKEN_BYTE_LENGTH);
+        crypto.randomFillSync(tokenBuffer);
+        return tokenBuffer.toString('hex');
+    }
+
+    /**
+     * Hash a random token, so that the token itself is not required to be stored in database. <br />
+     * Random tokens have enough entropy, so a fast hash function without salt is used here.
+     * 
+     * @param {string} token - The token to be hashed.
+     * @return {string} - hash of given token in hex format.
+     */
+    static hashToken(token) {
+        return crypto.createHash(TOKEN_HASH_ALGORITHM).update(String(token)).digest('hex');
+    }
+
+    /**
+     * Compare two strings in constant time, to avoid leaking secrets by timing.
+     * 
+     * @param {string} a - The first string.
+     * @param {string} b - The second string.
+     * @return {boolean} - true if two strings are the same.
+     */
+    static safeEqual(a, b) {
+        const bufferA = Buffer.from(String(a));
+        const bufferB = Buffer.from(String(b));
+        if (bufferA.length !== bufferB.length) {
+            return false;
+        }
+        return crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    /**
+     * Make a PKCE code challenge of given code verifier, by S256 method.
+     * 
+     * @param {string} codeVerifier - The PKCE code verifier.
+     * @return {string} - The code challenge.
+     */
+    static makeCodeChallenge(codeVerifier) {
+        return crypto.createHash(TOKEN_HASH_ALGORITHM).update(codeVerifier).digest('base64url');
+    }
+
+    /**
+     * Check a PKCE code verifier matches the code challenge, by S256 method.
+     * 
+     * @param {string} codeVerifier - The code verifier from app.
+     * @param {string} codeChallenge - The code challenge kept with the authorization code.
+     * @return {boolean} - true if they match.
+     */
+    static verifyCodeChallenge(codeVerifier, codeChallenge) {
+        if (!RX_CODE_VERIFIER.test(codeVerifier || '')) {
+            return false;
+        }
+        return TokenUtil.safeEqual(TokenUtil.makeCodeChallenge(codeVerifier), codeChallenge);
+    }
+
+}
+
+
+export { TokenUtil };
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { TokenUtil } from './token-util.js';
+
+// constants for TOTP (RFC 6238)
+const TOTP_SECRET_LENGTH = 20;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const TOTP_ALGORITHM = 'sha1';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RX_TOTP_CODE = /^[0-9]{6}$/;
+
+
+/**
+ * Time-based one-time password (TOTP, RFC 6238) utility, compatible with common authenticator apps.
+ * 
+ * @memberof util#
+ * 
+ * @tutorial [Usage]
+ * <pre>
+ * <code class='prettyprint'>
+ * import { Totp } from './util/totp.js';
+ * 
+ * const secret = Totp.makeSecret();
+ * const uri = Totp.makeUri(secret, 'test@example.com', 'ExpressMultiPassport');
+ * 
+ * // check a code entered by user, a matched time step is returned
+ * const step = Totp.verifyCode(secret, '123456');
+ * if (step >= 0) {
+ *     console.log('code accepted');
+ * }
+ * </code>
+ * </pre>
+ * 
+ * @hideconstructor
+ */
+class Totp {
+
+    /**
+     * Make a random TOTP secret.
+     * 
+     * @return {string} - a random secret in base32 format.
+     */
+    static makeSecret() {
+        return Totp.encodeBase32(crypto.randomBytes(TOTP_SECRET_LENGTH));
+    }
+
+    /**
+     * Make an otpauth URI, which can be scanned (as QR code) by authenticator apps.
+     * 
+     * @param {string} secret - The TOTP secret in base32 format.
+     * @param {string} account - Account name shown in authenticator apps, e.g. email address.
+     * @param {string} issuer - Issuer name shown in authenticator apps, e.g. site name.
+     * @return {string} - the otpauth URI.
+     */
+    static makeUri(secret, account, issuer) {
+        const label = encodeURIComponent(`${issuer}:${account}`);
+        const encodedIssuer = encodeURIComponent(issuer);
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodedIssuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    }
+
+    /**
+     * Get the time step of given time.
+     * 
+     * @param {Date} [date] - The time to calculate time step, default to now.
+     * @return {number} - the time step.
+     */
+    static getStep(date) {
+        const time = (date || new Date()).getTime();
+        return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+    }
+
+    /**
+     * Generate the TOTP code of given time step.
+     * 
+     * @param {string} secret - The TOTP secret in base32 format.
+     * @param {number} step - The time step.
+     * @return {string} - the TOTP code, zero-padded.
+     */
+    static generateCode(secret, step) {
+        const key = Totp.decodeBase32(secret);
+        const counter = Buffer.alloc(8);
+        counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+        counter.writeUInt32BE(step % 0x100000000, 4);
+
+        // dynamic truncation, see RFC 4226
+        const hmac = crypto.createHmac(TOTP_ALGORITHM, key).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = (hmac.readUInt32BE(offset) & 0x7fffffff);
+        const code = binary % Math.pow(10, TOTP_DIGITS);
+        return String(code).padStart(TOTP_DIGITS, '0');
+    }
+
+    /**
+     * Verify a TOTP code entered by user. Codes of adjacent time steps are accepted, to allow clock drift.
+     * 
+     * @param {string} secret - The TOTP secret in base32 format.
+     * @param {string} code - The TOTP code entered by user.
+     * @param {number} [lastStep] - The last accepted time step, codes not later than this step are rejected to prevent replay.
+     * @return {number} - the matched time step, if code is valid.
+     * @return -1, otherwise.
+     */
+    static verifyCode(secret, code, lastStep) {
+        const input = String(code || '').replace(/\s/g, '');
+        const currentStep = Totp.getStep();
+        var step;
+        var expected;
+        if (!secret || !RX_TOTP_CODE.test(input)) {
+            return -1;
+        }
+        for (step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+            if ((undefined !== lastStep) && (null !== lastStep) && (step <= lastStep)) {
+                continue;
+            }
+            expected = Totp.generateCode(secret, step);
+            if (TokenUtil.safeEqual(expected, input)) {
+                return step;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Encode given bytes in base32 format (RFC 4648, without padding).
+     * 
+     * @param {Buffer} buffer - The bytes to be encoded.
+     * @return {string} - the base32 string.
+     */
+    static encodeBase32(buffer) {
+        var bits = 0;
+        var value = 0;
+        var output = '';
+        var i;
+        for (i = 0; i < buffer.length; i++) {
+            value = (value << 8) | buffer[i];
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    /**
+     * Decode given base32 string (RFC 4648) into bytes.
+     * 
+     * @param {string} text - The base32 string, padding and case are ignored.
+     * @return {Buffer} - the decoded bytes.
+     * @throws {Error} When given text is not a base32 string.
+     */
+    static decodeBase32(text) {
+        const input = String(text).toUpperCase().replace(/=+$/, '');
+        const bytes = [];
+        var bits = 0;
+        var value = 0;
+        var index;
+        var i;
+        for (i = 0; i < input.length; i++) {
+            index = BASE32_ALPHABET.indexOf(input[i]);
+            if (index < 0) {
+                throw new Error('Invalid base32 character: ' + input[i]);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+
+}
+
+
+export { Totp };
@@ -10,6 +10,7 @@ class OAuthSuite {
         var xmlhttp = new XMLHttpRequest();   // new HttpRequest instance
         xmlhttp.open("POST", uri);
         xmlhttp.setRequestHeader("Content-Type", "application/json;charset=UTF-8");
+        xmlhttp.setRequestHeader("X-CSRF-Token", getCsrfToken());
         xmlhttp.onreadystatechange = function () {
             if (xmlhttp.readyState === XMLHttpRequest.DONE) {
                 console.log('response: ', xmlhttp.responseText)
@@ -64,6 +65,28 @@ function oauthFacebookSignIn() {
     console.info('not implemented');
 }
 
+function translateText(text, params) {
+    var catalog = window.clientMessages || {};
+    var message = Object.prototype.hasOwnProperty.call(catalog, text) ? catalog[text] : text;
+    if ('object' === typeof message) {
+        message = selectPlural(message, (params || {}).count);
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        var value = (params || {})[name];
+        return ((undefined === value) || (null === value)) ? placeholder : String(value);
+    });
+}
+
+function selectPlural(forms, count) {
+    var number = Number(count);
+    var category;
+    if ((0 === number) && (undefined !== forms.zero)) {
+        return forms.zero;
+    }
+    category = isNaN(number) ? 'other' : new Intl.PluralRules(document.documentElement.lang || undefined).select(number);
+    return (undefined !== forms[category]) ? forms[category] : forms.other;
+}
+
 function displayError(message) {
     var ele = document.querySelector('.login-error');
     ele.classList.remove('box-hidden');
@@ -120,21 +143,25 @@ function fillEmail() {
 function checkEmail(email) {
     document.cookie = `email=${email};path=/`;
     if (email.length <= 0) {
-        return displayError('Please enter E-mail');
+        return displayError(translateText('Please enter E-mail'));
     }
     return true;
 }
 
 function checkPassword(password, message) {
     if (password.length <= 0) {
-        return displayError(message || 'Please enter Password');
+        return displayError(message || translateText('Please enter Password'));
     }
     return true;
 }
 
-function checkLogin() {
+function checkLogin(ev) {
     var email = document.querySelector('#emailAddr').value;
     var password = document.querySelector('#password').value;
+    var submitter = ev && ev.submitter;
+    if (submitter && submitter.classList.contains('btn-link-signin')) {
+        return checkEmail(email);
+    }
     return checkEmail(email) && checkPassword(password);
 }
 
@@ -148,7 +175,19 @@ function checkSignUp() {
     if (password === passwordConfirm) {
         return true;
     }
-    return displayError('Confirm Password not match');
+    return displayError(translateText('Confirm Password not match'));
+}
+
+function checkPasswordReset() {
+    var password = document.querySelector('#password').value;
+    var passwordConfirm = document.querySelector('#passwordConfirm').value;
+    if (!checkPassword(password, translateText('Please enter New Password'))) {
+        return false;
+    }
+    if (password === passwordConfirm) {
+        return true;
+    }
+    return displayError(translateText('Confirm Password not match'));
 }
 
 function checkPasswordChange() {
@@ -156,25 +195,31 @@ function checkPasswordChange() {
     var newPassword = document.querySelector('#password').value;
     var passwordConfirm = document.querySelector('#passwordConfirm').value;
 
-    if (!checkPassword(oldPassword, 'Please enter Old Password')) {
+    if (!checkPassword(oldPassword, translateText('Please enter Old Password'))) {
         return false;
     }
-    if (!checkPassword(newPassword, 'Please enter New Password')) {
+    if (!checkPassword(newPassword, translateText('Please enter New Password'))) {
         return false;
     }
-    if (!checkPassword(passwordConfirm, 'Please enter Confirm New Password')) {
+    if (!checkPassword(passwordConfirm, translateText('Please enter Confirm New Password'))) {
         return false;
     }
     if (newPassword === passwordConfirm) {
         return true;
     }
-    return displayError('Confirm Password not match');
+    return displayError(translateText('Confirm Password not match'));
+}
+
+function getCsrfToken() {
+    var ele = document.querySelector('meta[name="csrf-token"]');
+    return ele ? ele.content : '';
 }
 
 function postJson(uri, obj, cbText) {
     var xhr = new XMLHttpRequest();
     xhr.open("POST", uri);
     xhr.setRequestHeader("Content-Type", "application/json");
+    xhr.setRequestHeader("X-CSRF-Token", getCsrfToken());
     xhr.onreadystatechange = function () {
         if (xhr.readyState === XMLHttpRequest.DONE) {
             cbText(xhr.responseText, xhr);
@@ -183,6 +228,19 @@ function postJson(uri, obj, cbText) {
     xhr.send(JSON.stringify(obj));
 }
 
+function postJsonResult(uri, obj, cbResult) {
+    postJson(uri, obj, (text, xhr) => {
+        var result = JSON.parse(text);
+        if (401 === xhr.status) {
+            return window.location.reload();
+        }
+        if (200 !== xhr.status) {
+            return displayError(result.message);
+        }
+        cbResult(result);
+    });
+}
+
 function getJson(uri, cbText) {
     var xhr = new XMLHttpRequest();
     xhr.open("GET", uri);
@@ -247,3 +305,217 @@ function sendVerifyEmail(ele) {
     });
     return false;
 }
+
+function checkSecondFactor() {
+    var code = document.querySelector('#code').value;
+    if (code.trim().length <= 0) {
+        return displayError(translateText('Please enter Authentication Code'));
+    }
+    return true;
+}
+
+function showRecoveryCodes(recoveryCodes) {
+    document.querySelector('.two-factor-code-list').textContent = recoveryCodes.join('\n');
+    showUiCell('.two-factor-codes', true);
+}
+
+function postTwoFactor(uri, cbResult) {
+    var codeInput = document.querySelector('#twoFactorCode');
+    var obj = {};
+    if (codeInput) {
+        obj.code = codeInput.value.trim();
+        codeInput.value = '';
+    }
+    showUiCell('.login-error', false);
+    postJsonResult(uri, obj, cbResult);
+    return false;
+}
+
+function setupTwoFactor() {
+    return postTwoFactor('/user/2fa/setup', (result) => {
+        document.querySelector('.two-factor-qr').src = result.qrDataUrl;
+        document.querySelector('.two-factor-secret').textContent = result.secret;
+        showUiCell('.two-factor-setup', false);
+        showUiCell('.two-factor-enrol', true);
+    });
+}
+
+function enableTwoFactor() {
+    return postTwoFactor('/user/2fa/enable', (result) => {
+        showUiCell('.two-factor-enrol', false);
+        showRecoveryCodes(result.recoveryCodes);
+        displayInformation(result.information);
+    });
+}
+
+function disableTwoFactor() {
+    return postTwoFactor('/user/2fa/disable', (result) => {
+        window.location.reload();
+    });
+}
+
+function regenerateRecoveryCodes() {
+    return postTwoFactor('/user/2fa/recovery-codes', (result) => {
+        showRecoveryCodes(result.recoveryCodes);
+        displayInformation(result.information);
+    });
+}
+
+function postIdentity(uri, provider, cbResult) {
+    var passwordInput = document.querySelector('#identityPassword');
+    var obj = { provider };
+    if (passwordInput) {
+        obj.password = passwordInput.value;
+        if (obj.password.length <= 0) {
+            return displayError(translateText('Please input Password'));
+        }
+        passwordInput.value = '';
+    }
+    showUiCell('.login-error', false);
+    postJsonResult(uri, obj, cbResult);
+    return false;
+}
+
+function linkIdentity(provider) {
+    return postIdentity('/user/identities/link', provider, (result) => {
+        window.location.href = result.redirect;
+    });
+}
+
+function unlinkIdentity(provider) {
+    return postIdentity('/user/identities/unlink', provider, (result) => {
+        window.location.reload();
+    });
+}
+
+function changeEmail() {
+    var newEmail = document.querySelector('#newEmail').value.trim();
+    var passwordInput = document.querySelector('#emailPassword');
+    var obj = { email: newEmail };
+    if (newEmail.length <= 0) {
+        return displayError(translateText('Please enter E-mail'));
+    }
+    if (passwordInput) {
+        obj.password = passwordInput.value;
+        if (obj.password.length <= 0) {
+            return displayError(translateText('Please input Password'));
+        }
+        passwordInput.value = '';
+    }
+    showUiCell('.login-error', false);
+    postJsonResult('/user/email/change', obj, (result) => {
+        displayInformation(result.information);
+    });
+    return false;
+}
+
+function deleteAccount() {
+    var passwordInput = document.querySelector('#deletePassword');
+    var obj = {};
+    if (passwordInput) {
+        obj.password = passwordInput.value;
+        if (obj.password.length <= 0) {
+            return displayError(translateText('Please input Password'));
+        }
+        passwordInput.value = '';
+    }
+    if (!window.confirm(translateText('Delete your account?'))) {
+        return false;
+    }
+    showUiCell('.login-error', false);
+    postJsonResult('/user/privacy/delete', obj, (result) => {
+        window.alert(result.information);
+        window.location.href = '/';
+    });
+    return false;
+}
+
+function cancelDeletion() {
+    postJsonResult('/user/privacy/cancel-delete', {}, (result) => {
+        window.location.reload();
+    });
+    return false;
+}
+
+function postSession(uri, obj) {
+    postJsonResult(uri, obj, (result) => {
+        window.location.reload();
+    });
+    return false;
+}
+
+function revokeSession(sessionId) {
+    return postSession('/user/sessions/revoke', { sessionId });
+}
+
+function revokeOtherSessions() {
+    return postSession('/user/sessions/revoke-others', {});
+}
+
+function listPersonalTokens() {
+    getJson('/user/tokens', (text, xhr) => {
+        var result = JSON.parse(text);
+        if (200 !== xhr.status) {
+            return displayError(result.message);
+        }
+        var body = document.querySelector('.token-list-body');
+        body.querySelectorAll('.token-row').forEach((row) => row.remove());
+        result.tokens.forEach((token) => {
+            var row = document.createElement('tr');
+            var button = document.createElement('input');
+            row.className = 'token-row';
+            [token.name, token.scopes.join(', '), token.lastUsed || translateText('Never'), token.expired ? translateText('Expired') : token.expires].forEach((value) => {
+                var cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            button.type = 'button';
+            button.className = 'btn-round btn-signout';
+            button.value = translateText('Revoke');
+            button.onclick = () => revokePersonalToken(token);
+            row.appendChild(document.createElement('td')).appendChild(button);
+            body.appendChild(row);
+        });
+        showUiCell('.token-list', result.tokens.length > 0);
+    });
+    return false;
+}
+
+function createPersonalToken() {
+    var passwordInput = document.querySelector('#tokenPassword');
+    var obj = {
+        name: document.querySelector('#tokenName').value.trim(),
+        scopes: Array.from(document.querySelectorAll('.token-scope:checked')).map((ele) => ele.value),
+        days: parseInt(document.querySelector('#tokenDays').value)
+    };
+    if (obj.scopes.length <= 0) {
+        return displayError(translateText('Please select at least one scope'));
+    }
+    if (passwordInput) {
+        obj.password = passwordInput.value;
+        if (obj.password.length <= 0) {
+            return displayError(translateText('Please input Password'));
+        }
+        passwordInput.value = '';
+    }
+    showUiCell('.login-error', false);
+    postJsonResult('/user/tokens', obj, (result) => {
+        document.querySelector('.token-created').textContent = translateText('Your new access token is {token}. Save it now, it will not be shown again.', result.token);
+        showUiCell('.token-created', true);
+        document.querySelector('#tokenName').value = '';
+        displayInformation(result.information);
+        listPersonalTokens();
+    });
+    return false;
+}
+
+function revokePersonalToken(token) {
+    if (!window.confirm(translateText('Revoke {name}? Scripts using it will stop working.', token))) {
+        return false;
+    }
+    postJsonResult(`/user/tokens/${token.id}/revoke`, {}, (result) => {
+        displayInformation(result.information);
+        listPersonalTokens();
+    });
+    return false;
+}